@@ -1,9 +1,10 @@
+using CAF.Services.Conversation;
 using Microsoft.AspNetCore.Mvc;
 
 namespace CAF.Controllers;
 
 /// <summary>
-/// Controller for basic CRUD operations, availability management, triggers, imports, and statistics
+/// Controller for basic CRUD operations, availability management, bulk edits, revision history, triggers, imports, exports, statistics, and usage analytics
 /// </summary>
 [ApiController]
 [Route("api/[controller]")]
@@ -11,19 +12,28 @@ public class ContextDataController(
 IContextDataService contextDataService,
 ISemanticService semanticService,
 IGeminiClient geminiClient,
+ISessionService sessionService,
+ITurnService turnService,
+ISettingService settingService,
+IContextUsageAnalyticsService usageAnalyticsService,
 ILogger<ContextDataController> logger) : ControllerBase
 {
     #region Basic CRUD
 
     [HttpGet]
-    public async Task<ActionResult<List<ContextData>>> GetAll(
-        [FromQuery] DataType? type = null,
-        [FromQuery] AvailabilityType? availability = null,
-        [FromQuery] bool includeArchived = false,
+    public async Task<ActionResult<ContextDataPageResponse>> GetPage(
+        [FromQuery] ContextDataQuery query,
         CancellationToken cancellationToken = default)
     {
-        var data = await contextDataService.GetAllAsync(type, availability, includeArchived, cancellationToken);
-        return Ok(data);
+        var page = await contextDataService.QueryAsync(query, cancellationToken);
+        return Ok(page);
+    }
+
+    [HttpGet("filters")]
+    public async Task<ActionResult<ContextDataFilterOptions>> GetFilterOptions(CancellationToken cancellationToken = default)
+    {
+        var options = await contextDataService.GetFilterOptionsAsync(cancellationToken);
+        return Ok(options);
     }
 
     [HttpGet("{id}")]
@@ -57,7 +67,7 @@ ILogger<ContextDataController> logger) : ControllerBase
     {
         try
         {
-            var updated = await contextDataService.UpdateAsync(id, data, cancellationToken);
+            var updated = await contextDataService.UpdateAsync(id, data, RevisionSource.UiEdit, cancellationToken);
             return updated == null ? NotFound() : Ok(updated);
         }
         catch (InvalidOperationException ex)
@@ -169,6 +179,59 @@ ILogger<ContextDataController> logger) : ControllerBase
 
     #endregion
 
+    #region Bulk Edit
+
+    [HttpPost("bulk-edit")]
+    public async Task<ActionResult<BulkEditResult>> BulkEdit([FromBody] BulkEditRequest request, CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            var result = await contextDataService.BulkEditAsync(request, cancellationToken);
+            return Ok(result);
+        }
+        catch (InvalidOperationException ex)
+        {
+            return BadRequest(new { error = ex.Message });
+        }
+        catch (Exception ex)
+        {
+            logger.LogError(ex, "Error bulk editing context data");
+            return StatusCode(500, new { error = "An error occurred while bulk editing context data" });
+        }
+    }
+
+    #endregion
+
+    #region Revision History
+
+    [HttpGet("{id}/revisions")]
+    public async Task<ActionResult<List<ContextDataRevisionResponse>>> GetRevisions(int id, CancellationToken cancellationToken = default)
+    {
+        var revisions = await contextDataService.GetRevisionsAsync(id, cancellationToken);
+        return revisions == null ? NotFound() : Ok(revisions);
+    }
+
+    [HttpPost("{id}/revisions/{revisionId}/restore")]
+    public async Task<ActionResult<ContextData>> RestoreRevision(int id, int revisionId, CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            var restored = await contextDataService.RestoreRevisionAsync(id, revisionId, cancellationToken);
+            return restored == null ? NotFound() : Ok(restored);
+        }
+        catch (InvalidOperationException ex)
+        {
+            return BadRequest(new { error = ex.Message });
+        }
+        catch (Exception ex)
+        {
+            logger.LogError(ex, "Error restoring revision {RevisionId} of context data {Id}", revisionId, id);
+            return StatusCode(500, new { error = "An error occurred while restoring the revision" });
+        }
+    }
+
+    #endregion
+
     #region Trigger Management
 
     [HttpPut("{id}/trigger")]
@@ -188,8 +251,97 @@ ILogger<ContextDataController> logger) : ControllerBase
         data.TriggerLookbackTurns = request.LookbackTurns ?? data.TriggerLookbackTurns;
         data.TriggerMinMatchCount = request.MinMatchCount ?? data.TriggerMinMatchCount;
 
-        var updated = await contextDataService.UpdateAsync(id, data, cancellationToken);
-        return Ok(updated);
+        try
+        {
+            var updated = await contextDataService.UpdateAsync(id, data, RevisionSource.UiEdit, cancellationToken);
+            return Ok(updated);
+        }
+        catch (InvalidOperationException ex)
+        {
+            return BadRequest(new { error = ex.Message });
+        }
+    }
+
+    /// <summary>
+    /// Checks trigger keywords for expression syntax errors, for live feedback in the trigger editor
+    /// </summary>
+    [HttpPost("triggers/validate")]
+    public ActionResult<TriggerValidationResult> ValidateTrigger([FromBody] ValidateTriggerRequest request)
+    {
+        if (!TriggerExpression.IsExpression(request.Keywords))
+        {
+            // Plain keyword list, split the same way the trigger matching does
+            var keywords = new ContextData { TriggerKeywords = request.Keywords }.GetKeywordList();
+            return Ok(new TriggerValidationResult(true, false, null, null, [.. keywords]));
+        }
+
+        try
+        {
+            var expression = TriggerExpression.Parse(request.Keywords!);
+            return Ok(new TriggerValidationResult(true, true, null, null, [.. expression.Terms]));
+        }
+        catch (TriggerExpressionException ex)
+        {
+            return Ok(new TriggerValidationResult(false, true, ex.Message, ex.Position, []));
+        }
+    }
+
+    /// <summary>
+    /// Evaluates every Trigger item against the given text and, optionally, the active session's recent turns,
+    /// the same way the TriggerEnricher would on the next turn. Nothing is saved.
+    /// </summary>
+    [HttpPost("triggers/simulate")]
+    public async Task<ActionResult<TriggerSimulationResponse>> SimulateTriggers(
+        [FromBody] TriggerSimulationRequest request,
+        CancellationToken cancellationToken = default)
+    {
+        var response = new TriggerSimulationResponse
+        {
+            Input = request.Text ?? string.Empty,
+            AdditionalWords = await settingService.GetValueAsync(SettingsKeys.TriggerScanTextAdditionalWords, cancellationToken)
+        };
+
+        var triggers = (await contextDataService.GetAllAsync(
+                type: null,
+                availability: AvailabilityType.Trigger,
+                includeArchived: false,
+                cancellationToken))
+            .Where(t => t.IsEnabled && !string.IsNullOrWhiteSpace(t.TriggerKeywords))
+            .ToList();
+
+        if (triggers.Count == 0)
+            return Ok(response);
+
+        List<Turn> recentTurns = [];
+        if (request.UseActiveSession)
+        {
+            var session = await sessionService.GetActiveSessionAsync();
+            if (session == null)
+                return BadRequest(new { error = "No active session" });
+
+            response.SessionId = session.Id;
+            response.SessionName = session.Name;
+            recentTurns = await turnService.GetRecentTurnsAsync(
+                session.Id, triggers.Max(t => t.TriggerLookbackTurns), cancellationToken: cancellationToken);
+        }
+        else if (string.IsNullOrWhiteSpace(request.Text))
+        {
+            return BadRequest(new { error = "Text is required when the active session is not used" });
+        }
+
+        response.Turns = [.. recentTurns.Select(t => new TriggerSimulationTurn { Id = t.Id, Input = t.Input, Response = t.Response })];
+
+        // Turn ids are global, so the next id is only approximated from the session's last turn
+        int? nextTurnId = recentTurns.Count > 0 ? recentTurns[^1].Id + 1 : null;
+
+        response.Evaluations = [.. triggers
+            .Select(t => TriggerMatcher.Evaluate(t, recentTurns, request.Text, response.AdditionalWords, nextTurnId))
+            .OrderByDescending(e => e.WouldActivate)
+            .ThenByDescending(e => e.MissedByOne)
+            .ThenByDescending(e => e.MatchedKeywords.Count)
+            .ThenBy(e => e.Name)];
+
+        return Ok(response);
     }
 
     #endregion
@@ -211,7 +363,8 @@ ILogger<ContextDataController> logger) : ControllerBase
 
         for (var i = startIndex; i < lines.Length; i++)
         {
-            var line = lines[i].Trim();
+            // Only drop the CR of CRLF endings: trimming tabs would shift empty leading or trailing columns
+            var line = lines[i].TrimEnd('\r');
             if (string.IsNullOrWhiteSpace(line))
                 continue;
 
@@ -232,13 +385,14 @@ ILogger<ContextDataController> logger) : ControllerBase
                         sessionId = sid;
                     }
 
+                    var name = $"Session {sessionStr}, Line {i - startIndex + 1}";
                     var data = new ContextData
                     {
                         Type = request.DataType,
                         Availability = request.DefaultAvailability,
-                        Name = $"{speaker} - Session {sessionStr}, Line {i - startIndex + 1}",
+                        Name = string.IsNullOrEmpty(speaker) ? name : $"{speaker} - {name}",
                         Content = content,
-                        Speaker = speaker,
+                        Speaker = string.IsNullOrEmpty(speaker) ? null : speaker,
                         SourceSessionId = sessionId,
                         IsEnabled = true
                     };
@@ -304,7 +458,8 @@ ILogger<ContextDataController> logger) : ControllerBase
 
         for (var i = startIndex; i < lines.Length; i++)
         {
-            var line = lines[i].Trim();
+            // Only drop the CR of CRLF endings: trimming tabs would shift empty leading or trailing columns
+            var line = lines[i].TrimEnd('\r');
             if (string.IsNullOrWhiteSpace(line))
                 continue;
 
@@ -343,7 +498,7 @@ ILogger<ContextDataController> logger) : ControllerBase
                         Name = name,
                         Content = dialogue,
                         Speaker = request.Speaker,
-                        NonverbalBehavior = nonverbalBehavior,
+                        NonverbalBehavior = string.IsNullOrEmpty(nonverbalBehavior) ? null : nonverbalBehavior,
                         IsEnabled = true
                     };
 
@@ -382,7 +537,8 @@ ILogger<ContextDataController> logger) : ControllerBase
 
         for (var i = startIndex; i < lines.Length; i++)
         {
-            var line = lines[i].Trim();
+            // Only drop the CR of CRLF endings: trimming tabs would shift empty leading or trailing columns
+            var line = lines[i].TrimEnd('\r');
             if (string.IsNullOrWhiteSpace(line))
                 continue;
 
@@ -418,7 +574,7 @@ ILogger<ContextDataController> logger) : ControllerBase
                         Name = name,
                         Content = content,
                         Speaker = request.Speaker, // Optional speaker parameter
-                        NonverbalBehavior = nonverbalBehavior, // Store in dedicated field
+                        NonverbalBehavior = string.IsNullOrEmpty(nonverbalBehavior) ? null : nonverbalBehavior, // Store in dedicated field
                         IsEnabled = true
                     };
 
@@ -540,7 +696,7 @@ ILogger<ContextDataController> logger) : ControllerBase
                             if (string.IsNullOrEmpty(existingItem.Description))
                                 existingItem.Description = relativePath;
 
-                            await contextDataService.UpdateAsync(existingItem.Id, existingItem, cancellationToken);
+                            await contextDataService.UpdateAsync(existingItem.Id, existingItem, RevisionSource.Import, cancellationToken);
                             result.Updated++;
                             result.ProcessedItems?.Add($"Updated: {fileName}");
                         }
@@ -587,6 +743,130 @@ ILogger<ContextDataController> logger) : ControllerBase
         return Ok(result);
     }
 
+    /// <summary>
+    /// Shows what a SillyTavern character card or World Info file would be imported as, without saving anything
+    /// </summary>
+    [HttpPost("import/sillytavern/preview")]
+    public ActionResult<SillyTavernImportPreview> PreviewSillyTavernImport([FromBody] SillyTavernImportRequest request)
+    {
+        if (string.IsNullOrWhiteSpace(request.ContentBase64))
+            return BadRequest(new { error = "File content is required" });
+
+        try
+        {
+            return Ok(SillyTavernImporter.Preview(request));
+        }
+        catch (InvalidOperationException ex)
+        {
+            return BadRequest(new { error = ex.Message });
+        }
+    }
+
+    [HttpPost("import/sillytavern")]
+    public async Task<ActionResult<ImportResult>> ImportSillyTavern(
+        [FromBody] SillyTavernImportRequest request,
+        CancellationToken cancellationToken = default)
+    {
+        if (string.IsNullOrWhiteSpace(request.ContentBase64))
+            return BadRequest(new ImportResult { Message = "File content is required" });
+
+        SillyTavernImportPreview preview;
+        try
+        {
+            preview = SillyTavernImporter.Preview(request);
+        }
+        catch (InvalidOperationException ex)
+        {
+            return BadRequest(new ImportResult { Message = ex.Message });
+        }
+
+        var result = new ImportResult { ProcessedItems = [] };
+        var selected = request.SelectedIndexes?.ToHashSet();
+
+        foreach (var item in preview.Items.Where(i => selected == null || selected.Contains(i.Index)))
+        {
+            try
+            {
+                await contextDataService.CreateAsync(item.Data, cancellationToken);
+                result.SuccessCount++;
+                result.ProcessedItems?.Add($"Created: {item.Data.Name} ({item.Data.Availability})");
+            }
+            catch (Exception ex)
+            {
+                result.Errors.Add($"{item.Source} '{item.Data.Name}': {ex.Message}");
+                result.FailedCount++;
+            }
+        }
+
+        result.Message = $"Imported {result.SuccessCount} items from {preview.Name}, {result.FailedCount} failed";
+        return Ok(result);
+    }
+
+    #endregion
+
+    #region Export Operations
+
+    /// <summary>
+    /// Exports the selected items, or everything matching the current filter, as a downloadable file
+    /// </summary>
+    [HttpPost("export")]
+    public async Task<IActionResult> Export(
+        [FromBody] ContextDataExportRequest request,
+        CancellationToken cancellationToken = default)
+    {
+        var items = request.Ids.Count > 0
+            ? await contextDataService.GetByIdsAsync(request.Ids, cancellationToken)
+            : await contextDataService.QueryAllAsync(request.Filter, cancellationToken);
+
+        if (items.Count == 0)
+            return BadRequest(new { error = "Nothing to export" });
+
+        var fileName = $"context-data-{DateTime.UtcNow:yyyyMMdd-HHmmss}";
+
+        if (request.Format == ContextDataExportFormat.SillyTavernWorldInfo)
+        {
+            items = [.. items.Where(i => i.Availability is AvailabilityType.Trigger or AvailabilityType.AlwaysOn)];
+            if (items.Count == 0)
+                return BadRequest(new { error = "No Trigger or Always On items to export" });
+        }
+        else if (request.Format == ContextDataExportFormat.SillyTavernCards)
+        {
+            items = [.. items.Where(i => i.Type == DataType.CharacterProfile)];
+            if (items.Count == 0)
+                return BadRequest(new { error = "No character profiles to export" });
+        }
+
+        logger.LogInformation("Exporting {Count} context data items as {Format}", items.Count, request.Format);
+
+        return request.Format switch
+        {
+            ContextDataExportFormat.SillyTavernWorldInfo => File(
+                Encoding.UTF8.GetBytes(SillyTavernExporter.ToWorldInfoJson(items)),
+                "application/json",
+                $"{fileName}-worldinfo.json"),
+            ContextDataExportFormat.SillyTavernCards when items.Count == 1 => File(
+                Encoding.UTF8.GetBytes(SillyTavernExporter.ToCharacterCardJson(items[0])),
+                "application/json",
+                $"{ContextDataExporter.ToFileName(items[0].Name)}.json"),
+            ContextDataExportFormat.SillyTavernCards => File(
+                SillyTavernExporter.ToCharacterCardsZip(items),
+                "application/zip",
+                $"{fileName}-cards.zip"),
+            ContextDataExportFormat.Tsv => File(
+                Encoding.UTF8.GetBytes(ContextDataExporter.ToTsv(items, request.TsvLayout)),
+                "text/tab-separated-values",
+                $"{fileName}.tsv"),
+            ContextDataExportFormat.Markdown => File(
+                ContextDataExporter.ToMarkdownZip(items),
+                "application/zip",
+                $"{fileName}.zip"),
+            _ => File(
+                Encoding.UTF8.GetBytes(ContextDataExporter.ToJson(items)),
+                "application/json",
+                $"{fileName}.json")
+        };
+    }
+
     #endregion
 
     #region Statistics
@@ -616,6 +896,58 @@ ILogger<ContextDataController> logger) : ControllerBase
 
     #endregion
 
+    #region Usage Analytics
+
+    [HttpGet("analytics")]
+    public async Task<ActionResult<ContextUsageAnalyticsResponse>> GetUsageAnalytics(
+        [FromQuery] ContextUsageAnalyticsQuery query,
+        CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            var analytics = await usageAnalyticsService.GetAnalyticsAsync(query, cancellationToken);
+            return Ok(analytics);
+        }
+        catch (InvalidOperationException ex)
+        {
+            return BadRequest(new { error = ex.Message });
+        }
+    }
+
+    [HttpPost("analytics/archive")]
+    public async Task<ActionResult<BulkOperationResponse>> ArchiveUnused(
+        [FromBody] BulkOperationRequest request,
+        CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            var result = await usageAnalyticsService.ArchiveAsync(request.Ids, cancellationToken);
+            return Ok(result);
+        }
+        catch (InvalidOperationException ex)
+        {
+            return BadRequest(new { error = ex.Message });
+        }
+    }
+
+    [HttpPost("analytics/promote")]
+    public async Task<ActionResult<BulkOperationResponse>> PromoteToAlwaysOn(
+        [FromBody] BulkOperationRequest request,
+        CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            var result = await usageAnalyticsService.PromoteToAlwaysOnAsync(request.Ids, cancellationToken);
+            return Ok(result);
+        }
+        catch (InvalidOperationException ex)
+        {
+            return BadRequest(new { error = ex.Message });
+        }
+    }
+
+    #endregion
+
     #region Reload from Disk
 
     [HttpPost("{id}/reload-from-disk")]
@@ -637,7 +969,7 @@ ILogger<ContextDataController> logger) : ControllerBase
             data.Content = content;
             data.ModifiedAt = DateTime.UtcNow;
 
-            await contextDataService.UpdateAsync(id, data, cancellationToken);
+            await contextDataService.UpdateAsync(id, data, RevisionSource.ReloadFromDisk, cancellationToken);
 
             logger.LogInformation("Reloaded content from disk for item {Id} from path {Path}", id, data.Path);
             return Ok();
@@ -667,7 +999,7 @@ ILogger<ContextDataController> logger) : ControllerBase
                     var content = await System.IO.File.ReadAllTextAsync(item.Path, cancellationToken);
                     item.Content = content;
                     item.ModifiedAt = DateTime.UtcNow;
-                    await contextDataService.UpdateAsync(item.Id, item, cancellationToken);
+                    await contextDataService.UpdateAsync(item.Id, item, RevisionSource.ReloadFromDisk, cancellationToken);
                     reloadedCount++;
                 }
                 catch (Exception ex)
@@ -718,7 +1050,7 @@ ILogger<ContextDataController> logger) : ControllerBase
                     var content = await System.IO.File.ReadAllTextAsync(item.Path, cancellationToken);
                     item.Content = content;
                     item.ModifiedAt = DateTime.UtcNow;
-                    await contextDataService.UpdateAsync(item.Id, item, cancellationToken);
+                    await contextDataService.UpdateAsync(item.Id, item, RevisionSource.ReloadFromDisk, cancellationToken);
                     reloadedCount++;
                 }
                 catch (Exception ex)
@@ -876,6 +1208,12 @@ public record ChangeAvailabilityRequest(AvailabilityType Availability, bool Conf
 
 public record UpdateTriggerRequest(string Keywords, int? LookbackTurns = null, int? MinMatchCount = null);
 
+public record TriggerSimulationRequest(string? Text = null, bool UseActiveSession = true);
+
+public record ValidateTriggerRequest(string? Keywords);
+
+public record TriggerValidationResult(bool Valid, bool IsExpression, string? Error, int? Position, List<string> Terms);
+
 public record TsvImportRequest(
 string Content,
 DataType DataType = DataType.Quote,
@@ -3,7 +3,7 @@ using Microsoft.AspNetCore.Mvc;
 namespace CAF.Controllers;
 
 /// <summary>
-/// Controller for context data embedding, tag generation, and vector database operations
+/// Controller for context data embedding, tag generation, duplicate detection, and vector database operations
 /// </summary>
 [ApiController]
 [Route("api/contextdata")]
@@ -12,9 +12,14 @@ public class ContextDataEmbeddingController(
     ISemanticService semanticService,
     IGeminiClient geminiClient,
     ISystemMessageService systemMessageService,
+    ISettingService settingService,
+    IProfileService profileService,
+    IDuplicateFinderService duplicateFinderService,
     ILogger<ContextDataEmbeddingController> logger) : ControllerBase
 {
     private const int EmbeddingBatchSize = 96;
+    private const int MaxPlaygroundTopK = 100;
+    private const int PlaygroundPreviewLength = 300;
 
     #region Tag Generation
 
@@ -98,7 +103,7 @@ public class ContextDataEmbeddingController(
                         item.Tags = tags;
                         item.RelevanceScore = relevanceScore;
                         item.RelevanceReason = relevanceReason;
-                        await contextDataService.UpdateAsync(item.Id, item, cancellationToken);
+                        await contextDataService.UpdateAsync(item.Id, item, RevisionSource.TagGeneration, cancellationToken);
 
                         result.SuccessCount++;
                         result.ProcessedItems.Add(new ProcessedTagItem
@@ -196,7 +201,7 @@ public class ContextDataEmbeddingController(
             data.Tags = tags;
             data.RelevanceScore = relevanceScore;
             data.RelevanceReason = relevanceReason;
-            await contextDataService.UpdateAsync(id, data, cancellationToken);
+            await contextDataService.UpdateAsync(id, data, RevisionSource.TagGeneration, cancellationToken);
 
             return Ok(new TagGenerationResult
             {
@@ -470,6 +475,119 @@ public class ContextDataEmbeddingController(
 
     #endregion
 
+    #region Semantic Search Playground
+
+    /// <summary>
+    /// Runs a vector search the way the semantic enricher does and returns the top-k hits per type,
+    /// marking which of them fit within the type's token quota
+    /// </summary>
+    [HttpPost("semantic-search")]
+    public async Task<ActionResult<SemanticPlaygroundResponse>> SemanticSearch(
+        [FromBody] SemanticPlaygroundRequest request,
+        CancellationToken cancellationToken = default)
+    {
+        if (string.IsNullOrWhiteSpace(request.Query))
+            return BadRequest("Query is required");
+
+        var quotas = await SemanticDataEnricher.GetTokenQuotasAsync(settingService, cancellationToken);
+        var types = request.Types.Count > 0
+            ? request.Types.Where(quotas.ContainsKey).Distinct().ToList()
+            : [.. quotas.Keys];
+
+        if (types.Count == 0)
+            return BadRequest("None of the requested types are searched semantically");
+
+        var topK = Math.Clamp(request.TopK, 1, MaxPlaygroundTopK);
+
+        try
+        {
+            var resultsByType = await semanticService.SearchMultiTypeAsync(
+                request.Query,
+                profileService.GetActiveProfileId(),
+                types.ToDictionary(t => t, _ => topK),
+                cancellationToken);
+
+            var response = new SemanticPlaygroundResponse { Query = request.Query };
+            foreach (var type in types)
+            {
+                var hits = resultsByType.GetValueOrDefault(type) ?? [];
+                var quota = quotas[type];
+                var withinQuota = quota > 0
+                    ? SemanticDataEnricher.ApplyTokenQuota(hits, quota).Select(d => d.Id).ToHashSet()
+                    : [];
+
+                response.Results.Add(new SemanticPlaygroundTypeResult
+                {
+                    Type = type,
+                    TokenQuota = quota,
+                    TokensWithinQuota = hits.Where(d => withinQuota.Contains(d.Id)).Sum(d => d.TokenCount ?? 0),
+                    Hits = [.. hits.Select(d => new SemanticPlaygroundHit
+                    {
+                        Id = d.Id,
+                        Name = d.Name,
+                        Availability = d.Availability,
+                        Score = (float)d.ProcessWeight,
+                        TokenCount = d.TokenCount,
+                        EmbeddingUpdatedAt = d.EmbeddingUpdatedAt,
+                        WithinQuota = withinQuota.Contains(d.Id),
+                        ContentPreview = d.Content.Length > PlaygroundPreviewLength
+                            ? d.Content[..PlaygroundPreviewLength] + "..."
+                            : d.Content
+                    })]
+                });
+            }
+
+            return Ok(response);
+        }
+        catch (Exception ex)
+        {
+            logger.LogError(ex, "Error running semantic search playground query");
+            return StatusCode(500, $"Error searching: {ex.Message}");
+        }
+    }
+
+    #endregion
+
+    #region Duplicate Detection
+
+    /// <summary>
+    /// Groups likely duplicates, comparing stored embeddings and falling back to text for items that are not embedded
+    /// </summary>
+    [HttpPost("duplicates")]
+    public async Task<ActionResult<DuplicateSearchResponse>> FindDuplicates(
+        [FromBody] DuplicateSearchRequest request,
+        CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            return Ok(await duplicateFinderService.FindAsync(request, cancellationToken));
+        }
+        catch (InvalidOperationException ex)
+        {
+            return BadRequest(new { error = ex.Message });
+        }
+    }
+
+    /// <summary>
+    /// Keeps one item of a duplicate group and merges or archives the others
+    /// </summary>
+    [HttpPost("duplicates/resolve")]
+    public async Task<ActionResult<BulkOperationResponse>> ResolveDuplicates(
+        [FromBody] ResolveDuplicatesRequest request,
+        CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            return Ok(await duplicateFinderService.ResolveAsync(request, cancellationToken));
+        }
+        catch (InvalidOperationException ex)
+        {
+            return BadRequest(new { error = ex.Message });
+        }
+    }
+
+    #endregion
+
     #region Helper Methods
 
     private async Task<List<ContextData>> GetItemsByIdsAsync(List<int> ids, CancellationToken cancellationToken)
@@ -523,7 +641,7 @@ public class ContextDataEmbeddingController(
                 {
                     item.InVectorDb = true;
                     item.VectorId = $"{item.Type.ToString().ToLowerInvariant()}#{item.Id}#full";
-                    await contextDataService.UpdateAsync(item.Id, item, cancellationToken);
+                    await contextDataService.UpdateAsync(item.Id, item, RevisionSource.System, cancellationToken);
                 }
 
                 indexed += batch.Count;
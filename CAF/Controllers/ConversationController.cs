@@ -1,3 +1,4 @@
+using CAF.Services.Conversation;
 using Microsoft.AspNetCore.Mvc;
 
 namespace CAF.Controllers;
@@ -41,6 +42,52 @@ public class ConversationController(
         }
     }
 
+    private static readonly JsonSerializerOptions SseJsonOptions = new()
+    {
+        DefaultIgnoreCondition = JsonIgnoreCondition.WhenWritingNull,
+        PropertyNamingPolicy = JsonNamingPolicy.CamelCase,
+        ReferenceHandler = ReferenceHandler.IgnoreCycles
+    };
+
+    /// <summary>
+    /// Streams the response as server-sent events: "delta" events carry text chunks,
+    /// a final "done" event carries the saved turn and "error" reports pipeline failures.
+    /// Closing the connection aborts the provider call and leaves the turn unaccepted.
+    /// </summary>
+    [HttpPost("stream")]
+    public async Task StreamInput([FromBody] ConversationRequest request, CancellationToken cancellationToken)
+    {
+        Response.ContentType = "text/event-stream";
+        Response.Headers.CacheControl = "no-cache";
+        Response.Headers["X-Accel-Buffering"] = "no";
+
+        try
+        {
+            var turn = await pipeline.ProcessInputStreamingAsync(
+                request.Input,
+                chunk => WriteSseEventAsync("delta", new { text = chunk }, cancellationToken),
+                cancellationToken);
+
+            if (!cancellationToken.IsCancellationRequested)
+                await WriteSseEventAsync("done", turn, cancellationToken);
+        }
+        catch (InvalidOperationException ex)
+        {
+            await WriteSseEventAsync("error", new { message = ex.Message }, cancellationToken);
+        }
+        catch (OperationCanceledException) when (cancellationToken.IsCancellationRequested)
+        {
+            // Client went away; nothing left to send
+        }
+    }
+
+    private async Task WriteSseEventAsync(string eventName, object payload, CancellationToken cancellationToken)
+    {
+        var data = JsonSerializer.Serialize(payload, SseJsonOptions);
+        await Response.WriteAsync($"event: {eventName}\ndata: {data}\n\n", cancellationToken);
+        await Response.Body.FlushAsync(cancellationToken);
+    }
+
     [HttpGet("turns/{sessionId}")]
     public async Task<ActionResult<List<Turn>>> GetTurnsBySession(int sessionId)
     {
@@ -62,6 +109,75 @@ public class ConversationController(
         }
     }
 
+    [HttpPost("turns/{id}/regenerate")]
+    public async Task<ActionResult<Turn>> RegenerateTurn(int id, CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            var turn = await pipeline.RegenerateAsync(id, cancellationToken);
+            return OkJson(turn);
+        }
+        catch (KeyNotFoundException)
+        {
+            return NotFound();
+        }
+        catch (InvalidOperationException ex)
+        {
+            return BadRequest(ex.Message);
+        }
+    }
+
+    [HttpPost("turns/{id}/replay")]
+    public async Task<ActionResult<TurnReplayResponse>> ReplayTurn(int id, [FromBody] ReplayTurnRequest request, CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            var result = await pipeline.ReplayTurnAsync(id, request.Provider, request.Model, cancellationToken);
+            return OkJson(result);
+        }
+        catch (KeyNotFoundException)
+        {
+            return NotFound();
+        }
+        catch (InvalidOperationException ex)
+        {
+            return BadRequest(ex.Message);
+        }
+    }
+
+    [HttpPut("turns/{id}/swipes/{index}")]
+    public async Task<ActionResult<Turn>> SelectSwipe(int id, int index)
+    {
+        try
+        {
+            var turn = await turnService.SelectSwipeAsync(id, index);
+            return OkJson(turn);
+        }
+        catch (KeyNotFoundException)
+        {
+            return NotFound();
+        }
+        catch (ArgumentOutOfRangeException ex)
+        {
+            return BadRequest(ex.Message);
+        }
+    }
+
+    [HttpGet("turns/{id}/enrichment")]
+    public async Task<ActionResult<List<ContextSelection>>> GetTurnEnrichment(int id)
+    {
+        var turn = await turnService.GetByIdAsync(id);
+        if (turn == null)
+            return NotFound();
+
+        // Turns created before snapshots were recorded have nothing to show
+        var selections = string.IsNullOrWhiteSpace(turn.EnrichmentSnapshot)
+            ? []
+            : JsonSerializer.Deserialize<List<ContextSelection>>(turn.EnrichmentSnapshot) ?? [];
+
+        return OkJson(selections);
+    }
+
     [HttpPost("turns/{id}/restrip")]
     public async Task<ActionResult<Turn>> RestripTurn(int id, [FromQuery] string? model = null, CancellationToken cancellationToken = default)
     {
@@ -273,7 +389,9 @@ public class ConversationController(
                             ItemsWithoutTokens = itemsWithoutTokens,
                             TotalTokens = totalTokens
                         }
-                    }
+                    },
+                    TrimmedContext = state.TrimmedContext,
+                    TriggerActivations = [.. state.GetSelections().Where(s => s.Mechanism == SelectionMechanism.Trigger)]
                 };
 
                 if (provider.ProviderName.Equals("Claude", StringComparison.OrdinalIgnoreCase))
@@ -398,11 +516,20 @@ public record UpdateInputRequest(string Input);
 
 public record UpdateStrippedRequest(string Stripped);
 
+public record ReplayTurnRequest(string? Provider = null, string? Model = null);
+
 public class DebugResponse
 {
     public string ProviderName { get; set; } = string.Empty;
     public DebugConversationState State { get; set; } = new();
     public LoadedContextDataInfo? LoadedContextData { get; set; }
+    public List<TrimmedContextItem> TrimmedContext { get; set; } = [];
+
+    /// <summary>
+    /// Trigger activations, including recursive ones with the item that caused them
+    /// </summary>
+    public List<ContextSelection> TriggerActivations { get; set; } = [];
+
     public GeminiRequest? GeminiRequest { get; set; }
     public ClaudeRequest? ClaudeRequest { get; set; }
 }
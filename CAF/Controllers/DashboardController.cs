@@ -9,8 +9,11 @@ public class DashboardController(
     ISessionService sessionService,
     ISettingService settingService,
     IProfileService profileService,
+    ILLMRequestLogService logService,
     ILogger<DashboardController> logger) : ControllerBase
 {
+    private const int MaxUsageDays = 365;
+
     [HttpGet]
     public async Task<ActionResult<DashboardResponse>> GetDashboard(CancellationToken cancellationToken = default)
     {
@@ -45,6 +48,21 @@ public class DashboardController(
             return StatusCode(500, new { error = "An error occurred while loading the dashboard" });
         }
     }
+
+    [HttpGet("usage")]
+    public async Task<ActionResult<LLMUsageResponse>> GetUsage(
+        [FromQuery] int days = 30,
+        CancellationToken cancellationToken = default)
+    {
+        if (days is < 1 or > MaxUsageDays)
+            return BadRequest(new { error = $"days must be between 1 and {MaxUsageDays}" });
+
+        var to = DateTime.UtcNow;
+        var from = to.Date.AddDays(-(days - 1));
+
+        var usage = await logService.GetUsageAsync(from, to, cancellationToken);
+        return Ok(usage);
+    }
 }
 
 public class DashboardResponse
@@ -0,0 +1,31 @@
+using Microsoft.AspNetCore.Mvc;
+
+namespace CAF.Controllers;
+
+[ApiController]
+[Route("api/[controller]")]
+public class LLMLogsController(ILLMRequestLogService logService) : ControllerBase
+{
+    [HttpGet]
+    public async Task<ActionResult<LLMRequestLogPageResponse>> GetPage(
+        [FromQuery] LLMRequestLogQuery query,
+        CancellationToken cancellationToken = default)
+    {
+        var page = await logService.GetPageAsync(query, cancellationToken);
+        return Ok(page);
+    }
+
+    [HttpGet("filters")]
+    public async Task<ActionResult<LLMRequestLogFilterOptions>> GetFilterOptions(CancellationToken cancellationToken = default)
+    {
+        var options = await logService.GetFilterOptionsAsync(cancellationToken);
+        return Ok(options);
+    }
+
+    [HttpGet("{id:long}")]
+    public async Task<ActionResult<LLMRequestLogEntity>> GetById(long id, CancellationToken cancellationToken = default)
+    {
+        var log = await logService.GetByIdAsync(id, cancellationToken);
+        return log == null ? NotFound() : Ok(log);
+    }
+}
@@ -0,0 +1,112 @@
+using Microsoft.AspNetCore.Mvc;
+
+namespace CAF.Controllers;
+
+/// <summary>
+/// Memory extraction from accepted turns and the review queue of its proposals
+/// </summary>
+[ApiController]
+[Route("api/memory-proposals")]
+public class MemoryProposalsController(
+    IMemoryExtractionService memoryExtractionService,
+    ILogger<MemoryProposalsController> logger) : ControllerBase
+{
+    /// <summary>
+    /// Propose memories, insights and quotes from the accepted turns of a session or turn range
+    /// </summary>
+    [HttpPost("extract")]
+    public async Task<ActionResult<MemoryExtractionResponse>> Extract(
+        [FromBody] MemoryExtractionRequest request,
+        CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            return Ok(await memoryExtractionService.ExtractAsync(request, cancellationToken));
+        }
+        catch (InvalidOperationException ex)
+        {
+            return BadRequest(new { error = ex.Message });
+        }
+        catch (Exception ex)
+        {
+            logger.LogError(ex, "Error extracting memories from session {SessionId}", request.SessionId);
+            return StatusCode(500, new { error = "An error occurred while extracting memories" });
+        }
+    }
+
+    /// <summary>
+    /// Pending proposals, optionally of one session
+    /// </summary>
+    [HttpGet]
+    public async Task<ActionResult<List<MemoryProposal>>> GetPending(
+        [FromQuery] int? sessionId = null,
+        CancellationToken cancellationToken = default)
+    {
+        return Ok(await memoryExtractionService.GetPendingAsync(sessionId, cancellationToken));
+    }
+
+    [HttpPut("{id}")]
+    public async Task<ActionResult<MemoryProposal>> Update(
+        int id,
+        [FromBody] MemoryProposalEdit edit,
+        CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            var proposal = await memoryExtractionService.UpdateAsync(id, edit, cancellationToken);
+            return proposal == null ? NotFound() : Ok(proposal);
+        }
+        catch (InvalidOperationException ex)
+        {
+            return BadRequest(new { error = ex.Message });
+        }
+        catch (Exception ex)
+        {
+            logger.LogError(ex, "Error updating memory proposal {Id}", id);
+            return StatusCode(500, new { error = "An error occurred while updating the proposal" });
+        }
+    }
+
+    /// <summary>
+    /// Create a context data item from the proposal
+    /// </summary>
+    [HttpPost("{id}/accept")]
+    public async Task<ActionResult<MemoryProposal>> Accept(
+        int id,
+        [FromBody] AcceptMemoryProposalRequest request,
+        CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            var proposal = await memoryExtractionService.AcceptAsync(id, request, cancellationToken);
+            return proposal == null ? NotFound() : Ok(proposal);
+        }
+        catch (InvalidOperationException ex)
+        {
+            return BadRequest(new { error = ex.Message });
+        }
+        catch (Exception ex)
+        {
+            logger.LogError(ex, "Error accepting memory proposal {Id}", id);
+            return StatusCode(500, new { error = "An error occurred while accepting the proposal" });
+        }
+    }
+
+    [HttpPost("{id}/discard")]
+    public async Task<ActionResult> Discard(int id, CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            return await memoryExtractionService.DiscardAsync(id, cancellationToken) ? NoContent() : NotFound();
+        }
+        catch (InvalidOperationException ex)
+        {
+            return BadRequest(new { error = ex.Message });
+        }
+        catch (Exception ex)
+        {
+            logger.LogError(ex, "Error discarding memory proposal {Id}", id);
+            return StatusCode(500, new { error = "An error occurred while discarding the proposal" });
+        }
+    }
+}
@@ -0,0 +1,32 @@
+namespace CAF.Controllers.Models.Requests;
+
+/// <summary>
+/// Field changes applied to every selected context data item; null fields are left unchanged
+/// </summary>
+public class BulkEditRequest
+{
+    public List<int> Ids { get; set; } = [];
+
+    /// <summary>
+    /// When true, only counts what would change
+    /// </summary>
+    public bool Preview { get; set; }
+
+    public List<string> AddTags { get; set; } = [];
+    public List<string> RemoveTags { get; set; } = [];
+
+    public string? Speaker { get; set; }
+    public bool ClearSpeaker { get; set; }
+
+    public int? SourceSessionId { get; set; }
+    public bool ClearSourceSessionId { get; set; }
+
+    public string? Subtype { get; set; }
+    public bool ClearSubtype { get; set; }
+
+    public int? CooldownTurns { get; set; }
+    public int? SortOrder { get; set; }
+    public RetrievalType? Display { get; set; }
+    public int? TriggerLookbackTurns { get; set; }
+    public int? TriggerMinMatchCount { get; set; }
+}
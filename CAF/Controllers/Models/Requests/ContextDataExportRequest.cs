@@ -0,0 +1,70 @@
+namespace CAF.Controllers.Models.Requests;
+
+/// <summary>
+/// What to export from the context data page and in which format
+/// </summary>
+public class ContextDataExportRequest
+{
+    public ContextDataExportFormat Format { get; set; } = ContextDataExportFormat.Json;
+
+    /// <summary>
+    /// Column layout for TSV exports
+    /// </summary>
+    public TsvExportLayout TsvLayout { get; set; } = TsvExportLayout.Quotes;
+
+    /// <summary>
+    /// Selected items to export; when empty, everything matching <see cref="Filter"/> is exported
+    /// </summary>
+    public List<int> Ids { get; set; } = [];
+
+    /// <summary>
+    /// The list filters and search; paging is ignored
+    /// </summary>
+    public ContextDataQuery Filter { get; set; } = new();
+}
+
+public enum ContextDataExportFormat
+{
+    /// <summary>
+    /// Every field of every item
+    /// </summary>
+    Json,
+
+    /// <summary>
+    /// Columns of one of the TSV imports
+    /// </summary>
+    Tsv,
+
+    /// <summary>
+    /// Zip of one markdown file per item, one folder per type, as the folder import reads them
+    /// </summary>
+    Markdown,
+
+    /// <summary>
+    /// SillyTavern World Info lorebook of the Trigger and AlwaysOn items
+    /// </summary>
+    SillyTavernWorldInfo,
+
+    /// <summary>
+    /// SillyTavern V2 character card of each CharacterProfile item; a zip when there is more than one
+    /// </summary>
+    SillyTavernCards
+}
+
+public enum TsvExportLayout
+{
+    /// <summary>
+    /// Session, Speaker, Content - import/tsv
+    /// </summary>
+    Quotes,
+
+    /// <summary>
+    /// Dialogue, Nonverbal Behavior - import/voice-samples-tsv
+    /// </summary>
+    VoiceSamples,
+
+    /// <summary>
+    /// Dialogue, Nonverbal Behavior - import/canon-quotes-tsv
+    /// </summary>
+    CanonQuotes
+}
@@ -0,0 +1,44 @@
+namespace CAF.Controllers.Models.Requests;
+
+/// <summary>
+/// Filters, search, sorting and paging for the context data list
+/// </summary>
+public class ContextDataQuery
+{
+    public DataType? Type { get; set; }
+    public AvailabilityType? Availability { get; set; }
+
+    /// <summary>
+    /// true = only embedded in the vector DB, false = only not embedded
+    /// </summary>
+    public bool? Embedded { get; set; }
+
+    /// <summary>
+    /// true = only items with tags, false = only items without tags
+    /// </summary>
+    public bool? Tagged { get; set; }
+
+    public string? Speaker { get; set; }
+    public int? SessionId { get; set; }
+
+    /// <summary>
+    /// Full-text search over name, content and speaker (web search syntax: "quoted phrase", -exclude, or);
+    /// items whose tags contain the search text also match
+    /// </summary>
+    public string? Search { get; set; }
+
+    /// <summary>
+    /// name, type, availability, createdAt, modifiedAt, usageCount, tokenCount or relevance (search rank)
+    /// </summary>
+    public string SortBy { get; set; } = "name";
+
+    /// <summary>
+    /// asc or desc
+    /// </summary>
+    public string SortOrder { get; set; } = "asc";
+
+    public bool IncludeArchived { get; set; }
+
+    public int Page { get; set; } = 1;
+    public int PageSize { get; set; } = 50;
+}
@@ -0,0 +1,32 @@
+namespace CAF.Controllers.Models.Requests;
+
+/// <summary>
+/// Window and thresholds for the context usage analytics
+/// </summary>
+public class ContextUsageAnalyticsQuery
+{
+    /// <summary>
+    /// Turns of the last this many days count for selection rates, trigger fire rates and sessions; at most 365
+    /// </summary>
+    public int Days { get; set; } = 30;
+
+    /// <summary>
+    /// Items not used for this many days, or never used and older than that, are stale; at most 3650
+    /// </summary>
+    public int StaleDays { get; set; } = 60;
+
+    /// <summary>
+    /// Most and least used items listed per type and availability
+    /// </summary>
+    public int Top { get; set; } = 5;
+
+    /// <summary>
+    /// Semantic items retrieved in at least this share of the turns in the window (0-1) are promotion candidates
+    /// </summary>
+    public double PromoteMinRate { get; set; } = 0.3;
+
+    /// <summary>
+    /// ...and in at least this many turns, so a short window does not promote items retrieved once or twice
+    /// </summary>
+    public int PromoteMinSelections { get; set; } = 5;
+}
@@ -0,0 +1,42 @@
+namespace CAF.Controllers.Models.Requests;
+
+/// <summary>
+/// Which items to check for near-duplicates and how similar they must be
+/// </summary>
+public class DuplicateSearchRequest
+{
+    public List<DataType> Types { get; set; } = [DataType.Quote, DataType.Memory, DataType.PersonaVoiceSample];
+
+    /// <summary>
+    /// Minimum cosine similarity of the stored embeddings when both items are embedded
+    /// </summary>
+    public double EmbeddingThreshold { get; set; } = 0.95;
+
+    /// <summary>
+    /// Minimum text similarity (0-1) when either item is not embedded
+    /// </summary>
+    public double TextThreshold { get; set; } = 0.85;
+}
+
+/// <summary>
+/// Resolves one duplicate group by keeping one item
+/// </summary>
+public class ResolveDuplicatesRequest
+{
+    public int KeepId { get; set; }
+    public List<int> DuplicateIds { get; set; } = [];
+    public DuplicateResolution Action { get; set; } = DuplicateResolution.Merge;
+}
+
+public enum DuplicateResolution
+{
+    /// <summary>
+    /// Add the duplicates' tags and usage counts to the kept item, then archive the duplicates
+    /// </summary>
+    Merge,
+
+    /// <summary>
+    /// Archive the duplicates and leave the kept item unchanged
+    /// </summary>
+    Archive
+}
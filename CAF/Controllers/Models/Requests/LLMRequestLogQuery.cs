@@ -0,0 +1,23 @@
+namespace CAF.Controllers.Models.Requests;
+
+/// <summary>
+/// Filters and paging for the LLM request log browser
+/// </summary>
+public class LLMRequestLogQuery
+{
+    public string? Provider { get; set; }
+    public string? Model { get; set; }
+    public string? Operation { get; set; }
+
+    /// <summary>
+    /// "success" (2xx), "error" (any other recorded status) or "pending" (no response yet)
+    /// </summary>
+    public string? Status { get; set; }
+
+    public DateTime? From { get; set; }
+    public DateTime? To { get; set; }
+    public int? TurnId { get; set; }
+
+    public int Page { get; set; } = 1;
+    public int PageSize { get; set; } = 50;
+}
@@ -0,0 +1,33 @@
+namespace CAF.Controllers.Models.Requests;
+
+/// <summary>
+/// Accepted turns of a session to extract memories from; without bounds the whole session is used
+/// </summary>
+public class MemoryExtractionRequest
+{
+    public int SessionId { get; set; }
+
+    public int? FromTurnId { get; set; }
+    public int? ToTurnId { get; set; }
+}
+
+/// <summary>
+/// The reviewed fields of a memory proposal
+/// </summary>
+public class MemoryProposalEdit
+{
+    public DataType Type { get; set; } = DataType.Memory;
+    public string Name { get; set; } = string.Empty;
+    public string Content { get; set; } = string.Empty;
+    public string? Speaker { get; set; }
+    public string? NonverbalBehavior { get; set; }
+    public List<string> Tags { get; set; } = [];
+}
+
+/// <summary>
+/// Accepts a proposal as a new context data item with the given availability
+/// </summary>
+public class AcceptMemoryProposalRequest : MemoryProposalEdit
+{
+    public AvailabilityType Availability { get; set; } = AvailabilityType.Semantic;
+}
@@ -0,0 +1,19 @@
+namespace CAF.Controllers.Models.Requests;
+
+/// <summary>
+/// Query for the semantic search playground on the context data page
+/// </summary>
+public class SemanticPlaygroundRequest
+{
+    public string Query { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Types to search; empty searches all semantic-eligible types
+    /// </summary>
+    public List<DataType> Types { get; set; } = [];
+
+    /// <summary>
+    /// Hits returned per type
+    /// </summary>
+    public int TopK { get; set; } = 10;
+}
@@ -0,0 +1,39 @@
+namespace CAF.Controllers.Models.Requests;
+
+/// <summary>
+/// A SillyTavern character card (PNG or JSON) or World Info lorebook (JSON) to preview or import
+/// </summary>
+public class SillyTavernImportRequest
+{
+    public string FileName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The file's bytes, base64 encoded
+    /// </summary>
+    public string ContentBase64 { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Type given to lorebook entries; must support Trigger availability
+    /// </summary>
+    public DataType EntryType { get; set; } = DataType.Generic;
+
+    /// <summary>
+    /// Availability of the CharacterProfile created from a card
+    /// </summary>
+    public AvailabilityType CardAvailability { get; set; } = AvailabilityType.AlwaysOn;
+
+    /// <summary>
+    /// Replaces the {{user}} macro; left as is when empty
+    /// </summary>
+    public string? UserName { get; set; }
+
+    /// <summary>
+    /// Whether a card's embedded lorebook (character_book) is imported along with the profile
+    /// </summary>
+    public bool IncludeEmbeddedLorebook { get; set; } = true;
+
+    /// <summary>
+    /// Preview indexes of the items to import; null imports all of them
+    /// </summary>
+    public List<int>? SelectedIndexes { get; set; }
+}
@@ -0,0 +1,21 @@
+namespace CAF.Controllers.Models.Responses;
+
+public class BulkEditResult
+{
+    public bool Applied { get; set; }
+
+    /// <summary>
+    /// Selected items found in the current profile
+    /// </summary>
+    public int Matched { get; set; }
+
+    /// <summary>
+    /// Items with at least one field changed
+    /// </summary>
+    public int Changed { get; set; }
+
+    /// <summary>
+    /// Items changed per field name
+    /// </summary>
+    public Dictionary<string, int> ChangedByField { get; set; } = [];
+}
@@ -0,0 +1,16 @@
+namespace CAF.Controllers.Models.Responses;
+
+public class ContextDataPageResponse
+{
+    public List<ContextData> Items { get; set; } = [];
+    public int TotalCount { get; set; }
+    public int Page { get; set; }
+    public int PageSize { get; set; }
+    public int TotalPages => PageSize > 0 ? (int)Math.Ceiling(TotalCount / (double)PageSize) : 0;
+}
+
+public class ContextDataFilterOptions
+{
+    public List<string> Speakers { get; set; } = [];
+    public List<int> SessionIds { get; set; } = [];
+}
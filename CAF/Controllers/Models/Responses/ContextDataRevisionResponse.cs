@@ -0,0 +1,15 @@
+namespace CAF.Controllers.Models.Responses;
+
+public class ContextDataRevisionResponse
+{
+    public int Id { get; set; }
+
+    public RevisionSource Source { get; set; }
+
+    public DateTime CreatedAt { get; set; }
+
+    /// <summary>
+    /// The item as it was before the change
+    /// </summary>
+    public ContextDataSnapshot Snapshot { get; set; } = new();
+}
@@ -0,0 +1,127 @@
+namespace CAF.Controllers.Models.Responses;
+
+/// <summary>
+/// How the context data of the current profile is used, from the usage counters and the
+/// per-turn enrichment snapshots
+/// </summary>
+public class ContextUsageAnalyticsResponse
+{
+    public DateTime From { get; set; }
+    public DateTime To { get; set; }
+
+    /// <summary>
+    /// Turns in the window with an enrichment snapshot; rates are relative to these
+    /// </summary>
+    public int TurnCount { get; set; }
+
+    /// <summary>
+    /// Turns in the window created before enrichment snapshots were recorded
+    /// </summary>
+    public int TurnsWithoutSnapshot { get; set; }
+
+    public List<ContextUsageGroup> Groups { get; set; } = [];
+
+    /// <summary>
+    /// Items that have not been used once since they were created
+    /// </summary>
+    public List<ContextItemUsage> NeverUsed { get; set; } = [];
+
+    /// <summary>
+    /// Items not used within the stale period, oldest use first
+    /// </summary>
+    public List<ContextItemUsage> Stale { get; set; } = [];
+
+    /// <summary>
+    /// Semantic items retrieved often enough to consider making them AlwaysOn
+    /// </summary>
+    public List<ContextItemUsage> PromotionCandidates { get; set; } = [];
+
+    public List<TriggerRatePoint> TriggerRates { get; set; } = [];
+
+    public List<SessionContextUsage> Sessions { get; set; } = [];
+}
+
+public class ContextUsageGroup
+{
+    public DataType Type { get; set; }
+    public AvailabilityType Availability { get; set; }
+    public int ItemCount { get; set; }
+    public int NeverUsedCount { get; set; }
+
+    /// <summary>
+    /// Selections of the group's items in the window
+    /// </summary>
+    public int Selections { get; set; }
+
+    public List<ContextItemUsage> MostUsed { get; set; } = [];
+    public List<ContextItemUsage> LeastUsed { get; set; } = [];
+}
+
+public class ContextItemUsage
+{
+    public int Id { get; set; }
+    public string Name { get; set; } = string.Empty;
+    public DataType Type { get; set; }
+    public AvailabilityType Availability { get; set; }
+    public bool IsEnabled { get; set; }
+    public bool InVectorDb { get; set; }
+    public DateTime CreatedAt { get; set; }
+
+    public int UsageCount { get; set; }
+    public int TriggerCount { get; set; }
+
+    /// <summary>
+    /// Turns in the window the item was selected into
+    /// </summary>
+    public int Selections { get; set; }
+
+    /// <summary>
+    /// Selections per turn in the window (0-1); for Trigger items, the fire rate
+    /// </summary>
+    public double SelectionRate { get; set; }
+
+    /// <summary>
+    /// Latest of the usage and trigger timestamps and the last turn the item was selected into
+    /// </summary>
+    public DateTime? LastUsedAt { get; set; }
+}
+
+public class TriggerRatePoint
+{
+    public string Date { get; set; } = string.Empty;
+    public int Turns { get; set; }
+
+    /// <summary>
+    /// Trigger items activated, summed over the turns of the day
+    /// </summary>
+    public int Activations { get; set; }
+
+    public int DistinctTriggers { get; set; }
+
+    /// <summary>
+    /// Activations per turn
+    /// </summary>
+    public double Rate { get; set; }
+}
+
+public class SessionContextUsage
+{
+    public int SessionId { get; set; }
+    public string Label { get; set; } = string.Empty;
+    public int Turns { get; set; }
+    public int DistinctItems { get; set; }
+
+    /// <summary>
+    /// Selections per mechanism (AlwaysOn, Manual, Semantic, Trigger, UserProfile)
+    /// </summary>
+    public Dictionary<string, int> ByMechanism { get; set; } = [];
+
+    public List<ContextItemCount> TopItems { get; set; } = [];
+}
+
+public class ContextItemCount
+{
+    public int Id { get; set; }
+    public string Name { get; set; } = string.Empty;
+    public int Count { get; set; }
+}
@@ -0,0 +1,43 @@
+namespace CAF.Controllers.Models.Responses;
+
+public class DuplicateSearchResponse
+{
+    public List<DuplicateGroup> Groups { get; set; } = [];
+
+    /// <summary>
+    /// Items checked
+    /// </summary>
+    public int ItemCount { get; set; }
+
+    /// <summary>
+    /// Checked items compared by their stored embedding; the rest were compared by text
+    /// </summary>
+    public int EmbeddedCount { get; set; }
+}
+
+/// <summary>
+/// Items of one type that are likely duplicates of each other
+/// </summary>
+public class DuplicateGroup
+{
+    public DataType Type { get; set; }
+
+    /// <summary>
+    /// The lowest similarity among the pairs that linked the group
+    /// </summary>
+    public double Similarity { get; set; }
+
+    public DuplicateMatch MatchedBy { get; set; }
+
+    /// <summary>
+    /// Most used first; the first item is the suggested one to keep
+    /// </summary>
+    public List<ContextData> Items { get; set; } = [];
+}
+
+public enum DuplicateMatch
+{
+    Embedding,
+    Text,
+    Mixed
+}
@@ -0,0 +1,37 @@
+namespace CAF.Controllers.Models.Responses;
+
+public class LLMRequestLogPageResponse
+{
+    public List<LLMRequestLogSummary> Items { get; set; } = [];
+    public int TotalCount { get; set; }
+    public int Page { get; set; }
+    public int PageSize { get; set; }
+    public int TotalPages => PageSize > 0 ? (int)Math.Ceiling(TotalCount / (double)PageSize) : 0;
+}
+
+/// <summary>
+/// List row for a logged LLM call, without the raw request/response bodies
+/// </summary>
+public class LLMRequestLogSummary
+{
+    public long Id { get; set; }
+    public string Provider { get; set; } = string.Empty;
+    public string Model { get; set; } = string.Empty;
+    public string Operation { get; set; } = string.Empty;
+    public DateTime StartTime { get; set; }
+    public long DurationMs { get; set; }
+    public int InputTokens { get; set; }
+    public int OutputTokens { get; set; }
+    public int CachedContentTokenCount { get; set; }
+    public int ThinkingTokens { get; set; }
+    public decimal TotalCost { get; set; }
+    public int? StatusCode { get; set; }
+    public int? TurnId { get; set; }
+}
+
+public class LLMRequestLogFilterOptions
+{
+    public List<string> Providers { get; set; } = [];
+    public List<string> Models { get; set; } = [];
+    public List<string> Operations { get; set; } = [];
+}
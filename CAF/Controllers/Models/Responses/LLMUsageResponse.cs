@@ -0,0 +1,51 @@
+namespace CAF.Controllers.Models.Responses;
+
+/// <summary>
+/// Aggregated LLM cost and token usage over a date range
+/// </summary>
+public class LLMUsageResponse
+{
+    public DateTime From { get; set; }
+    public DateTime To { get; set; }
+    public LLMUsageBucket Totals { get; set; } = new();
+    public List<LLMUsageBucket> ByDay { get; set; } = [];
+    public List<LLMUsageBucket> BySession { get; set; } = [];
+    public List<LLMUsageBucket> ByModel { get; set; } = [];
+    public List<LLMUsageBucket> ByOperation { get; set; } = [];
+}
+
+public class LLMUsageBucket
+{
+    public string Key { get; set; } = string.Empty;
+    public string Label { get; set; } = string.Empty;
+    public int Calls { get; set; }
+
+    /// <summary>
+    /// All prompt tokens: uncached input, cache writes and cache reads
+    /// </summary>
+    public long InputTokens { get; set; }
+
+    /// <summary>
+    /// Prompt tokens neither read from nor written to the cache
+    /// </summary>
+    public long UncachedInputTokens { get; set; }
+
+    /// <summary>
+    /// Prompt tokens written to the cache (Claude only)
+    /// </summary>
+    public long CacheWriteTokens { get; set; }
+
+    /// <summary>
+    /// Prompt tokens read from the cache
+    /// </summary>
+    public long CachedTokens { get; set; }
+
+    public long OutputTokens { get; set; }
+    public long ThinkingTokens { get; set; }
+    public decimal TotalCost { get; set; }
+
+    /// <summary>
+    /// Share of prompt tokens served from cache (0-1)
+    /// </summary>
+    public double CacheHitRatio { get; set; }
+}
@@ -0,0 +1,21 @@
+namespace CAF.Controllers.Models.Responses;
+
+public class MemoryExtractionResponse
+{
+    /// <summary>
+    /// New pending proposals
+    /// </summary>
+    public List<MemoryProposal> Proposals { get; set; } = [];
+
+    /// <summary>
+    /// Accepted turns sent to the provider
+    /// </summary>
+    public int TurnCount { get; set; }
+
+    /// <summary>
+    /// Requests that failed; their turns produced no proposals
+    /// </summary>
+    public int FailedRequests { get; set; }
+
+    public string Provider { get; set; } = string.Empty;
+}
@@ -0,0 +1,46 @@
+namespace CAF.Controllers.Models.Responses;
+
+/// <summary>
+/// Vector search hits per type, marked with where the semantic enricher's token quota would cut them off
+/// </summary>
+public class SemanticPlaygroundResponse
+{
+    public string Query { get; set; } = string.Empty;
+    public List<SemanticPlaygroundTypeResult> Results { get; set; } = [];
+}
+
+public class SemanticPlaygroundTypeResult
+{
+    public DataType Type { get; set; }
+
+    /// <summary>
+    /// Token quota of the type from settings; 0 means the enricher skips the type
+    /// </summary>
+    public int TokenQuota { get; set; }
+
+    /// <summary>
+    /// Tokens of the hits that fit within the quota
+    /// </summary>
+    public int TokensWithinQuota { get; set; }
+
+    public List<SemanticPlaygroundHit> Hits { get; set; } = [];
+}
+
+public class SemanticPlaygroundHit
+{
+    public int Id { get; set; }
+    public string Name { get; set; } = string.Empty;
+
+    public AvailabilityType Availability { get; set; }
+
+    public float Score { get; set; }
+    public int? TokenCount { get; set; }
+    public DateTime? EmbeddingUpdatedAt { get; set; }
+
+    /// <summary>
+    /// Whether the enricher would include the hit for this query
+    /// </summary>
+    public bool WithinQuota { get; set; }
+
+    public string ContentPreview { get; set; } = string.Empty;
+}
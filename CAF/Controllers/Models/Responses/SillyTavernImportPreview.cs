@@ -0,0 +1,42 @@
+namespace CAF.Controllers.Models.Responses;
+
+/// <summary>
+/// Items a SillyTavern file would be imported as, before anything is saved
+/// </summary>
+public class SillyTavernImportPreview
+{
+    /// <summary>
+    /// CharacterCard or WorldInfo
+    /// </summary>
+    public string Kind { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Character or lorebook name
+    /// </summary>
+    public string Name { get; set; } = string.Empty;
+
+    public List<SillyTavernPreviewItem> Items { get; set; } = [];
+}
+
+public class SillyTavernPreviewItem
+{
+    /// <summary>
+    /// Position in the preview, used to select items for the import
+    /// </summary>
+    public int Index { get; set; }
+
+    /// <summary>
+    /// Card, or the lorebook entry uid
+    /// </summary>
+    public string Source { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The item as it would be created
+    /// </summary>
+    public ContextData Data { get; set; } = new();
+
+    /// <summary>
+    /// Parts of the entry that could not be carried over exactly
+    /// </summary>
+    public List<string> Warnings { get; set; } = [];
+}
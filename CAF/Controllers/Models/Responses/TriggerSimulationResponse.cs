@@ -0,0 +1,39 @@
+using CAF.Services.Conversation;
+
+namespace CAF.Controllers.Models.Responses;
+
+/// <summary>
+/// Which Trigger items would activate for the given text and session, and why
+/// </summary>
+public class TriggerSimulationResponse
+{
+    /// <summary>
+    /// Session whose recent turns were scanned; null when only the pasted text was used
+    /// </summary>
+    public int? SessionId { get; set; }
+    public string? SessionName { get; set; }
+
+    /// <summary>
+    /// Text scanned as the current input
+    /// </summary>
+    public string Input { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Words from settings that are scanned along with every input
+    /// </summary>
+    public string? AdditionalWords { get; set; }
+
+    /// <summary>
+    /// Recent turns in chronological order, up to the largest lookback of any trigger
+    /// </summary>
+    public List<TriggerSimulationTurn> Turns { get; set; } = [];
+
+    public List<TriggerEvaluation> Evaluations { get; set; } = [];
+}
+
+public class TriggerSimulationTurn
+{
+    public int Id { get; set; }
+    public string Input { get; set; } = string.Empty;
+    public string Response { get; set; } = string.Empty;
+}
@@ -0,0 +1,36 @@
+using CAF.Services.Conversation;
+
+namespace CAF.Controllers.Models.Responses;
+
+/// <summary>
+/// Result of replaying a past turn through the current pipeline, next to the original response
+/// </summary>
+public class TurnReplayResponse
+{
+    public int TurnId { get; set; }
+    public string Input { get; set; } = string.Empty;
+    public DateTime OriginalCreatedAt { get; set; }
+
+    public string OriginalResponse { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Provider the original response came from, when it was recorded
+    /// </summary>
+    public string? OriginalProvider { get; set; }
+
+    public bool Success { get; set; }
+    public string ReplayResponse { get; set; } = string.Empty;
+    public string ReplayProvider { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Model override used for the replay; null when the configured model was used
+    /// </summary>
+    public string? ReplayModel { get; set; }
+
+    /// <summary>
+    /// Context selected by today's pipeline for this turn
+    /// </summary>
+    public List<ContextSelection> Selections { get; set; } = [];
+
+    public List<TrimmedContextItem> TrimmedContext { get; set; } = [];
+}
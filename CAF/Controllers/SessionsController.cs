@@ -40,6 +40,20 @@ public class SessionsController(ISessionService sessionService) : ControllerBase
         return CreatedAtAction(nameof(GetById), new { id = session.Id }, session);
     }
 
+    [HttpPost("branch")]
+    public async Task<ActionResult<Session>> Branch([FromBody] BranchSessionRequest request)
+    {
+        try
+        {
+            var session = await sessionService.BranchSessionAsync(request.TurnId, request.Name, request.Activate);
+            return CreatedAtAction(nameof(GetById), new { id = session.Id }, session);
+        }
+        catch (KeyNotFoundException)
+        {
+            return NotFound();
+        }
+    }
+
     [HttpPut("{id}")]
     public async Task<ActionResult<Session>> Update(int id, [FromBody] UpdateSessionRequest request)
     {
@@ -70,4 +84,5 @@ public class SessionsController(ISessionService sessionService) : ControllerBase
 }
 
 public record CreateSessionRequest(string Name, int? SourceSessionId = null, int? TurnCount = null);
-public record UpdateSessionRequest(string Name, bool IsActive);
\ No newline at end of file
+public record UpdateSessionRequest(string Name, bool IsActive);
+public record BranchSessionRequest(int TurnId, string? Name = null, bool Activate = false);
\ No newline at end of file
@@ -327,6 +327,16 @@ public class SystemMessagesController(
                 ConversationConstants.TechnicalMessages.QuoteMapper,
                 DefaultTechnicalMessages.QuoteMapper,
                 "Instructions for extracting structured metadata from roleplay quotes"
+            ),
+            (
+                ConversationConstants.TechnicalMessages.MemoryExtractionInstructions,
+                DefaultTechnicalMessages.MemoryExtractionInstructions,
+                "Instructions for proposing memories, insights and quotes from accepted turns"
+            ),
+            (
+                ConversationConstants.TechnicalMessages.SessionSummaryInstructions,
+                DefaultTechnicalMessages.SessionSummaryInstructions,
+                "Instructions for summarizing a session into a memory when another session is activated"
             )
         ];
     }
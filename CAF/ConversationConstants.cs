@@ -84,6 +84,8 @@ public static class ConversationConstants
         public const string MemoryCoreFactsInstructions = "memory core facts instructions";
         public const string QuoteQueryTransformer = "quote query transformer";
         public const string QuoteMapper = "quote mapper";
+        public const string MemoryExtractionInstructions = "memory extraction instructions";
+        public const string SessionSummaryInstructions = "session summary instructions";
     }
 
     /// <summary>
@@ -0,0 +1,57 @@
+namespace CAF.DB.Entities;
+
+/// <summary>
+/// A scheduled availability change of a ContextData item, evaluated at the start of each pipeline run.
+/// A rule fires once: when its condition is first met the item switches to <see cref="Target"/> and
+/// <see cref="AppliedAt"/> is set, so later manual changes are not overridden.
+/// </summary>
+public class AvailabilityRule
+{
+    [JsonConverter(typeof(JsonStringEnumConverter))]
+    public AvailabilityRuleCondition Condition { get; set; }
+
+    /// <summary>
+    /// Session number, turn count or usage count, depending on <see cref="Condition"/>
+    /// </summary>
+    public int Value { get; set; }
+
+    /// <summary>
+    /// Availability the item switches to
+    /// </summary>
+    [JsonConverter(typeof(JsonStringEnumConverter))]
+    public AvailabilityType Target { get; set; }
+
+    /// <summary>
+    /// When the rule fired; null while it is pending
+    /// </summary>
+    public DateTime? AppliedAt { get; set; }
+
+    /// <param name="sessionNumber">Number of the active session</param>
+    /// <param name="sessionTurns">Turns of the active session before the one being built</param>
+    /// <param name="usageCount">How many times the item has been loaded into context</param>
+    public bool IsDue(int sessionNumber, int sessionTurns, int usageCount) => AppliedAt == null && Condition switch
+    {
+        AvailabilityRuleCondition.FromSession => sessionNumber >= Value,
+        AvailabilityRuleCondition.AfterSessionTurn => sessionTurns >= Value,
+        AvailabilityRuleCondition.AfterUsageCount => usageCount >= Value,
+        _ => false
+    };
+}
+
+public enum AvailabilityRuleCondition
+{
+    /// <summary>
+    /// From the session with this number on
+    /// </summary>
+    FromSession,
+
+    /// <summary>
+    /// Once the active session has this many accepted turns
+    /// </summary>
+    AfterSessionTurn,
+
+    /// <summary>
+    /// Once the item has been loaded into context this many times
+    /// </summary>
+    AfterUsageCount
+}
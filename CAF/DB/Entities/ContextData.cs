@@ -104,6 +104,12 @@ public class ContextData
     /// </summary>
     public int TriggerMinMatchCount { get; set; } = 1;
 
+    /// <summary>
+    /// For Trigger availability: only user and turn text can activate this data, not the content of
+    /// other activated entries during recursive scanning
+    /// </summary>
+    public bool ExcludeFromRecursion { get; set; } = false;
+
     #endregion Trigger Fields
 
     #region Semantic Search Fields
@@ -188,6 +194,15 @@ public class ContextData
 
     #endregion Repetition Prevention
 
+    #region Scheduling
+
+    /// <summary>
+    /// Scheduled availability changes, applied at the start of each pipeline run
+    /// </summary>
+    public List<AvailabilityRule> AvailabilityRules { get; set; } = [];
+
+    #endregion Scheduling
+
     #region Display/Retrieval
 
     /// <summary>
@@ -292,9 +307,14 @@ public class ContextData
     /// <summary>
     /// Validates that the current DataType supports the current AvailabilityType
     /// </summary>
-    public bool IsValidCombination()
+    public bool IsValidCombination() => IsValidCombination(Availability);
+
+    /// <summary>
+    /// Validates that the current DataType supports the given AvailabilityType
+    /// </summary>
+    public bool IsValidCombination(AvailabilityType availability)
     {
-        return (Type, Availability) switch
+        return (Type, availability) switch
         {
             // Always on: Any
             (_, AvailabilityType.AlwaysOn) => true,
@@ -0,0 +1,170 @@
+namespace CAF.DB.Entities;
+
+/// <summary>
+/// The editable fields of a ContextData item as they were before a change, so the change can be reviewed and rolled back.
+/// </summary>
+public class ContextDataRevision
+{
+    public int Id { get; set; }
+
+    public int ContextDataId { get; set; }
+
+    [JsonIgnore]
+    public ContextData? ContextData { get; set; }
+
+    /// <summary>
+    /// What made the change that replaced this state
+    /// </summary>
+    public RevisionSource Source { get; set; }
+
+    /// <summary>
+    /// When the change was made
+    /// </summary>
+    public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+
+    /// <summary>
+    /// JSON of the <see cref="ContextDataSnapshot"/> the change replaced
+    /// </summary>
+    public string Snapshot { get; set; } = string.Empty;
+
+    /// <summary>
+    /// A revision holding <paramref name="before"/> (snapshot JSON), or null when <paramref name="data"/> still matches it
+    /// </summary>
+    public static ContextDataRevision? ForChange(string before, ContextData data, RevisionSource source)
+    {
+        return before == ContextDataSnapshot.From(data).ToJson()
+            ? null
+            : new ContextDataRevision { ContextDataId = data.Id, Source = source, Snapshot = before };
+    }
+}
+
+public enum RevisionSource
+{
+    UiEdit,
+    Import,
+    ReloadFromDisk,
+    BulkEdit,
+    TagGeneration,
+    AvailabilityChange,
+
+    /// <summary>
+    /// Tags merged into the kept item, or a duplicate archived
+    /// </summary>
+    DuplicateResolution,
+
+    Restore,
+
+    /// <summary>
+    /// Automatic updates, e.g. marking items as embedded
+    /// </summary>
+    System,
+
+    /// <summary>
+    /// An availability rule fired at the start of a pipeline run
+    /// </summary>
+    Schedule
+}
+
+/// <summary>
+/// The fields of a ContextData item that revisions track. Usage counters, embedding state and audit fields are not included.
+/// </summary>
+public class ContextDataSnapshot
+{
+    public string Name { get; set; } = string.Empty;
+    public string Content { get; set; } = string.Empty;
+    public string? Summary { get; set; }
+    public string? CoreFacts { get; set; }
+    public DataType Type { get; set; }
+    public AvailabilityType Availability { get; set; }
+    public bool IsUser { get; set; }
+    public bool IsEnabled { get; set; }
+    public string? TriggerKeywords { get; set; }
+    public int TriggerLookbackTurns { get; set; }
+    public int TriggerMinMatchCount { get; set; }
+    public bool ExcludeFromRecursion { get; set; }
+    public int CooldownTurns { get; set; }
+    public RetrievalType Display { get; set; }
+    public int SortOrder { get; set; }
+    public string? Description { get; set; }
+    public List<string> Tags { get; set; } = [];
+    public string? Notes { get; set; }
+    public string? Speaker { get; set; }
+    public string? Subtype { get; set; }
+    public int? SourceSessionId { get; set; }
+    public string? NonverbalBehavior { get; set; }
+    public string? Path { get; set; }
+
+    /// <summary>
+    /// Null in revisions recorded before availability rules existed; restoring those keeps the current rules
+    /// </summary>
+    public List<AvailabilityRule>? AvailabilityRules { get; set; }
+
+    /// <summary>
+    /// Null in revisions recorded before the archive flag was tracked; restoring those derives it from the availability
+    /// </summary>
+    public bool? IsArchived { get; set; }
+
+    public static ContextDataSnapshot From(ContextData data) => new()
+    {
+        Name = data.Name,
+        Content = data.Content,
+        Summary = data.Summary,
+        CoreFacts = data.CoreFacts,
+        Type = data.Type,
+        Availability = data.Availability,
+        IsUser = data.IsUser,
+        IsEnabled = data.IsEnabled,
+        TriggerKeywords = data.TriggerKeywords,
+        TriggerLookbackTurns = data.TriggerLookbackTurns,
+        TriggerMinMatchCount = data.TriggerMinMatchCount,
+        ExcludeFromRecursion = data.ExcludeFromRecursion,
+        CooldownTurns = data.CooldownTurns,
+        Display = data.Display,
+        SortOrder = data.SortOrder,
+        Description = data.Description,
+        Tags = [.. data.Tags],
+        Notes = data.Notes,
+        Speaker = data.Speaker,
+        Subtype = data.Subtype,
+        SourceSessionId = data.SourceSessionId,
+        NonverbalBehavior = data.NonverbalBehavior,
+        Path = data.Path,
+        AvailabilityRules = [.. data.AvailabilityRules],
+        IsArchived = data.IsArchived
+    };
+
+    public void ApplyTo(ContextData data)
+    {
+        data.Name = Name;
+        data.Content = Content;
+        data.Summary = Summary;
+        data.CoreFacts = CoreFacts;
+        data.Type = Type;
+        data.Availability = Availability;
+        data.IsUser = IsUser;
+        data.IsEnabled = IsEnabled;
+        data.TriggerKeywords = TriggerKeywords;
+        data.TriggerLookbackTurns = TriggerLookbackTurns;
+        data.TriggerMinMatchCount = TriggerMinMatchCount;
+        data.ExcludeFromRecursion = ExcludeFromRecursion;
+        data.CooldownTurns = CooldownTurns;
+        data.Display = Display;
+        data.SortOrder = SortOrder;
+        data.Description = Description;
+        data.Tags = [.. Tags];
+        data.Notes = Notes;
+        data.Speaker = Speaker;
+        data.Subtype = Subtype;
+        data.SourceSessionId = SourceSessionId;
+        data.NonverbalBehavior = NonverbalBehavior;
+        data.Path = Path;
+        data.IsArchived = IsArchived ?? Availability == AvailabilityType.Archive;
+
+        if (AvailabilityRules != null)
+            data.AvailabilityRules = [.. AvailabilityRules];
+    }
+
+    public string ToJson() => JsonSerializer.Serialize(this);
+
+    public static ContextDataSnapshot FromJson(string json) => JsonSerializer.Deserialize<ContextDataSnapshot>(json) ?? new();
+}
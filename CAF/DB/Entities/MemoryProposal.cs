@@ -0,0 +1,68 @@
+namespace CAF.DB.Entities;
+
+/// <summary>
+/// A Memory, Insight or Quote proposed by memory extraction from accepted turns.
+/// Proposals wait in a review queue and only become ContextData when accepted.
+/// </summary>
+public class MemoryProposal
+{
+    public int Id { get; set; }
+
+    /// <summary>
+    /// Profile this proposal belongs to
+    /// </summary>
+    public int ProfileId { get; set; }
+
+    /// <summary>
+    /// Session the turns were taken from; becomes SourceSessionId of the item
+    /// </summary>
+    public int SessionId { get; set; }
+
+    /// <summary>
+    /// First and last turn of the extracted range
+    /// </summary>
+    public int FromTurnId { get; set; }
+    public int ToTurnId { get; set; }
+
+    [JsonConverter(typeof(JsonStringEnumConverter))]
+    public DataType Type { get; set; } = DataType.Memory;
+
+    public string Name { get; set; } = string.Empty;
+
+    public string Content { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Who said or did it; for quotes, the speaker of the line
+    /// </summary>
+    public string? Speaker { get; set; }
+
+    /// <summary>
+    /// For quotes: gestures and body language around the line
+    /// </summary>
+    public string? NonverbalBehavior { get; set; }
+
+    public List<string> Tags { get; set; } = [];
+
+    [JsonConverter(typeof(JsonStringEnumConverter))]
+    public MemoryProposalStatus Status { get; set; } = MemoryProposalStatus.Pending;
+
+    /// <summary>
+    /// The item created when the proposal was accepted
+    /// </summary>
+    public int? ContextDataId { get; set; }
+
+    public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+    public DateTime? ReviewedAt { get; set; }
+
+    /// <summary>
+    /// Types extraction can propose
+    /// </summary>
+    public static readonly DataType[] ProposableTypes = [DataType.Memory, DataType.Insight, DataType.Quote];
+}
+
+public enum MemoryProposalStatus
+{
+    Pending,
+    Accepted,
+    Discarded
+}
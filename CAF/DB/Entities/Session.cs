@@ -14,6 +14,16 @@ public class Session
     /// </summary>
     public int ProfileId { get; set; } = 0;
 
+    /// <summary>
+    /// Session this one was branched from, if any
+    /// </summary>
+    public int? ParentSessionId { get; set; }
+
+    /// <summary>
+    /// Turn in the parent session at which the branch was made
+    /// </summary>
+    public int? BranchedFromTurnId { get; set; }
+
     public Profile? Profile { get; set; }
 
     public List<Turn> Turns { get; set; } = [];
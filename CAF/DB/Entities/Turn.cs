@@ -13,6 +13,30 @@ public class Turn
     public int SessionId { get; set; }
     public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
 
+    /// <summary>
+    /// Alternative responses generated for this turn. Response always mirrors Swipes[SelectedSwipe];
+    /// empty until the turn is regenerated for the first time.
+    /// </summary>
+    public List<string> Swipes { get; set; } = [];
+
+    public int SelectedSwipe { get; set; }
+
+    /// <summary>
+    /// Provider the request was sent to, and the serialized request itself, so the turn can be
+    /// regenerated with exactly the same enriched context.
+    /// </summary>
+    public string? RequestProvider { get; set; }
+
+    [JsonIgnore]
+    public string? RequestSnapshot { get; set; }
+
+    /// <summary>
+    /// Serialized list of the context items the enrichers selected for this turn and why
+    /// (see <see cref="CAF.Services.Conversation.ContextSelection"/>).
+    /// </summary>
+    [JsonIgnore]
+    public string? EnrichmentSnapshot { get; set; }
+
     [ForeignKey(nameof(SessionId))]
     public Session? Session { get; set; }
 
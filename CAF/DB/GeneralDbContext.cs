@@ -10,6 +10,8 @@ public class GeneralDbContext(DbContextOptions<GeneralDbContext> options) : DbCo
     public DbSet<Setting> Settings { get; set; }
     public DbSet<Profile> Profiles { get; set; }
     public DbSet<ContextData> ContextData { get; set; }
+    public DbSet<ContextDataRevision> ContextDataRevisions { get; set; }
+    public DbSet<MemoryProposal> MemoryProposals { get; set; }
 
     protected override void OnModelCreating(ModelBuilder modelBuilder)
     {
@@ -45,7 +47,33 @@ public class GeneralDbContext(DbContextOptions<GeneralDbContext> options) : DbCo
                 .HasForeignKey(e => e.ProfileId)
                 .OnDelete(DeleteBehavior.Cascade);
 
-            // Configure Tags as JSON
+            // Configure AvailabilityRules as JSON
+            entity.Property(e => e.AvailabilityRules)
+                .HasConversion(
+                    v => JsonSerializer.Serialize(v, (JsonSerializerOptions?)null),
+                    v => JsonSerializer.Deserialize<List<AvailabilityRule>>(v, (JsonSerializerOptions?)null) ?? new List<AvailabilityRule>());
+        });
+
+        // Configure ContextDataRevision
+        modelBuilder.Entity<ContextDataRevision>(entity =>
+        {
+            entity.HasKey(e => e.Id);
+
+            entity.HasIndex(e => new { e.ContextDataId, e.CreatedAt });
+
+            entity.HasOne(e => e.ContextData)
+                .WithMany()
+                .HasForeignKey(e => e.ContextDataId)
+                .OnDelete(DeleteBehavior.Cascade);
+        });
+
+        // Configure MemoryProposal
+        modelBuilder.Entity<MemoryProposal>(entity =>
+        {
+            entity.HasKey(e => e.Id);
+
+            entity.HasIndex(e => new { e.ProfileId, e.Status });
+
             entity.Property(e => e.Tags)
                 .HasConversion(
                     v => JsonSerializer.Serialize(v, (JsonSerializerOptions?)null),
@@ -132,6 +160,7 @@ public class GeneralDbContext(DbContextOptions<GeneralDbContext> options) : DbCo
             entity.HasIndex(e => e.Number).IsUnique();
             entity.HasIndex(e => e.IsActive);
             entity.HasIndex(e => e.CreatedAt);
+            entity.HasIndex(e => e.ParentSessionId);
 
             entity.HasMany(e => e.Turns)
                 .WithOne(e => e.Session)
@@ -7,6 +7,19 @@ public interface IClaudeClient
         CancellationToken cancellationToken = default,
         int? turnId = null);
 
+    /// <summary>
+    /// Generate content over server-sent events, reporting each text chunk as it arrives
+    /// </summary>
+    /// <param name="request">Claude request</param>
+    /// <param name="onTextChunk">Callback invoked for every streamed text chunk</param>
+    /// <param name="cancellationToken">Cancellation token; aborts the provider call</param>
+    /// <param name="turnId">Turn the request belongs to, for request logging</param>
+    Task<(bool success, string result)> StreamGenerateContentAsync(
+        ClaudeRequest request,
+        Func<string, Task> onTextChunk,
+        CancellationToken cancellationToken = default,
+        int? turnId = null);
+
     /// <summary>
     /// Count tokens in the given text using Claude's API
     /// </summary>
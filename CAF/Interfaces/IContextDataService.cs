@@ -11,9 +11,36 @@ public interface IContextDataService
 
     Task<List<ContextData>> GetAllAsync(DataType? type = null, AvailabilityType? availability = null, bool includeArchived = false, CancellationToken cancellationToken = default);
 
+    /// <summary>
+    /// Gets the given items of the current profile, including archived ones
+    /// </summary>
+    Task<List<ContextData>> GetByIdsAsync(IEnumerable<int> ids, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Gets one page of context data for the current profile, filtered, searched and sorted in the database
+    /// </summary>
+    Task<ContextDataPageResponse> QueryAsync(ContextDataQuery query, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Gets every item matching the query's filters and search, sorted like <see cref="QueryAsync"/> but not paged
+    /// </summary>
+    Task<List<ContextData>> QueryAllAsync(ContextDataQuery query, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Distinct speakers and source sessions, for the list filters
+    /// </summary>
+    Task<ContextDataFilterOptions> GetFilterOptionsAsync(CancellationToken cancellationToken = default);
+
     Task<ContextData> CreateAsync(ContextData data, CancellationToken cancellationToken = default);
 
-    Task<ContextData?> UpdateAsync(int id, ContextData data, CancellationToken cancellationToken = default);
+    /// <summary>
+    /// Updates an item and records its previous state as a revision when anything tracked changed
+    /// </summary>
+    Task<ContextData?> UpdateAsync(
+        int id,
+        ContextData data,
+        RevisionSource source = RevisionSource.UiEdit,
+        CancellationToken cancellationToken = default);
 
     Task<bool> DeleteAsync(int id, CancellationToken cancellationToken = default);
 
@@ -23,8 +50,28 @@ public interface IContextDataService
 
     Task<bool> UpdateTokenCountAsync(int id, int tokenCount, CancellationToken cancellationToken = default);
 
+    /// <summary>
+    /// Applies the same field changes to the selected items of the current profile in one save,
+    /// or only counts what would change when <see cref="BulkEditRequest.Preview"/> is set
+    /// </summary>
+    Task<BulkEditResult> BulkEditAsync(BulkEditRequest request, CancellationToken cancellationToken = default);
+
     #endregion Basic CRUD
 
+    #region Revisions
+
+    /// <summary>
+    /// Gets the revisions of an item of the current profile, newest first, or null when the item does not exist
+    /// </summary>
+    Task<List<ContextDataRevisionResponse>?> GetRevisionsAsync(int id, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Puts an item back to the state stored in one of its revisions, recording the current state as a new revision
+    /// </summary>
+    Task<ContextData?> RestoreRevisionAsync(int id, int revisionId, CancellationToken cancellationToken = default);
+
+    #endregion Revisions
+
     #region Availability-Based Retrieval
 
     /// <summary>
@@ -113,6 +160,12 @@ public interface IContextDataService
     /// </summary>
     Task<bool> ChangeAvailabilityAsync(int dataId, AvailabilityType newAvailability, CancellationToken cancellationToken = default);
 
+    /// <summary>
+    /// Fires the pending availability rules that are due in <paramref name="session"/>, counting the turns it has so far.
+    /// Returns the changed items.
+    /// </summary>
+    Task<List<ContextData>> ApplyAvailabilityRulesAsync(Session session, CancellationToken cancellationToken = default);
+
     #endregion Availability Changes
 
     #region Data Type-Based Retrieval
@@ -0,0 +1,23 @@
+namespace CAF.Interfaces;
+
+/// <summary>
+/// Reports how the context data of the current profile is used and acts on the findings
+/// </summary>
+public interface IContextUsageAnalyticsService
+{
+    /// <summary>
+    /// Most and least used items per type and availability, never used and stale items, promotion candidates,
+    /// trigger fire rates per day and usage per session
+    /// </summary>
+    Task<ContextUsageAnalyticsResponse> GetAnalyticsAsync(ContextUsageAnalyticsQuery query, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Archives the given items of the current profile
+    /// </summary>
+    Task<BulkOperationResponse> ArchiveAsync(List<int> ids, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Makes the given Semantic items of the current profile AlwaysOn, removing their embeddings
+    /// </summary>
+    Task<BulkOperationResponse> PromoteToAlwaysOnAsync(List<int> ids, CancellationToken cancellationToken = default);
+}
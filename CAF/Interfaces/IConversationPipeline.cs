@@ -6,6 +6,24 @@ public interface IConversationPipeline
 {
     Task<Turn> ProcessInputAsync(string input, CancellationToken cancellationToken = default);
 
+    /// <summary>
+    /// Same as ProcessInputAsync, but streams the response text through <paramref name="onTextChunk"/>
+    /// while it is generated. If cancelled, the turn is saved unaccepted with whatever text arrived.
+    /// </summary>
+    Task<Turn> ProcessInputStreamingAsync(string input, Func<string, Task> onTextChunk, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Re-sends the request recorded for a turn (same input and enriched context) and stores
+    /// the result as a new selected swipe on that turn.
+    /// </summary>
+    Task<Turn> RegenerateAsync(int turnId, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Rebuilds the request of a past turn with today's personas, context data and settings (history is cut
+    /// off at that turn) and sends it to the current or the given provider/model. Nothing is saved.
+    /// </summary>
+    Task<TurnReplayResponse> ReplayTurnAsync(int turnId, string? providerName = null, string? model = null, CancellationToken cancellationToken = default);
+
     /// <summary>
     /// Builds the conversation state and LLM request without executing it.
     /// Used for debugging and testing the pipeline.
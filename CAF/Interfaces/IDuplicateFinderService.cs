@@ -0,0 +1,18 @@
+namespace CAF.Interfaces;
+
+/// <summary>
+/// Finds near-duplicate context data of the current profile and resolves duplicate groups
+/// </summary>
+public interface IDuplicateFinderService
+{
+    /// <summary>
+    /// Groups likely duplicates among the non-archived items of the requested types,
+    /// using stored embeddings where both items have one and text similarity otherwise
+    /// </summary>
+    Task<DuplicateSearchResponse> FindAsync(DuplicateSearchRequest request, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Keeps one item of a group and merges or archives the others
+    /// </summary>
+    Task<BulkOperationResponse> ResolveAsync(ResolveDuplicatesRequest request, CancellationToken cancellationToken = default);
+}
@@ -54,5 +54,9 @@ public interface IGeminiClient
     /// <returns>Updated operation with current status</returns>
     Task<BatchOperation> GetBatchOperationAsync(string operationName, CancellationToken cancellationToken = default);
 
-    Task<(bool success, string result)> StreamGenerateContentAsync(GeminiRequest request, bool technical = true, int? turnId = null, CancellationToken cancellationToken = default);
+    /// <summary>
+    /// Generate content over server-sent events, reporting each text chunk as it arrives
+    /// </summary>
+    /// <param name="onTextChunk">Optional callback invoked for every streamed text chunk</param>
+    Task<(bool success, string result)> StreamGenerateContentAsync(GeminiRequest request, bool technical = true, int? turnId = null, Func<string, Task>? onTextChunk = null, CancellationToken cancellationToken = default);
 }
\ No newline at end of file
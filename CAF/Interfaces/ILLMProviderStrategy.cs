@@ -21,4 +21,16 @@ public interface ILLMProviderStrategy
     Task<(bool success, string result)> ExecuteAsync(
         ConversationState state,
         CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Executes the LLM request for this provider, streaming text chunks as they are generated
+    /// </summary>
+    /// <param name="state">The conversation state containing the request and context</param>
+    /// <param name="onTextChunk">Callback invoked for every streamed text chunk</param>
+    /// <param name="cancellationToken">Cancellation token</param>
+    /// <returns>Tuple of success flag and the full result text</returns>
+    Task<(bool success, string result)> StreamAsync(
+        ConversationState state,
+        Func<string, Task> onTextChunk,
+        CancellationToken cancellationToken = default);
 }
\ No newline at end of file
@@ -0,0 +1,27 @@
+namespace CAF.Interfaces;
+
+/// <summary>
+/// Read access to the LLM request log written by LLMLogger
+/// </summary>
+public interface ILLMRequestLogService
+{
+    /// <summary>
+    /// Gets a page of log entries matching the query, newest first
+    /// </summary>
+    Task<LLMRequestLogPageResponse> GetPageAsync(LLMRequestLogQuery query, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Gets a single log entry including the raw request and response
+    /// </summary>
+    Task<LLMRequestLogEntity?> GetByIdAsync(long id, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Gets the distinct providers, models and operations present in the log
+    /// </summary>
+    Task<LLMRequestLogFilterOptions> GetFilterOptionsAsync(CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Aggregates cost and tokens per day, session, provider/model and operation for calls started in the range
+    /// </summary>
+    Task<LLMUsageResponse> GetUsageAsync(DateTime from, DateTime to, CancellationToken cancellationToken = default);
+}
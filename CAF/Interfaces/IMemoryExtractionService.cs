@@ -0,0 +1,41 @@
+namespace CAF.Interfaces;
+
+/// <summary>
+/// Proposes memories, insights and quotes from accepted turns and keeps them in a review queue
+/// until they are accepted as context data or discarded; writes session summary memories
+/// </summary>
+public interface IMemoryExtractionService
+{
+    /// <summary>
+    /// Sends the accepted turns of the requested range through the configured provider and stores the proposals as pending
+    /// </summary>
+    Task<MemoryExtractionResponse> ExtractAsync(MemoryExtractionRequest request, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Pending proposals of the current profile, optionally of one session
+    /// </summary>
+    Task<List<MemoryProposal>> GetPendingAsync(int? sessionId = null, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Saves edits to a pending proposal; null when it does not exist
+    /// </summary>
+    Task<MemoryProposal?> UpdateAsync(int id, MemoryProposalEdit edit, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Creates a context data item from the edited proposal, embedding it when it is Semantic; null when the proposal does not exist
+    /// </summary>
+    Task<MemoryProposal?> AcceptAsync(int id, AcceptMemoryProposalRequest request, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Marks a pending proposal as discarded
+    /// </summary>
+    Task<bool> DiscardAsync(int id, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Writes the summary and key events of a session as a Memory with SourceSessionId set, using the configured availability
+    /// and embedding it when Semantic. A session that already has a summary gets it rewritten in place once it has
+    /// accepted turns newer than the summary. Null when session summaries are disabled, the session has no accepted turns
+    /// or its summary already covers them.
+    /// </summary>
+    Task<ContextData?> WriteSessionSummaryAsync(int sessionId, CancellationToken cancellationToken = default);
+}
@@ -0,0 +1,17 @@
+using CAF.Services.Conversation;
+
+namespace CAF.Interfaces;
+
+/// <summary>
+/// Enrichment step that runs after every <see cref="IEnricher"/> has finished, so it can build on the
+/// context they selected. Post-enrichers run one at a time, in registration order.
+/// </summary>
+public interface IPostEnricher
+{
+    /// <summary>
+    /// Enriches the conversation state based on what the enrichers already selected
+    /// </summary>
+    /// <param name="state">The conversation state to enrich</param>
+    /// <param name="cancellationToken">Cancellation token</param>
+    Task EnrichAsync(ConversationState state, CancellationToken cancellationToken = default);
+}
@@ -44,6 +44,14 @@ public interface IQdrantService
         int k = 8,
         CancellationToken ct = default);
 
+    /// <summary>
+    /// Gets the stored vectors of every point of a profile with the given entry type, keyed by database primary key
+    /// </summary>
+    Task<Dictionary<long, float[]>> GetVectorsAsync(
+        int profileId,
+        string entryType,
+        CancellationToken ct = default);
+
     /// <summary>
     /// Deletes all points associated with a specific database primary key (ContextData.Id)
     /// </summary>
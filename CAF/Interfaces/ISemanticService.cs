@@ -125,6 +125,12 @@ public interface ISemanticService
     /// </summary>
     Task<SemanticStats> GetStatsAsync(int profileId, CancellationToken ct = default);
 
+    /// <summary>
+    /// Gets the stored full-content embedding of each embedded entry of a type, keyed by ContextData.Id.
+    /// Returns an empty dictionary when the collection cannot be read.
+    /// </summary>
+    Task<Dictionary<int, float[]>> GetStoredEmbeddingsAsync(int profileId, DataType type, CancellationToken ct = default);
+
     #endregion Collection Management
 }
 
@@ -12,9 +12,17 @@ public interface ISessionService
 
     Task<Session> CreateSessionWithDuplicateTurnsAsync(string name, int sourceSessionId, int turnCount);
 
+    /// <summary>
+    /// Creates a new session containing all accepted turns of the turn's session up to and including that turn
+    /// </summary>
+    Task<Session> BranchSessionAsync(int turnId, string? name = null, bool activate = false);
+
     Task<Session> UpdateSessionAsync(int id, string name, bool isActive);
 
     Task<bool> DeleteSessionAsync(int id);
 
+    /// <summary>
+    /// Makes the session the only active one and queues the summary of the session it replaces
+    /// </summary>
     Task<bool> SetActiveSessionAsync(int id);
 }
\ No newline at end of file
@@ -0,0 +1,11 @@
+namespace CAF.Interfaces;
+
+/// <summary>
+/// Sessions that were closed by activating another session and wait for their summary memory
+/// </summary>
+public interface ISessionSummaryQueue
+{
+    void Enqueue(int sessionId);
+
+    IAsyncEnumerable<int> ReadAllAsync(CancellationToken cancellationToken = default);
+}
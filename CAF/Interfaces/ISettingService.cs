@@ -27,4 +27,6 @@ public interface ISettingService
     Task EnsureContextTriggerDefaultsInitializedAsync(CancellationToken cancellationToken = default);
 
     Task EnsureSemanticDefaultsInitializedAsync(CancellationToken cancellationToken = default);
+
+    Task EnsureContextBudgetDefaultsInitializedAsync(CancellationToken cancellationToken = default);
 }
\ No newline at end of file
@@ -8,7 +8,11 @@ public interface ITurnService
 
     Task<List<Turn>> GetTurnsBySessionIdAsync(int sessionId);
 
-    Task<List<Turn>> GetRecentTurnsAsync(int sessionId, int count, CancellationToken cancellationToken = default);
+    /// <summary>
+    /// Gets the last <paramref name="count"/> accepted turns in chronological order,
+    /// optionally only those created before <paramref name="before"/>
+    /// </summary>
+    Task<List<Turn>> GetRecentTurnsAsync(int sessionId, int count, DateTime? before = null, CancellationToken cancellationToken = default);
 
     Task<Turn> CreateTurnAsync(int sessionId, string input);
 
@@ -19,4 +23,14 @@ public interface ITurnService
         string? response = null, string? strippedTurn = null, bool? accepted = null);
 
     Task<bool> DeleteTurnAsync(int id);
+
+    /// <summary>
+    /// Appends an alternative response to the turn and makes it the selected (canonical) one
+    /// </summary>
+    Task<Turn> AddSwipeAsync(int id, string response);
+
+    /// <summary>
+    /// Selects one of the turn's alternative responses as the canonical Response
+    /// </summary>
+    Task<Turn> SelectSwipeAsync(int id, int index);
 }
\ No newline at end of file
@@ -67,35 +67,9 @@ public class ClaudeClient : IClaudeClient
     {
         var activeModel = await GetActiveModelAsync(cancellationToken);
         request.Model = activeModel;
+        request.Stream = null;
 
-        LLMLogger? logger = null;
-        if (_dbFactory is not null)
-        {
-            logger = new LLMLogger(_dbFactory, _llmLogger, "GenerateContent", activeModel, request, "Claude", turnId);
-
-            // Best-effort capture of main prompt
-            try
-            {
-                var lastUserMessage = request.Messages
-                    .LastOrDefault(m => m.Role == "user");
-
-                if (lastUserMessage?.Content is string textContent)
-                {
-                    logger.SetPrompt(textContent);
-                }
-
-                // Handle both string and structured system content
-                if (request.System is string systemText)
-                {
-                    logger.SetSystemInstruction(systemText);
-                }
-                else if (request.System is List<ClaudeSystemBlock> systemBlocks)
-                {
-                    logger.SetSystemInstruction(string.Join("\n", systemBlocks.Select(b => b.Text)));
-                }
-            }
-            catch { }
-        }
+        var logger = CreateRequestLogger(request, "GenerateContent", activeModel, turnId);
 
         try
         {
@@ -202,6 +176,212 @@ public class ClaudeClient : IClaudeClient
         }
     }
 
+    /// <summary>
+    /// Streams a Messages API response, invoking <paramref name="onTextChunk"/> for every text delta.
+    /// Thinking deltas are not forwarded. Returns the full reply text once the stream completes.
+    /// Cancellation is propagated to the caller after the request log is finalized.
+    /// </summary>
+    public async Task<(bool success, string result)> StreamGenerateContentAsync(
+        ClaudeRequest request,
+        Func<string, Task> onTextChunk,
+        CancellationToken cancellationToken = default,
+        int? turnId = null)
+    {
+        var activeModel = await GetActiveModelAsync(cancellationToken);
+        request.Model = activeModel;
+        request.Stream = true;
+
+        var logger = CreateRequestLogger(request, "StreamGenerateContent", activeModel, turnId);
+        var reply = new StringBuilder();
+
+        try
+        {
+            var json = JsonSerializer.Serialize(request, Extensions.ClaudeOptions);
+
+            _llmLogger.LogInformation("Sending Claude streaming API request to model: {Model}", activeModel);
+
+            using var req = new HttpRequestMessage(HttpMethod.Post, "v1/messages")
+            {
+                Content = new StringContent(json, Encoding.UTF8, "application/json")
+            };
+            using var resp = await _httpClient.SendAsync(req, HttpCompletionOption.ResponseHeadersRead, cancellationToken);
+
+            if (!resp.IsSuccessStatusCode)
+            {
+                var errorContent = await resp.Content.ReadAsStringAsync(cancellationToken);
+
+                if (logger is not null)
+                    await logger.FinalizeAndSaveAsync(resp, errorContent, cancellationToken);
+
+                _llmLogger.LogError("Claude streaming API request failed with status {StatusCode}: {Content}",
+                    resp.StatusCode, errorContent);
+
+                var errorResponse = JsonSerializer.Deserialize<ClaudeErrorResponse>(errorContent, Extensions.ClaudeOptions);
+                return (false, errorResponse?.Error?.Message ?? $"HTTP {resp.StatusCode}: {errorContent}");
+            }
+
+            var rawEvents = new List<string>();
+            var usage = new ClaudeUsage();
+            int? lastTextBlockIndex = null;
+            string? streamError = null;
+
+            await using var stream = await resp.Content.ReadAsStreamAsync(cancellationToken);
+            using var reader = new StreamReader(stream);
+
+            while (await reader.ReadLineAsync(cancellationToken) is { } line)
+            {
+                if (!line.StartsWith("data:", StringComparison.Ordinal))
+                    continue;
+
+                var data = line[5..].Trim();
+                if (data.Length == 0)
+                    continue;
+
+                rawEvents.Add(data);
+
+                using var doc = JsonDocument.Parse(data);
+                var root = doc.RootElement;
+                var eventType = root.TryGetProperty("type", out var typeElement) ? typeElement.GetString() : null;
+
+                switch (eventType)
+                {
+                    case "message_start":
+                        if (root.TryGetProperty("message", out var message) &&
+                            message.TryGetProperty("usage", out var startUsage))
+                        {
+                            usage = startUsage.Deserialize<ClaudeUsage>(Extensions.ClaudeOptions) ?? usage;
+                        }
+                        break;
+
+                    case "content_block_delta":
+                        if (!root.TryGetProperty("delta", out var delta) ||
+                            delta.GetProperty("type").GetString() != "text_delta")
+                            break;
+
+                        var index = root.GetProperty("index").GetInt32();
+                        var text = delta.GetProperty("text").GetString();
+                        if (string.IsNullOrEmpty(text))
+                            break;
+
+                        // Separate text blocks the same way the non-streaming call joins them
+                        if (lastTextBlockIndex.HasValue && lastTextBlockIndex != index)
+                            text = "\n" + text;
+                        lastTextBlockIndex = index;
+
+                        reply.Append(text);
+                        await onTextChunk(text);
+                        break;
+
+                    case "message_delta":
+                        if (root.TryGetProperty("usage", out var deltaUsage) &&
+                            deltaUsage.TryGetProperty("output_tokens", out var outputTokens))
+                        {
+                            usage.OutputTokens = outputTokens.GetInt32();
+                        }
+                        break;
+
+                    case "error":
+                        streamError = root.TryGetProperty("error", out var error) && error.TryGetProperty("message", out var errorMessage)
+                            ? errorMessage.GetString()
+                            : data;
+                        break;
+                }
+            }
+
+            var rawResponse = $"[{string.Join(",", rawEvents)}]";
+            var replyText = reply.ToString();
+
+            if (streamError is not null)
+            {
+                _llmLogger.LogError("Claude streaming API returned an error event: {ErrorMessage}", streamError);
+                if (logger is not null)
+                    await logger.FinalizeAndSaveAsync(resp, rawResponse, cancellationToken);
+                return (false, streamError);
+            }
+
+            if (string.IsNullOrWhiteSpace(replyText))
+            {
+                _llmLogger.LogWarning("Claude streaming API returned no text content");
+                if (logger is not null)
+                    await logger.FinalizeAndSaveAsync(resp, rawResponse, cancellationToken);
+                return (false, "No text response generated");
+            }
+
+            if (logger is not null)
+            {
+                var totalTokens = usage.InputTokens +
+                                 (usage.CacheCreationInputTokens ?? 0) +
+                                 (usage.CacheReadInputTokens ?? 0) +
+                                 usage.OutputTokens;
+
+                await logger.FinalizeResponseAsync(
+                    resp,
+                    rawResponse,
+                    replyText,
+                    totalTokens,
+                    usage.InputTokens,
+                    usage.OutputTokens,
+                    usage.CacheCreationInputTokens ?? 0,
+                    usage.CacheReadInputTokens ?? 0,
+                    0,
+                    ct: cancellationToken
+                );
+            }
+
+            _llmLogger.LogInformation("Claude streaming API request successful. Tokens: {InputTokens} in, {OutputTokens} out",
+                usage.InputTokens, usage.OutputTokens);
+
+            return (true, replyText);
+        }
+        catch (OperationCanceledException) when (cancellationToken.IsCancellationRequested)
+        {
+            _llmLogger.LogInformation("Claude streaming API request cancelled after {Length} characters", reply.Length);
+            if (logger is not null)
+                await logger.FinalizeWithErrorAsync($"Cancelled: {reply}", CancellationToken.None);
+            throw;
+        }
+        catch (Exception ex)
+        {
+            _llmLogger.LogError(ex, "Error calling Claude streaming API: {Message}", ex.Message);
+            if (logger is not null)
+                await logger.FinalizeWithErrorAsync(ex.ToString(), CancellationToken.None);
+            return (false, ex.ToString());
+        }
+    }
+
+    private LLMLogger? CreateRequestLogger(ClaudeRequest request, string operation, string model, int? turnId)
+    {
+        if (_dbFactory is null)
+            return null;
+
+        var logger = new LLMLogger(_dbFactory, _llmLogger, operation, model, request, "Claude", turnId);
+
+        // Best-effort capture of main prompt
+        try
+        {
+            var lastUserMessage = request.Messages
+                .LastOrDefault(m => m.Role == "user");
+
+            if (lastUserMessage?.Content is string textContent)
+            {
+                logger.SetPrompt(textContent);
+            }
+
+            // Handle both string and structured system content
+            if (request.System is string systemText)
+            {
+                logger.SetSystemInstruction(systemText);
+            }
+            else if (request.System is List<ClaudeSystemBlock> systemBlocks)
+            {
+                logger.SetSystemInstruction(string.Join("\n", systemBlocks.Select(b => b.Text)));
+            }
+        }
+        catch { }
+
+        return logger;
+    }
+
     private async Task<HttpResponseMessage> GenerateContentViaRestAsync(
         string json,
         CancellationToken cancellationToken)
@@ -38,6 +38,12 @@ public class ClaudeRequest
 
     [JsonPropertyName("output_config")]
     public ClaudeOutputConfig OutputConfig { get; set; } = new();
+
+    /// <summary>
+    /// When true the Messages API responds with server-sent events instead of a single JSON body
+    /// </summary>
+    [JsonPropertyName("stream")]
+    public bool? Stream { get; set; }
 }
 
 /// <summary>
@@ -64,7 +64,7 @@ public class GeminiClient : IGeminiClient
     {
         var activeModel = technical
             ? _options.Value.TechnicalModel
-            : await GetActiveModelAsync(cancellationToken);
+            : request.Model ?? await GetActiveModelAsync(cancellationToken);
 
         LLMLogger? logger = null;
         if (_dbFactory is not null)
@@ -146,15 +146,21 @@ public class GeminiClient : IGeminiClient
         }
     }
 
+    /// <summary>
+    /// Streams a generateContent response over server-sent events, invoking <paramref name="onTextChunk"/>
+    /// for every non-thought text part as it arrives. Returns the full reply text once the stream completes.
+    /// Cancellation is propagated to the caller after the request log is finalized.
+    /// </summary>
     public async Task<(bool success, string result)> StreamGenerateContentAsync(
        GeminiRequest request,
        bool technical = true,
        int? turnId = null,
+       Func<string, Task>? onTextChunk = null,
        CancellationToken cancellationToken = default)
     {
         var activeModel = technical
             ? _options.Value.TechnicalModel
-            : await GetActiveModelAsync(cancellationToken);
+            : request.Model ?? await GetActiveModelAsync(cancellationToken);
 
         LLMLogger? logger = null;
         if (_dbFactory is not null)
@@ -170,9 +176,7 @@ public class GeminiClient : IGeminiClient
                     .Select(p => p.Text)
                     .LastOrDefault(t => !string.IsNullOrWhiteSpace(t));
                 logger.SetPrompt(userText);
-                var instruction = request.Contents
-                        .Where(c => !string.Equals(c.Role, "user", StringComparison.OrdinalIgnoreCase))
-                        .SelectMany(c => c.Parts)
+                var instruction = request.SystemInstruction.Parts
                         .Select(p => p.Text)
                         .LastOrDefault(t => !string.IsNullOrWhiteSpace(t));
                 logger.SetSystemInstruction(instruction);
@@ -180,51 +184,96 @@ public class GeminiClient : IGeminiClient
             catch { }
         }
 
+        var reply = new StringBuilder();
+
         try
         {
             var json = JsonSerializer.Serialize(request, Extensions.GeminiOptions);
 
             _llmLogger.LogInformation("Sending Gemini streaming API request to model: {Model}", activeModel);
 
-            var resp = await StreamGenerateContentViaRestAsync(json, activeModel, cancellationToken);
-            var content = await resp.Content.ReadAsStringAsync(cancellationToken);
+            using var req = new HttpRequestMessage(HttpMethod.Post, $"models/{activeModel}:streamGenerateContent?alt=sse")
+            {
+                Content = new StringContent(json, Encoding.UTF8, "application/json")
+            };
+            using var resp = await _httpClient.SendAsync(req, HttpCompletionOption.ResponseHeadersRead, cancellationToken);
 
-            if (logger is not null)
-                await logger.FinalizeAndSaveAsync(resp, content, cancellationToken);
             if (!resp.IsSuccessStatusCode)
             {
+                var errorContent = await resp.Content.ReadAsStringAsync(cancellationToken);
+                if (logger is not null)
+                    await logger.FinalizeAndSaveAsync(resp, errorContent, cancellationToken);
                 _llmLogger.LogError("Gemini streaming API request failed with status {StatusCode}: {Content}",
-                    resp.StatusCode, content);
-                return (false, content);
+                    resp.StatusCode, errorContent);
+                return (false, errorContent);
             }
 
-            var geminiResponse = JsonSerializer.Deserialize<GeminiResponse[]?>(content, Extensions.GeminiOptions);
+            var rawChunks = new List<string>();
+            UsageMetadata? tokenUsage = null;
 
-            if (geminiResponse is null || geminiResponse.Length == 0 || geminiResponse[0].Candidates is null || geminiResponse[0].Candidates.Count == 0 || geminiResponse[0].Candidates.First().Content is null || geminiResponse[0].Candidates.First().Content.Parts is null)
+            await using var stream = await resp.Content.ReadAsStreamAsync(cancellationToken);
+            using var reader = new StreamReader(stream);
+
+            while (await reader.ReadLineAsync(cancellationToken) is { } line)
             {
-                _llmLogger.LogWarning("Gemini streaming API returned empty or invalid content: {Content}", content);
-                return (false, content);
+                if (!line.StartsWith("data:", StringComparison.Ordinal))
+                    continue;
+
+                var data = line[5..].Trim();
+                if (data.Length == 0)
+                    continue;
+
+                rawChunks.Add(data);
+
+                var chunk = JsonSerializer.Deserialize<GeminiResponse>(data, Extensions.GeminiOptions);
+                if (chunk?.UsageMetadata is not null)
+                    tokenUsage = chunk.UsageMetadata;
+
+                var parts = chunk?.Candidates?.FirstOrDefault()?.Content?.Parts;
+                if (parts is null)
+                    continue;
+
+                foreach (var part in parts.Where(p => p.Thought != true && !string.IsNullOrEmpty(p.Text)))
+                {
+                    reply.Append(part.Text);
+                    if (onTextChunk is not null)
+                        await onTextChunk(part.Text);
+                }
             }
 
-            var reply = geminiResponse[0].Candidates[0].Content.Parts.FirstOrDefault(p => !(p.Thought == true));
-            var replyString = reply?.Text;
+            // Keep the logged body in the same JSON array shape the buffered endpoint returned
+            var content = $"[{string.Join(",", rawChunks)}]";
+            var replyString = reply.ToString();
 
-            var tokenUsage = geminiResponse[0].UsageMetadata;
+            if (string.IsNullOrWhiteSpace(replyString))
+            {
+                _llmLogger.LogWarning("Gemini streaming API returned empty or invalid content: {Content}", content);
+                if (logger is not null)
+                    await logger.FinalizeAndSaveAsync(resp, content, cancellationToken);
+                return (false, content);
+            }
 
-            if (logger is not null && tokenUsage is not null)
+            if (logger is not null)
             {
-                await logger.FinalizeResponseAsync(
-                            resp,
-                            content,
-                            replyString,
-                            tokenUsage.TotalTokenCount,
-                            tokenUsage.PromptTokenCount,
-                            tokenUsage.CandidatesTokenCount,
-                            0, // Gemini doesn't charge extra for cache creation
-                            tokenUsage.CachedContentTokenCount ?? 0,
-                            tokenUsage.ThoughtsTokenCount ?? 0,
-                            ct: cancellationToken
-                            );
+                if (tokenUsage is not null)
+                {
+                    await logger.FinalizeResponseAsync(
+                                resp,
+                                content,
+                                replyString,
+                                tokenUsage.TotalTokenCount,
+                                tokenUsage.PromptTokenCount,
+                                tokenUsage.CandidatesTokenCount,
+                                0, // Gemini doesn't charge extra for cache creation
+                                tokenUsage.CachedContentTokenCount ?? 0,
+                                tokenUsage.ThoughtsTokenCount ?? 0,
+                                ct: cancellationToken
+                                );
+                }
+                else
+                {
+                    await logger.FinalizeAndSaveAsync(resp, content, cancellationToken);
+                }
             }
 
             _llmLogger.LogInformation("Gemini streaming API request successful. Tokens: {InputTokens} in, {OutputTokens} out",
@@ -232,11 +281,18 @@ public class GeminiClient : IGeminiClient
 
             return (true, replyString);
         }
+        catch (OperationCanceledException) when (cancellationToken.IsCancellationRequested)
+        {
+            _llmLogger.LogInformation("Gemini streaming API request cancelled after {Length} characters", reply.Length);
+            if (logger is not null)
+                await logger.FinalizeWithErrorAsync($"Cancelled: {reply}", CancellationToken.None);
+            throw;
+        }
         catch (Exception ex)
         {
             _llmLogger.LogError(ex, "Error calling Gemini streaming API: {Message}", ex.Message);
             if (logger is not null)
-                await logger.FinalizeWithErrorAsync(ex.ToString(), cancellationToken);
+                await logger.FinalizeWithErrorAsync(ex.ToString(), CancellationToken.None);
             return (false, ex.ToString());
         }
     }
@@ -253,18 +309,6 @@ public class GeminiClient : IGeminiClient
         return response;
     }
 
-    private async Task<HttpResponseMessage> StreamGenerateContentViaRestAsync(string json, string model, CancellationToken cancellationToken)
-    {
-        var endpoint = $"models/{model}:streamGenerateContent";
-
-        using var req = new HttpRequestMessage(HttpMethod.Post, endpoint)
-        {
-            Content = new StringContent(json ?? string.Empty, Encoding.UTF8, "application/json")
-        };
-        var response = await _httpClient.SendAsync(req, cancellationToken);
-        return response;
-    }
-
     /// <summary>
     /// Count tokens in the given text using Gemini's native token counting API
     /// </summary>
@@ -16,6 +16,12 @@ public class GeminiRequest
 
     [JsonPropertyName("safetySettings")]
     public List<SafetySetting> SafetySettings { get; set; }
+
+    /// <summary>
+    /// Overrides the configured model for this request. Not serialized - the model is part of the endpoint URL.
+    /// </summary>
+    [JsonIgnore]
+    public string? Model { get; set; }
 }
 
 public class SystemInstruction
@@ -0,0 +1,61 @@
+﻿using System.Collections.Generic;
+using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace CAF.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddTurnSwipes : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.AddColumn<string>(
+                name: "RequestProvider",
+                table: "Turns",
+                type: "text",
+                nullable: true);
+
+            migrationBuilder.AddColumn<string>(
+                name: "RequestSnapshot",
+                table: "Turns",
+                type: "text",
+                nullable: true);
+
+            migrationBuilder.AddColumn<int>(
+                name: "SelectedSwipe",
+                table: "Turns",
+                type: "integer",
+                nullable: false,
+                defaultValue: 0);
+
+            migrationBuilder.AddColumn<List<string>>(
+                name: "Swipes",
+                table: "Turns",
+                type: "text[]",
+                nullable: false,
+                defaultValue: new List<string>());
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropColumn(
+                name: "RequestProvider",
+                table: "Turns");
+
+            migrationBuilder.DropColumn(
+                name: "RequestSnapshot",
+                table: "Turns");
+
+            migrationBuilder.DropColumn(
+                name: "SelectedSwipe",
+                table: "Turns");
+
+            migrationBuilder.DropColumn(
+                name: "Swipes",
+                table: "Turns");
+        }
+    }
+}
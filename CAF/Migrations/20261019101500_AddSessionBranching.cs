@@ -0,0 +1,47 @@
+﻿using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace CAF.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddSessionBranching : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.AddColumn<int>(
+                name: "BranchedFromTurnId",
+                table: "Sessions",
+                type: "integer",
+                nullable: true);
+
+            migrationBuilder.AddColumn<int>(
+                name: "ParentSessionId",
+                table: "Sessions",
+                type: "integer",
+                nullable: true);
+
+            migrationBuilder.CreateIndex(
+                name: "IX_Sessions_ParentSessionId",
+                table: "Sessions",
+                column: "ParentSessionId");
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropIndex(
+                name: "IX_Sessions_ParentSessionId",
+                table: "Sessions");
+
+            migrationBuilder.DropColumn(
+                name: "BranchedFromTurnId",
+                table: "Sessions");
+
+            migrationBuilder.DropColumn(
+                name: "ParentSessionId",
+                table: "Sessions");
+        }
+    }
+}
@@ -0,0 +1,26 @@
+﻿using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace CAF.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddContextDataFullTextIndex : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            // Expression index for ContextDataService.QueryAsync search; the expression must stay in sync with the query
+            migrationBuilder.Sql("""
+                CREATE INDEX "IX_ContextData_FullText" ON "ContextData"
+                USING GIN (to_tsvector('english', "Name" || ' ' || "Content" || ' ' || COALESCE("Speaker", '')));
+                """);
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.Sql("""DROP INDEX IF EXISTS "IX_ContextData_FullText";""");
+        }
+    }
+}
@@ -0,0 +1,33 @@
+﻿using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace CAF.Migrations
+{
+    /// <inheritdoc />
+    public partial class ContextDataTagsArray : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            // Tags were stored as JSON text; copy them into an array column so search can match them in SQL.
+            // ALTER COLUMN ... USING cannot expand the JSON array, as it does not allow subqueries
+            migrationBuilder.Sql("""
+                ALTER TABLE "ContextData" ADD COLUMN "TagsArray" text[] NOT NULL DEFAULT '{}';
+                UPDATE "ContextData" SET "TagsArray" = ARRAY(SELECT jsonb_array_elements_text("Tags"::jsonb));
+                ALTER TABLE "ContextData" DROP COLUMN "Tags";
+                ALTER TABLE "ContextData" RENAME COLUMN "TagsArray" TO "Tags";
+                ALTER TABLE "ContextData" ALTER COLUMN "Tags" DROP DEFAULT;
+                """);
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.Sql("""
+                ALTER TABLE "ContextData" ALTER COLUMN "Tags" TYPE text
+                USING to_jsonb("Tags")::text;
+                """);
+        }
+    }
+}
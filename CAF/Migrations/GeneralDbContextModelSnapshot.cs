@@ -34,6 +34,10 @@ namespace CAF.Migrations
                     b.Property<int>("Availability")
                         .HasColumnType("integer");
 
+                    b.Property<string>("AvailabilityRules")
+                        .IsRequired()
+                        .HasColumnType("text");
+
                     b.Property<string>("Content")
                         .IsRequired()
                         .HasColumnType("text");
@@ -59,6 +63,9 @@ namespace CAF.Migrations
                     b.Property<DateTime?>("EmbeddingUpdatedAt")
                         .HasColumnType("timestamp with time zone");
 
+                    b.Property<bool>("ExcludeFromRecursion")
+                        .HasColumnType("boolean");
+
                     b.Property<bool>("InVectorDb")
                         .HasColumnType("boolean");
 
@@ -123,9 +130,9 @@ namespace CAF.Migrations
                     b.Property<string>("Summary")
                         .HasColumnType("text");
 
-                    b.Property<string>("Tags")
+                    b.PrimitiveCollection<List<string>>("Tags")
                         .IsRequired()
-                        .HasColumnType("text");
+                        .HasColumnType("text[]");
 
                     b.Property<int?>("TokenCount")
                         .HasColumnType("integer");
@@ -202,6 +209,34 @@ namespace CAF.Migrations
                     b.ToTable("ContextData");
                 });
 
+            modelBuilder.Entity("CAF.DB.Entities.ContextDataRevision", b =>
+                {
+                    b.Property<int>("Id")
+                        .ValueGeneratedOnAdd()
+                        .HasColumnType("integer");
+
+                    NpgsqlPropertyBuilderExtensions.UseIdentityByDefaultColumn(b.Property<int>("Id"));
+
+                    b.Property<int>("ContextDataId")
+                        .HasColumnType("integer");
+
+                    b.Property<DateTime>("CreatedAt")
+                        .HasColumnType("timestamp with time zone");
+
+                    b.Property<string>("Snapshot")
+                        .IsRequired()
+                        .HasColumnType("text");
+
+                    b.Property<int>("Source")
+                        .HasColumnType("integer");
+
+                    b.HasKey("Id");
+
+                    b.HasIndex("ContextDataId", "CreatedAt");
+
+                    b.ToTable("ContextDataRevisions");
+                });
+
             modelBuilder.Entity("CAF.DB.Entities.Flag", b =>
                 {
                     b.Property<int>("Id")
@@ -360,6 +395,66 @@ namespace CAF.Migrations
                     b.ToTable("LLMRequestLogs");
                 });
 
+            modelBuilder.Entity("CAF.DB.Entities.MemoryProposal", b =>
+                {
+                    b.Property<int>("Id")
+                        .ValueGeneratedOnAdd()
+                        .HasColumnType("integer");
+
+                    NpgsqlPropertyBuilderExtensions.UseIdentityByDefaultColumn(b.Property<int>("Id"));
+
+                    b.Property<string>("Content")
+                        .IsRequired()
+                        .HasColumnType("text");
+
+                    b.Property<int?>("ContextDataId")
+                        .HasColumnType("integer");
+
+                    b.Property<DateTime>("CreatedAt")
+                        .HasColumnType("timestamp with time zone");
+
+                    b.Property<int>("FromTurnId")
+                        .HasColumnType("integer");
+
+                    b.Property<string>("Name")
+                        .IsRequired()
+                        .HasColumnType("text");
+
+                    b.Property<string>("NonverbalBehavior")
+                        .HasColumnType("text");
+
+                    b.Property<int>("ProfileId")
+                        .HasColumnType("integer");
+
+                    b.Property<DateTime?>("ReviewedAt")
+                        .HasColumnType("timestamp with time zone");
+
+                    b.Property<int>("SessionId")
+                        .HasColumnType("integer");
+
+                    b.Property<string>("Speaker")
+                        .HasColumnType("text");
+
+                    b.Property<int>("Status")
+                        .HasColumnType("integer");
+
+                    b.Property<string>("Tags")
+                        .IsRequired()
+                        .HasColumnType("text");
+
+                    b.Property<int>("ToTurnId")
+                        .HasColumnType("integer");
+
+                    b.Property<int>("Type")
+                        .HasColumnType("integer");
+
+                    b.HasKey("Id");
+
+                    b.HasIndex("ProfileId", "Status");
+
+                    b.ToTable("MemoryProposals");
+                });
+
             modelBuilder.Entity("CAF.DB.Entities.Profile", b =>
                 {
                     b.Property<int>("Id")
@@ -403,6 +498,9 @@ namespace CAF.Migrations
 
                     NpgsqlPropertyBuilderExtensions.UseIdentityByDefaultColumn(b.Property<int>("Id"));
 
+                    b.Property<int?>("BranchedFromTurnId")
+                        .HasColumnType("integer");
+
                     b.Property<DateTime>("CreatedAt")
                         .HasColumnType("timestamp with time zone");
 
@@ -419,6 +517,9 @@ namespace CAF.Migrations
                     b.Property<int>("Number")
                         .HasColumnType("integer");
 
+                    b.Property<int?>("ParentSessionId")
+                        .HasColumnType("integer");
+
                     b.Property<int>("ProfileId")
                         .HasColumnType("integer");
 
@@ -431,6 +532,8 @@ namespace CAF.Migrations
                     b.HasIndex("Number")
                         .IsUnique();
 
+                    b.HasIndex("ParentSessionId");
+
                     b.HasIndex("ProfileId");
 
                     b.ToTable("Sessions");
@@ -565,6 +668,9 @@ namespace CAF.Migrations
                     b.Property<DateTime>("CreatedAt")
                         .HasColumnType("timestamp with time zone");
 
+                    b.Property<string>("EnrichmentSnapshot")
+                        .HasColumnType("text");
+
                     b.Property<string>("Input")
                         .IsRequired()
                         .HasColumnType("text");
@@ -573,10 +679,19 @@ namespace CAF.Migrations
                         .IsRequired()
                         .HasColumnType("text");
 
+                    b.Property<string>("RequestProvider")
+                        .HasColumnType("text");
+
+                    b.Property<string>("RequestSnapshot")
+                        .HasColumnType("text");
+
                     b.Property<string>("Response")
                         .IsRequired()
                         .HasColumnType("text");
 
+                    b.Property<int>("SelectedSwipe")
+                        .HasColumnType("integer");
+
                     b.Property<int>("SessionId")
                         .HasColumnType("integer");
 
@@ -584,6 +699,10 @@ namespace CAF.Migrations
                         .IsRequired()
                         .HasColumnType("text");
 
+                    b.PrimitiveCollection<List<string>>("Swipes")
+                        .IsRequired()
+                        .HasColumnType("text[]");
+
                     b.HasKey("Id");
 
                     b.HasIndex("Accepted");
@@ -608,6 +727,17 @@ namespace CAF.Migrations
                     b.Navigation("Profile");
                 });
 
+            modelBuilder.Entity("CAF.DB.Entities.ContextDataRevision", b =>
+                {
+                    b.HasOne("CAF.DB.Entities.ContextData", "ContextData")
+                        .WithMany()
+                        .HasForeignKey("ContextDataId")
+                        .OnDelete(DeleteBehavior.Cascade)
+                        .IsRequired();
+
+                    b.Navigation("ContextData");
+                });
+
             modelBuilder.Entity("CAF.DB.Entities.Flag", b =>
                 {
                     b.HasOne("CAF.DB.Entities.Profile", "Profile")
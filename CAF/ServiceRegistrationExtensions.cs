@@ -105,6 +105,9 @@ public static class ServiceRegistrationExtensions
         services.AddScoped<IEnricher, TurnHistoryEnricher>();
         services.AddScoped<IEnricher, FlagEnricher>();
 
+        // Post-enrichers (run after all enrichers have finished)
+        services.AddScoped<IPostEnricher, RecursiveTriggerEnricher>();
+
         return services;
     }
 
@@ -138,6 +141,10 @@ public static class ServiceRegistrationExtensions
         services.AddScoped<ISettingService, SettingService>();
         services.AddScoped<IProfileService, ProfileService>();
         services.AddScoped<IContextDataService, ContextDataService>();
+        services.AddScoped<IDuplicateFinderService, DuplicateFinderService>();
+        services.AddScoped<IContextUsageAnalyticsService, ContextUsageAnalyticsService>();
+        services.AddScoped<IMemoryExtractionService, MemoryExtractionService>();
+        services.AddScoped<ILLMRequestLogService, LLMRequestLogService>();
 
         return services;
     }
@@ -166,6 +173,9 @@ public static class ServiceRegistrationExtensions
     {
         services.AddHostedService<TurnStripperBackgroundService>();
 
+        services.AddSingleton<ISessionSummaryQueue, SessionSummaryQueue>();
+        services.AddHostedService<SessionSummaryBackgroundService>();
+
         return services;
     }
 }
\ No newline at end of file
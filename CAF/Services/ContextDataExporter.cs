@@ -0,0 +1,104 @@
+using System.IO.Compression;
+
+namespace CAF.Services;
+
+/// <summary>
+/// Writes context data in formats the imports on the context data page read back,
+/// so items can be edited outside the app and re-imported, or backed up.
+/// </summary>
+public static class ContextDataExporter
+{
+    private static readonly JsonSerializerOptions JsonOptions = new()
+    {
+        PropertyNamingPolicy = JsonNamingPolicy.CamelCase,
+        WriteIndented = true,
+        Converters = { new JsonStringEnumConverter() }
+    };
+
+    /// <summary>
+    /// Serializes every field of the items, including availability, trigger and usage fields
+    /// </summary>
+    public static string ToJson(IEnumerable<ContextData> items) => JsonSerializer.Serialize(items, JsonOptions);
+
+    /// <summary>
+    /// Writes the items in the column layout of the matching TSV import, with a header row.
+    /// The imports split on tabs and line breaks, so those are flattened to spaces inside values.
+    /// </summary>
+    public static string ToTsv(IEnumerable<ContextData> items, TsvExportLayout layout)
+    {
+        var builder = new StringBuilder();
+
+        if (layout == TsvExportLayout.Quotes)
+        {
+            builder.Append("Session\tSpeaker\tContent\n");
+            foreach (var item in items)
+            {
+                builder.Append(TsvValue(item.SourceSessionId?.ToString())).Append('\t')
+                    .Append(TsvValue(item.Speaker)).Append('\t')
+                    .Append(TsvValue(item.Content)).Append('\n');
+            }
+        }
+        else
+        {
+            builder.Append("Dialogue\tNonverbal Behavior\n");
+            foreach (var item in items)
+            {
+                builder.Append(TsvValue(item.Content)).Append('\t')
+                    .Append(TsvValue(item.NonverbalBehavior)).Append('\n');
+            }
+        }
+
+        return builder.ToString();
+    }
+
+    /// <summary>
+    /// Zips one markdown file per item into a folder per type (Memory/Name.md), as the folder import reads them:
+    /// the file name is the item name and the file holds the content. Import each folder with its type,
+    /// or with "update existing" to write edits back to items of the same name.
+    /// </summary>
+    public static byte[] ToMarkdownZip(IEnumerable<ContextData> items)
+    {
+        using var stream = new MemoryStream();
+        using (var archive = new ZipArchive(stream, ZipArchiveMode.Create, leaveOpen: true))
+        {
+            var usedPaths = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+
+            foreach (var item in items)
+            {
+                var path = UniquePath($"{item.Type}/{ToFileName(item.Name)}", usedPaths);
+                var entry = archive.CreateEntry(path, CompressionLevel.Optimal);
+
+                using var writer = new StreamWriter(entry.Open(), new UTF8Encoding(false));
+                writer.Write(item.Content);
+            }
+        }
+
+        return stream.ToArray();
+    }
+
+    /// <summary>
+    /// Replaces characters that are not allowed in file names on any platform
+    /// </summary>
+    public static string ToFileName(string name)
+    {
+        var invalid = Path.GetInvalidFileNameChars().Concat(['/', '\\', ':', '*', '?', '"', '<', '>', '|']).ToHashSet();
+        var fileName = new string([.. name.Select(c => invalid.Contains(c) || char.IsControl(c) ? '_' : c)]).Trim().TrimEnd('.');
+        return string.IsNullOrWhiteSpace(fileName) ? "Untitled" : fileName;
+    }
+
+    private static string UniquePath(string basePath, HashSet<string> usedPaths)
+    {
+        var path = $"{basePath}.md";
+        for (var i = 2; !usedPaths.Add(path); i++)
+        {
+            path = $"{basePath} ({i}).md";
+        }
+
+        return path;
+    }
+
+    private static string TsvValue(string? value) =>
+        string.IsNullOrEmpty(value)
+            ? string.Empty
+            : Regex.Replace(value, @"[\t\r\n]+", " ").Trim();
+}
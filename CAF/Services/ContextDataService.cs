@@ -1,3 +1,6 @@
+using System.Linq.Expressions;
+using CAF.Services.Conversation;
+
 namespace CAF.Services;
 
 /// <summary>
@@ -11,6 +14,13 @@ public class ContextDataService(
 {
     private readonly int _profileId = profileService.GetActiveProfileId();
 
+    private const int MaxPageSize = 200;
+
+    /// <summary>
+    /// Text search configuration; must match the IX_ContextData_FullText index expression
+    /// </summary>
+    private const string SearchConfig = "english";
+
     #region Basic CRUD
 
     public async Task<ContextData?> GetByIdAsync(int id, CancellationToken cancellationToken = default)
@@ -44,6 +54,153 @@ public class ContextDataService(
             .ToListAsync(cancellationToken);
     }
 
+    public async Task<List<ContextData>> GetByIdsAsync(IEnumerable<int> ids, CancellationToken cancellationToken = default)
+    {
+        var idList = ids.Distinct().ToList();
+
+        await using var db = await dbContextFactory.CreateDbContextAsync(cancellationToken);
+        return await db.ContextData.AsNoTracking()
+            .Where(d => d.ProfileId == _profileId && idList.Contains(d.Id))
+            .OrderBy(d => d.Type)
+            .ThenBy(d => d.Name)
+            .ToListAsync(cancellationToken);
+    }
+
+    public async Task<ContextDataPageResponse> QueryAsync(ContextDataQuery query, CancellationToken cancellationToken = default)
+    {
+        var page = Math.Max(1, query.Page);
+        var pageSize = Math.Clamp(query.PageSize, 1, MaxPageSize);
+
+        await using var db = await dbContextFactory.CreateDbContextAsync(cancellationToken);
+        var data = Filter(db, query, out var useFullText);
+
+        var totalCount = await data.CountAsync(cancellationToken);
+
+        var items = await Order(data, query, useFullText)
+            .Skip((page - 1) * pageSize)
+            .Take(pageSize)
+            .ToListAsync(cancellationToken);
+
+        return new ContextDataPageResponse
+        {
+            Items = items,
+            TotalCount = totalCount,
+            Page = page,
+            PageSize = pageSize
+        };
+    }
+
+    public async Task<List<ContextData>> QueryAllAsync(ContextDataQuery query, CancellationToken cancellationToken = default)
+    {
+        await using var db = await dbContextFactory.CreateDbContextAsync(cancellationToken);
+        var data = Filter(db, query, out var useFullText);
+
+        return await Order(data, query, useFullText).ToListAsync(cancellationToken);
+    }
+
+    public async Task<ContextDataFilterOptions> GetFilterOptionsAsync(CancellationToken cancellationToken = default)
+    {
+        await using var db = await dbContextFactory.CreateDbContextAsync(cancellationToken);
+        var data = db.ContextData.AsNoTracking().Where(d => d.ProfileId == _profileId);
+
+        return new ContextDataFilterOptions
+        {
+            Speakers = await data
+                .Where(d => d.Speaker != null && d.Speaker != "")
+                .Select(d => d.Speaker!)
+                .Distinct()
+                .OrderBy(s => s)
+                .ToListAsync(cancellationToken),
+            SessionIds = await data
+                .Where(d => d.SourceSessionId != null)
+                .Select(d => d.SourceSessionId!.Value)
+                .Distinct()
+                .OrderByDescending(s => s)
+                .ToListAsync(cancellationToken)
+        };
+    }
+
+    /// <summary>
+    /// Applies the list filters and search of the query for the current profile
+    /// </summary>
+    private IQueryable<ContextData> Filter(GeneralDbContext db, ContextDataQuery query, out bool useFullText)
+    {
+        var data = db.ContextData.AsNoTracking().Where(d => d.ProfileId == _profileId);
+
+        if (!query.IncludeArchived)
+            data = data.Where(d => !d.IsArchived);
+
+        if (query.Type.HasValue)
+            data = data.Where(d => d.Type == query.Type.Value);
+
+        if (query.Availability.HasValue)
+            data = data.Where(d => d.Availability == query.Availability.Value);
+
+        if (query.Embedded.HasValue)
+            data = data.Where(d => d.InVectorDb == query.Embedded.Value);
+
+        if (query.Tagged.HasValue)
+        {
+            data = query.Tagged.Value
+                ? data.Where(d => d.Tags.Count > 0)
+                : data.Where(d => d.Tags.Count == 0);
+        }
+
+        if (!string.IsNullOrWhiteSpace(query.Speaker))
+            data = data.Where(d => d.Speaker == query.Speaker);
+
+        if (query.SessionId.HasValue)
+            data = data.Where(d => d.SourceSessionId == query.SessionId.Value);
+
+        var search = query.Search?.Trim() ?? string.Empty;
+        var term = search.ToLower();
+
+        // The InMemory provider used by unit tests has no full-text search
+        useFullText = search.Length > 0 && db.Database.IsNpgsql();
+        if (useFullText)
+        {
+            data = data.Where(d => EF.Functions.ToTsVector(SearchConfig, d.Name + " " + d.Content + " " + (d.Speaker ?? ""))
+                .Matches(EF.Functions.WebSearchToTsQuery(SearchConfig, search))
+                || d.Tags.Any(t => t.ToLower().Contains(term)));
+        }
+        else if (search.Length > 0)
+        {
+            data = data.Where(d => d.Name.ToLower().Contains(term)
+                || d.Content.ToLower().Contains(term)
+                || (d.Speaker != null && d.Speaker.ToLower().Contains(term))
+                || d.Tags.Any(t => t.ToLower().Contains(term)));
+        }
+
+        return data;
+    }
+
+    private static IOrderedQueryable<ContextData> Order(IQueryable<ContextData> data, ContextDataQuery query, bool useFullText)
+    {
+        var search = query.Search?.Trim() ?? string.Empty;
+        var descending = string.Equals(query.SortOrder, "desc", StringComparison.OrdinalIgnoreCase);
+        var ordered = query.SortBy.ToLowerInvariant() switch
+        {
+            "relevance" when useFullText => data.OrderByDescending(d =>
+                EF.Functions.ToTsVector(SearchConfig, d.Name + " " + d.Content + " " + (d.Speaker ?? ""))
+                    .Rank(EF.Functions.WebSearchToTsQuery(SearchConfig, search))),
+            "type" => Sort(data, d => d.Type, descending),
+            "availability" => Sort(data, d => d.Availability, descending),
+            "createdat" => Sort(data, d => d.CreatedAt, descending),
+            "modifiedat" => Sort(data, d => d.ModifiedAt, descending),
+            "usagecount" => Sort(data, d => d.UsageCount, descending),
+            "tokencount" => Sort(data, d => d.TokenCount, descending),
+            _ => Sort(data, d => d.Name, descending)
+        };
+
+        return ordered.ThenBy(d => d.Id);
+    }
+
+    private static IOrderedQueryable<ContextData> Sort<TKey>(
+        IQueryable<ContextData> data,
+        Expression<Func<ContextData, TKey>> key,
+        bool descending) =>
+        descending ? data.OrderByDescending(key) : data.OrderBy(key);
+
     public async Task<ContextData> CreateAsync(ContextData data, CancellationToken cancellationToken = default)
     {
         if (!data.IsValidCombination())
@@ -52,6 +209,9 @@ public class ContextDataService(
                 $"Invalid combination: DataType.{data.Type} cannot have AvailabilityType.{data.Availability}");
         }
 
+        ValidateTriggerExpression(data);
+        ValidateAvailabilityRules(data);
+
         await using var db = await dbContextFactory.CreateDbContextAsync(cancellationToken);
         data.ProfileId = _profileId;
         data.CreatedAt = DateTime.UtcNow;
@@ -65,7 +225,11 @@ public class ContextDataService(
         return data;
     }
 
-    public async Task<ContextData?> UpdateAsync(int id, ContextData data, CancellationToken cancellationToken = default)
+    public async Task<ContextData?> UpdateAsync(
+        int id,
+        ContextData data,
+        RevisionSource source = RevisionSource.UiEdit,
+        CancellationToken cancellationToken = default)
     {
         if (!data.IsValidCombination())
         {
@@ -73,11 +237,16 @@ public class ContextDataService(
                 $"Invalid combination: DataType.{data.Type} cannot have AvailabilityType.{data.Availability}");
         }
 
+        ValidateTriggerExpression(data);
+        ValidateAvailabilityRules(data);
+
         await using var db = await dbContextFactory.CreateDbContextAsync(cancellationToken);
         var existing = await db.ContextData.FindAsync([id], cancellationToken);
         if (existing == null)
             return null;
 
+        var before = ContextDataSnapshot.From(existing).ToJson();
+
         existing.Name = data.Name;
         existing.Content = data.Content;
         existing.Summary = data.Summary;
@@ -91,10 +260,12 @@ public class ContextDataService(
         existing.TriggerKeywords = data.TriggerKeywords;
         existing.TriggerLookbackTurns = data.TriggerLookbackTurns;
         existing.TriggerMinMatchCount = data.TriggerMinMatchCount;
+        existing.ExcludeFromRecursion = data.ExcludeFromRecursion;
         existing.Display = data.Display;
         existing.SortOrder = data.SortOrder;
         existing.Description = data.Description;
         existing.Tags = data.Tags;
+        existing.AvailabilityRules = data.AvailabilityRules;
         existing.Notes = data.Notes;
         existing.Speaker = data.Speaker;
         existing.Subtype = data.Subtype;
@@ -104,6 +275,9 @@ public class ContextDataService(
         existing.ModifiedAt = DateTime.UtcNow;
         existing.ModifiedBy = data.ModifiedBy;
 
+        if (ContextDataRevision.ForChange(before, existing, source) is { } revision)
+            db.ContextDataRevisions.Add(revision);
+
         await db.SaveChangesAsync(cancellationToken);
 
         logger.LogInformation("Updated ContextData {Id}: {Name}", id, existing.Name);
@@ -131,9 +305,14 @@ public class ContextDataService(
         if (data == null)
             return false;
 
+        var before = ContextDataSnapshot.From(data).ToJson();
         data.IsArchived = true;
         data.Availability = AvailabilityType.Archive;
         data.ModifiedAt = DateTime.UtcNow;
+
+        if (ContextDataRevision.ForChange(before, data, RevisionSource.AvailabilityChange) is { } revision)
+            db.ContextDataRevisions.Add(revision);
+
         await db.SaveChangesAsync(cancellationToken);
 
         return true;
@@ -146,8 +325,13 @@ public class ContextDataService(
         if (data == null)
             return false;
 
+        var before = ContextDataSnapshot.From(data).ToJson();
         data.IsArchived = false;
         data.ModifiedAt = DateTime.UtcNow;
+
+        if (ContextDataRevision.ForChange(before, data, RevisionSource.AvailabilityChange) is { } revision)
+            db.ContextDataRevisions.Add(revision);
+
         await db.SaveChangesAsync(cancellationToken);
 
         return true;
@@ -169,8 +353,182 @@ public class ContextDataService(
         return true;
     }
 
+    public async Task<BulkEditResult> BulkEditAsync(BulkEditRequest request, CancellationToken cancellationToken = default)
+    {
+        ValidateBulkEdit(request);
+
+        var idList = request.Ids.Distinct().ToList();
+        var addTags = NormalizeTags(request.AddTags);
+        var removeTags = NormalizeTags(request.RemoveTags);
+
+        await using var db = await dbContextFactory.CreateDbContextAsync(cancellationToken);
+        var items = await db.ContextData
+            .Where(d => d.ProfileId == _profileId && idList.Contains(d.Id))
+            .ToListAsync(cancellationToken);
+
+        var result = new BulkEditResult { Matched = items.Count };
+        var now = DateTime.UtcNow;
+
+        foreach (var item in items)
+        {
+            var changed = false;
+            var before = ContextDataSnapshot.From(item).ToJson();
+
+            var tags = item.Tags
+                .Where(t => !removeTags.Contains(t, StringComparer.OrdinalIgnoreCase))
+                .ToList();
+            tags.AddRange(addTags.Where(t => !tags.Contains(t, StringComparer.OrdinalIgnoreCase)));
+            if (!tags.SequenceEqual(item.Tags))
+            {
+                Count(nameof(ContextData.Tags));
+                item.Tags = tags;
+            }
+
+            if (request.ClearSpeaker || request.Speaker != null)
+                Set(nameof(ContextData.Speaker), item.Speaker, request.ClearSpeaker ? null : request.Speaker!.Trim(), v => item.Speaker = v);
+            if (request.ClearSourceSessionId || request.SourceSessionId != null)
+                Set(nameof(ContextData.SourceSessionId), item.SourceSessionId, request.ClearSourceSessionId ? null : request.SourceSessionId, v => item.SourceSessionId = v);
+            if (request.ClearSubtype || request.Subtype != null)
+                Set(nameof(ContextData.Subtype), item.Subtype, request.ClearSubtype ? null : request.Subtype!.Trim(), v => item.Subtype = v);
+            if (request.CooldownTurns is int cooldownTurns)
+                Set(nameof(ContextData.CooldownTurns), item.CooldownTurns, cooldownTurns, v => item.CooldownTurns = v);
+            if (request.SortOrder is int sortOrder)
+                Set(nameof(ContextData.SortOrder), item.SortOrder, sortOrder, v => item.SortOrder = v);
+            if (request.Display is RetrievalType display)
+                Set(nameof(ContextData.Display), item.Display, display, v => item.Display = v);
+            if (request.TriggerLookbackTurns is int lookbackTurns)
+                Set(nameof(ContextData.TriggerLookbackTurns), item.TriggerLookbackTurns, lookbackTurns, v => item.TriggerLookbackTurns = v);
+            if (request.TriggerMinMatchCount is int minMatchCount)
+                Set(nameof(ContextData.TriggerMinMatchCount), item.TriggerMinMatchCount, minMatchCount, v => item.TriggerMinMatchCount = v);
+
+            if (changed)
+            {
+                item.ModifiedAt = now;
+                result.Changed++;
+
+                if (!request.Preview && ContextDataRevision.ForChange(before, item, RevisionSource.BulkEdit) is { } revision)
+                    db.ContextDataRevisions.Add(revision);
+            }
+
+            void Set<T>(string field, T current, T value, Action<T> assign)
+            {
+                if (EqualityComparer<T>.Default.Equals(current, value))
+                    return;
+
+                Count(field);
+                assign(value);
+            }
+
+            void Count(string field)
+            {
+                changed = true;
+                result.ChangedByField[field] = result.ChangedByField.GetValueOrDefault(field) + 1;
+            }
+        }
+
+        if (request.Preview)
+            return result;
+
+        // One SaveChanges call, so either every item is updated or none is
+        await db.SaveChangesAsync(cancellationToken);
+        result.Applied = true;
+
+        logger.LogInformation("Bulk edit changed {Changed} of {Matched} ContextData items: {Fields}",
+            result.Changed, result.Matched, string.Join(", ", result.ChangedByField.Keys));
+
+        return result;
+    }
+
+    private static void ValidateBulkEdit(BulkEditRequest request)
+    {
+        if (request.Ids.Count == 0)
+            throw new InvalidOperationException("No items selected");
+
+        if (request.CooldownTurns < 0)
+            throw new InvalidOperationException("Cooldown turns cannot be negative");
+        if (request.TriggerLookbackTurns < 1)
+            throw new InvalidOperationException("Trigger lookback turns must be at least 1");
+        if (request.TriggerMinMatchCount < 1)
+            throw new InvalidOperationException("Trigger min match count must be at least 1");
+        if (request.SourceSessionId < 1)
+            throw new InvalidOperationException("Source session ID must be at least 1");
+
+        var hasChange = request.AddTags.Any(t => !string.IsNullOrWhiteSpace(t)) ||
+                        request.RemoveTags.Any(t => !string.IsNullOrWhiteSpace(t)) ||
+                        request.Speaker != null || request.ClearSpeaker ||
+                        request.SourceSessionId != null || request.ClearSourceSessionId ||
+                        request.Subtype != null || request.ClearSubtype ||
+                        request.CooldownTurns != null || request.SortOrder != null || request.Display != null ||
+                        request.TriggerLookbackTurns != null || request.TriggerMinMatchCount != null;
+        if (!hasChange)
+            throw new InvalidOperationException("No changes specified");
+    }
+
+    private static List<string> NormalizeTags(IEnumerable<string> tags) =>
+        [.. tags.Select(t => t.Trim()).Where(t => t.Length > 0).Distinct(StringComparer.OrdinalIgnoreCase)];
+
     #endregion Basic CRUD
 
+    #region Revisions
+
+    public async Task<List<ContextDataRevisionResponse>?> GetRevisionsAsync(int id, CancellationToken cancellationToken = default)
+    {
+        await using var db = await dbContextFactory.CreateDbContextAsync(cancellationToken);
+        if (!await db.ContextData.AnyAsync(d => d.Id == id && d.ProfileId == _profileId, cancellationToken))
+            return null;
+
+        var revisions = await db.ContextDataRevisions
+            .AsNoTracking()
+            .Where(r => r.ContextDataId == id)
+            .OrderByDescending(r => r.CreatedAt)
+            .ThenByDescending(r => r.Id)
+            .ToListAsync(cancellationToken);
+
+        return [.. revisions.Select(r => new ContextDataRevisionResponse
+        {
+            Id = r.Id,
+            Source = r.Source,
+            CreatedAt = r.CreatedAt,
+            Snapshot = ContextDataSnapshot.FromJson(r.Snapshot)
+        })];
+    }
+
+    public async Task<ContextData?> RestoreRevisionAsync(int id, int revisionId, CancellationToken cancellationToken = default)
+    {
+        await using var db = await dbContextFactory.CreateDbContextAsync(cancellationToken);
+        var existing = await db.ContextData.FirstOrDefaultAsync(d => d.Id == id && d.ProfileId == _profileId, cancellationToken);
+        var revision = await db.ContextDataRevisions
+            .FirstOrDefaultAsync(r => r.Id == revisionId && r.ContextDataId == id, cancellationToken);
+        if (existing == null || revision == null)
+            return null;
+
+        var before = ContextDataSnapshot.From(existing).ToJson();
+        ContextDataSnapshot.FromJson(revision.Snapshot).ApplyTo(existing);
+
+        if (!existing.IsValidCombination())
+        {
+            throw new InvalidOperationException(
+                $"Invalid combination: DataType.{existing.Type} cannot have AvailabilityType.{existing.Availability}");
+        }
+
+        ValidateTriggerExpression(existing);
+
+        // The restore is itself a change, so it can be undone the same way
+        if (ContextDataRevision.ForChange(before, existing, RevisionSource.Restore) is { } restoreRevision)
+        {
+            db.ContextDataRevisions.Add(restoreRevision);
+            existing.ModifiedAt = DateTime.UtcNow;
+            await db.SaveChangesAsync(cancellationToken);
+
+            logger.LogInformation("Restored ContextData {Id} to revision {RevisionId} from {CreatedAt}",
+                id, revisionId, revision.CreatedAt);
+        }
+
+        return existing;
+    }
+
+    #endregion Revisions
+
     #region Availability-Based Retrieval
 
     public async Task<List<ContextData>> GetAlwaysOnDataAsync(
@@ -261,6 +619,19 @@ public class ContextDataService(
 
     #region Trigger-Based Retrieval
 
+    private static void ValidateTriggerExpression(ContextData data)
+    {
+        if (data.Availability != AvailabilityType.Trigger)
+            return;
+
+        var error = TriggerExpression.Validate(data.TriggerKeywords);
+        if (error != null)
+        {
+            throw new InvalidOperationException(
+                $"Invalid trigger expression at position {error.Position + 1}: {error.Message}");
+        }
+    }
+
     public async Task<List<ContextData>> GetTriggerDataAsync(CancellationToken cancellationToken = default)
     {
         await using var db = await dbContextFactory.CreateDbContextAsync(cancellationToken);
@@ -286,14 +657,11 @@ public class ContextDataService(
 
         foreach (var data in triggerData)
         {
-            var keywords = data.GetKeywordList();
-            var matchCount = keywords.Count(keyword =>
-                Regex.IsMatch(lowerText, $@"\b{Regex.Escape(keyword)}\b", RegexOptions.IgnoreCase));
-
-            if (matchCount >= data.TriggerMinMatchCount)
+            var match = TriggerMatcher.Match(data, lowerText);
+            if (match.IsActivated)
             {
                 matchedData.Add(data);
-                logger.LogDebug("Trigger matched for {Name} with {Count} keywords", data.Name, matchCount);
+                logger.LogDebug("Trigger matched for {Name} with {Count} keywords", data.Name, match.MatchedTerms.Count);
             }
         }
 
@@ -483,6 +851,8 @@ public class ContextDataService(
         if (data == null)
             return false;
 
+        var before = ContextDataSnapshot.From(data).ToJson();
+
         // Temporarily set to check validity
         var oldAvailability = data.Availability;
         data.Availability = newAvailability;
@@ -503,6 +873,10 @@ public class ContextDataService(
         }
 
         data.ModifiedAt = DateTime.UtcNow;
+
+        if (ContextDataRevision.ForChange(before, data, RevisionSource.AvailabilityChange) is { } revision)
+            db.ContextDataRevisions.Add(revision);
+
         await db.SaveChangesAsync(cancellationToken);
 
         logger.LogInformation("Changed ContextData {Id} availability from {Old} to {New}",
@@ -510,6 +884,134 @@ public class ContextDataService(
         return true;
     }
 
+    public async Task<List<ContextData>> ApplyAvailabilityRulesAsync(Session session, CancellationToken cancellationToken = default)
+    {
+        await using var db = await dbContextFactory.CreateDbContextAsync(cancellationToken);
+
+        // Rules are stored as JSON, so comparing with an empty list compares against "[]"
+        var noRules = new List<AvailabilityRule>();
+        var scheduled = (await db.ContextData
+            .Where(d => d.ProfileId == _profileId && !d.IsArchived && d.AvailabilityRules != noRules)
+            .ToListAsync(cancellationToken))
+            .Where(d => d.AvailabilityRules.Any(r => r.AppliedAt == null))
+            .ToList();
+
+        if (scheduled.Count == 0)
+            return [];
+
+        // Rejected, failed and cancelled turns are not part of the conversation
+        var sessionTurns = await db.Turns.CountAsync(t => t.SessionId == session.Id && t.Accepted, cancellationToken);
+        var now = DateTime.UtcNow;
+        var changed = new List<(ContextData Data, AvailabilityType OldAvailability)>();
+
+        foreach (var data in scheduled)
+        {
+            var due = data.AvailabilityRules.Where(r => r.IsDue(session.Number, sessionTurns, data.UsageCount)).ToList();
+            if (due.Count == 0)
+                continue;
+
+            var before = ContextDataSnapshot.From(data).ToJson();
+            var oldAvailability = data.Availability;
+
+            // Rules due together apply in list order, so the last one decides
+            foreach (var rule in due)
+            {
+                rule.AppliedAt = now;
+
+                if (data.IsValidCombination(rule.Target))
+                {
+                    data.Availability = rule.Target;
+                }
+                else
+                {
+                    logger.LogWarning("Skipped availability rule of ContextData {Id}: {Type} cannot have {Availability}",
+                        data.Id, data.Type, rule.Target);
+                }
+            }
+
+            if (data.Availability != oldAvailability && data.Availability != AvailabilityType.Manual)
+            {
+                data.UseNextTurnOnly = false;
+                data.UseEveryTurn = false;
+                data.PreviousAvailability = null;
+            }
+
+            // As in ArchiveAsync, so the item leaves the active lists and is no longer scheduled
+            if (data.Availability == AvailabilityType.Archive)
+                data.IsArchived = true;
+
+            // The rules were changed in place, which the JSON conversion does not detect
+            db.Entry(data).Property(d => d.AvailabilityRules).IsModified = true;
+            data.ModifiedAt = now;
+
+            if (ContextDataRevision.ForChange(before, data, RevisionSource.Schedule) is { } revision)
+                db.ContextDataRevisions.Add(revision);
+
+            changed.Add((data, oldAvailability));
+        }
+
+        if (changed.Count == 0)
+            return [];
+
+        await db.SaveChangesAsync(cancellationToken);
+
+        foreach (var (data, oldAvailability) in changed)
+        {
+            logger.LogInformation("Availability rule changed ContextData {Id} from {Old} to {New} (session #{Number}, {Turns} turns)",
+                data.Id, oldAvailability, data.Availability, session.Number, sessionTurns);
+        }
+
+        await SyncScheduledEmbeddingsAsync(changed, cancellationToken);
+
+        return [.. changed.Select(c => c.Data)];
+    }
+
+    /// <summary>
+    /// Semantic items are only found once embedded, and items leaving Semantic are removed from the vector database
+    /// as in a manual availability change. A failure is logged rather than failing the turn being built.
+    /// </summary>
+    private async Task SyncScheduledEmbeddingsAsync(
+        List<(ContextData Data, AvailabilityType OldAvailability)> changed,
+        CancellationToken cancellationToken)
+    {
+        var unembed = changed
+            .Where(c => c.OldAvailability == AvailabilityType.Semantic && c.Data.Availability != AvailabilityType.Semantic && c.Data.InVectorDb)
+            .Select(c => c.Data)
+            .ToList();
+        var embed = changed
+            .Where(c => c.OldAvailability != AvailabilityType.Semantic && c.Data.Availability == AvailabilityType.Semantic)
+            .Select(c => c.Data)
+            .ToList();
+
+        try
+        {
+            if (unembed.Count > 0)
+                await semanticService.UnembedBatchAsync(unembed, cancellationToken);
+
+            if (embed.Count > 0)
+                await semanticService.EmbedBatchAsync(embed, cancellationToken);
+        }
+        catch (Exception ex)
+        {
+            logger.LogWarning(ex, "Failed to update embeddings after scheduled availability changes");
+        }
+    }
+
+    private static void ValidateAvailabilityRules(ContextData data)
+    {
+        foreach (var rule in data.AvailabilityRules)
+        {
+            if (rule.Value < 1)
+                throw new InvalidOperationException($"Availability rule {rule.Condition} needs a value of at least 1");
+
+            if (!data.IsValidCombination(rule.Target))
+            {
+                throw new InvalidOperationException(
+                    $"Invalid availability rule: DataType.{data.Type} cannot have AvailabilityType.{rule.Target}");
+            }
+        }
+    }
+
     #endregion Availability Changes
 
     #region Data Type-Based Retrieval
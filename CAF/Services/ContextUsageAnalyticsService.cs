@@ -0,0 +1,119 @@
+using CAF.Services.Conversation;
+
+namespace CAF.Services;
+
+/// <summary>
+/// Loads the items and recorded turn selections of the current profile for <see cref="ContextUsageAnalyzer"/>,
+/// and archives or promotes the items the analytics point out.
+/// </summary>
+public class ContextUsageAnalyticsService(
+    IDbContextFactory<GeneralDbContext> dbContextFactory,
+    IProfileService profileService,
+    IContextDataService contextDataService,
+    ISemanticService semanticService,
+    ILogger<ContextUsageAnalyticsService> logger) : IContextUsageAnalyticsService
+{
+    private const int MaxDays = 365;
+    private const int MaxStaleDays = 3650;
+
+    private readonly int _profileId = profileService.GetActiveProfileId();
+
+    public async Task<ContextUsageAnalyticsResponse> GetAnalyticsAsync(
+        ContextUsageAnalyticsQuery query,
+        CancellationToken cancellationToken = default)
+    {
+        if (query.Days is < 1 or > MaxDays)
+            throw new InvalidOperationException($"Days must be between 1 and {MaxDays}");
+        if (query.StaleDays is < 1 or > MaxStaleDays)
+            throw new InvalidOperationException($"Stale days must be between 1 and {MaxStaleDays}");
+        if (query.Top is < 1 or > 50)
+            throw new InvalidOperationException("Top must be between 1 and 50");
+        if (query.PromoteMinRate is < 0 or > 1)
+            throw new InvalidOperationException("Promote min rate must be between 0 and 1");
+
+        await using var db = await dbContextFactory.CreateDbContextAsync(cancellationToken);
+        var items = await db.ContextData.AsNoTracking()
+            .Where(d => d.ProfileId == _profileId && !d.IsArchived)
+            .ToListAsync(cancellationToken);
+
+        var sessionLabels = await db.Sessions.AsNoTracking()
+            .Where(s => s.ProfileId == _profileId)
+            .ToDictionaryAsync(s => s.Id, s => $"#{s.Number} {s.Name}", cancellationToken);
+
+        // Every turn, not only the window, so that "never used" and "last used" cover the whole history
+        var turns = await (
+            from t in db.Turns.AsNoTracking()
+            join s in db.Sessions on t.SessionId equals s.Id
+            where s.ProfileId == _profileId
+            select new { t.SessionId, t.CreatedAt, t.EnrichmentSnapshot })
+            .ToListAsync(cancellationToken);
+
+        var recorded = turns
+            .Where(t => !string.IsNullOrWhiteSpace(t.EnrichmentSnapshot))
+            .Select(t => new ContextUsageAnalyzer.TurnSelections(
+                t.SessionId,
+                t.CreatedAt,
+                JsonSerializer.Deserialize<List<ContextSelection>>(t.EnrichmentSnapshot!) ?? []))
+            .ToList();
+
+        var now = DateTime.UtcNow;
+        var response = ContextUsageAnalyzer.Analyze(items, recorded, sessionLabels, query, now);
+        response.TurnsWithoutSnapshot = turns.Count(t => string.IsNullOrWhiteSpace(t.EnrichmentSnapshot) && t.CreatedAt >= response.From);
+
+        return response;
+    }
+
+    public async Task<BulkOperationResponse> ArchiveAsync(List<int> ids, CancellationToken cancellationToken = default)
+    {
+        if (ids.Count == 0)
+            throw new InvalidOperationException("No items selected");
+
+        var items = await contextDataService.GetByIdsAsync(ids, cancellationToken);
+        var archived = 0;
+        foreach (var item in items.Where(i => !i.IsArchived))
+        {
+            if (await contextDataService.ArchiveAsync(item.Id, cancellationToken))
+                archived++;
+        }
+
+        logger.LogInformation("Archived {Count} unused ContextData items", archived);
+
+        return new BulkOperationResponse
+        {
+            Success = true,
+            Processed = archived,
+            Message = $"Archived {archived} items"
+        };
+    }
+
+    public async Task<BulkOperationResponse> PromoteToAlwaysOnAsync(List<int> ids, CancellationToken cancellationToken = default)
+    {
+        if (ids.Count == 0)
+            throw new InvalidOperationException("No items selected");
+
+        var items = (await contextDataService.GetByIdsAsync(ids, cancellationToken))
+            .Where(i => i.Availability == AvailabilityType.Semantic && !i.IsArchived)
+            .ToList();
+
+        // AlwaysOn items are not retrieved semantically, so their embeddings are removed as in a single availability change
+        var embedded = items.Where(i => i.InVectorDb).ToList();
+        if (embedded.Count > 0)
+            await semanticService.UnembedBatchAsync(embedded, cancellationToken);
+
+        var promoted = 0;
+        foreach (var item in items)
+        {
+            if (await contextDataService.ChangeAvailabilityAsync(item.Id, AvailabilityType.AlwaysOn, cancellationToken))
+                promoted++;
+        }
+
+        logger.LogInformation("Promoted {Count} Semantic ContextData items to AlwaysOn", promoted);
+
+        return new BulkOperationResponse
+        {
+            Success = true,
+            Processed = promoted,
+            Message = $"Promoted {promoted} items to Always On"
+        };
+    }
+}
@@ -0,0 +1,186 @@
+using CAF.Services.Conversation;
+
+namespace CAF.Services;
+
+/// <summary>
+/// Aggregates how context data is used from the item counters and the selections recorded for each turn
+/// (<see cref="Turn.EnrichmentSnapshot"/>). The counters are only kept for some mechanisms, so an item counts
+/// as used when a counter or timestamp says so or when any recorded turn selected it. Flag selections are
+/// ignored; their ids are flag ids. An item selected by several enrichers in one turn counts once for that turn.
+/// </summary>
+public static class ContextUsageAnalyzer
+{
+    private const int SessionTopItems = 5;
+
+    /// <summary>
+    /// The selections recorded for one turn
+    /// </summary>
+    public record TurnSelections(int SessionId, DateTime CreatedAt, IReadOnlyList<ContextSelection> Selections);
+
+    /// <param name="items">Items to report on, usually the non-archived items of the profile</param>
+    /// <param name="turns">Every turn with recorded selections, of any age; the window is applied here</param>
+    /// <param name="sessionLabels">Display names by session id</param>
+    public static ContextUsageAnalyticsResponse Analyze(
+        IReadOnlyList<ContextData> items,
+        IReadOnlyList<TurnSelections> turns,
+        IReadOnlyDictionary<int, string> sessionLabels,
+        ContextUsageAnalyticsQuery query,
+        DateTime now)
+    {
+        var from = now.Date.AddDays(-(query.Days - 1));
+        var staleBefore = now.AddDays(-query.StaleDays);
+        var windowTurns = turns.Where(t => t.CreatedAt >= from && t.CreatedAt <= now).ToList();
+
+        var lastSelected = new Dictionary<int, DateTime>();
+        foreach (var turn in turns)
+        {
+            foreach (var selection in DataSelections(turn))
+            {
+                if (!lastSelected.TryGetValue(selection.ItemId, out var last) || turn.CreatedAt > last)
+                    lastSelected[selection.ItemId] = turn.CreatedAt;
+            }
+        }
+
+        var windowSelections = windowTurns
+            .SelectMany(DataSelections)
+            .GroupBy(s => s.ItemId)
+            .ToDictionary(g => g.Key, g => g.Count());
+
+        var usage = items.Select(item =>
+        {
+            var selections = windowSelections.GetValueOrDefault(item.Id);
+            return new ContextItemUsage
+            {
+                Id = item.Id,
+                Name = item.Name,
+                Type = item.Type,
+                Availability = item.Availability,
+                IsEnabled = item.IsEnabled,
+                InVectorDb = item.InVectorDb,
+                CreatedAt = item.CreatedAt,
+                UsageCount = item.UsageCount,
+                TriggerCount = item.TriggerCount,
+                Selections = selections,
+                SelectionRate = windowTurns.Count > 0 ? Math.Round((double)selections / windowTurns.Count, 4) : 0,
+                LastUsedAt = new[]
+                {
+                    item.LastUsedAt,
+                    item.LastTriggeredAt,
+                    lastSelected.TryGetValue(item.Id, out var selected) ? selected : (DateTime?)null
+                }.Max()
+            };
+        }).ToList();
+
+        var userProfileIds = items.Where(i => i.IsUser).Select(i => i.Id).ToHashSet();
+
+        return new ContextUsageAnalyticsResponse
+        {
+            From = from,
+            To = now,
+            TurnCount = windowTurns.Count,
+            Groups = [.. usage
+                .GroupBy(u => (u.Type, u.Availability))
+                .OrderBy(g => g.Key.Type)
+                .ThenBy(g => g.Key.Availability)
+                .Select(g => ToGroup(g.Key.Type, g.Key.Availability, [.. g], query.Top))],
+            NeverUsed = [.. usage
+                .Where(IsNeverUsed)
+                .OrderBy(u => u.CreatedAt)],
+            Stale = [.. usage
+                .Where(u => !userProfileIds.Contains(u.Id) && (u.LastUsedAt ?? u.CreatedAt) < staleBefore)
+                .OrderBy(u => u.LastUsedAt ?? u.CreatedAt)],
+            PromotionCandidates = [.. usage
+                .Where(u => u.Availability == AvailabilityType.Semantic && u.IsEnabled &&
+                            u.SelectionRate >= query.PromoteMinRate && u.Selections >= query.PromoteMinSelections)
+                .OrderByDescending(u => u.SelectionRate)],
+            TriggerRates = ToTriggerRates(windowTurns, from, now),
+            Sessions = [.. windowTurns
+                .GroupBy(t => t.SessionId)
+                .OrderByDescending(g => g.Max(t => t.CreatedAt))
+                .Select(g => ToSessionUsage(g.Key, sessionLabels.GetValueOrDefault(g.Key, $"Session {g.Key}"), [.. g]))]
+        };
+    }
+
+    private static IEnumerable<ContextSelection> DataSelections(TurnSelections turn) =>
+        turn.Selections.Where(s => s.Mechanism != SelectionMechanism.Flag).DistinctBy(s => s.ItemId);
+
+    private static bool IsNeverUsed(ContextItemUsage usage) =>
+        usage.UsageCount == 0 && usage.TriggerCount == 0 && usage.LastUsedAt == null;
+
+    private static ContextUsageGroup ToGroup(DataType type, AvailabilityType availability, List<ContextItemUsage> usage, int top)
+    {
+        List<ContextItemUsage> mostUsed = [.. usage
+            .Where(u => !IsNeverUsed(u))
+            .OrderByDescending(u => u.Selections)
+            .ThenByDescending(u => u.UsageCount + u.TriggerCount)
+            .ThenBy(u => u.Name)
+            .Take(top)];
+
+        return new ContextUsageGroup
+        {
+            Type = type,
+            Availability = availability,
+            ItemCount = usage.Count,
+            NeverUsedCount = usage.Count(IsNeverUsed),
+            Selections = usage.Sum(u => u.Selections),
+            MostUsed = mostUsed,
+            LeastUsed = [.. usage
+                .Except(mostUsed)
+                .OrderBy(u => u.Selections)
+                .ThenBy(u => u.UsageCount + u.TriggerCount)
+                .ThenBy(u => u.LastUsedAt ?? DateTime.MinValue)
+                .Take(top)]
+        };
+    }
+
+    /// <summary>
+    /// One point per day of the window, including days without turns
+    /// </summary>
+    private static List<TriggerRatePoint> ToTriggerRates(List<TurnSelections> windowTurns, DateTime from, DateTime now)
+    {
+        var byDay = windowTurns.ToLookup(t => t.CreatedAt.Date);
+        var points = new List<TriggerRatePoint>();
+
+        for (var day = from.Date; day <= now.Date; day = day.AddDays(1))
+        {
+            var dayTurns = byDay[day].ToList();
+            var triggers = dayTurns
+                .SelectMany(DataSelections)
+                .Where(s => s.Mechanism == SelectionMechanism.Trigger)
+                .ToList();
+
+            points.Add(new TriggerRatePoint
+            {
+                Date = day.ToString("yyyy-MM-dd"),
+                Turns = dayTurns.Count,
+                Activations = triggers.Count,
+                DistinctTriggers = triggers.Select(s => s.ItemId).Distinct().Count(),
+                Rate = dayTurns.Count > 0 ? Math.Round((double)triggers.Count / dayTurns.Count, 2) : 0
+            });
+        }
+
+        return points;
+    }
+
+    private static SessionContextUsage ToSessionUsage(int sessionId, string label, List<TurnSelections> turns)
+    {
+        var selections = turns.SelectMany(DataSelections).ToList();
+
+        return new SessionContextUsage
+        {
+            SessionId = sessionId,
+            Label = label,
+            Turns = turns.Count,
+            DistinctItems = selections.Select(s => s.ItemId).Distinct().Count(),
+            ByMechanism = selections
+                .GroupBy(s => s.Mechanism.ToString())
+                .ToDictionary(g => g.Key, g => g.Count()),
+            TopItems = [.. selections
+                .GroupBy(s => s.ItemId)
+                .Select(g => new ContextItemCount { Id = g.Key, Name = g.Last().Name, Count = g.Count() })
+                .OrderByDescending(c => c.Count)
+                .ThenBy(c => c.Name)
+                .Take(SessionTopItems)]
+        };
+    }
+}
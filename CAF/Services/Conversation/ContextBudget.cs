@@ -0,0 +1,236 @@
+namespace CAF.Services.Conversation;
+
+/// <summary>
+/// Sections of the request that can be trimmed to fit the token budget
+/// </summary>
+public enum ContextSection
+{
+    CharacterProfile,
+    Generic,
+    Memory,
+    Insight,
+    Quote,
+    PersonaVoiceSample,
+    DialogueLog,
+    RecentTurns
+}
+
+/// <summary>
+/// Per-profile token budget for a whole request. A value of 0 means unlimited.
+/// </summary>
+public class ContextBudget
+{
+    public int Total { get; set; }
+
+    public Dictionary<ContextSection, int> SectionCaps { get; set; } = [];
+
+    public bool IsUnlimited => Total <= 0 && SectionCaps.Values.All(c => c <= 0);
+
+    public int GetCap(ContextSection section) => SectionCaps.GetValueOrDefault(section);
+}
+
+/// <summary>
+/// An item removed from the context to fit the token budget, and why
+/// </summary>
+public class TrimmedContextItem
+{
+    [JsonConverter(typeof(JsonStringEnumConverter))]
+    public ContextSection Section { get; set; }
+
+    /// <summary>
+    /// ContextData or Turn id; null for dialogue log entries
+    /// </summary>
+    public int? ItemId { get; set; }
+
+    public string Name { get; set; } = string.Empty;
+
+    public int Tokens { get; set; }
+
+    public string Reason { get; set; } = string.Empty;
+}
+
+/// <summary>
+/// Drops the lowest-priority context to fit a <see cref="ContextBudget"/>.
+/// Section caps are applied first, then the total budget. Under the total budget the dialogue log
+/// goes first (oldest turns), then context data (lowest priority), then recent turns (oldest),
+/// always keeping the most recent turn. The user profile, persona and current input are never trimmed.
+/// </summary>
+public static class ContextBudgetTrimmer
+{
+    /// <summary>
+    /// Rough token estimate used where no counted value is available (same approximation as the
+    /// token counting fallback)
+    /// </summary>
+    public static int EstimateTokens(string? text) =>
+        string.IsNullOrEmpty(text) ? 0 : (int)Math.Ceiling(text.Length / 4.0);
+
+    public static int GetTokens(ContextData data) => data.TokenCount ?? EstimateTokens(data.GetDisplayContent());
+
+    public static int GetTokens(Turn turn) =>
+        EstimateTokens(string.IsNullOrWhiteSpace(turn.JsonInput) ? turn.Input : turn.JsonInput) + EstimateTokens(turn.Response);
+
+    /// <summary>
+    /// Orders items from most to least important: manual RelevanceScore, then retrieval weight
+    /// (semantic score), then SortOrder
+    /// </summary>
+    public static IOrderedEnumerable<ContextData> OrderByPriority(IEnumerable<ContextData> data) => data
+        .OrderByDescending(d => d.RelevanceScore)
+        .ThenByDescending(d => d.ProcessWeight)
+        .ThenBy(d => d.SortOrder)
+        .ThenBy(d => d.Id);
+
+    /// <summary>
+    /// Trims the state in place and records every removed item in <see cref="ConversationState.TrimmedContext"/>
+    /// </summary>
+    /// <param name="fixedTokens">Tokens of parts that are never trimmed (persona, user profile, current prompt)</param>
+    public static void Apply(ConversationState state, ContextBudget budget, int fixedTokens = 0)
+    {
+        if (budget.IsUnlimited)
+            return;
+
+        ApplySectionCaps(state, budget);
+
+        if (budget.Total > 0)
+            ApplyTotalBudget(state, budget.Total, fixedTokens);
+    }
+
+    private static void ApplySectionCaps(ConversationState state, ContextBudget budget)
+    {
+        foreach (var section in DataSections)
+        {
+            var cap = budget.GetCap(section);
+            if (cap <= 0)
+                continue;
+
+            var used = 0;
+            var dropped = new List<int>();
+            foreach (var item in OrderByPriority(GetSectionItems(state, section)))
+            {
+                var tokens = GetTokens(item);
+                if (used + tokens <= cap)
+                {
+                    used += tokens;
+                    continue;
+                }
+
+                dropped.Add(item.Id);
+                state.TrimmedContext.Add(Trimmed(section, item, $"{section} cap of {cap} tokens exceeded"));
+            }
+
+            state.RemoveContextData(dropped);
+        }
+
+        var dialogueCap = budget.GetCap(ContextSection.DialogueLog);
+        if (dialogueCap > 0)
+        {
+            while (state.DialogueLogEntries.Count > 0 && EstimateTokens(state.DialogueLog) > dialogueCap)
+                DropOldestDialogueEntry(state, $"Dialogue log cap of {dialogueCap} tokens exceeded");
+        }
+
+        var turnsCap = budget.GetCap(ContextSection.RecentTurns);
+        if (turnsCap > 0)
+        {
+            while (state.RecentTurns.Count > 1 && state.RecentTurns.Sum(GetTokens) > turnsCap)
+                DropOldestRecentTurn(state, $"Recent turns cap of {turnsCap} tokens exceeded");
+        }
+    }
+
+    private static void ApplyTotalBudget(ConversationState state, int total, int fixedTokens)
+    {
+        var reason = $"Total budget of {total} tokens exceeded";
+
+        while (state.DialogueLogEntries.Count > 0 && CountTokens(state, fixedTokens) > total)
+            DropOldestDialogueEntry(state, reason);
+
+        var trimmable = state.GetAllContextData()
+            .Where(d => d.Id != state.UserProfile?.Id)
+            .ToList();
+
+        var overBy = CountTokens(state, fixedTokens) - total;
+        var dropped = new List<int>();
+        foreach (var item in OrderByPriority(trimmable).Reverse())
+        {
+            if (overBy <= 0)
+                break;
+
+            var tokens = GetTokens(item);
+            overBy -= tokens;
+            dropped.Add(item.Id);
+            state.TrimmedContext.Add(Trimmed(SectionOf(item.Type), item, reason));
+        }
+
+        state.RemoveContextData(dropped);
+
+        while (state.RecentTurns.Count > 1 && CountTokens(state, fixedTokens) > total)
+            DropOldestRecentTurn(state, reason);
+    }
+
+    private static int CountTokens(ConversationState state, int fixedTokens) =>
+        fixedTokens
+        + state.GetAllContextData().Where(d => d.Id != state.UserProfile?.Id).Sum(GetTokens)
+        + EstimateTokens(state.DialogueLog)
+        + state.RecentTurns.Sum(GetTokens);
+
+    private static void DropOldestDialogueEntry(ConversationState state, string reason)
+    {
+        var entry = state.DialogueLogEntries[0];
+        state.DialogueLogEntries.RemoveAt(0);
+        state.DialogueLogTruncatedTurns++;
+        state.RebuildDialogueLog();
+
+        state.TrimmedContext.Add(new TrimmedContextItem
+        {
+            Section = ContextSection.DialogueLog,
+            Name = entry.Length > 60 ? entry[..60] + "..." : entry,
+            Tokens = EstimateTokens(entry),
+            Reason = reason
+        });
+    }
+
+    private static void DropOldestRecentTurn(ConversationState state, string reason)
+    {
+        var turn = state.RecentTurns[0];
+        state.RecentTurns.RemoveAt(0);
+
+        state.TrimmedContext.Add(new TrimmedContextItem
+        {
+            Section = ContextSection.RecentTurns,
+            ItemId = turn.Id,
+            Name = $"Turn {turn.Id}",
+            Tokens = GetTokens(turn),
+            Reason = reason
+        });
+    }
+
+    private static readonly ContextSection[] DataSections =
+    [
+        ContextSection.CharacterProfile,
+        ContextSection.Generic,
+        ContextSection.Memory,
+        ContextSection.Insight,
+        ContextSection.Quote,
+        ContextSection.PersonaVoiceSample
+    ];
+
+    private static IEnumerable<ContextData> GetSectionItems(ConversationState state, ContextSection section) =>
+        state.GetAllContextData().Where(d => SectionOf(d.Type) == section && d.Id != state.UserProfile?.Id);
+
+    private static ContextSection SectionOf(DataType type) => type switch
+    {
+        DataType.CharacterProfile => ContextSection.CharacterProfile,
+        DataType.Memory => ContextSection.Memory,
+        DataType.Insight => ContextSection.Insight,
+        DataType.Quote => ContextSection.Quote,
+        DataType.PersonaVoiceSample => ContextSection.PersonaVoiceSample,
+        _ => ContextSection.Generic
+    };
+
+    private static TrimmedContextItem Trimmed(ContextSection section, ContextData item, string reason) => new()
+    {
+        Section = section,
+        ItemId = item.Id,
+        Name = item.Name,
+        Tokens = GetTokens(item),
+        Reason = reason
+    };
+}
@@ -0,0 +1,79 @@
+namespace CAF.Services.Conversation;
+
+/// <summary>
+/// Records why a single item ended up in the context of a turn: which enricher selected it,
+/// by which mechanism, and the evidence for that decision (semantic score, matched keywords).
+/// </summary>
+public class ContextSelection
+{
+    /// <summary>
+    /// Name of the enricher that selected the item
+    /// </summary>
+    public string Enricher { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Mechanism the item was selected by
+    /// </summary>
+    [JsonConverter(typeof(JsonStringEnumConverter))]
+    public SelectionMechanism Mechanism { get; set; }
+
+    /// <summary>
+    /// ContextData or Flag id, depending on the mechanism
+    /// </summary>
+    public int ItemId { get; set; }
+
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Data type of the item, null for flags
+    /// </summary>
+    [JsonConverter(typeof(JsonStringEnumConverter))]
+    public DataType? Type { get; set; }
+
+    /// <summary>
+    /// For Semantic: similarity score of the best matching chunk
+    /// </summary>
+    public float? Score { get; set; }
+
+    /// <summary>
+    /// For Trigger: keywords that matched the scanned text
+    /// </summary>
+    public List<string>? MatchedKeywords { get; set; }
+
+    /// <summary>
+    /// For recursive Trigger: the activated item whose content matched
+    /// </summary>
+    public int? TriggeredByItemId { get; set; }
+
+    public string? TriggeredByName { get; set; }
+
+    /// <summary>
+    /// For recursive Trigger: how many activations away from the turn text (1 = triggered by an item the turn text activated)
+    /// </summary>
+    public int? RecursionDepth { get; set; }
+
+    public int? TokenCount { get; set; }
+
+    public static ContextSelection FromData(string enricher, SelectionMechanism mechanism, ContextData data) => new()
+    {
+        Enricher = enricher,
+        Mechanism = mechanism,
+        ItemId = data.Id,
+        Name = data.Name,
+        Type = data.Type,
+        TokenCount = data.TokenCount
+    };
+}
+
+/// <summary>
+/// How an item was selected into the context of a turn
+/// </summary>
+public enum SelectionMechanism
+{
+    AlwaysOn,
+    Manual,
+    Semantic,
+    Trigger,
+    Flag,
+    UserProfile
+}
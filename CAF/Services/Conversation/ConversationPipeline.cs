@@ -4,11 +4,12 @@ namespace CAF.Services.Conversation;
 /// Main orchestrator for conversation processing pipeline.
 /// Responsibilities:
 /// 1. Manages conversation flow (session, turns)
-/// 2. Builds initial conversation state via ConversationStateBuilder
-/// 3. Triggers enrichment processes via ConversationEnrichmentOrchestrator
-/// 4. Builds LLM request via ConversationRequestBuilder
-/// 5. Delegates to LLM provider strategy for execution
-/// 6. Updates turn with response
+/// 2. Applies scheduled availability rules of context data
+/// 3. Builds initial conversation state via ConversationStateBuilder
+/// 4. Triggers enrichment processes via ConversationEnrichmentOrchestrator
+/// 5. Builds LLM request via ConversationRequestBuilder
+/// 6. Delegates to LLM provider strategy for execution
+/// 7. Updates turn with response
 /// </summary>
 public class ConversationPipeline(
 ISessionService sessionService,
@@ -17,19 +18,45 @@ IConversationContextBuilder stateBuilder,
 IConversationEnrichmentOrchestrator enrichmentOrchestrator,
 IConversationRequestBuilder requestBuilder,
 ILLMProviderFactory llmProviderFactory,
+IContextDataService contextDataService,
 ILogger<ConversationPipeline> logger) : IConversationPipeline
 {
     public async Task<Turn> ProcessInputAsync(string input, CancellationToken cancellationToken = default)
     {
         var (state, turn) = await BuildRequestAsync(input, cancellationToken);
 
+        return await ExecuteAndSaveAsync(state, turn,
+            provider => provider.ExecuteAsync(state, state.CancellationToken));
+    }
+
+    public async Task<Turn> ProcessInputStreamingAsync(string input, Func<string, Task> onTextChunk, CancellationToken cancellationToken = default)
+    {
+        var (state, turn) = await BuildRequestAsync(input, cancellationToken);
+        var streamed = new StringBuilder();
+
+        return await ExecuteAndSaveAsync(state, turn,
+            provider => provider.StreamAsync(state, async chunk =>
+            {
+                streamed.Append(chunk);
+                await onTextChunk(chunk);
+            }, state.CancellationToken),
+            streamed);
+    }
+
+    private async Task<Turn> ExecuteAndSaveAsync(
+        ConversationState state,
+        Turn turn,
+        Func<ILLMProviderStrategy, Task<(bool success, string result)>> execute,
+        StringBuilder? streamed = null)
+    {
         try
         {
-            // Step 7: Execute the LLM request using the selected provider
+            // Step 8: Execute the LLM request using the selected provider
             var provider = await llmProviderFactory.GetProviderAsync(state.CancellationToken);
-            var (success, result) = await provider.ExecuteAsync(state, state.CancellationToken);
+            RecordRequestSnapshot(state, provider.ProviderName);
+            var (success, result) = await execute(provider);
 
-            // Step 8: Update turn with LLM response and mark all used context data
+            // Step 9: Update turn with LLM response and mark all used context data
             state.CurrentTurn.Response = result;
             turn = await turnService.UpdateTurnAsync(
                 state,
@@ -41,6 +68,15 @@ ILogger<ConversationPipeline> logger) : IConversationPipeline
 
             return turn;
         }
+        catch (OperationCanceledException) when (state.CancellationToken.IsCancellationRequested)
+        {
+            logger.LogInformation("Processing cancelled for turn {TurnId}", turn.Id);
+
+            // Keep whatever was streamed so far, but never accept a cancelled turn
+            var partial = streamed?.ToString();
+            var response = string.IsNullOrWhiteSpace(partial) ? "Cancelled" : partial;
+            return await turnService.UpdateTurnAsync(turn.Id, response: response, accepted: false);
+        }
         catch (Exception ex)
         {
             logger.LogError(ex, "Error processing input for turn {TurnId}", turn.Id);
@@ -59,35 +95,151 @@ ILogger<ConversationPipeline> logger) : IConversationPipeline
         }
     }
 
+    public async Task<Turn> RegenerateAsync(int turnId, CancellationToken cancellationToken = default)
+    {
+        var turn = await turnService.GetByIdAsync(turnId)
+            ?? throw new KeyNotFoundException($"Turn with id {turnId} not found");
+
+        if (string.IsNullOrWhiteSpace(turn.RequestProvider) || string.IsNullOrWhiteSpace(turn.RequestSnapshot))
+            throw new InvalidOperationException("This turn has no recorded request to regenerate from.");
+
+        var provider = llmProviderFactory.GetProvider(turn.RequestProvider);
+        if (!provider.ProviderName.Equals(turn.RequestProvider, StringComparison.OrdinalIgnoreCase))
+            throw new InvalidOperationException($"Provider '{turn.RequestProvider}' used for this turn is no longer available.");
+
+        var state = new ConversationState
+        {
+            CurrentTurn = turn,
+            CancellationToken = cancellationToken
+        };
+
+        if (provider.ProviderName.Equals(ConversationConstants.ClaudeProvider, StringComparison.OrdinalIgnoreCase))
+        {
+            state.ClaudeRequest = JsonSerializer.Deserialize<ClaudeRequest>(turn.RequestSnapshot, Extensions.ClaudeOptions)!;
+        }
+        else
+        {
+            state.GeminiRequest = JsonSerializer.Deserialize<GeminiRequest>(turn.RequestSnapshot, Extensions.GeminiOptions)!;
+        }
+
+        logger.LogInformation("Regenerating turn {TurnId} with {Provider}", turn.Id, provider.ProviderName);
+
+        var (success, result) = await provider.ExecuteAsync(state, cancellationToken);
+        if (!success || string.IsNullOrWhiteSpace(result))
+            throw new InvalidOperationException($"Regeneration failed: {result}");
+
+        return await turnService.AddSwipeAsync(turn.Id, result);
+    }
+
+    public async Task<TurnReplayResponse> ReplayTurnAsync(int turnId, string? providerName = null, string? model = null, CancellationToken cancellationToken = default)
+    {
+        var original = await turnService.GetByIdAsync(turnId)
+            ?? throw new KeyNotFoundException($"Turn with id {turnId} not found");
+
+        var session = await sessionService.GetByIdAsync(original.SessionId)
+            ?? throw new KeyNotFoundException($"Session with id {original.SessionId} not found");
+
+        var provider = string.IsNullOrWhiteSpace(providerName)
+            ? await llmProviderFactory.GetProviderAsync(cancellationToken)
+            : llmProviderFactory.GetProvider(providerName);
+        if (!string.IsNullOrWhiteSpace(providerName) && !provider.ProviderName.Equals(providerName, StringComparison.OrdinalIgnoreCase))
+            throw new InvalidOperationException($"Provider '{providerName}' is not available.");
+
+        // Detached copy: the request builder rewrites JsonInput, and the original turn must stay untouched
+        var replayTurn = new Turn
+        {
+            Id = original.Id,
+            SessionId = original.SessionId,
+            Input = original.Input,
+            JsonInput = original.JsonInput,
+            CreatedAt = original.CreatedAt
+        };
+
+        var state = await stateBuilder.BuildContextAsync(replayTurn, session, cancellationToken);
+        state.CurrentTurn = replayTurn;
+        state.CancellationToken = cancellationToken;
+        state.HistoryCutoff = original.CreatedAt;
+        state.IsDryRun = true;
+
+        await enrichmentOrchestrator.EnrichAsync(state, cancellationToken);
+
+        model = string.IsNullOrWhiteSpace(model) ? null : model.Trim();
+        if (provider.ProviderName.Equals(ConversationConstants.ClaudeProvider, StringComparison.OrdinalIgnoreCase))
+        {
+            await requestBuilder.BuildClaudeRequestAsync(state, cancellationToken);
+            if (model != null)
+                state.ClaudeRequest.Model = model;
+        }
+        else
+        {
+            await requestBuilder.BuildGeminiRequestAsync(state, cancellationToken);
+            state.GeminiRequest.Model = model;
+        }
+
+        logger.LogInformation("Replaying turn {TurnId} with {Provider} (model override: {Model})",
+            turnId, provider.ProviderName, model ?? "none");
+
+        var (success, result) = await provider.ExecuteAsync(state, cancellationToken);
+
+        return new TurnReplayResponse
+        {
+            TurnId = original.Id,
+            Input = original.Input,
+            OriginalCreatedAt = original.CreatedAt,
+            OriginalResponse = original.Response,
+            OriginalProvider = original.RequestProvider,
+            Success = success && !string.IsNullOrWhiteSpace(result),
+            ReplayResponse = result,
+            ReplayProvider = provider.ProviderName,
+            ReplayModel = model,
+            Selections = state.GetSelections(),
+            TrimmedContext = state.TrimmedContext
+        };
+    }
+
+    /// <summary>
+    /// Stores the provider request on the turn so it can later be regenerated with the same context.
+    /// </summary>
+    private static void RecordRequestSnapshot(ConversationState state, string providerName)
+    {
+        state.CurrentTurn.RequestProvider = providerName;
+        state.CurrentTurn.RequestSnapshot = providerName.Equals(ConversationConstants.ClaudeProvider, StringComparison.OrdinalIgnoreCase)
+            ? JsonSerializer.Serialize(state.ClaudeRequest, Extensions.ClaudeOptions)
+            : JsonSerializer.Serialize(state.GeminiRequest, Extensions.GeminiOptions);
+    }
+
     public async Task<(ConversationState State, Turn Turn)> BuildRequestAsync(string input, CancellationToken cancellationToken = default)
     {
         // Step 1: Find or create active session
         var session = await sessionService.GetActiveSessionAsync() ?? throw new InvalidOperationException("No active session found. Please create and activate a session first.");
 
-        // Step 2: Create new turn and save to database
+        // Step 2: Apply availability rules that are due, before the new turn is counted and anything is loaded
+        await contextDataService.ApplyAvailabilityRulesAsync(session, cancellationToken);
+
+        // Step 3: Create new turn and save to database
         var turn = await turnService.CreateTurnAsync(session.Id, input);
 
-        // Step 3: Build initial conversation state (history, persona, contexts, memories)
-        var state = await stateBuilder.BuildContextAsync(turn, session);
+        // Step 4: Build initial conversation state (history, persona, contexts, memories)
+        var state = await stateBuilder.BuildContextAsync(turn, session, cancellationToken);
         state.CurrentTurn = turn;
 
-        // Ensure the pipeline can be cancelled via the supplied token
-        using var linkedCts = CancellationTokenSource.CreateLinkedTokenSource(state.CancellationToken, cancellationToken);
-        state.CancellationToken = linkedCts.Token;
+        // Ensure the pipeline can be cancelled via the supplied token. The token is used after this
+        // method returns, so it must not come from a source that is disposed here.
+        state.CancellationToken = cancellationToken;
 
         logger.LogInformation("Built conversation state for turn {TurnId} - User: {UserName}, Persona: {PersonaName}",
             turn.Id, state.UserName, state.PersonaName);
 
-        // Step 4: Run all enrichment processes asynchronously (perceptions, context data, flags, etc.)
+        // Step 5: Run all enrichment processes asynchronously (perceptions, context data, flags, etc.)
         await enrichmentOrchestrator.EnrichAsync(state, state.CancellationToken);
 
         logger.LogInformation("Enrichment complete for turn {TurnId}: {PerceptionCount} perceptions, {ContextDataCount} context data items",
             turn.Id, state.Perceptions.Count, state.GetAllContextData().Count());
 
-        // Step 5: Get the appropriate LLM provider strategy
+        // Step 6: Get the appropriate LLM provider strategy
         var provider = await llmProviderFactory.GetProviderAsync(state.CancellationToken);
 
-        // Step 6: Build the appropriate LLM request based on provider type
+        // Step 7: Build the appropriate LLM request based on provider type
         if (provider.ProviderName.Equals(ConversationConstants.ClaudeProvider, StringComparison.OrdinalIgnoreCase))
         {
             await requestBuilder.BuildClaudeRequestAsync(state, state.CancellationToken);
@@ -97,6 +249,9 @@ ILogger<ConversationPipeline> logger) : IConversationPipeline
             await requestBuilder.BuildGeminiRequestAsync(state, state.CancellationToken);
         }
 
+        // Keep a record of what was selected and why, for the turn details inspector.
+        // Taken after the request is built so items trimmed by the token budget are excluded.
+        turn.EnrichmentSnapshot = JsonSerializer.Serialize(state.GetSelections());
 
         return (state, turn);
     }
@@ -84,6 +84,43 @@ public sealed class ConversationRequestBuilder(
         return prompt.ToString();
     }
 
+    private async Task ApplyTokenBudgetAsync(
+        ConversationState context,
+        string prosePrompt,
+        CancellationToken cancellationToken)
+    {
+        var budget = new ContextBudget
+        {
+            Total = await settingService.GetIntAsync(SettingsKeys.ContextTokenBudget_Total, 0, cancellationToken),
+            SectionCaps =
+            {
+                [ContextSection.CharacterProfile] = await settingService.GetIntAsync(SettingsKeys.ContextTokenBudget_CharacterProfile, 0, cancellationToken),
+                [ContextSection.Generic] = await settingService.GetIntAsync(SettingsKeys.ContextTokenBudget_Generic, 0, cancellationToken),
+                [ContextSection.Memory] = await settingService.GetIntAsync(SettingsKeys.ContextTokenBudget_Memory, 0, cancellationToken),
+                [ContextSection.Insight] = await settingService.GetIntAsync(SettingsKeys.ContextTokenBudget_Insight, 0, cancellationToken),
+                [ContextSection.Quote] = await settingService.GetIntAsync(SettingsKeys.ContextTokenBudget_Quote, 0, cancellationToken),
+                [ContextSection.PersonaVoiceSample] = await settingService.GetIntAsync(SettingsKeys.ContextTokenBudget_PersonaVoiceSample, 0, cancellationToken),
+                [ContextSection.DialogueLog] = await settingService.GetIntAsync(SettingsKeys.ContextTokenBudget_DialogueLog, 0, cancellationToken),
+                [ContextSection.RecentTurns] = await settingService.GetIntAsync(SettingsKeys.ContextTokenBudget_RecentTurns, 0, cancellationToken)
+            }
+        };
+
+        if (budget.IsUnlimited)
+            return;
+
+        var fixedTokens = ContextBudgetTrimmer.EstimateTokens(context.Persona?.Content)
+            + ContextBudgetTrimmer.EstimateTokens(prosePrompt)
+            + (context.UserProfile != null ? ContextBudgetTrimmer.GetTokens(context.UserProfile) : 0);
+
+        ContextBudgetTrimmer.Apply(context, budget, fixedTokens);
+
+        if (context.TrimmedContext.Count > 0)
+        {
+            logger.LogInformation("Token budget trimmed {Count} items ({Tokens} tokens) from the request",
+                context.TrimmedContext.Count, context.TrimmedContext.Sum(t => t.Tokens));
+        }
+    }
+
     private async Task AddCommonContextAsync(
         IMessageBuilder builder,
         ConversationState context)
@@ -252,6 +289,9 @@ public sealed class ConversationRequestBuilder(
             builder.WithSystemInstruction(context.Persona.Content);
         }
 
+        // Drop lowest-priority context to fit the profile's token budget
+        await ApplyTokenBudgetAsync(context, prosePrompt, cancellationToken);
+
         // Add all common context
         await AddCommonContextAsync(adapter, context);
 
@@ -294,6 +334,9 @@ public sealed class ConversationRequestBuilder(
             builder.WithSystem(context.Persona.Content);
         }
 
+        // Drop lowest-priority context to fit the profile's token budget
+        await ApplyTokenBudgetAsync(context, prosePrompt, cancellationToken);
+
         // Add all common context
         await AddCommonContextAsync(adapter, context);
 
@@ -389,6 +432,9 @@ public sealed class ConversationRequestBuilder(
         {
             flags.AddRange(dbFlags.Select(f => f.Value));
 
+            if (context.IsDryRun)
+                return [.. flags.Distinct()];
+
             // Update all flags at once
             foreach (var flag in dbFlags)
             {
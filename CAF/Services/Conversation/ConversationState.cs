@@ -78,6 +78,11 @@ public class ConversationState
     /// </summary>
     public ConcurrentBag<Flag> Flags { get; set; } = [];
 
+    /// <summary>
+    /// Why each item was added to the context, as reported by the enrichers
+    /// </summary>
+    public ConcurrentBag<ContextSelection> Selections { get; set; } = [];
+
     /// <summary>
     /// The previous turn's response (most recent accepted turn)
     /// </summary>
@@ -103,6 +108,21 @@ public class ConversationState
     /// </summary>
     public string? DialogueLog { get; set; }
 
+    /// <summary>
+    /// Individual turns making up the dialogue log, oldest first (kept so the log can be trimmed per turn)
+    /// </summary>
+    public List<string> DialogueLogEntries { get; set; } = [];
+
+    /// <summary>
+    /// Number of older turns left out of the dialogue log
+    /// </summary>
+    public int DialogueLogTruncatedTurns { get; set; }
+
+    /// <summary>
+    /// Items removed from the context to fit the token budget
+    /// </summary>
+    public List<TrimmedContextItem> TrimmedContext { get; set; } = [];
+
     /// <summary>
     /// Perception records for the current turn
     /// </summary>
@@ -124,6 +144,16 @@ public class ConversationState
     /// </summary>
     public int MaxDialogueLogTurns { get; set; } = 50;
 
+    /// <summary>
+    /// When set, only turns created before this moment count as history (used to replay a past turn)
+    /// </summary>
+    public DateTime? HistoryCutoff { get; set; }
+
+    /// <summary>
+    /// Builds the context without persisting anything, so one-shot flags stay active (used to replay a past turn)
+    /// </summary>
+    public bool IsDryRun { get; set; }
+
     /// <summary>
     /// Gets all context data to be loaded (combines all data types)
     /// Ensures no duplicates
@@ -178,13 +208,52 @@ public class ConversationState
     /// <summary>
     /// Adds context data to the appropriate type-specific collection (thread-safe)
     /// </summary>
-    public void AddContextData(ContextData data)
+    /// <returns>False if the entry was already present</returns>
+    public bool AddContextData(ContextData data)
     {
         var collection = GetDataByType(data.Type);
         if (!collection.Any(d => d.Id == data.Id))
         {
             collection.Add(data);
+            return true;
         }
+
+        return false;
+    }
+
+    /// <summary>
+    /// Adds context data and records which enricher selected it and why.
+    /// Nothing is recorded when the entry was already added by another mechanism.
+    /// </summary>
+    public void SelectContextData(ContextData data, string enricher, SelectionMechanism mechanism,
+        float? score = null, List<string>? matchedKeywords = null,
+        ContextData? triggeredBy = null, int? recursionDepth = null)
+    {
+        if (!AddContextData(data))
+            return;
+
+        var selection = ContextSelection.FromData(enricher, mechanism, data);
+        selection.Score = score;
+        selection.MatchedKeywords = matchedKeywords;
+        selection.TriggeredByItemId = triggeredBy?.Id;
+        selection.TriggeredByName = triggeredBy?.Name;
+        selection.RecursionDepth = recursionDepth;
+        Selections.Add(selection);
+    }
+
+    /// <summary>
+    /// Gets the selection record for everything that made it into the context, grouped by enricher
+    /// </summary>
+    public List<ContextSelection> GetSelections()
+    {
+        var loadedIds = GetAllContextDataIds().ToHashSet();
+
+        return [.. Selections
+            .Where(s => s.Mechanism == SelectionMechanism.Flag || loadedIds.Contains(s.ItemId))
+            .OrderBy(s => s.Enricher)
+            .ThenBy(s => s.Mechanism)
+            .ThenByDescending(s => s.Score)
+            .ThenBy(s => s.Name)];
     }
 
     /// <summary>
@@ -198,6 +267,52 @@ public class ConversationState
         }
     }
 
+    /// <summary>
+    /// Removes context data entries from all type-specific collections
+    /// </summary>
+    public void RemoveContextData(IReadOnlyCollection<int> ids)
+    {
+        if (ids.Count == 0)
+            return;
+
+        Quotes = [.. Quotes.Where(d => !ids.Contains(d.Id))];
+        PersonaVoiceSamples = [.. PersonaVoiceSamples.Where(d => !ids.Contains(d.Id))];
+        Memories = [.. Memories.Where(d => !ids.Contains(d.Id))];
+        Insights = [.. Insights.Where(d => !ids.Contains(d.Id))];
+        CharacterProfiles = [.. CharacterProfiles.Where(d => !ids.Contains(d.Id))];
+        Data = [.. Data.Where(d => !ids.Contains(d.Id))];
+    }
+
+    /// <summary>
+    /// Rebuilds DialogueLog from DialogueLogEntries
+    /// </summary>
+    public void RebuildDialogueLog()
+    {
+        if (DialogueLogEntries.Count == 0 && DialogueLogTruncatedTurns == 0)
+        {
+            DialogueLog = null;
+            return;
+        }
+
+        var logSb = new StringBuilder();
+        logSb.AppendLine("`[meta] Log: Older events this session - For Information Only, DO NOT USE THIS FORMAT`");
+
+        if (DialogueLogTruncatedTurns > 0)
+        {
+            logSb.AppendLine("---");
+            logSb.AppendLine($"Truncated {DialogueLogTruncatedTurns} earlier turns");
+            logSb.AppendLine("---");
+        }
+
+        foreach (var entry in DialogueLogEntries)
+        {
+            logSb.AppendLine(entry);
+            logSb.AppendLine();
+        }
+
+        DialogueLog = logSb.ToString();
+    }
+
     /// <summary>
     /// Gets all context data IDs for usage tracking
     /// </summary>
@@ -2,10 +2,11 @@ namespace CAF.Services.Conversation.Enrichment;
 
 /// <summary>
 /// Orchestrates all conversation enrichment processes, running them asynchronously
-/// and populating the ConversationState
+/// and populating the ConversationState. Post-enrichers run afterwards, one at a time.
 /// </summary>
 public class ConversationEnrichmentOrchestrator(
     IEnumerable<IEnricher> enrichers,
+    IEnumerable<IPostEnricher> postEnrichers,
     ILogger<ConversationEnrichmentOrchestrator> logger) : IConversationEnrichmentOrchestrator
 {
     public async Task EnrichAsync(
@@ -27,6 +28,12 @@ public class ConversationEnrichmentOrchestrator(
 
         await Task.WhenAll(enrichmentTasks);
 
+        // Post-enrichers build on the complete result of the enrichers
+        foreach (var postEnricher in postEnrichers)
+        {
+            await postEnricher.EnrichAsync(state, cancellationToken);
+        }
+
         logger.LogInformation(
             "Enrichment complete for turn {TurnId}",
             state.CurrentTurn.Id);
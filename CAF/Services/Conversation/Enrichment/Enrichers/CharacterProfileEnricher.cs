@@ -37,6 +37,7 @@ ILogger<CharacterProfileEnricher> logger)
             {
                 state.UserProfile = userProfile;
                 state.UserName = userProfile.Name;
+                state.Selections.Add(ContextSelection.FromData(EnricherName, SelectionMechanism.UserProfile, userProfile));
                 Logger.LogInformation("{Enricher}: ✅ SUCCESSFULLY loaded user profile '{Name}' (Id: {Id}, ProfileId: {ProfileId}, IsUser: {IsUser}). State.UserProfile is now {IsNull}",
                     EnricherName, userProfile.Name, userProfile.Id, userProfile.ProfileId, userProfile.IsUser,
                     state.UserProfile == null ? "NULL (FAILED!)" : "NOT NULL (SUCCESS!)");
@@ -43,13 +43,13 @@ public abstract class DataTypeEnricherBase<TEnricher>(
 
         try
         {
-            var allData = new List<ContextData>();
+            var allData = new List<(ContextData Data, SelectionMechanism Mechanism)>();
             var seenIds = new HashSet<int>();
 
             // 1. Load AlwaysOn data (all types support this)
             var alwaysOnData = await contextDataService.GetAlwaysOnDataAsync(DataType, cancellationToken);
             foreach (var data in alwaysOnData.Where(d => seenIds.Add(d.Id)))
-                allData.Add(data);
+                allData.Add((data, SelectionMechanism.AlwaysOn));
 
             if (alwaysOnData.Count > 0)
                 Logger.LogDebug("{Enricher}: loaded {Count} AlwaysOn entries", EnricherName, alwaysOnData.Count);
@@ -59,7 +59,7 @@ public abstract class DataTypeEnricherBase<TEnricher>(
             {
                 var manualData = await contextDataService.GetActiveManualDataAsync(DataType, cancellationToken);
                 foreach (var data in manualData.Where(d => seenIds.Add(d.Id)))
-                    allData.Add(data);
+                    allData.Add((data, SelectionMechanism.Manual));
 
                 if (manualData.Count > 0)
                     Logger.LogDebug("{Enricher}: loaded {Count} Manual entries", EnricherName, manualData.Count);
@@ -68,7 +68,8 @@ public abstract class DataTypeEnricherBase<TEnricher>(
             // Add all data to the state's type-specific collection
             if (allData.Count > 0)
             {
-                state.AddContextDataRange(allData);
+                foreach (var (data, mechanism) in allData)
+                    state.SelectContextData(data, EnricherName, mechanism);
 
                 Logger.LogInformation(
                 "{Enricher} loaded {Total} entries for session {SessionId}",
@@ -108,6 +109,7 @@ public abstract class DataTypeEnricherBase<TEnricher>(
             await using var db = await dbContextFactory.CreateDbContextAsync(cancellationToken);
             var recentTurns = await db.Turns
                 .Where(t => t.SessionId == state.Session.Id && t.Accepted)
+                .Where(t => state.HistoryCutoff == null || t.CreatedAt < state.HistoryCutoff)
                 .OrderByDescending(t => t.CreatedAt)
                 .Take(maxLookback)
                 .ToListAsync(cancellationToken);
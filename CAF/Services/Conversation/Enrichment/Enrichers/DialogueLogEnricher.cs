@@ -22,6 +22,7 @@ public class DialogueLogEnricher(
 
             var acceptedTurns = await dbContext.Turns
                 .Where(t => t.SessionId == state.Session.Id && t.Accepted)
+                .Where(t => state.HistoryCutoff == null || t.CreatedAt < state.HistoryCutoff)
                 .OrderBy(t => t.CreatedAt)
                 .ToArrayAsync(cancellationToken);
 
@@ -35,17 +36,8 @@ public class DialogueLogEnricher(
             // Build dialogue log for older turns (like GlobalContext.FillDialogueLog)
             if (lastTurnsStartIndex > 0)
             {
-                var logSb = new StringBuilder();
-                logSb.AppendLine("`[meta] Log: Older events this session - For Information Only, DO NOT USE THIS FORMAT`");
-
                 var compressedStartIndex = Math.Max(0, lastTurnsStartIndex - state.MaxDialogueLogTurns);
-                var truncatedTurns = compressedStartIndex;
-                if (truncatedTurns > 0)
-                {
-                    logSb.AppendLine("---");
-                    logSb.AppendLine($"Truncated {truncatedTurns} earlier turns");
-                    logSb.AppendLine("---");
-                }
+                var entries = new List<string>();
 
                 for (var i = compressedStartIndex; i < lastTurnsStartIndex; i++)
                 {
@@ -59,15 +51,14 @@ public class DialogueLogEnricher(
                     }
 
                     // Use StrippedTurn if available, otherwise fallback to Input + Response
-                    var turnContent = !string.IsNullOrWhiteSpace(turn.StrippedTurn)
+                    entries.Add(!string.IsNullOrWhiteSpace(turn.StrippedTurn)
                         ? turn.StrippedTurn
-                        : $"{turn.Input}\n{turn.Response}";
-
-                    logSb.AppendLine(turnContent);
-                    logSb.AppendLine();
+                        : $"{turn.Input}\n{turn.Response}");
                 }
 
-                state.DialogueLog = logSb.Length > 0 ? logSb.ToString() : null;
+                state.DialogueLogEntries = entries;
+                state.DialogueLogTruncatedTurns = compressedStartIndex;
+                state.RebuildDialogueLog();
             }
 
             logger.LogDebug(
@@ -26,6 +26,16 @@ public class FlagEnricher(
             if (activeFlags.Count > 0)
             {
                 state.Flags = [.. activeFlags];
+                foreach (var flag in activeFlags)
+                {
+                    state.Selections.Add(new ContextSelection
+                    {
+                        Enricher = nameof(FlagEnricher),
+                        Mechanism = SelectionMechanism.Flag,
+                        ItemId = flag.Id,
+                        Name = flag.Value
+                    });
+                }
 
                 logger.LogInformation(
                     "Loaded {Count} active flags for profile {ProfileId}: {Values}",
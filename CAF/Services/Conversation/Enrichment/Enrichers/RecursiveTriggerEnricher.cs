@@ -0,0 +1,78 @@
+namespace CAF.Services.Conversation.Enrichment.Enrichers;
+
+/// <summary>
+/// Lets the content of already-activated context data activate further Trigger items, lorebook style:
+/// a character profile mentioning "the amulet" pulls in the amulet memory.
+/// Runs after all enrichers so every selected item is scanned. Each item's content is matched on its own,
+/// so every activation records the item that caused it. Items activated at one depth are scanned at the next,
+/// up to the TriggerRecursionDepth setting (0 = off). Items with ExcludeFromRecursion are never activated this way.
+/// </summary>
+public class RecursiveTriggerEnricher(
+    IContextDataService contextDataService,
+    ISettingService settingService,
+    ILogger<RecursiveTriggerEnricher> logger) : IPostEnricher
+{
+    public async Task EnrichAsync(ConversationState state, CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            var maxDepth = await settingService.GetIntAsync(SettingsKeys.TriggerRecursionDepth, 0, cancellationToken);
+            if (maxDepth <= 0)
+                return;
+
+            var activatedIds = state.GetAllContextDataIds().ToHashSet();
+            var candidates = (await contextDataService.GetAllAsync(
+                    type: null,
+                    availability: AvailabilityType.Trigger,
+                    includeArchived: false,
+                    cancellationToken))
+                .Where(t => t.IsEnabled
+                    && !t.ExcludeFromRecursion
+                    && !string.IsNullOrWhiteSpace(t.TriggerKeywords)
+                    && !activatedIds.Contains(t.Id))
+                .ToList();
+
+            var sources = state.GetAllContextData().ToList();
+
+            for (var depth = 1; depth <= maxDepth && candidates.Count > 0 && sources.Count > 0; depth++)
+            {
+                var activated = new List<ContextData>();
+
+                foreach (var source in sources)
+                {
+                    var scanText = source.GetDisplayContent().ToLowerInvariant();
+                    if (string.IsNullOrWhiteSpace(scanText))
+                        continue;
+
+                    foreach (var trigger in candidates.Except(activated).ToList())
+                    {
+                        var match = TriggerMatcher.Match(trigger, scanText);
+                        if (!match.IsActivated)
+                            continue;
+
+                        state.SelectContextData(trigger, nameof(RecursiveTriggerEnricher), SelectionMechanism.Trigger,
+                            matchedKeywords: match.MatchedTerms, triggeredBy: source, recursionDepth: depth);
+                        activated.Add(trigger);
+
+                        logger.LogInformation(
+                            "✓ Trigger '{TriggerName}' (ID: {Id}) ACTIVATED at depth {Depth} by content of '{SourceName}' (ID: {SourceId}), keywords: {Keywords}",
+                            trigger.Name,
+                            trigger.Id,
+                            depth,
+                            source.Name,
+                            source.Id,
+                            string.Join(", ", match.MatchedTerms));
+                    }
+                }
+
+                // Only the newly activated items can activate anything further
+                candidates = [.. candidates.Except(activated)];
+                sources = activated;
+            }
+        }
+        catch (Exception ex)
+        {
+            logger.LogWarning(ex, "Failed to scan activated context for recursive triggers");
+        }
+    }
+}
@@ -33,24 +33,22 @@ public class SemanticDataEnricher(
             var profileId = profileService.GetActiveProfileId();
 
             // Get token quotas for each data type from settings
-            var quoteQuota = await settingService.GetIntAsync(SettingsKeys.SemanticTokenQuota_Quote, 3000, cancellationToken);
-            var memoryQuota = await settingService.GetIntAsync(SettingsKeys.SemanticTokenQuota_Memory, 4500, cancellationToken);
-            var insightQuota = await settingService.GetIntAsync(SettingsKeys.SemanticTokenQuota_Insight, 2250, cancellationToken);
-            var voiceSampleQuota = await settingService.GetIntAsync(SettingsKeys.SemanticTokenQuota_PersonaVoiceSample, 2250, cancellationToken);
+            var quotas = await GetTokenQuotasAsync(settingService, cancellationToken);
+            var quoteQuota = quotas[DataType.Quote];
+            var memoryQuota = quotas[DataType.Memory];
+            var insightQuota = quotas[DataType.Insight];
+            var voiceSampleQuota = quotas[DataType.PersonaVoiceSample];
 
             // Check if LLM query transformation is enabled
             var useLLMTransformation = await settingService.GetBoolAsync(SettingsKeys.SemanticUseLLMQueryTransformation, true, cancellationToken);
 
             // Build type limits for multi-type search
             var typeLimits = new Dictionary<DataType, int>();
-            if (quoteQuota > 0)
-                typeLimits[DataType.Quote] = MaxResultsPerType * 5;
-            if (memoryQuota > 0)
-                typeLimits[DataType.Memory] = MaxResultsPerType;
-            if (insightQuota > 0)
-                typeLimits[DataType.Insight] = MaxResultsPerType;
-            if (voiceSampleQuota > 0)
-                typeLimits[DataType.PersonaVoiceSample] = MaxResultsPerType * 5;
+            foreach (var (type, quota) in quotas)
+            {
+                if (quota > 0)
+                    typeLimits[type] = GetResultLimit(type);
+            }
 
             if (typeLimits.Count == 0)
             {
@@ -95,8 +93,12 @@ public class SemanticDataEnricher(
                     .Where(d => !existingIds.Contains(d.Id))
                     .ToList();
 
-                // Add to type-specific collections
-                state.AddContextDataRange(uniqueSemantic);
+                // Add to type-specific collections, keeping the similarity score for inspection
+                foreach (var data in uniqueSemantic)
+                {
+                    state.SelectContextData(data, nameof(SemanticDataEnricher), SelectionMechanism.Semantic,
+                        score: (float)data.ProcessWeight);
+                }
 
                 var totalTokens = uniqueSemantic.Sum(d => d.TokenCount ?? 0);
                 logger.LogInformation(
@@ -125,12 +127,30 @@ public class SemanticDataEnricher(
         }
     }
 
+    /// <summary>
+    /// Reads the per-type token quotas from settings. A quota of 0 disables semantic search for that type.
+    /// </summary>
+    public static async Task<Dictionary<DataType, int>> GetTokenQuotasAsync(ISettingService settingService, CancellationToken cancellationToken = default) => new()
+    {
+        [DataType.Quote] = await settingService.GetIntAsync(SettingsKeys.SemanticTokenQuota_Quote, 3000, cancellationToken),
+        [DataType.Memory] = await settingService.GetIntAsync(SettingsKeys.SemanticTokenQuota_Memory, 4500, cancellationToken),
+        [DataType.Insight] = await settingService.GetIntAsync(SettingsKeys.SemanticTokenQuota_Insight, 2250, cancellationToken),
+        [DataType.PersonaVoiceSample] = await settingService.GetIntAsync(SettingsKeys.SemanticTokenQuota_PersonaVoiceSample, 2250, cancellationToken)
+    };
+
+    /// <summary>
+    /// Number of hits fetched for a type before the token quota is applied.
+    /// Quotes and voice samples are short, so more of them are fetched.
+    /// </summary>
+    public static int GetResultLimit(DataType type) =>
+        type is DataType.Quote or DataType.PersonaVoiceSample ? MaxResultsPerType * 5 : MaxResultsPerType;
+
     /// <summary>
     /// Applies a token quota to a list of context data, keeping items until the quota is exceeded.
     /// Items are assumed to be ordered by relevance (most relevant first).
     /// Items without token counts are skipped.
     /// </summary>
-    private static List<ContextData> ApplyTokenQuota(List<ContextData> data, int tokenQuota)
+    public static List<ContextData> ApplyTokenQuota(List<ContextData> data, int tokenQuota)
     {
         var result = new List<ContextData>();
         var currentTokens = 0;
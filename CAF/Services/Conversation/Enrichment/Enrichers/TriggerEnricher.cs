@@ -35,74 +35,53 @@ public class TriggerEnricher(
         var maxLookback = triggers.Max(t => t.TriggerLookbackTurns);
 
         // Get recent turns for this session
-        var recentTurns = await turnService.GetRecentTurnsAsync(sessionId, maxLookback, cancellationToken);
+        var recentTurns = await turnService.GetRecentTurnsAsync(sessionId, maxLookback, state.HistoryCutoff, cancellationToken);
 
         logger.LogDebug("Retrieved {Count} recent turns for trigger evaluation", recentTurns.Count);
 
-        foreach (var trigger in triggers.Where(t => !string.IsNullOrWhiteSpace(t.TriggerKeywords)))
+        // Additional words from settings are scanned along with the current input
+        var additionalWords = await settingService.GetValueAsync(SettingsKeys.TriggerScanTextAdditionalWords, cancellationToken);
+
+        foreach (var trigger in triggers.Where(t => t.IsEnabled && !string.IsNullOrWhiteSpace(t.TriggerKeywords)))
         {
             // Build the text to scan based on this trigger's lookback setting
-            var turnsToScan = recentTurns.Take(trigger.TriggerLookbackTurns).ToList();
-            var textBuilder = new StringBuilder();
-
-            foreach (var turn in turnsToScan)
-            {
-                if (!string.IsNullOrWhiteSpace(turn.Input))
-                    textBuilder.AppendLine(turn.Input);
-                if (!string.IsNullOrWhiteSpace(turn.Response))
-                    textBuilder.AppendLine(turn.Response);
-            }
+            var scanText = TriggerMatcher.BuildScanText(recentTurns, trigger.TriggerLookbackTurns, userInput, additionalWords);
 
-            // Add current input and any additional words from settings
-            var additionalWords = await settingService.GetValueAsync(SettingsKeys.TriggerScanTextAdditionalWords, cancellationToken);
-            var scanText = textBuilder.ToString().ToLowerInvariant() + " " + userInput.ToLowerInvariant();
-            if (!string.IsNullOrWhiteSpace(additionalWords))
+            // Match the keyword list or expression
+            var match = TriggerMatcher.Match(trigger, scanText);
+            if (match.Error != null)
             {
-                scanText += " " + additionalWords.ToLowerInvariant();
+                logger.LogWarning(
+                    "Trigger '{TriggerName}' (ID: {Id}) has an invalid expression and is skipped: {Error}",
+                    trigger.Name,
+                    trigger.Id,
+                    match.Error);
+                continue;
             }
 
-            var keywords = trigger.TriggerKeywords
-                .Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries)
-                .Select(k => k.ToLowerInvariant())
-                .ToList();
+            var matchedKeywords = match.MatchedTerms;
 
             logger.LogDebug(
-                "Evaluating trigger '{TriggerName}' (ID: {Id}, lookback: {Lookback}, keywords: [{Keywords}]) against text length: {TextLength}",
+                "Evaluating trigger '{TriggerName}' (ID: {Id}, lookback: {Lookback}, {Mode}: [{Keywords}]) against text length: {TextLength}",
                 trigger.Name,
                 trigger.Id,
                 trigger.TriggerLookbackTurns,
-                string.Join("', '", keywords),
+                match.IsExpression ? "expression terms" : "keywords",
+                string.Join("', '", match.Terms),
                 scanText.Length);
 
-            // Find matching keywords
-            var matchedKeywords = new List<string>();
-            foreach (var keyword in keywords)
-            {
-                var pattern = $@"\b{Regex.Escape(keyword)}\b";
-                var isMatch = Regex.IsMatch(scanText, pattern, RegexOptions.IgnoreCase);
-
-                logger.LogDebug(
-                    "Keyword '{Keyword}': {Result}",
-                    keyword,
-                    isMatch ? "MATCH" : "no match");
-
-                if (isMatch)
-                {
-                    matchedKeywords.Add(keyword);
-                }
-            }
-
             logger.LogDebug(
                 "Trigger '{TriggerName}': matched {MatchCount}/{RequiredCount} keywords: {Matched}",
                 trigger.Name,
                 matchedKeywords.Count,
-                trigger.TriggerMinMatchCount,
+                match.IsExpression ? "expression" : trigger.TriggerMinMatchCount,
                 matchedKeywords.Count > 0 ? string.Join(", ", matchedKeywords) : "none");
 
-            if (matchedKeywords.Count >= trigger.TriggerMinMatchCount)
+            if (match.IsActivated)
             {
                 // Add to appropriate collection based on data type
-                state.AddContextData(trigger);
+                state.SelectContextData(trigger, nameof(TriggerEnricher), SelectionMechanism.Trigger,
+                    matchedKeywords: matchedKeywords);
 
                 logger.LogInformation(
                     "✓ Trigger '{TriggerName}' (ID: {Id}, Type: {Type}) ACTIVATED by keywords: {Keywords}",
@@ -110,17 +89,13 @@ public class TriggerEnricher(
                     trigger.Id,
                     trigger.Type,
                     string.Join(", ", matchedKeywords));
-
-                // Update usage count
-                trigger.UsageCount++;
-                await contextDataService.UpdateAsync(trigger.Id, trigger, cancellationToken);
             }
             else
             {
                 logger.LogDebug(
                     "✗ Trigger '{TriggerName}' NOT activated (needed {Needed}, got {Got})",
                     trigger.Name,
-                    trigger.TriggerMinMatchCount,
+                    match.IsExpression ? "expression" : trigger.TriggerMinMatchCount,
                     matchedKeywords.Count);
             }
         }
@@ -23,6 +23,7 @@ public class TurnHistoryEnricher(
             // Get all accepted turns ordered by creation date, then by ID for deterministic ordering
             var acceptedTurns = await dbContext.Turns
                 .Where(t => t.SessionId == state.Session.Id && t.Accepted)
+                .Where(t => state.HistoryCutoff == null || t.CreatedAt < state.HistoryCutoff)
                 .OrderBy(t => t.CreatedAt)
                 .ThenBy(t => t.Id)
                 .ToArrayAsync(cancellationToken);
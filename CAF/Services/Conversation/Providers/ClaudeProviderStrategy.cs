@@ -20,4 +20,18 @@ public class ClaudeProviderStrategy(
             cancellationToken,
             state.CurrentTurn.Id);
     }
+
+    public async Task<(bool success, string result)> StreamAsync(
+        ConversationState state,
+        Func<string, Task> onTextChunk,
+        CancellationToken cancellationToken = default)
+    {
+        logger.LogInformation("Streaming Claude for turn {TurnId}", state.CurrentTurn.Id);
+
+        return await claudeClient.StreamGenerateContentAsync(
+            state.ClaudeRequest,
+            onTextChunk,
+            cancellationToken,
+            state.CurrentTurn.Id);
+    }
 }
\ No newline at end of file
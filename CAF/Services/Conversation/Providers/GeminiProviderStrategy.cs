@@ -22,4 +22,19 @@ public class GeminiProviderStrategy(
             state.CurrentTurn.Id,
             cancellationToken);
     }
+
+    public async Task<(bool success, string result)> StreamAsync(
+        ConversationState state,
+        Func<string, Task> onTextChunk,
+        CancellationToken cancellationToken = default)
+    {
+        logger.LogInformation("Streaming Gemini for turn {TurnId}", state.CurrentTurn.Id);
+
+        return await geminiClient.StreamGenerateContentAsync(
+            state.GeminiRequest,
+            false,
+            state.CurrentTurn.Id,
+            onTextChunk,
+            cancellationToken);
+    }
 }
\ No newline at end of file
@@ -0,0 +1,430 @@
+namespace CAF.Services.Conversation;
+
+/// <summary>
+/// Error in a trigger expression, with the character position it was found at
+/// </summary>
+public class TriggerExpressionException(string message, int position) : FormatException(message)
+{
+    public int Position { get; } = position;
+}
+
+/// <summary>
+/// Boolean trigger expression stored in TriggerKeywords after the <c>expr:</c> prefix,
+/// e.g. <c>expr: amulet AND (father OR king) NOT dream</c>.
+/// <list type="bullet">
+/// <item><c>AND</c>, <c>OR</c> (or a comma) and <c>NOT</c> combine terms; <c>a NOT b</c> means a AND NOT b.
+/// Operators must be upper case; AND binds tighter than OR; parentheses group.</item>
+/// <item>Bare words are whole-word matches; adjacent bare words form a phrase, as in plain keyword lists.</item>
+/// <item><c>"quoted text"</c> is a literal phrase, so operator words inside it are just words.</item>
+/// <item><c>drag*</c> matches any word starting with "drag".</item>
+/// <item><c>/pattern/</c> is a case-insensitive regular expression; <c>\/</c> escapes a slash.</item>
+/// </list>
+/// All matching is case-insensitive. TriggerKeywords without the prefix are a plain comma-separated keyword list,
+/// even when they contain quotes, parentheses or operator words, and keep using TriggerMinMatchCount.
+/// </summary>
+public sealed class TriggerExpression
+{
+    /// <summary>
+    /// Marks TriggerKeywords as an expression
+    /// </summary>
+    public const string Prefix = "expr:";
+
+    private static readonly TimeSpan RegexTimeout = TimeSpan.FromMilliseconds(200);
+
+    private readonly Node _root;
+
+    /// <summary>
+    /// Display text of every term in the expression, in order of appearance
+    /// </summary>
+    public IReadOnlyList<string> Terms { get; }
+
+    private TriggerExpression(Node root, List<string> terms)
+    {
+        _root = root;
+        Terms = terms;
+    }
+
+    /// <summary>
+    /// Whether the TriggerKeywords text is an expression (starts with <see cref="Prefix"/>)
+    /// rather than a plain comma-separated keyword list
+    /// </summary>
+    public static bool IsExpression(string? text) =>
+        text != null && text.TrimStart().StartsWith(Prefix, StringComparison.OrdinalIgnoreCase);
+
+    /// <summary>
+    /// TriggerKeywords text for the expression
+    /// </summary>
+    public static string ToKeywords(string expression) => $"{Prefix} {expression}";
+
+    /// <summary>
+    /// The expression after the prefix; text without the prefix is returned unchanged
+    /// </summary>
+    public static string StripPrefix(string text) =>
+        IsExpression(text) ? text.TrimStart()[Prefix.Length..].Trim() : text;
+
+    /// <summary>
+    /// Parses an expression, with or without the prefix
+    /// </summary>
+    /// <exception cref="TriggerExpressionException">The expression is invalid</exception>
+    public static TriggerExpression Parse(string text)
+    {
+        if (IsExpression(text))
+        {
+            // Blank out the prefix so error positions still point into the stored text
+            var end = text.IndexOf(':') + 1;
+            text = new string(' ', end) + text[end..];
+        }
+
+        var parser = new Parser(Tokenize(text));
+        var root = parser.ParseExpression();
+        return new TriggerExpression(root, parser.Terms);
+    }
+
+    /// <summary>
+    /// Returns the parse error of the text, or null when it is a valid expression or a plain keyword list
+    /// </summary>
+    public static TriggerExpressionException? Validate(string? text)
+    {
+        if (!IsExpression(text))
+            return null;
+
+        try
+        {
+            Parse(text!);
+            return null;
+        }
+        catch (TriggerExpressionException ex)
+        {
+            return ex;
+        }
+    }
+
+    /// <summary>
+    /// Evaluates the expression against the text
+    /// </summary>
+    /// <param name="matchedTerms">Receives the terms that matched, excluding negated ones</param>
+    public bool IsMatch(string text, List<string> matchedTerms) => _root.Evaluate(text, matchedTerms, negated: false);
+
+    /// <summary>
+    /// A single regular expression that matches exactly when the expression does, built from lookaheads
+    /// at the start of the text; for tools that only accept regex keys. Match it case-insensitively.
+    /// </summary>
+    public string ToRegexPattern() => "^" + _root.ToPattern();
+
+    #region Nodes
+
+    private abstract class Node
+    {
+        public abstract bool Evaluate(string text, List<string> matchedTerms, bool negated);
+
+        /// <summary>
+        /// Zero-width pattern that succeeds at the start of the text when this node matches
+        /// </summary>
+        public abstract string ToPattern();
+    }
+
+    private sealed class TermNode(string display, Regex regex) : Node
+    {
+        public override bool Evaluate(string text, List<string> matchedTerms, bool negated)
+        {
+            bool isMatch;
+            try
+            {
+                isMatch = regex.IsMatch(text);
+            }
+            catch (RegexMatchTimeoutException)
+            {
+                isMatch = false;
+            }
+
+            if (isMatch && !negated && !matchedTerms.Contains(display))
+                matchedTerms.Add(display);
+
+            return isMatch;
+        }
+
+        public override string ToPattern() => $@"(?=[\s\S]*?(?:{regex}))";
+    }
+
+    // Both sides are always evaluated so every matching term is reported
+    private sealed class AndNode(Node left, Node right) : Node
+    {
+        public override bool Evaluate(string text, List<string> matchedTerms, bool negated) =>
+            left.Evaluate(text, matchedTerms, negated) & right.Evaluate(text, matchedTerms, negated);
+
+        public override string ToPattern() => left.ToPattern() + right.ToPattern();
+    }
+
+    private sealed class OrNode(Node left, Node right) : Node
+    {
+        public override bool Evaluate(string text, List<string> matchedTerms, bool negated) =>
+            left.Evaluate(text, matchedTerms, negated) | right.Evaluate(text, matchedTerms, negated);
+
+        public override string ToPattern() => $"(?:{left.ToPattern()}|{right.ToPattern()})";
+    }
+
+    private sealed class NotNode(Node inner) : Node
+    {
+        public override bool Evaluate(string text, List<string> matchedTerms, bool negated) =>
+            !inner.Evaluate(text, matchedTerms, !negated);
+
+        public override string ToPattern() => $"(?!{inner.ToPattern()})";
+    }
+
+    #endregion Nodes
+
+    #region Tokenizer
+
+    private enum TokenKind
+    {
+        Word,
+        Phrase,
+        Regex,
+        And,
+        Or,
+        Not,
+        OpenParen,
+        CloseParen,
+        End
+    }
+
+    private sealed record Token(TokenKind Kind, string Text, int Position);
+
+    private static List<Token> Tokenize(string text)
+    {
+        var tokens = new List<Token>();
+        var i = 0;
+
+        while (i < text.Length)
+        {
+            var c = text[i];
+
+            if (char.IsWhiteSpace(c))
+            {
+                i++;
+                continue;
+            }
+
+            switch (c)
+            {
+                case '(':
+                    tokens.Add(new Token(TokenKind.OpenParen, "(", i++));
+                    continue;
+                case ')':
+                    tokens.Add(new Token(TokenKind.CloseParen, ")", i++));
+                    continue;
+                case ',':
+                    tokens.Add(new Token(TokenKind.Or, ",", i++));
+                    continue;
+                case '"':
+                {
+                    var end = text.IndexOf('"', i + 1);
+                    if (end < 0)
+                        throw new TriggerExpressionException("Unterminated quoted phrase", i);
+
+                    var phrase = text[(i + 1)..end].Trim();
+                    if (phrase.Length == 0)
+                        throw new TriggerExpressionException("Empty quoted phrase", i);
+
+                    tokens.Add(new Token(TokenKind.Phrase, phrase, i));
+                    i = end + 1;
+                    continue;
+                }
+                case '/':
+                {
+                    var pattern = new StringBuilder();
+                    var j = i + 1;
+                    while (j < text.Length && text[j] != '/')
+                    {
+                        if (text[j] == '\\' && j + 1 < text.Length && text[j + 1] == '/')
+                            j++;
+                        pattern.Append(text[j++]);
+                    }
+
+                    if (j >= text.Length)
+                        throw new TriggerExpressionException("Unterminated regular expression", i);
+                    if (pattern.Length == 0)
+                        throw new TriggerExpressionException("Empty regular expression", i);
+
+                    tokens.Add(new Token(TokenKind.Regex, pattern.ToString(), i));
+                    i = j + 1;
+                    continue;
+                }
+            }
+
+            var start = i;
+            while (i < text.Length && !char.IsWhiteSpace(text[i]) && text[i] is not ('(' or ')' or ',' or '"'))
+                i++;
+
+            var word = text[start..i];
+            var kind = word switch
+            {
+                "AND" => TokenKind.And,
+                "OR" => TokenKind.Or,
+                "NOT" => TokenKind.Not,
+                _ => TokenKind.Word
+            };
+            tokens.Add(new Token(kind, word, start));
+        }
+
+        tokens.Add(new Token(TokenKind.End, string.Empty, text.Length));
+        return tokens;
+    }
+
+    #endregion Tokenizer
+
+    #region Parser
+
+    private sealed class Parser(List<Token> tokens)
+    {
+        private int _index;
+
+        public List<string> Terms { get; } = [];
+
+        private Token Current => tokens[_index];
+
+        public Node ParseExpression()
+        {
+            if (Current.Kind == TokenKind.End)
+                throw new TriggerExpressionException("Expression is empty", Current.Position);
+
+            var node = ParseOr();
+            if (Current.Kind != TokenKind.End)
+            {
+                throw Current.Kind == TokenKind.CloseParen
+                    ? new TriggerExpressionException("Unmatched ')'", Current.Position)
+                    : new TriggerExpressionException($"Expected AND, OR or ',' before '{Current.Text}'", Current.Position);
+            }
+
+            return node;
+        }
+
+        private Node ParseOr()
+        {
+            var node = ParseAnd();
+            while (Current.Kind == TokenKind.Or)
+            {
+                _index++;
+                node = new OrNode(node, ParseAnd());
+            }
+
+            return node;
+        }
+
+        private Node ParseAnd()
+        {
+            var node = ParseNot();
+            while (true)
+            {
+                if (Current.Kind == TokenKind.And)
+                {
+                    _index++;
+                    node = new AndNode(node, ParseNot());
+                }
+                else if (Current.Kind == TokenKind.Not)
+                {
+                    // "a NOT b" reads as "a AND NOT b"
+                    node = new AndNode(node, ParseNot());
+                }
+                else
+                {
+                    return node;
+                }
+            }
+        }
+
+        private Node ParseNot()
+        {
+            if (Current.Kind != TokenKind.Not)
+                return ParsePrimary();
+
+            _index++;
+            return new NotNode(ParseNot());
+        }
+
+        private Node ParsePrimary()
+        {
+            var token = Current;
+            switch (token.Kind)
+            {
+                case TokenKind.OpenParen:
+                {
+                    _index++;
+                    if (Current.Kind == TokenKind.CloseParen)
+                        throw new TriggerExpressionException("Empty parentheses", token.Position);
+
+                    var node = ParseOr();
+                    if (Current.Kind != TokenKind.CloseParen)
+                        throw new TriggerExpressionException("Missing ')'", token.Position);
+
+                    _index++;
+                    return node;
+                }
+                case TokenKind.Phrase:
+                    _index++;
+                    return Term($"\"{token.Text}\"", WordPattern(token.Text, prefix: false), token.Position);
+                case TokenKind.Regex:
+                    _index++;
+                    return Term($"/{token.Text}/", token.Text, token.Position);
+                case TokenKind.Word:
+                    return ParseWords();
+                case TokenKind.End:
+                    throw new TriggerExpressionException("Expression ends unexpectedly", token.Position);
+                default:
+                    throw new TriggerExpressionException($"Expected a term but found '{token.Text}'", token.Position);
+            }
+        }
+
+        /// <summary>
+        /// Adjacent bare words form one phrase; a trailing '*' on the last word makes it a prefix match
+        /// </summary>
+        private Node ParseWords()
+        {
+            var start = Current.Position;
+            var words = new List<string>();
+            while (Current.Kind == TokenKind.Word)
+            {
+                var word = Current.Text;
+                var star = word.IndexOf('*');
+                if (star >= 0 && (star != word.Length - 1 || word.Length == 1))
+                    throw new TriggerExpressionException("'*' is only allowed at the end of a word", Current.Position + star);
+
+                words.Add(word);
+                _index++;
+
+                if (star >= 0 && Current.Kind == TokenKind.Word)
+                    throw new TriggerExpressionException("'*' is only allowed at the end of the last word of a phrase", Current.Position);
+            }
+
+            var display = string.Join(' ', words);
+            var prefix = display.EndsWith('*');
+            return Term(display, WordPattern(prefix ? display[..^1] : display, prefix), start);
+        }
+
+        private TermNode Term(string display, string pattern, int position)
+        {
+            Regex regex;
+            try
+            {
+                regex = new Regex(pattern, RegexOptions.IgnoreCase | RegexOptions.CultureInvariant, RegexTimeout);
+            }
+            catch (ArgumentException ex)
+            {
+                throw new TriggerExpressionException($"Invalid regular expression: {ex.Message}", position);
+            }
+
+            Terms.Add(display);
+            return new TermNode(display, regex);
+        }
+
+        private static string WordPattern(string text, bool prefix)
+        {
+            // Any run of whitespace between the words of a phrase matches
+            var words = text.Split((char[]?)null, StringSplitOptions.RemoveEmptyEntries).Select(Regex.Escape);
+            var pattern = $@"\b{string.Join(@"\s+", words)}";
+            return prefix ? pattern + @"\w*" : pattern + @"\b";
+        }
+    }
+
+    #endregion Parser
+}
@@ -0,0 +1,174 @@
+namespace CAF.Services.Conversation;
+
+/// <summary>
+/// Outcome of matching a single Trigger item against the scanned text
+/// </summary>
+public class TriggerEvaluation
+{
+    public int ItemId { get; set; }
+
+    public string Name { get; set; } = string.Empty;
+
+    [JsonConverter(typeof(JsonStringEnumConverter))]
+    public DataType Type { get; set; }
+
+    /// <summary>
+    /// Keywords, or the terms of an expression
+    /// </summary>
+    public List<string> Keywords { get; set; } = [];
+
+    public List<string> MatchedKeywords { get; set; } = [];
+
+    /// <summary>
+    /// Minimum keyword matches; not used by expressions
+    /// </summary>
+    public int MinMatchCount { get; set; }
+
+    /// <summary>
+    /// Whether TriggerKeywords uses the expression syntax
+    /// </summary>
+    public bool IsExpression { get; set; }
+
+    /// <summary>
+    /// Parse error of an invalid expression; the trigger never activates while it is set
+    /// </summary>
+    public string? Error { get; set; }
+
+    public int LookbackTurns { get; set; }
+
+    /// <summary>
+    /// Number of past turns actually scanned (fewer than the lookback when the session is short)
+    /// </summary>
+    public int TurnsScanned { get; set; }
+
+    public bool WouldActivate { get; set; }
+
+    /// <summary>
+    /// Matched at least one keyword but one short of the minimum
+    /// </summary>
+    public bool MissedByOne { get; set; }
+
+    public int CooldownTurns { get; set; }
+
+    public int UsedLastOnTurnId { get; set; }
+
+    /// <summary>
+    /// Whether the item is on cooldown for the next turn; null when the next turn is unknown
+    /// </summary>
+    public bool? OnCooldown { get; set; }
+}
+
+/// <summary>
+/// Result of matching one trigger against the scan text
+/// </summary>
+/// <param name="Terms">Keywords, or the terms of an expression</param>
+/// <param name="MatchedTerms">Terms found in the text (negated expression terms are not included)</param>
+/// <param name="Error">Parse error of an invalid expression</param>
+public record TriggerMatch(
+    List<string> Terms,
+    List<string> MatchedTerms,
+    bool IsActivated,
+    bool IsExpression = false,
+    string? Error = null);
+
+/// <summary>
+/// Keyword matching for Trigger availability, shared by the TriggerEnricher, ContextDataService and the trigger simulator.
+/// A trigger scans its last TriggerLookbackTurns turns, the current input and the configured additional words.
+/// A plain keyword list activates when at least TriggerMinMatchCount of its keywords match as whole words;
+/// a <see cref="TriggerExpression"/> activates when it evaluates to true.
+/// </summary>
+public static class TriggerMatcher
+{
+    /// <summary>
+    /// Builds the lowercased text a trigger is matched against
+    /// </summary>
+    /// <param name="recentTurns">Recent turns in chronological order</param>
+    public static string BuildScanText(IReadOnlyList<Turn> recentTurns, int lookbackTurns, string? input, string? additionalWords)
+    {
+        var textBuilder = new StringBuilder();
+
+        foreach (var turn in recentTurns.TakeLast(lookbackTurns))
+        {
+            if (!string.IsNullOrWhiteSpace(turn.Input))
+                textBuilder.AppendLine(turn.Input);
+            if (!string.IsNullOrWhiteSpace(turn.Response))
+                textBuilder.AppendLine(turn.Response);
+        }
+
+        var scanText = textBuilder.ToString().ToLowerInvariant() + " " + (input ?? string.Empty).ToLowerInvariant();
+        if (!string.IsNullOrWhiteSpace(additionalWords))
+        {
+            scanText += " " + additionalWords.ToLowerInvariant();
+        }
+
+        return scanText;
+    }
+
+    /// <summary>
+    /// Returns the keywords that occur in the scan text as whole words
+    /// </summary>
+    public static List<string> FindMatches(string scanText, IEnumerable<string> keywords) =>
+        [.. keywords.Where(keyword => Regex.IsMatch(scanText, $@"\b{Regex.Escape(keyword)}\b", RegexOptions.IgnoreCase))];
+
+    /// <summary>
+    /// Matches the trigger's keyword list or expression against the scan text
+    /// </summary>
+    public static TriggerMatch Match(ContextData trigger, string scanText)
+    {
+        if (!TriggerExpression.IsExpression(trigger.TriggerKeywords))
+        {
+            var keywords = trigger.GetKeywordList().ToList();
+            var matched = FindMatches(scanText, keywords);
+            return new TriggerMatch(keywords, matched, matched.Count >= trigger.TriggerMinMatchCount);
+        }
+
+        try
+        {
+            var expression = TriggerExpression.Parse(trigger.TriggerKeywords!);
+            var matched = new List<string>();
+            var isMatch = expression.IsMatch(scanText, matched);
+            return new TriggerMatch([.. expression.Terms], matched, isMatch, IsExpression: true);
+        }
+        catch (TriggerExpressionException ex)
+        {
+            return new TriggerMatch([], [], false, IsExpression: true, Error: ex.Message);
+        }
+    }
+
+    /// <summary>
+    /// Evaluates a trigger without side effects
+    /// </summary>
+    /// <param name="recentTurns">Recent turns in chronological order</param>
+    /// <param name="nextTurnId">Id the next turn would get, used for the cooldown check; null if unknown</param>
+    public static TriggerEvaluation Evaluate(
+        ContextData trigger,
+        IReadOnlyList<Turn> recentTurns,
+        string? input,
+        string? additionalWords,
+        int? nextTurnId = null)
+    {
+        var scanText = BuildScanText(recentTurns, trigger.TriggerLookbackTurns, input, additionalWords);
+        var match = Match(trigger, scanText);
+        var matched = match.MatchedTerms;
+        var wouldActivate = match.IsActivated;
+
+        return new TriggerEvaluation
+        {
+            ItemId = trigger.Id,
+            Name = trigger.Name,
+            Type = trigger.Type,
+            Keywords = match.Terms,
+            MatchedKeywords = matched,
+            MinMatchCount = trigger.TriggerMinMatchCount,
+            IsExpression = match.IsExpression,
+            Error = match.Error,
+            LookbackTurns = trigger.TriggerLookbackTurns,
+            TurnsScanned = Math.Min(trigger.TriggerLookbackTurns, recentTurns.Count),
+            WouldActivate = wouldActivate,
+            MissedByOne = !match.IsExpression && !wouldActivate && matched.Count > 0 && matched.Count == trigger.TriggerMinMatchCount - 1,
+            CooldownTurns = trigger.CooldownTurns,
+            UsedLastOnTurnId = trigger.UsedLastOnTurnId,
+            OnCooldown = nextTurnId.HasValue ? trigger.IsOnCooldown(nextTurnId.Value) : null
+        };
+    }
+}
@@ -112,6 +112,50 @@ Prioritize:
 - Philosophical or thematic depth
 - Unique phrasing or metaphors
 - Relationship dynamics
+""";
+
+    public const string MemoryExtractionInstructions = """
+You are an archivist for a long-running roleplay. You will be given a transcript of accepted turns from one session.
+Propose the items worth keeping for future sessions:
+- **Memory**: a significant event, decision or change in the relationship, written as a short self-contained account in past tense
+- **Insight**: something a character learned or realized about themselves or the other, stated in one or two sentences
+- **Quote**: a memorable line of dialogue, copied verbatim from the transcript
+
+Respond ONLY with a JSON array, no other text:
+[
+  {
+    "type": "Memory|Insight|Quote",
+    "name": "Short descriptive title",
+    "content": "The memory, insight or exact quoted line",
+    "speaker": "Who said it (quotes) or who it is mainly about",
+    "nonverbal": "Gestures or body language around a quote, otherwise empty",
+    "tags": ["tag1", "tag2", "tag3"]
+  }
+]
+
+Guidelines:
+- Only propose what would matter in a later session; skip small talk and routine actions
+- Never invent events or lines that are not in the transcript
+- Use the actual character names, not "user" or "assistant"
+- 3-7 lowercase thematic tags per item
+- Return [] if nothing is worth keeping
+""";
+
+    public const string SessionSummaryInstructions = """
+You are an archivist for a long-running roleplay. You will be given the transcript of a session that has just ended.
+Write a memory of the session that lets the story continue in a later session without the transcript.
+
+Format:
+Summary: 3-6 sentences in past tense covering what happened, where, and how the situation was left at the end
+
+Key events:
+- One line per event that changed the story, the relationship or what the characters know
+- Include promises, decisions, revelations and unresolved threads
+
+Guidelines:
+- Use the actual character names
+- Never invent events that are not in the transcript
+- Keep it token conservative; skip small talk and routine actions
 """;
 
     public const string EpistemicPerception = """
@@ -0,0 +1,162 @@
+using System.Numerics;
+
+namespace CAF.Services;
+
+/// <summary>
+/// Groups near-duplicate context data items of the same type.
+/// Two items that both have a stored embedding are compared by cosine similarity; a pair where either one
+/// is not embedded is compared by text similarity, the Dice coefficient of the character trigrams of the
+/// normalized content. Groups are the connected components of the pairs at or above the thresholds.
+/// </summary>
+public static class DuplicateDetector
+{
+    private static readonly Regex NonWordCharacters = new(@"[^\p{L}\p{N}]+", RegexOptions.Compiled);
+
+    public static List<DuplicateGroup> FindGroups(
+        IReadOnlyList<ContextData> items,
+        IReadOnlyDictionary<int, float[]> embeddings,
+        double embeddingThreshold,
+        double textThreshold)
+    {
+        var groups = new List<DuplicateGroup>();
+
+        foreach (var typeItems in items.GroupBy(i => i.Type))
+        {
+            var list = typeItems.ToList();
+            var vectors = list.Select(i => embeddings.TryGetValue(i.Id, out var v) ? Normalize(v) : null).ToArray();
+            var trigrams = list.Select(i => Trigrams(i.Content)).ToArray();
+            var parent = Enumerable.Range(0, list.Count).ToArray();
+            var links = new List<(int Item, double Score, bool ByText)>();
+
+            for (var a = 0; a < list.Count; a++)
+            {
+                for (var b = a + 1; b < list.Count; b++)
+                {
+                    double score;
+                    bool byText;
+                    if (vectors[a] is { } va && vectors[b] is { } vb && va.Length == vb.Length)
+                    {
+                        score = Dot(va, vb);
+                        byText = false;
+                        if (score < embeddingThreshold)
+                            continue;
+                    }
+                    else
+                    {
+                        // The Dice coefficient cannot exceed 2·min/(sum), so most pairs are skipped without comparing sets
+                        var (countA, countB) = (trigrams[a].Count, trigrams[b].Count);
+                        if (2.0 * Math.Min(countA, countB) / Math.Max(1, countA + countB) < textThreshold)
+                            continue;
+
+                        score = Dice(trigrams[a], trigrams[b]);
+                        byText = true;
+                        if (score < textThreshold)
+                            continue;
+                    }
+
+                    parent[Find(parent, a)] = Find(parent, b);
+                    links.Add((a, score, byText));
+                }
+            }
+
+            var linksByRoot = links.ToLookup(l => Find(parent, l.Item));
+
+            foreach (var component in Enumerable.Range(0, list.Count).GroupBy(i => Find(parent, i)).Where(c => c.Count() > 1))
+            {
+                var componentLinks = linksByRoot[component.Key].ToList();
+                groups.Add(new DuplicateGroup
+                {
+                    Type = typeItems.Key,
+                    Similarity = Math.Round(componentLinks.Min(l => l.Score), 4),
+                    MatchedBy = componentLinks.All(l => l.ByText) ? DuplicateMatch.Text
+                        : componentLinks.Any(l => l.ByText) ? DuplicateMatch.Mixed
+                        : DuplicateMatch.Embedding,
+                    Items = [.. component
+                        .Select(i => list[i])
+                        .OrderByDescending(d => d.UsageCount + d.TriggerCount)
+                        .ThenBy(d => d.CreatedAt)
+                        .ThenBy(d => d.Id)]
+                });
+            }
+        }
+
+        return [.. groups.OrderBy(g => g.Type).ThenByDescending(g => g.Similarity)];
+    }
+
+    /// <summary>
+    /// Dice coefficient of the character trigrams of both texts, ignoring case, punctuation and spacing
+    /// </summary>
+    public static double TextSimilarity(string a, string b) => Dice(Trigrams(a), Trigrams(b));
+
+    private static HashSet<string> Trigrams(string text)
+    {
+        var normalized = NonWordCharacters.Replace(text.ToLowerInvariant(), " ").Trim();
+        if (normalized.Length == 0)
+            return [];
+
+        var padded = $" {normalized} ";
+        var trigrams = new HashSet<string>(StringComparer.Ordinal);
+        for (var i = 0; i + 3 <= padded.Length; i++)
+        {
+            trigrams.Add(padded.Substring(i, 3));
+        }
+
+        return trigrams;
+    }
+
+    private static double Dice(HashSet<string> a, HashSet<string> b)
+    {
+        if (a.Count == 0 || b.Count == 0)
+            return 0;
+
+        var (smaller, larger) = a.Count <= b.Count ? (a, b) : (b, a);
+        var shared = smaller.Count(larger.Contains);
+        return 2.0 * shared / (a.Count + b.Count);
+    }
+
+    private static float[]? Normalize(float[] vector)
+    {
+        var length = Math.Sqrt(Dot(vector, vector));
+        if (length == 0)
+            return null;
+
+        return [.. vector.Select(v => (float)(v / length))];
+    }
+
+    /// <summary>
+    /// SIMD dot product; every pair of embedded items of a type is compared
+    /// </summary>
+    private static double Dot(float[] a, float[] b)
+    {
+        var sum = 0f;
+        var i = 0;
+
+        if (Vector.IsHardwareAccelerated)
+        {
+            var accumulator = Vector<float>.Zero;
+            for (; i <= a.Length - Vector<float>.Count; i += Vector<float>.Count)
+            {
+                accumulator += new Vector<float>(a, i) * new Vector<float>(b, i);
+            }
+            sum = Vector.Sum(accumulator);
+        }
+
+        for (; i < a.Length; i++)
+        {
+            sum += a[i] * b[i];
+        }
+
+        return sum;
+    }
+
+    private static int Find(int[] parent, int i)
+    {
+        while (parent[i] != i)
+        {
+            parent[i] = parent[parent[i]];
+            i = parent[i];
+        }
+
+        return i;
+    }
+}
@@ -0,0 +1,141 @@
+namespace CAF.Services;
+
+/// <summary>
+/// Finds near-duplicate context data with <see cref="DuplicateDetector"/> and merges or archives the extras.
+/// </summary>
+public class DuplicateFinderService(
+    IDbContextFactory<GeneralDbContext> dbContextFactory,
+    IProfileService profileService,
+    ISemanticService semanticService,
+    ILogger<DuplicateFinderService> logger) : IDuplicateFinderService
+{
+    private readonly int _profileId = profileService.GetActiveProfileId();
+
+    public async Task<DuplicateSearchResponse> FindAsync(DuplicateSearchRequest request, CancellationToken cancellationToken = default)
+    {
+        if (request.Types.Count == 0)
+            throw new InvalidOperationException("Select at least one type");
+        if (request.EmbeddingThreshold is <= 0 or > 1 || request.TextThreshold is <= 0 or > 1)
+            throw new InvalidOperationException("Thresholds must be between 0 and 1");
+
+        await using var db = await dbContextFactory.CreateDbContextAsync(cancellationToken);
+        var items = await db.ContextData.AsNoTracking()
+            .Where(d => d.ProfileId == _profileId && !d.IsArchived && request.Types.Contains(d.Type))
+            .OrderBy(d => d.Id)
+            .ToListAsync(cancellationToken);
+
+        var embeddings = new Dictionary<int, float[]>();
+        foreach (var type in items.Where(d => d.InVectorDb).Select(d => d.Type).Distinct())
+        {
+            var stored = await semanticService.GetStoredEmbeddingsAsync(_profileId, type, cancellationToken);
+            foreach (var item in items.Where(d => d.Type == type && d.InVectorDb))
+            {
+                if (stored.TryGetValue(item.Id, out var vector))
+                    embeddings[item.Id] = vector;
+            }
+        }
+
+        var groups = DuplicateDetector.FindGroups(items, embeddings, request.EmbeddingThreshold, request.TextThreshold);
+
+        logger.LogInformation("Found {Groups} duplicate groups among {Items} items ({Embedded} embedded)",
+            groups.Count, items.Count, embeddings.Count);
+
+        return new DuplicateSearchResponse
+        {
+            Groups = groups,
+            ItemCount = items.Count,
+            EmbeddedCount = embeddings.Count
+        };
+    }
+
+    public async Task<BulkOperationResponse> ResolveAsync(ResolveDuplicatesRequest request, CancellationToken cancellationToken = default)
+    {
+        var duplicateIds = request.DuplicateIds.Distinct().ToList();
+        if (duplicateIds.Count == 0)
+            throw new InvalidOperationException("No duplicates selected");
+        if (duplicateIds.Contains(request.KeepId))
+            throw new InvalidOperationException("The kept item cannot also be a duplicate");
+
+        await using var db = await dbContextFactory.CreateDbContextAsync(cancellationToken);
+        var kept = await db.ContextData
+            .FirstOrDefaultAsync(d => d.Id == request.KeepId && d.ProfileId == _profileId, cancellationToken)
+            ?? throw new InvalidOperationException($"Item {request.KeepId} not found");
+        if (kept.IsArchived)
+            throw new InvalidOperationException("The kept item is archived");
+        var duplicates = await db.ContextData
+            .Where(d => d.ProfileId == _profileId && duplicateIds.Contains(d.Id))
+            .ToListAsync(cancellationToken);
+
+        if (duplicates.Count != duplicateIds.Count)
+            throw new InvalidOperationException("Some duplicates were not found");
+        if (duplicates.Any(d => d.Type != kept.Type))
+            throw new InvalidOperationException("Only items of the same type can be merged");
+
+        var now = DateTime.UtcNow;
+        var tagsChanged = false;
+
+        if (request.Action == DuplicateResolution.Merge)
+        {
+            var before = ContextDataSnapshot.From(kept).ToJson();
+            var tags = kept.Tags.ToList();
+            tags.AddRange(duplicates
+                .SelectMany(d => d.Tags)
+                .Distinct(StringComparer.OrdinalIgnoreCase)
+                .Where(t => !tags.Contains(t, StringComparer.OrdinalIgnoreCase)));
+            tagsChanged = tags.Count != kept.Tags.Count;
+
+            kept.Tags = tags;
+            kept.UsageCount += duplicates.Sum(d => d.UsageCount);
+            kept.TriggerCount += duplicates.Sum(d => d.TriggerCount);
+            kept.LastUsedAt = duplicates.Select(d => d.LastUsedAt).Append(kept.LastUsedAt).Max();
+            kept.LastTriggeredAt = duplicates.Select(d => d.LastTriggeredAt).Append(kept.LastTriggeredAt).Max();
+            kept.ModifiedAt = now;
+
+            if (ContextDataRevision.ForChange(before, kept, RevisionSource.DuplicateResolution) is { } revision)
+                db.ContextDataRevisions.Add(revision);
+        }
+
+        // Merged duplicates are archived rather than deleted, so a wrong group can be restored from their history
+        foreach (var duplicate in duplicates)
+        {
+            var before = ContextDataSnapshot.From(duplicate).ToJson();
+            duplicate.IsArchived = true;
+            duplicate.Availability = AvailabilityType.Archive;
+            duplicate.ModifiedAt = now;
+
+            if (ContextDataRevision.ForChange(before, duplicate, RevisionSource.DuplicateResolution) is { } revision)
+                db.ContextDataRevisions.Add(revision);
+        }
+
+        await db.SaveChangesAsync(cancellationToken);
+
+        var embedded = duplicates.Where(d => d.InVectorDb).ToList();
+        if (embedded.Count > 0)
+            await semanticService.UnembedBatchAsync(embedded, cancellationToken);
+
+        // Identical texts share point ids, so removing a duplicate's points can also remove the kept item's;
+        // merged tags also change its tag chunk
+        if (kept.InVectorDb && (embedded.Count > 0 || tagsChanged))
+        {
+            try
+            {
+                await semanticService.ReembedAsync(kept, cancellationToken);
+            }
+            catch (Exception ex)
+            {
+                logger.LogWarning(ex, "Re-embedding kept ContextData {Id} failed", kept.Id);
+            }
+        }
+
+        logger.LogInformation("Resolved {Count} duplicates of ContextData {Id}: {Action}", duplicates.Count, kept.Id, request.Action);
+
+        return new BulkOperationResponse
+        {
+            Success = true,
+            Processed = duplicates.Count,
+            Message = request.Action == DuplicateResolution.Merge
+                ? $"Merged {duplicates.Count} duplicates into \"{kept.Name}\""
+                : $"Archived {duplicates.Count} duplicates of \"{kept.Name}\""
+        };
+    }
+}
@@ -0,0 +1,204 @@
+namespace CAF.Services;
+
+public class LLMRequestLogService(GeneralDbContext context) : ILLMRequestLogService
+{
+    private const int MaxPageSize = 200;
+
+    public async Task<LLMRequestLogPageResponse> GetPageAsync(LLMRequestLogQuery query, CancellationToken cancellationToken = default)
+    {
+        var page = Math.Max(1, query.Page);
+        var pageSize = Math.Clamp(query.PageSize, 1, MaxPageSize);
+
+        var logs = ApplyFilters(context.LLMRequestLogs.AsNoTracking(), query);
+
+        var totalCount = await logs.CountAsync(cancellationToken);
+        var items = await logs
+            .OrderByDescending(l => l.StartTime)
+            .ThenByDescending(l => l.Id)
+            .Skip((page - 1) * pageSize)
+            .Take(pageSize)
+            .Select(l => new LLMRequestLogSummary
+            {
+                Id = l.Id,
+                Provider = l.Provider,
+                Model = l.Model,
+                Operation = l.Operation,
+                StartTime = l.StartTime,
+                DurationMs = l.DurationMs,
+                InputTokens = l.InputTokens,
+                OutputTokens = l.OutputTokens,
+                CachedContentTokenCount = l.CachedContentTokenCount,
+                ThinkingTokens = l.ThinkingTokens,
+                TotalCost = l.TotalCost,
+                StatusCode = l.StatusCode,
+                TurnId = l.TurnId
+            })
+            .ToListAsync(cancellationToken);
+
+        return new LLMRequestLogPageResponse
+        {
+            Items = items,
+            TotalCount = totalCount,
+            Page = page,
+            PageSize = pageSize
+        };
+    }
+
+    public async Task<LLMRequestLogEntity?> GetByIdAsync(long id, CancellationToken cancellationToken = default)
+    {
+        return await context.LLMRequestLogs
+            .AsNoTracking()
+            .FirstOrDefaultAsync(l => l.Id == id, cancellationToken);
+    }
+
+    public async Task<LLMRequestLogFilterOptions> GetFilterOptionsAsync(CancellationToken cancellationToken = default)
+    {
+        var logs = context.LLMRequestLogs.AsNoTracking();
+
+        return new LLMRequestLogFilterOptions
+        {
+            Providers = await logs.Select(l => l.Provider).Distinct().OrderBy(p => p).ToListAsync(cancellationToken),
+            Models = await logs.Select(l => l.Model).Distinct().OrderBy(m => m).ToListAsync(cancellationToken),
+            Operations = await logs.Select(l => l.Operation).Distinct().OrderBy(o => o).ToListAsync(cancellationToken)
+        };
+    }
+
+    public async Task<LLMUsageResponse> GetUsageAsync(DateTime from, DateTime to, CancellationToken cancellationToken = default)
+    {
+        from = DateTime.SpecifyKind(from, DateTimeKind.Utc);
+        to = DateTime.SpecifyKind(to, DateTimeKind.Utc);
+
+        var rows = await (
+            from l in context.LLMRequestLogs.AsNoTracking()
+            where l.StartTime >= from && l.StartTime <= to
+            join t in context.Turns on l.TurnId equals t.Id into turns
+            from t in turns.DefaultIfEmpty()
+            select new UsageRow(
+                l.StartTime,
+                l.Provider,
+                l.Model,
+                l.Operation,
+                t == null ? null : (int?)t.SessionId,
+                l.InputTokens,
+                l.OutputTokens,
+                l.TotalTokens,
+                l.CachedContentTokenCount,
+                l.ThinkingTokens,
+                l.TotalCost))
+            .ToListAsync(cancellationToken);
+
+        var sessionIds = rows.Where(r => r.SessionId.HasValue).Select(r => r.SessionId!.Value).Distinct().ToList();
+        var sessionNames = await context.Sessions
+            .Where(s => sessionIds.Contains(s.Id))
+            .ToDictionaryAsync(s => s.Id, s => $"#{s.Number} {s.Name}", cancellationToken);
+
+        return new LLMUsageResponse
+        {
+            From = from,
+            To = to,
+            Totals = Aggregate("total", "Total", rows),
+            ByDay = [.. rows
+                .GroupBy(r => r.StartTime.Date)
+                .OrderBy(g => g.Key)
+                .Select(g => Aggregate(g.Key.ToString("yyyy-MM-dd"), g.Key.ToString("yyyy-MM-dd"), g))],
+            BySession = [.. rows
+                .GroupBy(r => r.SessionId)
+                .Select(g => g.Key.HasValue
+                    ? Aggregate(g.Key.Value.ToString(), sessionNames.GetValueOrDefault(g.Key.Value, $"Session {g.Key.Value}"), g)
+                    : Aggregate("none", "No session (background calls)", g))
+                .OrderByDescending(b => b.TotalCost)],
+            ByModel = [.. rows
+                .GroupBy(r => $"{r.Provider} / {r.Model}")
+                .Select(g => Aggregate(g.Key, g.Key, g))
+                .OrderByDescending(b => b.TotalCost)],
+            ByOperation = [.. rows
+                .GroupBy(r => r.Operation)
+                .Select(g => Aggregate(g.Key, g.Key, g))
+                .OrderByDescending(b => b.TotalCost)]
+        };
+    }
+
+    private record UsageRow(
+        DateTime StartTime,
+        string Provider,
+        string Model,
+        string Operation,
+        int? SessionId,
+        int InputTokens,
+        int OutputTokens,
+        int TotalTokens,
+        int CachedTokens,
+        int ThinkingTokens,
+        decimal TotalCost);
+
+    private static LLMUsageBucket Aggregate(string key, string label, IEnumerable<UsageRow> rows)
+    {
+        var bucket = new LLMUsageBucket { Key = key, Label = label };
+
+        foreach (var row in rows)
+        {
+            bucket.Calls++;
+            bucket.OutputTokens += row.OutputTokens;
+            bucket.CachedTokens += row.CachedTokens;
+            bucket.ThinkingTokens += row.ThinkingTokens;
+            bucket.TotalCost += row.TotalCost;
+
+            if (row.Provider == ConversationConstants.ClaudeProvider)
+            {
+                // Claude reports cache writes and reads on top of input tokens; the log keeps only the reads,
+                // but its total is input + cache writes + cache reads + output
+                var cacheWriteTokens = Math.Max(0, row.TotalTokens - row.InputTokens - row.CachedTokens - row.OutputTokens);
+                bucket.InputTokens += row.InputTokens + cacheWriteTokens + row.CachedTokens;
+                bucket.CacheWriteTokens += cacheWriteTokens;
+                bucket.UncachedInputTokens += row.InputTokens;
+            }
+            else
+            {
+                // Gemini includes cached tokens in the prompt count
+                bucket.InputTokens += row.InputTokens;
+                bucket.UncachedInputTokens += Math.Max(0, row.InputTokens - row.CachedTokens);
+            }
+        }
+
+        bucket.CacheHitRatio = bucket.InputTokens > 0 ? (double)bucket.CachedTokens / bucket.InputTokens : 0;
+        return bucket;
+    }
+
+    private static IQueryable<LLMRequestLogEntity> ApplyFilters(IQueryable<LLMRequestLogEntity> logs, LLMRequestLogQuery query)
+    {
+        if (!string.IsNullOrWhiteSpace(query.Provider))
+            logs = logs.Where(l => l.Provider == query.Provider);
+
+        if (!string.IsNullOrWhiteSpace(query.Model))
+            logs = logs.Where(l => l.Model == query.Model);
+
+        if (!string.IsNullOrWhiteSpace(query.Operation))
+            logs = logs.Where(l => l.Operation == query.Operation);
+
+        if (query.TurnId.HasValue)
+            logs = logs.Where(l => l.TurnId == query.TurnId);
+
+        if (query.From.HasValue)
+        {
+            var from = DateTime.SpecifyKind(query.From.Value, DateTimeKind.Utc);
+            logs = logs.Where(l => l.StartTime >= from);
+        }
+
+        if (query.To.HasValue)
+        {
+            var to = DateTime.SpecifyKind(query.To.Value, DateTimeKind.Utc);
+            logs = logs.Where(l => l.StartTime <= to);
+        }
+
+        // LLMLogger writes -1 for client-side failures and leaves StatusCode empty until the call finishes
+        logs = query.Status?.ToLowerInvariant() switch
+        {
+            "success" => logs.Where(l => l.StatusCode >= 200 && l.StatusCode < 300),
+            "error" => logs.Where(l => l.StatusCode != null && (l.StatusCode < 200 || l.StatusCode >= 300)),
+            "pending" => logs.Where(l => l.StatusCode == null),
+            _ => logs
+        };
+
+        return logs;
+    }
+}
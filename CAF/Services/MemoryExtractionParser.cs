@@ -0,0 +1,75 @@
+namespace CAF.Services;
+
+/// <summary>
+/// Reads the JSON array returned for the memory extraction instructions into unsaved proposals.
+/// Entries with an unknown or non-proposable type or without content are skipped.
+/// </summary>
+public static class MemoryExtractionParser
+{
+    private const int MaxNameLength = 60;
+
+    public static List<MemoryProposal> Parse(string response)
+    {
+        var start = response.IndexOf('[');
+        var end = response.LastIndexOf(']');
+        if (start < 0 || end <= start)
+            return [];
+
+        try
+        {
+            using var doc = JsonDocument.Parse(response[start..(end + 1)]);
+            var proposals = new List<MemoryProposal>();
+
+            foreach (var entry in doc.RootElement.EnumerateArray().Where(e => e.ValueKind == JsonValueKind.Object))
+            {
+                if (!Enum.TryParse<DataType>(GetString(entry, "type"), ignoreCase: true, out var type) ||
+                    !MemoryProposal.ProposableTypes.Contains(type))
+                    continue;
+
+                var content = GetString(entry, "content");
+                if (string.IsNullOrWhiteSpace(content))
+                    continue;
+
+                var name = GetString(entry, "name");
+                proposals.Add(new MemoryProposal
+                {
+                    Type = type,
+                    Name = string.IsNullOrWhiteSpace(name) ? Shorten(content) : name.Trim(),
+                    Content = content.Trim(),
+                    Speaker = NullIfEmpty(GetString(entry, "speaker")),
+                    NonverbalBehavior = NullIfEmpty(GetString(entry, "nonverbal")),
+                    Tags = NormalizeTags(entry.TryGetProperty("tags", out var tags) && tags.ValueKind == JsonValueKind.Array
+                        ? tags.EnumerateArray().Where(t => t.ValueKind == JsonValueKind.String).Select(t => t.GetString()!)
+                        : [])
+                });
+            }
+
+            return proposals;
+        }
+        catch (JsonException)
+        {
+            return [];
+        }
+    }
+
+    /// <summary>
+    /// Trimmed, lowercase and distinct
+    /// </summary>
+    public static List<string> NormalizeTags(IEnumerable<string> tags) =>
+        [.. tags
+            .Where(t => !string.IsNullOrWhiteSpace(t))
+            .Select(t => t.Trim().ToLowerInvariant())
+            .Distinct()];
+
+    private static string? GetString(JsonElement entry, string property) =>
+        entry.TryGetProperty(property, out var value) && value.ValueKind == JsonValueKind.String ? value.GetString() : null;
+
+    private static string? NullIfEmpty(string? value) =>
+        string.IsNullOrWhiteSpace(value) ? null : value.Trim();
+
+    private static string Shorten(string content)
+    {
+        var line = content.Trim().Split('\n')[0].Trim();
+        return line.Length <= MaxNameLength ? line : line[..MaxNameLength].TrimEnd() + "…";
+    }
+}
@@ -0,0 +1,397 @@
+namespace CAF.Services;
+
+/// <summary>
+/// Sends accepted turns through the configured provider with the memory extraction instructions and stores
+/// what comes back as pending <see cref="MemoryProposal"/>s. Nothing becomes context data until a proposal is accepted.
+/// Also writes the summary memory of a closed session, which skips the review queue.
+/// </summary>
+public class MemoryExtractionService(
+    IDbContextFactory<GeneralDbContext> dbContextFactory,
+    IProfileService profileService,
+    IContextDataService contextDataService,
+    ISystemMessageService systemMessageService,
+    ILLMProviderFactory llmProviderFactory,
+    IGeminiClient geminiClient,
+    IClaudeClient claudeClient,
+    ISettingService settingService,
+    ILogger<MemoryExtractionService> logger) : IMemoryExtractionService
+{
+    /// <summary>
+    /// Subtype of the Memory items written by <see cref="WriteSessionSummaryAsync"/>
+    /// </summary>
+    public const string SessionSummarySubtype = "session summary";
+
+    /// <summary>
+    /// Turns per request, so long sessions stay within the output budget
+    /// </summary>
+    private const int TurnsPerRequest = 20;
+    private const int MaxOutputTokens = 8192;
+    private const float Temperature = 0.4f;
+
+    private readonly int _profileId = profileService.GetActiveProfileId();
+
+    public async Task<MemoryExtractionResponse> ExtractAsync(MemoryExtractionRequest request, CancellationToken cancellationToken = default)
+    {
+        if (request.FromTurnId > request.ToTurnId)
+            throw new InvalidOperationException("The first turn must come before the last turn");
+
+        await using var db = await dbContextFactory.CreateDbContextAsync(cancellationToken);
+        var session = await db.Sessions.AsNoTracking()
+            .FirstOrDefaultAsync(s => s.Id == request.SessionId && s.ProfileId == _profileId, cancellationToken)
+            ?? throw new InvalidOperationException($"Session {request.SessionId} not found");
+
+        var query = db.Turns.AsNoTracking().Where(t => t.SessionId == session.Id && t.Accepted);
+        if (request.FromTurnId is int from)
+            query = query.Where(t => t.Id >= from);
+        if (request.ToTurnId is int to)
+            query = query.Where(t => t.Id <= to);
+
+        var turns = await query.OrderBy(t => t.Id).ToListAsync(cancellationToken);
+        if (turns.Count == 0)
+            throw new InvalidOperationException("No accepted turns in the selected range");
+
+        var (userName, personaName) = await GetNamesAsync(cancellationToken);
+        var systemPrompt = await GetSystemPromptAsync(
+            ConversationConstants.TechnicalMessages.MemoryExtractionInstructions,
+            DefaultTechnicalMessages.MemoryExtractionInstructions,
+            userName,
+            personaName,
+            cancellationToken);
+
+        var provider = await llmProviderFactory.GetProviderAsync(cancellationToken);
+        var response = new MemoryExtractionResponse { TurnCount = turns.Count, Provider = provider.ProviderName };
+        string? lastError = null;
+
+        foreach (var chunk in turns.Chunk(TurnsPerRequest))
+        {
+            var transcript = BuildTranscript(chunk, userName, personaName, useStripped: false);
+            var (success, result) = await GenerateAsync(provider.ProviderName, systemPrompt, transcript, "application/json", cancellationToken);
+
+            if (!success)
+            {
+                logger.LogWarning("Memory extraction for turns {From}-{To} failed: {Error}", chunk[0].Id, chunk[^1].Id, result);
+                response.FailedRequests++;
+                lastError = result;
+                continue;
+            }
+
+            foreach (var proposal in MemoryExtractionParser.Parse(result))
+            {
+                proposal.ProfileId = _profileId;
+                proposal.SessionId = session.Id;
+                proposal.FromTurnId = chunk[0].Id;
+                proposal.ToTurnId = chunk[^1].Id;
+                response.Proposals.Add(proposal);
+            }
+        }
+
+        if (response.FailedRequests > 0 && response.Proposals.Count == 0)
+            throw new InvalidOperationException($"Memory extraction failed: {lastError}");
+
+        db.MemoryProposals.AddRange(response.Proposals);
+        await db.SaveChangesAsync(cancellationToken);
+
+        logger.LogInformation("Extracted {Count} memory proposals from {Turns} turns of session {SessionId} with {Provider}",
+            response.Proposals.Count, turns.Count, session.Id, provider.ProviderName);
+
+        return response;
+    }
+
+    public async Task<List<MemoryProposal>> GetPendingAsync(int? sessionId = null, CancellationToken cancellationToken = default)
+    {
+        await using var db = await dbContextFactory.CreateDbContextAsync(cancellationToken);
+        var query = db.MemoryProposals.AsNoTracking()
+            .Where(p => p.ProfileId == _profileId && p.Status == MemoryProposalStatus.Pending);
+        if (sessionId.HasValue)
+            query = query.Where(p => p.SessionId == sessionId.Value);
+
+        return await query
+            .OrderBy(p => p.SessionId)
+            .ThenBy(p => p.FromTurnId)
+            .ThenBy(p => p.Id)
+            .ToListAsync(cancellationToken);
+    }
+
+    public async Task<MemoryProposal?> UpdateAsync(int id, MemoryProposalEdit edit, CancellationToken cancellationToken = default)
+    {
+        await using var db = await dbContextFactory.CreateDbContextAsync(cancellationToken);
+        var proposal = await FindPendingAsync(db, id, cancellationToken);
+        if (proposal == null)
+            return null;
+
+        ApplyEdit(proposal, edit);
+        await db.SaveChangesAsync(cancellationToken);
+        return proposal;
+    }
+
+    public async Task<MemoryProposal?> AcceptAsync(int id, AcceptMemoryProposalRequest request, CancellationToken cancellationToken = default)
+    {
+        await using var db = await dbContextFactory.CreateDbContextAsync(cancellationToken);
+        var proposal = await FindPendingAsync(db, id, cancellationToken);
+        if (proposal == null)
+            return null;
+
+        ApplyEdit(proposal, request);
+
+        var data = await contextDataService.CreateAsync(new ContextData
+        {
+            Name = proposal.Name,
+            Content = proposal.Content,
+            Type = proposal.Type,
+            Availability = request.Availability,
+            Speaker = proposal.Speaker,
+            NonverbalBehavior = proposal.NonverbalBehavior,
+            Tags = [.. proposal.Tags],
+            SourceSessionId = proposal.SessionId
+        }, cancellationToken);
+
+        proposal.Status = MemoryProposalStatus.Accepted;
+        proposal.ContextDataId = data.Id;
+        proposal.ReviewedAt = DateTime.UtcNow;
+        await db.SaveChangesAsync(cancellationToken);
+
+        if (data.Availability == AvailabilityType.Semantic)
+        {
+            try
+            {
+                await contextDataService.UpdateEmbeddingAsync(data.Id, cancellationToken);
+            }
+            catch (Exception ex)
+            {
+                logger.LogWarning(ex, "Embedding ContextData {Id} from memory proposal {ProposalId} failed", data.Id, proposal.Id);
+            }
+        }
+
+        logger.LogInformation("Accepted memory proposal {ProposalId} as ContextData {Id}", proposal.Id, data.Id);
+        return proposal;
+    }
+
+    public async Task<bool> DiscardAsync(int id, CancellationToken cancellationToken = default)
+    {
+        await using var db = await dbContextFactory.CreateDbContextAsync(cancellationToken);
+        var proposal = await FindPendingAsync(db, id, cancellationToken);
+        if (proposal == null)
+            return false;
+
+        proposal.Status = MemoryProposalStatus.Discarded;
+        proposal.ReviewedAt = DateTime.UtcNow;
+        await db.SaveChangesAsync(cancellationToken);
+        return true;
+    }
+
+    public async Task<ContextData?> WriteSessionSummaryAsync(int sessionId, CancellationToken cancellationToken = default)
+    {
+        if (!await settingService.GetBoolAsync(SettingsKeys.SessionSummaryEnabled, cancellationToken: cancellationToken))
+            return null;
+
+        await using var db = await dbContextFactory.CreateDbContextAsync(cancellationToken);
+        var session = await db.Sessions.AsNoTracking()
+            .FirstOrDefaultAsync(s => s.Id == sessionId && s.ProfileId == _profileId, cancellationToken);
+        if (session == null)
+        {
+            logger.LogWarning("Session {SessionId} not found, no summary written", sessionId);
+            return null;
+        }
+
+        // One summary per session, rewritten from all turns when the session is closed again after new turns
+        var summary = await db.ContextData.AsNoTracking()
+            .Where(d =>
+                d.ProfileId == _profileId &&
+                d.SourceSessionId == sessionId &&
+                d.Type == DataType.Memory &&
+                d.Subtype == SessionSummarySubtype &&
+                !d.IsArchived)
+            .OrderByDescending(d => d.Id)
+            .FirstOrDefaultAsync(cancellationToken);
+
+        var turns = await db.Turns.AsNoTracking()
+            .Where(t => t.SessionId == sessionId && t.Accepted)
+            .OrderBy(t => t.CreatedAt)
+            .ToListAsync(cancellationToken);
+        if (turns.Count == 0)
+            return null;
+
+        if (summary != null && turns[^1].CreatedAt <= (summary.ModifiedAt ?? summary.CreatedAt))
+        {
+            logger.LogInformation("Summary {Id} of session {SessionId} already covers its turns", summary.Id, sessionId);
+            return null;
+        }
+
+        var (userName, personaName) = await GetNamesAsync(cancellationToken);
+        var systemPrompt = await GetSystemPromptAsync(
+            ConversationConstants.TechnicalMessages.SessionSummaryInstructions,
+            DefaultTechnicalMessages.SessionSummaryInstructions,
+            userName,
+            personaName,
+            cancellationToken);
+
+        var provider = await llmProviderFactory.GetProviderAsync(cancellationToken);
+        var (success, result) = await GenerateAsync(
+            provider.ProviderName,
+            systemPrompt,
+            BuildTranscript(turns, userName, personaName, useStripped: true),
+            null,
+            cancellationToken);
+
+        if (!success || string.IsNullOrWhiteSpace(result))
+            throw new InvalidOperationException($"Session summary failed: {result}");
+
+        ContextData data;
+        if (summary != null)
+        {
+            // The previous text stays in the revision history
+            summary.Name = $"Session {session.Number}: {session.Name}";
+            summary.Content = result.Trim();
+            data = await contextDataService.UpdateAsync(summary.Id, summary, RevisionSource.System, cancellationToken)
+                ?? throw new InvalidOperationException($"Summary {summary.Id} of session {sessionId} was deleted while it was written");
+        }
+        else
+        {
+            data = await contextDataService.CreateAsync(new ContextData
+            {
+                Name = $"Session {session.Number}: {session.Name}",
+                Content = result.Trim(),
+                Type = DataType.Memory,
+                Subtype = SessionSummarySubtype,
+                SourceSessionId = session.Id,
+                Availability = await GetSummaryAvailabilityAsync(cancellationToken)
+            }, cancellationToken);
+        }
+
+        if (data.Availability == AvailabilityType.Semantic)
+        {
+            try
+            {
+                await contextDataService.UpdateEmbeddingAsync(data.Id, cancellationToken);
+            }
+            catch (Exception ex)
+            {
+                logger.LogWarning(ex, "Embedding summary ContextData {Id} of session {SessionId} failed", data.Id, sessionId);
+            }
+        }
+
+        logger.LogInformation("Wrote summary of session {SessionId} from {Turns} turns as ContextData {Id} ({Availability})",
+            sessionId, turns.Count, data.Id, data.Availability);
+        return data;
+    }
+
+    /// <summary>
+    /// The configured availability, or Semantic when it is missing or not usable for a Memory without trigger keywords
+    /// </summary>
+    private async Task<AvailabilityType> GetSummaryAvailabilityAsync(CancellationToken cancellationToken)
+    {
+        var value = await settingService.GetValueAsync(SettingsKeys.SessionSummaryAvailability, cancellationToken);
+        if (Enum.TryParse<AvailabilityType>(value, ignoreCase: true, out var availability) &&
+            availability != AvailabilityType.Trigger &&
+            new ContextData { Type = DataType.Memory }.IsValidCombination(availability))
+            return availability;
+
+        if (!string.IsNullOrWhiteSpace(value))
+            logger.LogWarning("Session summary availability '{Value}' cannot be used, falling back to Semantic", value);
+
+        return AvailabilityType.Semantic;
+    }
+
+    private async Task<(string UserName, string PersonaName)> GetNamesAsync(CancellationToken cancellationToken)
+    {
+        var userName = (await contextDataService.GetUserProfileAsync(cancellationToken))?.Name;
+        var personaName = (await systemMessageService.GetActivePersonaAsync(cancellationToken))?.Name;
+
+        return (
+            string.IsNullOrWhiteSpace(userName) ? "User" : userName,
+            string.IsNullOrWhiteSpace(personaName) ? "Assistant" : personaName);
+    }
+
+    private async Task<string> GetSystemPromptAsync(
+        string messageName,
+        string defaultInstructions,
+        string userName,
+        string personaName,
+        CancellationToken cancellationToken)
+    {
+        var instructions = await systemMessageService.GetTechnicalMessageByNameAsync(messageName, cancellationToken);
+
+        return (instructions?.Content ?? defaultInstructions) +
+            $"\n\nCONTEXT:\n- User name: {userName}\n- Persona name: {personaName}";
+    }
+
+    private async Task<MemoryProposal?> FindPendingAsync(GeneralDbContext db, int id, CancellationToken cancellationToken)
+    {
+        var proposal = await db.MemoryProposals
+            .FirstOrDefaultAsync(p => p.Id == id && p.ProfileId == _profileId, cancellationToken);
+
+        if (proposal != null && proposal.Status != MemoryProposalStatus.Pending)
+            throw new InvalidOperationException($"Proposal {id} was already {proposal.Status.ToString().ToLowerInvariant()}");
+
+        return proposal;
+    }
+
+    private static void ApplyEdit(MemoryProposal proposal, MemoryProposalEdit edit)
+    {
+        if (!MemoryProposal.ProposableTypes.Contains(edit.Type))
+            throw new InvalidOperationException($"Proposals can only be {string.Join(", ", MemoryProposal.ProposableTypes)}");
+        if (string.IsNullOrWhiteSpace(edit.Name) || string.IsNullOrWhiteSpace(edit.Content))
+            throw new InvalidOperationException("Name and content are required");
+
+        proposal.Type = edit.Type;
+        proposal.Name = edit.Name.Trim();
+        proposal.Content = edit.Content.Trim();
+        proposal.Speaker = string.IsNullOrWhiteSpace(edit.Speaker) ? null : edit.Speaker.Trim();
+        proposal.NonverbalBehavior = string.IsNullOrWhiteSpace(edit.NonverbalBehavior) ? null : edit.NonverbalBehavior.Trim();
+        proposal.Tags = MemoryExtractionParser.NormalizeTags(edit.Tags);
+    }
+
+    private async Task<(bool Success, string Result)> GenerateAsync(
+        string providerName,
+        string systemPrompt,
+        string transcript,
+        string? responseMimeType,
+        CancellationToken cancellationToken)
+    {
+        if (providerName.Equals(ConversationConstants.ClaudeProvider, StringComparison.OrdinalIgnoreCase))
+        {
+            // The client replaces the model with the configured one
+            var claudeRequest = ClaudeMessageBuilder.Create()
+                .WithSystem(systemPrompt)
+                .AddUserMessage(transcript)
+                .WithMaxTokens(MaxOutputTokens)
+                .WithTemperature(Temperature)
+                .Build(string.Empty);
+
+            return await claudeClient.GenerateContentAsync(claudeRequest, cancellationToken);
+        }
+
+        var geminiRequest = new GeminiMessageBuilder()
+            .WithSystemInstruction(systemPrompt)
+            .AddUserMessage(transcript)
+            .WithGenerationConfig(MaxOutputTokens, Temperature, responseMimeType)
+            .Build();
+
+        return await geminiClient.GenerateContentAsync(geminiRequest, technical: false, cancellationToken: cancellationToken);
+    }
+
+    /// <param name="useStripped">Use the stripped form of turns that have one; quotes need the full text</param>
+    private static string BuildTranscript(IEnumerable<Turn> turns, string userName, string personaName, bool useStripped)
+    {
+        var sb = new StringBuilder();
+        foreach (var turn in turns)
+        {
+            if (useStripped && !string.IsNullOrWhiteSpace(turn.StrippedTurn))
+            {
+                sb.AppendLine(turn.StrippedTurn.Trim());
+                sb.AppendLine();
+                continue;
+            }
+            if (!string.IsNullOrWhiteSpace(turn.Input))
+            {
+                sb.AppendLine($"{userName}: {turn.Input}");
+            }
+            if (!string.IsNullOrWhiteSpace(turn.Response))
+            {
+                sb.AppendLine($"{personaName}: {turn.Response}");
+            }
+            sb.AppendLine();
+        }
+        return sb.ToString().TrimEnd();
+    }
+}
@@ -678,6 +678,26 @@ public partial class SemanticService(
             PendingByType: pendingByType);
     }
 
+    public async Task<Dictionary<int, float[]>> GetStoredEmbeddingsAsync(int profileId, DataType type, CancellationToken ct = default)
+    {
+        if (!SemanticEligibleTypes.Contains(type))
+            return [];
+
+        var collectionName = GetCollectionName(type);
+        var qdrant = qdrantFactory.CreateService(collectionName);
+
+        try
+        {
+            var vectors = await qdrant.GetVectorsAsync(profileId, $"{type.ToString().ToLowerInvariant()}_full", ct);
+            return vectors.ToDictionary(v => (int)v.Key, v => v.Value);
+        }
+        catch (Exception ex)
+        {
+            logger.LogWarning(ex, "Reading vectors failed for collection {Collection}", collectionName);
+            return [];
+        }
+    }
+
     #endregion Collection Management
 
     #region Private Helpers
@@ -1,6 +1,9 @@
 namespace CAF.Services;
 
-public class SessionService(GeneralDbContext context, IProfileService profileService) : ISessionService
+public class SessionService(
+    GeneralDbContext context,
+    IProfileService profileService,
+    ISessionSummaryQueue sessionSummaryQueue) : ISessionService
 {
     private async Task<int> GetProfileIdAsync()
     {
@@ -131,6 +134,68 @@ public class SessionService(GeneralDbContext context, IProfileService profileSer
             ?? throw new InvalidOperationException("Failed to retrieve newly created session");
     }
 
+    public async Task<Session> BranchSessionAsync(int turnId, string? name = null, bool activate = false)
+    {
+        var branchTurn = await context.Turns
+            .Include(t => t.Session)
+            .FirstOrDefaultAsync(t => t.Id == turnId)
+            ?? throw new KeyNotFoundException($"Turn with id {turnId} not found");
+
+        var sourceSession = branchTurn.Session
+            ?? throw new InvalidOperationException($"Turn {turnId} has no session");
+
+        var turnsToClone = await context.Turns
+            .Where(t => t.SessionId == sourceSession.Id && t.Accepted && t.CreatedAt <= branchTurn.CreatedAt)
+            .OrderBy(t => t.CreatedAt)
+            .ToListAsync();
+
+        // The branch stays in the source session's profile, so its profile-scoped flags carry over as they are
+        var maxNumber = await context.Sessions.MaxAsync(s => (int?)s.Number) ?? 0;
+        var newSession = new Session
+        {
+            Number = maxNumber + 1,
+            Name = string.IsNullOrWhiteSpace(name) ? $"{sourceSession.Name} (branch)" : name,
+            IsActive = false,
+            CreatedAt = DateTime.UtcNow,
+            ProfileId = sourceSession.ProfileId,
+            ParentSessionId = sourceSession.Id,
+            BranchedFromTurnId = branchTurn.Id
+        };
+
+        context.Sessions.Add(newSession);
+        await context.SaveChangesAsync();
+
+        // Keep the original timestamps so history ordering is identical to the source
+        foreach (var sourceTurn in turnsToClone)
+        {
+            context.Turns.Add(new Turn
+            {
+                Input = sourceTurn.Input,
+                JsonInput = sourceTurn.JsonInput,
+                Response = sourceTurn.Response,
+                StrippedTurn = sourceTurn.StrippedTurn,
+                Accepted = sourceTurn.Accepted,
+                Swipes = [.. sourceTurn.Swipes],
+                SelectedSwipe = sourceTurn.SelectedSwipe,
+                RequestProvider = sourceTurn.RequestProvider,
+                RequestSnapshot = sourceTurn.RequestSnapshot,
+                EnrichmentSnapshot = sourceTurn.EnrichmentSnapshot,
+                SessionId = newSession.Id,
+                CreatedAt = sourceTurn.CreatedAt
+            });
+        }
+
+        await context.SaveChangesAsync();
+
+        if (activate)
+        {
+            await SetActiveSessionAsync(newSession.Id);
+        }
+
+        return await GetByIdAsync(newSession.Id)
+            ?? throw new InvalidOperationException("Failed to retrieve newly created session");
+    }
+
     public async Task<Session> UpdateSessionAsync(int id, string name, bool isActive)
     {
         var profileId = await GetProfileIdAsync();
@@ -169,6 +234,11 @@ public class SessionService(GeneralDbContext context, IProfileService profileSer
         }
 
         var allSessions = await context.Sessions.ToListAsync();
+        var closedSessions = allSessions
+            .Where(s => s.IsActive && s.Id != id && s.ProfileId == targetSession.ProfileId)
+            .Select(s => s.Id)
+            .ToList();
+
         foreach (var session in allSessions)
         {
             session.IsActive = session.Id == id;
@@ -180,6 +250,12 @@ public class SessionService(GeneralDbContext context, IProfileService profileSer
 
         await context.SaveChangesAsync();
 
+        // The summary job checks whether session summaries are enabled
+        foreach (var closedId in closedSessions)
+        {
+            sessionSummaryQueue.Enqueue(closedId);
+        }
+
         return true;
     }
 }
\ No newline at end of file
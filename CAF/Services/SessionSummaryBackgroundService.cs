@@ -0,0 +1,39 @@
+namespace CAF.Services;
+
+/// <summary>
+/// Writes the summary memory of each session queued by <see cref="ISessionSummaryQueue"/>, one at a time,
+/// so activating a session does not wait for the LLM call.
+/// </summary>
+public sealed class SessionSummaryBackgroundService(
+    ISessionSummaryQueue queue,
+    IServiceProvider serviceProvider,
+    ILogger<SessionSummaryBackgroundService> logger) : BackgroundService
+{
+    protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+    {
+        logger.LogInformation("Session Summary Background Service started");
+
+        try
+        {
+            await foreach (var sessionId in queue.ReadAllAsync(stoppingToken))
+            {
+                try
+                {
+                    using var scope = serviceProvider.CreateScope();
+                    var memoryExtraction = scope.ServiceProvider.GetRequiredService<IMemoryExtractionService>();
+                    await memoryExtraction.WriteSessionSummaryAsync(sessionId, stoppingToken);
+                }
+                catch (Exception ex)
+                {
+                    logger.LogError(ex, "Failed to write summary of session {SessionId}", sessionId);
+                }
+            }
+        }
+        catch (OperationCanceledException)
+        {
+            // Expected when cancellation is requested
+        }
+
+        logger.LogInformation("Session Summary Background Service stopped");
+    }
+}
@@ -0,0 +1,13 @@
+using System.Threading.Channels;
+
+namespace CAF.Services;
+
+public sealed class SessionSummaryQueue : ISessionSummaryQueue
+{
+    private readonly Channel<int> _channel = Channel.CreateUnbounded<int>(new UnboundedChannelOptions { SingleReader = true });
+
+    public void Enqueue(int sessionId) => _channel.Writer.TryWrite(sessionId);
+
+    public IAsyncEnumerable<int> ReadAllAsync(CancellationToken cancellationToken = default) =>
+        _channel.Reader.ReadAllAsync(cancellationToken);
+}
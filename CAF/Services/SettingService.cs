@@ -10,6 +10,7 @@ public class SettingService(IDbContextFactory<GeneralDbContext> dbContextFactory
         await EnsureQuoteDefaultsInitializedAsync(cancellationToken);
         await EnsureContextTriggerDefaultsInitializedAsync(cancellationToken);
         await EnsureSemanticDefaultsInitializedAsync(cancellationToken);
+        await EnsureContextBudgetDefaultsInitializedAsync(cancellationToken);
         await CleanupInvalidSettingsAsync(cancellationToken);
     }
 
@@ -51,7 +52,10 @@ public class SettingService(IDbContextFactory<GeneralDbContext> dbContextFactory
         {
             [SettingsKeys.PreviousTurnsCount.ToKey()] = "6",
             [SettingsKeys.MaxDialogueLogTurns.ToKey()] = "50",
-            [SettingsKeys.PerceptionEnabled.ToKey()] = "true"
+            [SettingsKeys.PerceptionEnabled.ToKey()] = "true",
+            // Summary memory of the outgoing session when another session is activated
+            [SettingsKeys.SessionSummaryEnabled.ToKey()] = "false",
+            [SettingsKeys.SessionSummaryAvailability.ToKey()] = AvailabilityType.Semantic.ToString()
         };
 
         await InitializeDefaultsAsync(defaults, "conversation", cancellationToken);
@@ -73,7 +77,9 @@ public class SettingService(IDbContextFactory<GeneralDbContext> dbContextFactory
     {
         var defaults = new Dictionary<string, string>
         {
-            [SettingsKeys.TriggerScanTextAdditionalWords.ToKey()] = ""
+            [SettingsKeys.TriggerScanTextAdditionalWords.ToKey()] = "",
+            // 0 = recursive scanning off
+            [SettingsKeys.TriggerRecursionDepth.ToKey()] = "0"
         };
 
         await InitializeDefaultsAsync(defaults, "context trigger", cancellationToken);
@@ -93,6 +99,25 @@ public class SettingService(IDbContextFactory<GeneralDbContext> dbContextFactory
         await InitializeDefaultsAsync(defaults, "semantic", cancellationToken);
     }
 
+    public async Task EnsureContextBudgetDefaultsInitializedAsync(CancellationToken cancellationToken = default)
+    {
+        // 0 = unlimited, so existing profiles keep their current behaviour until a budget is set
+        var defaults = new Dictionary<string, string>
+        {
+            [SettingsKeys.ContextTokenBudget_Total.ToKey()] = "0",
+            [SettingsKeys.ContextTokenBudget_CharacterProfile.ToKey()] = "0",
+            [SettingsKeys.ContextTokenBudget_Generic.ToKey()] = "0",
+            [SettingsKeys.ContextTokenBudget_Memory.ToKey()] = "0",
+            [SettingsKeys.ContextTokenBudget_Insight.ToKey()] = "0",
+            [SettingsKeys.ContextTokenBudget_Quote.ToKey()] = "0",
+            [SettingsKeys.ContextTokenBudget_PersonaVoiceSample.ToKey()] = "0",
+            [SettingsKeys.ContextTokenBudget_DialogueLog.ToKey()] = "0",
+            [SettingsKeys.ContextTokenBudget_RecentTurns.ToKey()] = "0"
+        };
+
+        await InitializeDefaultsAsync(defaults, "context budget", cancellationToken);
+    }
+
     private async Task InitializeDefaultsAsync(Dictionary<string, string> defaults, string category, CancellationToken cancellationToken)
     {
         await using var context = await dbContextFactory.CreateDbContextAsync(cancellationToken);
@@ -228,11 +253,23 @@ public enum SettingsKeys
     QuoteCanonMaxLength,
     QuoteUseLLMQueryTransformation,
     TriggerScanTextAdditionalWords,
+    TriggerRecursionDepth,
     SemanticTokenQuota_Quote,
     SemanticTokenQuota_Memory,
     SemanticTokenQuota_Insight,
     SemanticTokenQuota_PersonaVoiceSample,
-    SemanticUseLLMQueryTransformation
+    SemanticUseLLMQueryTransformation,
+    ContextTokenBudget_Total,
+    ContextTokenBudget_CharacterProfile,
+    ContextTokenBudget_Generic,
+    ContextTokenBudget_Memory,
+    ContextTokenBudget_Insight,
+    ContextTokenBudget_Quote,
+    ContextTokenBudget_PersonaVoiceSample,
+    ContextTokenBudget_DialogueLog,
+    ContextTokenBudget_RecentTurns,
+    SessionSummaryEnabled,
+    SessionSummaryAvailability
 }
 
 public static class SettingsKeysExtensions
@@ -0,0 +1,238 @@
+using System.IO.Compression;
+using System.Text.Json.Nodes;
+using CAF.Services.Conversation;
+
+namespace CAF.Services;
+
+/// <summary>
+/// Writes context data as SillyTavern World Info and character cards, the reverse of <see cref="SillyTavernImporter"/>.
+/// <list type="bullet">
+/// <item>Trigger and AlwaysOn items become World Info entries: Name → comment, Content → content,
+/// AlwaysOn → constant, SortOrder → order, ExcludeFromRecursion → excludeRecursion, disabled → disable.
+/// TriggerLookbackTurns and CooldownTurns count turns, scanDepth and cooldown count messages, so they are doubled.</item>
+/// <item>A plain keyword list becomes the keys. An expression of the form the importer writes for selective entries
+/// (<c>(a OR b) AND (c OR d)</c>, <c>a NOT (c OR d)</c>, ...) becomes keys, secondary keys and selectiveLogic;
+/// any other expression becomes one regex key with the same meaning (<see cref="TriggerExpression.ToRegexPattern"/>).
+/// Quoted phrases become plain keys, /regex/ terms regex keys and prefix terms (<c>drag*</c>) regex keys.
+/// Entries match whole words and are case-insensitive, like triggers.</item>
+/// <item>TriggerMinMatchCount above 1 has no SillyTavern equivalent; such entries activate on any one key.</item>
+/// <item>CharacterProfile items become V2 character cards: the "## Personality", "## Scenario" and "## Example Dialogue"
+/// sections the importer writes go back to their fields and the rest of the content is the description.</item>
+/// </list>
+/// </summary>
+public static class SillyTavernExporter
+{
+    private static readonly JsonSerializerOptions JsonOptions = new() { WriteIndented = true };
+
+    private static readonly Regex ProfileSectionHeading = new(
+        @"^## (Personality|Scenario|Example Dialogue)[ \t]*\r?$",
+        RegexOptions.Multiline | RegexOptions.IgnoreCase | RegexOptions.Compiled);
+
+    /// <summary>
+    /// Writes the Trigger and AlwaysOn items as a World Info file; other items are skipped
+    /// </summary>
+    public static string ToWorldInfoJson(IEnumerable<ContextData> items)
+    {
+        var entries = new JsonObject();
+        var uid = 0;
+
+        foreach (var item in items.Where(i => i.Availability is AvailabilityType.Trigger or AvailabilityType.AlwaysOn))
+        {
+            var (keys, secondaryKeys, selectiveLogic) = ToKeys(item);
+
+            entries[uid.ToString()] = new JsonObject
+            {
+                ["uid"] = uid,
+                ["key"] = ToJsonArray(keys),
+                ["keysecondary"] = ToJsonArray(secondaryKeys),
+                ["comment"] = item.Name,
+                ["content"] = item.Content,
+                ["constant"] = item.Availability == AvailabilityType.AlwaysOn,
+                ["selective"] = secondaryKeys.Count > 0,
+                ["selectiveLogic"] = selectiveLogic,
+                ["order"] = item.SortOrder,
+                ["position"] = 0,
+                ["disable"] = !item.IsEnabled,
+                ["excludeRecursion"] = item.ExcludeFromRecursion,
+                ["probability"] = 100,
+                ["useProbability"] = true,
+                ["depth"] = 4,
+                ["scanDepth"] = item.Availability == AvailabilityType.Trigger ? item.TriggerLookbackTurns * 2 : (int?)null,
+                ["caseSensitive"] = false,
+                ["matchWholeWords"] = true,
+                ["cooldown"] = item.CooldownTurns * 2,
+                ["displayIndex"] = uid
+            };
+            uid++;
+        }
+
+        return new JsonObject { ["entries"] = entries }.ToJsonString(JsonOptions);
+    }
+
+    /// <summary>
+    /// Writes a CharacterProfile item as a V2 character card
+    /// </summary>
+    public static string ToCharacterCardJson(ContextData profile)
+    {
+        var sections = SplitProfileSections(profile.Content);
+
+        var card = new JsonObject
+        {
+            ["spec"] = "chara_card_v2",
+            ["spec_version"] = "2.0",
+            ["data"] = new JsonObject
+            {
+                ["name"] = profile.Name,
+                ["description"] = sections.GetValueOrDefault(string.Empty, string.Empty),
+                ["personality"] = sections.GetValueOrDefault("Personality", string.Empty),
+                ["scenario"] = sections.GetValueOrDefault("Scenario", string.Empty),
+                ["first_mes"] = string.Empty,
+                ["mes_example"] = sections.GetValueOrDefault("Example Dialogue", string.Empty),
+                ["creator_notes"] = string.Empty,
+                ["system_prompt"] = string.Empty,
+                ["post_history_instructions"] = string.Empty,
+                ["alternate_greetings"] = new JsonArray(),
+                ["tags"] = ToJsonArray(profile.Tags),
+                ["creator"] = string.Empty,
+                ["character_version"] = string.Empty,
+                ["extensions"] = new JsonObject()
+            }
+        };
+
+        return card.ToJsonString(JsonOptions);
+    }
+
+    /// <summary>
+    /// Zips one character card per CharacterProfile item, named after the profile
+    /// </summary>
+    public static byte[] ToCharacterCardsZip(IEnumerable<ContextData> profiles)
+    {
+        using var stream = new MemoryStream();
+        using (var archive = new ZipArchive(stream, ZipArchiveMode.Create, leaveOpen: true))
+        {
+            var usedNames = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+
+            foreach (var profile in profiles.Where(p => p.Type == DataType.CharacterProfile))
+            {
+                var baseName = ContextDataExporter.ToFileName(profile.Name);
+                var fileName = $"{baseName}.json";
+                for (var i = 2; !usedNames.Add(fileName); i++)
+                {
+                    fileName = $"{baseName} ({i}).json";
+                }
+
+                var entry = archive.CreateEntry(fileName, CompressionLevel.Optimal);
+                using var writer = new StreamWriter(entry.Open(), new UTF8Encoding(false));
+                writer.Write(ToCharacterCardJson(profile));
+            }
+        }
+
+        return stream.ToArray();
+    }
+
+    /// <summary>
+    /// Maps TriggerKeywords to SillyTavern keys, secondary keys and selective logic
+    /// </summary>
+    public static (List<string> Keys, List<string> SecondaryKeys, int SelectiveLogic) ToKeys(ContextData item)
+    {
+        if (string.IsNullOrWhiteSpace(item.TriggerKeywords))
+            return ([], [], SillyTavernImporter.LogicAndAny);
+
+        if (!TriggerExpression.IsExpression(item.TriggerKeywords))
+        {
+            List<string> keywords = [.. item.TriggerKeywords.Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries)];
+            return (keywords, [], SillyTavernImporter.LogicAndAny);
+        }
+
+        TriggerExpression expression;
+        try
+        {
+            expression = TriggerExpression.Parse(item.TriggerKeywords);
+        }
+        catch (TriggerExpressionException)
+        {
+            // An invalid expression never activates; export it inactive rather than guessing
+            return ([], [], SillyTavernImporter.LogicAndAny);
+        }
+
+        var terms = expression.Terms.ToList();
+        var text = Regex.Replace(TriggerExpression.StripPrefix(item.TriggerKeywords), @"\s+", " ");
+
+        if (text == string.Join(", ", terms) || text == string.Join(" OR ", terms))
+            return ([.. terms.Select(ToKey)], [], SillyTavernImporter.LogicAndAny);
+
+        for (var split = 1; split < terms.Count; split++)
+        {
+            var primary = terms[..split];
+            var secondary = terms[split..];
+            foreach (var logic in new[]
+                     {
+                         SillyTavernImporter.LogicAndAny, SillyTavernImporter.LogicNotAll,
+                         SillyTavernImporter.LogicNotAny, SillyTavernImporter.LogicAndAll
+                     })
+            {
+                if (text == SillyTavernImporter.CombineTerms(primary, secondary, logic))
+                    return ([.. primary.Select(ToKey)], [.. secondary.Select(ToKey)], logic);
+            }
+        }
+
+        return ([RegexKey(expression.ToRegexPattern())], [], SillyTavernImporter.LogicAndAny);
+    }
+
+    /// <summary>
+    /// Converts an expression term to a SillyTavern key
+    /// </summary>
+    private static string ToKey(string term)
+    {
+        if (term.Length > 1 && term.StartsWith('"') && term.EndsWith('"'))
+            return term[1..^1];
+
+        if (term.Length > 1 && term.StartsWith('/') && term.EndsWith('/'))
+            return RegexKey(term[1..^1]);
+
+        if (term.EndsWith('*'))
+        {
+            var words = term[..^1].Split(' ', StringSplitOptions.RemoveEmptyEntries).Select(Regex.Escape);
+            return RegexKey($@"\b{string.Join(@"\s+", words)}\w*");
+        }
+
+        return term;
+    }
+
+    /// <summary>
+    /// SillyTavern reads keys of the form /pattern/flags as regular expressions; slashes inside must be escaped
+    /// </summary>
+    private static string RegexKey(string pattern) => $"/{Regex.Replace(pattern, @"(?<!\\)/", @"\/")}/i";
+
+    /// <summary>
+    /// Splits profile content at the section headings the importer writes; the text before them is keyed by ""
+    /// </summary>
+    private static Dictionary<string, string> SplitProfileSections(string content)
+    {
+        var sections = new Dictionary<string, string>(StringComparer.OrdinalIgnoreCase);
+        var matches = ProfileSectionHeading.Matches(content);
+
+        var start = 0;
+        var key = string.Empty;
+        foreach (Match match in matches)
+        {
+            Append(key, content[start..match.Index]);
+            key = match.Groups[1].Value;
+            start = match.Index + match.Length;
+        }
+        Append(key, content[start..]);
+
+        return sections;
+
+        void Append(string sectionKey, string text)
+        {
+            text = text.Trim();
+            if (text.Length == 0)
+                return;
+
+            sections[sectionKey] = sections.TryGetValue(sectionKey, out var existing) ? $"{existing}\n\n{text}" : text;
+        }
+    }
+
+    private static JsonArray ToJsonArray(IEnumerable<string> values) => new([.. values.Select(v => (JsonNode?)JsonValue.Create(v))]);
+}
@@ -0,0 +1,391 @@
+using System.Buffers.Binary;
+using System.Text.Json.Nodes;
+using CAF.Services.Conversation;
+
+namespace CAF.Services;
+
+/// <summary>
+/// Reads SillyTavern character cards (V1/V2/V3, as PNG with embedded metadata or as JSON) and
+/// World Info lorebooks into context data items.
+/// <list type="bullet">
+/// <item>A card becomes a CharacterProfile built from its description, personality, scenario and example dialogue.</item>
+/// <item>Lorebook entries become Trigger items: keys map to TriggerKeywords (secondary keys and their logic become a
+/// <see cref="TriggerExpression"/>), constant entries become AlwaysOn, exclude-recursion maps to ExcludeFromRecursion.</item>
+/// <item>Scan depth and cooldown count chat messages while TriggerLookbackTurns and CooldownTurns count turns
+/// of one input and one response, so they are halved, rounding up.</item>
+/// </list>
+/// Nothing is saved here; the items are previewed, then created by the caller.
+/// </summary>
+public static class SillyTavernImporter
+{
+    public const string CharacterCardKind = "CharacterCard";
+    public const string WorldInfoKind = "WorldInfo";
+
+    private static readonly byte[] PngSignature = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+
+    private static readonly Regex RegexKey = new(@"^/(.+)/([a-z]*)$", RegexOptions.Compiled);
+    private static readonly Regex ExpressionCharacters = new(@"[""(),*]|\b(AND|OR|NOT)\b", RegexOptions.Compiled);
+
+    // SillyTavern's world_info_logic values
+    internal const int LogicAndAny = 0;
+    internal const int LogicNotAll = 1;
+    internal const int LogicNotAny = 2;
+    internal const int LogicAndAll = 3;
+
+    /// <summary>
+    /// Parses the file into the items it would be imported as
+    /// </summary>
+    /// <exception cref="InvalidOperationException">The file is not a card or lorebook this importer understands</exception>
+    public static SillyTavernImportPreview Preview(SillyTavernImportRequest request)
+    {
+        byte[] bytes;
+        try
+        {
+            bytes = Convert.FromBase64String(request.ContentBase64);
+        }
+        catch (FormatException)
+        {
+            throw new InvalidOperationException("File content is not valid base64");
+        }
+
+        var json = bytes.AsSpan().StartsWith(PngSignature)
+            ? ReadPngCardJson(bytes)
+            : Encoding.UTF8.GetString(bytes).TrimStart('\uFEFF');
+
+        JsonNode? root;
+        try
+        {
+            root = JsonNode.Parse(json);
+        }
+        catch (JsonException ex)
+        {
+            throw new InvalidOperationException($"File is not valid JSON: {ex.Message}");
+        }
+
+        if (root is not JsonObject rootObject)
+            throw new InvalidOperationException("File is not a SillyTavern character card or World Info file");
+
+        var fallbackName = Path.GetFileNameWithoutExtension(request.FileName);
+        var preview = IsCharacterCard(rootObject)
+            ? PreviewCard(rootObject, request, fallbackName)
+            : rootObject["entries"] is not null
+                ? PreviewWorldInfo(rootObject, request, string.IsNullOrWhiteSpace(Str(rootObject, "name")) ? fallbackName : Str(rootObject, "name")!)
+                : throw new InvalidOperationException("File is not a SillyTavern character card or World Info file");
+
+        for (var i = 0; i < preview.Items.Count; i++)
+            preview.Items[i].Index = i;
+
+        return preview;
+    }
+
+    #region Character Cards
+
+    private static bool IsCharacterCard(JsonObject root) =>
+        Str(root, "spec")?.StartsWith("chara_card", StringComparison.OrdinalIgnoreCase) == true
+        || (root["entries"] is null && (root["first_mes"] is not null || root["description"] is not null));
+
+    private static SillyTavernImportPreview PreviewCard(JsonObject root, SillyTavernImportRequest request, string fallbackName)
+    {
+        // V2 and V3 keep the fields under "data"; V1 has them at the top level
+        var card = root["data"] as JsonObject ?? root;
+        var name = Str(card, "name");
+        if (string.IsNullOrWhiteSpace(name))
+            name = fallbackName;
+
+        var content = new StringBuilder();
+        AppendSection(content, null, Str(card, "description"));
+        AppendSection(content, "Personality", Str(card, "personality"));
+        AppendSection(content, "Scenario", Str(card, "scenario"));
+        AppendSection(content, "Example Dialogue", Str(card, "mes_example"));
+
+        var profileItem = new SillyTavernPreviewItem
+        {
+            Source = "Card",
+            Data = new ContextData
+            {
+                Name = name,
+                Type = DataType.CharacterProfile,
+                Availability = request.CardAvailability,
+                Content = ReplaceMacros(content.ToString().Trim(), name, request.UserName),
+                Description = $"Imported from SillyTavern card {request.FileName}",
+                Tags = StrList(card, "tags"),
+                IsEnabled = true
+            }
+        };
+        if (profileItem.Data.Content.Length == 0)
+            profileItem.Warnings.Add("Card has no description, personality, scenario or example dialogue");
+        if (!string.IsNullOrWhiteSpace(Str(card, "system_prompt")) || !string.IsNullOrWhiteSpace(Str(card, "post_history_instructions")))
+            profileItem.Warnings.Add("The card's system prompt and post-history instructions are not imported");
+
+        var preview = new SillyTavernImportPreview { Kind = CharacterCardKind, Name = name, Items = [profileItem] };
+
+        if (request.IncludeEmbeddedLorebook && card["character_book"] is JsonObject book)
+        {
+            preview.Items.AddRange(PreviewEntries(book["entries"], request, name, characterName: name));
+        }
+
+        return preview;
+    }
+
+    /// <summary>
+    /// Extracts the card JSON from the PNG's "ccv3" (preferred) or "chara" tEXt chunk, which holds base64 encoded JSON
+    /// </summary>
+    private static string ReadPngCardJson(byte[] png)
+    {
+        var chunks = new Dictionary<string, string>(StringComparer.OrdinalIgnoreCase);
+        var offset = PngSignature.Length;
+
+        while (offset + 12 <= png.Length)
+        {
+            var length = (int)BinaryPrimitives.ReadUInt32BigEndian(png.AsSpan(offset, 4));
+            var type = Encoding.ASCII.GetString(png, offset + 4, 4);
+            if (length < 0 || offset + 12L + length > png.Length)
+                break;
+
+            if (type == "tEXt")
+            {
+                var data = png.AsSpan(offset + 8, length);
+                var separator = data.IndexOf((byte)0);
+                if (separator > 0)
+                {
+                    chunks.TryAdd(Encoding.Latin1.GetString(data[..separator]), Encoding.Latin1.GetString(data[(separator + 1)..]));
+                }
+            }
+            else if (type == "IEND")
+            {
+                break;
+            }
+
+            offset += 12 + length;
+        }
+
+        if (!chunks.TryGetValue("ccv3", out var encoded) && !chunks.TryGetValue("chara", out encoded))
+            throw new InvalidOperationException("PNG has no SillyTavern character card data");
+
+        try
+        {
+            return Encoding.UTF8.GetString(Convert.FromBase64String(encoded));
+        }
+        catch (FormatException)
+        {
+            throw new InvalidOperationException("PNG character card data is not valid base64");
+        }
+    }
+
+    private static void AppendSection(StringBuilder content, string? heading, string? text)
+    {
+        if (string.IsNullOrWhiteSpace(text))
+            return;
+
+        if (heading != null)
+            content.Append("## ").Append(heading).Append('\n');
+
+        content.Append(text.Trim()).Append("\n\n");
+    }
+
+    /// <summary>
+    /// Replaces the {{char}} and {{user}} macros; a macro without a replacement is left as is
+    /// </summary>
+    private static string ReplaceMacros(string text, string? characterName, string? userName)
+    {
+        if (!string.IsNullOrWhiteSpace(characterName))
+            text = Regex.Replace(text, @"\{\{char\}\}|<BOT>", _ => characterName, RegexOptions.IgnoreCase);
+        return string.IsNullOrWhiteSpace(userName)
+            ? text
+            : Regex.Replace(text, @"\{\{user\}\}|<USER>", _ => userName, RegexOptions.IgnoreCase);
+    }
+
+    #endregion Character Cards
+
+    #region World Info
+
+    private static SillyTavernImportPreview PreviewWorldInfo(JsonObject root, SillyTavernImportRequest request, string name) => new()
+    {
+        Kind = WorldInfoKind,
+        Name = name,
+        Items = PreviewEntries(root["entries"], request, name, characterName: null)
+    };
+
+    /// <summary>
+    /// Maps lorebook entries. World Info files keep them in an object keyed by uid with camelCase fields;
+    /// a card's character_book keeps them in an array with snake_case fields and SillyTavern's extras under "extensions".
+    /// </summary>
+    /// <param name="characterName">Replaces {{char}}; the card's name for an embedded lorebook</param>
+    private static List<SillyTavernPreviewItem> PreviewEntries(JsonNode? entries, SillyTavernImportRequest request, string bookName, string? characterName)
+    {
+        var embedded = entries is JsonArray;
+        IEnumerable<JsonNode?> entryNodes = entries switch
+        {
+            JsonObject byUid => byUid.Select(e => e.Value),
+            JsonArray array => array,
+            _ => []
+        };
+
+        var items = new List<SillyTavernPreviewItem>();
+        var position = 0;
+
+        foreach (var node in entryNodes)
+        {
+            position++;
+            if (node is not JsonObject entry)
+                continue;
+
+            var extensions = entry["extensions"] as JsonObject;
+            var uid = Int(entry, "uid") ?? Int(entry, "id") ?? position;
+            var keys = StrList(entry, embedded ? "keys" : "key");
+            var secondaryKeys = StrList(entry, embedded ? "secondary_keys" : "keysecondary");
+            var comment = Str(entry, "comment");
+            var entryName = Str(entry, "name");
+            var scanDepth = Int(entry, "scanDepth") ?? Int(extensions, "scan_depth");
+            var selectiveLogic = Int(entry, "selectiveLogic") ?? Int(extensions, "selectiveLogic") ?? LogicAndAny;
+            var excludeRecursion = Bool(entry, "excludeRecursion") ?? Bool(extensions, "exclude_recursion") ?? false;
+            var enabled = embedded ? Bool(entry, "enabled") ?? true : !(Bool(entry, "disable") ?? false);
+            var constant = Bool(entry, "constant") ?? false;
+            var selective = Bool(entry, "selective") ?? secondaryKeys.Count > 0;
+
+            var item = new SillyTavernPreviewItem
+            {
+                Source = $"Entry {uid}",
+                Data = new ContextData
+                {
+                    Name = FirstNonEmpty(comment, entryName, keys.FirstOrDefault()) ?? $"{bookName} entry {uid}",
+                    Type = request.EntryType,
+                    Content = ReplaceMacros(Str(entry, "content")?.Trim() ?? string.Empty, characterName, request.UserName),
+                    Description = $"Imported from SillyTavern lorebook {bookName}",
+                    SortOrder = Int(entry, embedded ? "insertion_order" : "order") ?? 0,
+                    ExcludeFromRecursion = excludeRecursion,
+                    IsEnabled = enabled
+                }
+            };
+
+            if (constant)
+            {
+                item.Data.Availability = AvailabilityType.AlwaysOn;
+            }
+            else if (keys.Count == 0)
+            {
+                item.Data.Availability = AvailabilityType.Archive;
+                item.Data.IsArchived = true;
+                item.Warnings.Add("Entry has no keys and is not constant; imported as Archive");
+            }
+            else
+            {
+                item.Data.Availability = AvailabilityType.Trigger;
+                item.Data.TriggerKeywords = BuildTriggerKeywords(keys, selective ? secondaryKeys : [], selectiveLogic, item.Warnings);
+            }
+
+            if (scanDepth.HasValue)
+                item.Data.TriggerLookbackTurns = Math.Max(1, (scanDepth.Value + 1) / 2);
+
+            var cooldown = Int(entry, "cooldown") ?? Int(extensions, "cooldown");
+            if (cooldown is int cooldownMessages && cooldownMessages > 0)
+                item.Data.CooldownTurns = (cooldownMessages + 1) / 2;
+
+            if (item.Data.Content.Length == 0)
+                item.Warnings.Add("Entry has no content");
+            if (!enabled)
+                item.Warnings.Add("Entry is disabled in SillyTavern; imported disabled");
+            if (!item.Data.IsValidCombination())
+                item.Warnings.Add($"{item.Data.Type} items cannot have {item.Data.Availability} availability; choose another entry type");
+
+            items.Add(item);
+        }
+
+        return items;
+    }
+
+    /// <summary>
+    /// Turns keys into TriggerKeywords: a plain keyword list when possible, otherwise an expression
+    /// with quoted phrases and /regex/ terms, combining secondary keys the way SillyTavern's selective logic does
+    /// </summary>
+    public static string BuildTriggerKeywords(List<string> keys, List<string> secondaryKeys, int selectiveLogic, List<string> warnings)
+    {
+        var primary = keys.Select(k => ToTerm(k, warnings)).Where(t => t.Length > 0).ToList();
+        var secondary = secondaryKeys.Select(k => ToTerm(k, warnings)).Where(t => t.Length > 0).ToList();
+
+        // Keys that are plain words need no expression
+        if (secondary.Count == 0 && primary.SequenceEqual(keys.Select(k => k.Trim()).Where(k => k.Length > 0)))
+            return string.Join(", ", primary);
+
+        var keywords = TriggerExpression.ToKeywords(CombineTerms(primary, secondary, selectiveLogic));
+        var error = TriggerExpression.Validate(keywords);
+        if (error == null)
+            return keywords;
+
+        // Fall back to the primary keys as plain words
+        warnings.Add($"Keys could not be converted to a valid expression ({error.Message}); using the primary keys only");
+        return string.Join(", ", keys.Select(k => Regex.Replace(k, @"[""(),*/]", " ").Trim()).Where(k => k.Length > 0));
+    }
+
+    /// <summary>
+    /// Writes primary and secondary expression terms as TriggerKeywords; the SillyTavern exporter
+    /// compares against this to recognise expressions it can write back as keys
+    /// </summary>
+    internal static string CombineTerms(List<string> primary, List<string> secondary, int selectiveLogic)
+    {
+        if (secondary.Count == 0)
+            return string.Join(", ", primary);
+
+        var primaryGroup = primary.Count == 1 ? primary[0] : $"({string.Join(" OR ", primary)})";
+        return selectiveLogic switch
+        {
+            LogicNotAll => $"{primaryGroup} NOT ({string.Join(" AND ", secondary)})",
+            LogicNotAny => $"{primaryGroup} NOT ({string.Join(" OR ", secondary)})",
+            LogicAndAll => $"{primaryGroup} AND ({string.Join(" AND ", secondary)})",
+            _ => $"{primaryGroup} AND ({string.Join(" OR ", secondary)})"
+        };
+    }
+
+    private static string ToTerm(string key, List<string> warnings)
+    {
+        key = key.Trim();
+        var regexMatch = RegexKey.Match(key);
+        if (regexMatch.Success)
+        {
+            if (regexMatch.Groups[2].Value.Trim('i', 'g').Length > 0)
+                warnings.Add($"Regex flags of {key} are dropped; trigger regexes are always case-insensitive");
+            return $"/{regexMatch.Groups[1].Value.Replace("/", @"\/").Replace(@"\\/", @"\/")}/";
+        }
+
+        // Operator words, quotes, parentheses, commas and '*' would change the meaning of a bare key
+        return ExpressionCharacters.IsMatch(key) || key.StartsWith('/')
+            ? $"\"{key.Replace("\"", string.Empty)}\""
+            : key;
+    }
+
+    #endregion World Info
+
+    #region JSON Helpers
+
+    private static string? Str(JsonObject? node, string key) =>
+        node?[key] is JsonValue value && value.TryGetValue<string>(out var text) ? text : null;
+
+    private static int? Int(JsonObject? node, string key)
+    {
+        if (node?[key] is not JsonValue value)
+            return null;
+        if (value.TryGetValue<int>(out var number))
+            return number;
+        if (value.TryGetValue<double>(out var real))
+            return (int)real;
+        return value.TryGetValue<string>(out var text) && int.TryParse(text, out number) ? number : null;
+    }
+
+    private static bool? Bool(JsonObject? node, string key) =>
+        node?[key] is JsonValue value && value.TryGetValue<bool>(out var flag) ? flag : null;
+
+    private static List<string> StrList(JsonObject? node, string key) =>
+        node?[key] switch
+        {
+            JsonArray array => [.. array.OfType<JsonValue>()
+                .Select(v => v.TryGetValue<string>(out var text) ? text.Trim() : null)
+                .Where(text => !string.IsNullOrEmpty(text))
+                .Select(text => text!)],
+            JsonValue value when value.TryGetValue<string>(out var text) => [.. text.Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries)],
+            _ => []
+        };
+
+    private static string? FirstNonEmpty(params string?[] values) => values.FirstOrDefault(v => !string.IsNullOrWhiteSpace(v))?.Trim();
+
+    #endregion JSON Helpers
+}
@@ -543,7 +543,9 @@ public static class DefaultSystemMessageRegistry
         [ConversationConstants.TechnicalMessages.MemorySummaryInstructions] = DefaultTechnicalMessages.MemorySummaryInstructions,
         [ConversationConstants.TechnicalMessages.MemoryCoreFactsInstructions] = DefaultTechnicalMessages.MemoryCoreFactsInstructions,
         [ConversationConstants.TechnicalMessages.QuoteQueryTransformer] = DefaultTechnicalMessages.QuoteQueryTransformer,
-        [ConversationConstants.TechnicalMessages.QuoteMapper] = DefaultTechnicalMessages.QuoteMapper
+        [ConversationConstants.TechnicalMessages.QuoteMapper] = DefaultTechnicalMessages.QuoteMapper,
+        [ConversationConstants.TechnicalMessages.MemoryExtractionInstructions] = DefaultTechnicalMessages.MemoryExtractionInstructions,
+        [ConversationConstants.TechnicalMessages.SessionSummaryInstructions] = DefaultTechnicalMessages.SessionSummaryInstructions
     };
 
     /// <summary>
@@ -19,10 +19,11 @@ public class TurnService(GeneralDbContext context) : ITurnService
             .ToListAsync();
     }
 
-    public async Task<List<Turn>> GetRecentTurnsAsync(int sessionId, int count, CancellationToken cancellationToken = default)
+    public async Task<List<Turn>> GetRecentTurnsAsync(int sessionId, int count, DateTime? before = null, CancellationToken cancellationToken = default)
     {
         return await context.Turns
             .Where(t => t.SessionId == sessionId && t.Accepted)
+            .Where(t => before == null || t.CreatedAt < before)
             .OrderByDescending(t => t.CreatedAt)
             .Take(count)
             .OrderBy(t => t.CreatedAt) // Re-order chronologically
@@ -53,11 +54,15 @@ public class TurnService(GeneralDbContext context) : ITurnService
         dbTurn.Input = turn.Input;
         dbTurn.Response = turn.Response;
         dbTurn.StrippedTurn = turn.StrippedTurn;
+        dbTurn.RequestProvider = turn.RequestProvider;
+        dbTurn.RequestSnapshot = turn.RequestSnapshot;
+        dbTurn.EnrichmentSnapshot = turn.EnrichmentSnapshot;
         dbTurn.Accepted = accepted;
 
-        // Mark all context data as used by setting UsedLastOnTurnId
+        // Mark all context data as used; usage-based availability rules count UsageCount.
+        // This is the only place usage is counted, and only turns that got a response count.
         var contextDataIds = state.GetAllContextDataIds();
-        if (contextDataIds.Count > 0)
+        if (accepted && contextDataIds.Count > 0)
         {
             var contextDataToUpdate = await context.ContextData
                 .Where(cd => contextDataIds.Contains(cd.Id))
@@ -65,7 +70,7 @@ public class TurnService(GeneralDbContext context) : ITurnService
 
             foreach (var contextData in contextDataToUpdate)
             {
-                contextData.UsedLastOnTurnId = turn.Id;
+                contextData.MarkUsed(turn.Id);
             }
         }
 
@@ -87,8 +92,14 @@ public class TurnService(GeneralDbContext context) : ITurnService
             turn.JsonInput = jsonInput;
 
         if (response != null)
+        {
             turn.Response = response;
 
+            // Keep the selected swipe in sync with hand edits
+            if (turn.SelectedSwipe < turn.Swipes.Count)
+                turn.Swipes[turn.SelectedSwipe] = response;
+        }
+
         if (strippedTurn != null)
             turn.StrippedTurn = strippedTurn;
 
@@ -100,6 +111,47 @@ public class TurnService(GeneralDbContext context) : ITurnService
         return turn;
     }
 
+    public async Task<Turn> AddSwipeAsync(int id, string response)
+    {
+        var turn = await context.Turns.FindAsync(id) ?? throw new KeyNotFoundException($"Turn with id {id} not found");
+
+        // The first regeneration turns the original response into swipe 0
+        if (turn.Swipes.Count == 0)
+            turn.Swipes.Add(turn.Response);
+
+        turn.Swipes.Add(response);
+        SelectSwipe(turn, turn.Swipes.Count - 1);
+
+        await context.SaveChangesAsync();
+
+        return turn;
+    }
+
+    public async Task<Turn> SelectSwipeAsync(int id, int index)
+    {
+        var turn = await context.Turns.FindAsync(id) ?? throw new KeyNotFoundException($"Turn with id {id} not found");
+
+        if (index < 0 || index >= turn.Swipes.Count)
+            throw new ArgumentOutOfRangeException(nameof(index), $"Turn {id} has no swipe {index}");
+
+        if (index != turn.SelectedSwipe)
+        {
+            SelectSwipe(turn, index);
+            await context.SaveChangesAsync();
+        }
+
+        return turn;
+    }
+
+    private static void SelectSwipe(Turn turn, int index)
+    {
+        turn.SelectedSwipe = index;
+        turn.Response = turn.Swipes[index];
+
+        // The stripped version belongs to the previous response; the stripper background service redoes it
+        turn.StrippedTurn = string.Empty;
+    }
+
     public async Task<bool> DeleteTurnAsync(int id)
     {
         var turn = await context.Turns.FindAsync(id);
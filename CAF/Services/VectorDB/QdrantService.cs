@@ -8,6 +8,8 @@ namespace CAF.Services.VectorDB;
 /// </summary>
 public class QdrantService : IQdrantService, IAsyncDisposable
 {
+    private const uint ScrollPageSize = 256;
+
     private readonly string _collection;
     private readonly ulong _dimension = 3072;
     private readonly QdrantClient _client;
@@ -164,6 +166,67 @@ public class QdrantService : IQdrantService, IAsyncDisposable
         return ParseResults(results);
     }
 
+    /// <summary>
+    /// Gets the stored vectors of every point of a profile with the given entry type, keyed by database primary key
+    /// </summary>
+    public async Task<Dictionary<long, float[]>> GetVectorsAsync(
+        int profileId,
+        string entryType,
+        CancellationToken ct = default)
+    {
+        var filter = new Filter
+        {
+            Must =
+            {
+                new Condition
+                {
+                    Field = new FieldCondition
+                    {
+                        Key = "profile_id",
+                        Match = new Qdrant.Client.Grpc.Match { Integer = profileId }
+                    }
+                },
+                new Condition
+                {
+                    Field = new FieldCondition
+                    {
+                        Key = "entry_type",
+                        Match = new Qdrant.Client.Grpc.Match { Keyword = entryType }
+                    }
+                }
+            }
+        };
+
+        var vectors = new Dictionary<long, float[]>();
+        PointId? offset = null;
+
+        do
+        {
+            var page = await _client.ScrollAsync(
+                _collection,
+                filter,
+                limit: ScrollPageSize,
+                offset: offset,
+                payloadSelector: new WithPayloadSelector { Include = new PayloadIncludeSelector { Fields = { "dbPK" } } },
+                vectorsSelector: true,
+                cancellationToken: ct);
+
+            foreach (var point in page.Result)
+            {
+                if (!point.Payload.TryGetValue("dbPK", out var dbPK) || point.Vectors?.Vector?.Dense == null)
+                    continue;
+
+                vectors[dbPK.IntegerValue] = [.. point.Vectors.Vector.Dense.Data];
+            }
+
+            offset = page.NextPageOffset;
+        } while (offset != null);
+
+        _logger.LogDebug("Read {Count} '{EntryType}' vectors from collection '{Collection}'", vectors.Count, entryType, _collection);
+
+        return vectors;
+    }
+
     /// <summary>
     /// Deletes all points associated with a specific database primary key (ContextData.Id)
     /// </summary>
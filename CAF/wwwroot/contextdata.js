@@ -8,19 +8,33 @@ import {
     showMessage,
     showError,
     getTimeAgo,
-    formatDate
+    formatDate,
+    formatDateTime
 } from './js/common-utils.js';
+import { generateLineDiff } from './js/diff-viewer.js';
 
 const API_BASE_URL = '/api/contextdata';
 
-let allData = [];
+const PAGE_SIZE = 50;
+
+let allData = []; // current page
 let filteredData = [];
+let currentPage = 1;
+let totalPages = 0;
 let editModalInstance = null;
 let confirmModalInstance = null;
 let bulkAvailabilityModalInstance = null;
+let bulkEditModalInstance = null;
+let duplicatesModalInstance = null;
 let currentTypeFilter = 'all';
 let pendingAvailabilityChange = null;
 let selectedIds = new Set();
+let duplicateGroups = [];
+let analytics = null;
+let lastPlaygroundRequest = null;
+let lastSimulation = null;
+let triggerValidationTimer = null;
+let sillyTavernRequest = null;
 
 // DOM Elements
 const dataList = document.getElementById('dataList');
@@ -35,11 +49,21 @@ const sortOrder = document.getElementById('sortOrder');
 const searchInput = document.getElementById('searchInput');
 const includeArchived = document.getElementById('includeArchived');
 const importSection = document.getElementById('importSection');
+const playgroundSection = document.getElementById('playgroundSection');
+const playgroundResults = document.getElementById('playgroundResults');
+const triggerSimulatorSection = document.getElementById('triggerSimulatorSection');
+const exportSection = document.getElementById('exportSection');
+const analyticsSection = document.getElementById('analyticsSection');
+const simulatorResults = document.getElementById('simulatorResults');
+const pageInfo = document.getElementById('pageInfo');
+const prevPageBtn = document.getElementById('prevPageBtn');
+const nextPageBtn = document.getElementById('nextPageBtn');
 
 // Initialize
 document.addEventListener('DOMContentLoaded', () => {
     initializeModals();
     setupEventListeners();
+    loadFilterOptions();
     loadData();
     loadStats();
 });
@@ -63,6 +87,16 @@ function initializeModals() {
     if (bulkAvailabilityModal) {
         bulkAvailabilityModalInstance = new bootstrap.Modal(bulkAvailabilityModal);
     }
+    
+    const bulkEditModal = document.getElementById('bulkEditModal');
+    if (bulkEditModal) {
+        bulkEditModalInstance = new bootstrap.Modal(bulkEditModal);
+    }
+    
+    const duplicatesModal = document.getElementById('duplicatesModal');
+    if (duplicatesModal) {
+        duplicatesModalInstance = new bootstrap.Modal(duplicatesModal);
+    }
 }
 
 function setupEventListeners() {
@@ -85,11 +119,30 @@ function setupEventListeners() {
     sortBy.addEventListener('change', applyFilters);
     sortOrder.addEventListener('change', applyFilters);
     searchInput.addEventListener('input', debounce(applyFilters, 300));
-    includeArchived.addEventListener('change', loadData);
+    includeArchived.addEventListener('change', applyFilters);
+
+    // Paging
+    prevPageBtn.addEventListener('click', () => goToPage(currentPage - 1));
+    nextPageBtn.addEventListener('click', () => goToPage(currentPage + 1));
+    
+    // Live validation of trigger keywords / expressions
+    document.getElementById('editTriggerKeywords').addEventListener('input', () => {
+        clearTimeout(triggerValidationTimer);
+        triggerValidationTimer = setTimeout(showTriggerValidation, 300);
+    });
+    
+    // Re-render the last trigger simulation when toggling non-matching triggers
+    document.getElementById('simulatorShowAll').addEventListener('change', renderTriggerSimulation);
+    
+    // The TSV layout only applies to TSV exports
+    document.getElementById('exportFormat').addEventListener('change', updateExportScope);
     
     // Availability change in edit modal
     document.getElementById('editAvailability').addEventListener('change', handleAvailabilityFieldChange);
     
+    // Revision history is loaded when its tab is opened
+    document.getElementById('edit-history-tab').addEventListener('shown.bs.tab', loadRevisions);
+    
     // Confirm availability change
     document.getElementById('confirmAvailabilityBtn').addEventListener('click', confirmAvailabilityChange);
 }
@@ -98,40 +151,59 @@ function setupEventListeners() {
 
 async function loadData() {
     try {
-        const archived = includeArchived.checked;
-        const response = await fetch(`${API_BASE_URL}?includeArchived=${archived}`);
+        const response = await fetch(`${API_BASE_URL}?${buildQuery()}`);
         if (!response.ok) throw new Error('Failed to load data');
         
-        allData = await response.json();
-        
-        // Populate filter dropdowns
-        populateFilterDropdowns();
+        const result = await response.json();
+        allData = result.items;
+        filteredData = allData;
+        currentPage = result.page;
+        totalPages = result.totalPages;
         
-        applyFilters();
+        renderData();
+        renderPaging(result);
     } catch (error) {
         console.error('Error loading data:', error);
         dataList.innerHTML = '<div class="alert alert-danger">Failed to load data</div>';
     }
 }
 
-function populateFilterDropdowns() {
-    // Get unique speakers
-    const speakers = [...new Set(allData
-        .filter(d => d.speaker)
-        .map(d => d.speaker)
-        .sort())];
-    
-    speakerFilter.innerHTML = '<option value="">All Speakers</option>' +
-        speakers.map(s => `<option value="${escapeHtml(s)}">${escapeHtml(s)}</option>`).join('');
-    
-    // Get unique sessions
-    const sessions = [...new Set(allData
-        .filter(d => d.sourceSessionId)
-        .map(d => d.sourceSessionId)
-        .sort((a, b) => b - a))]; // Sort descending
+/**
+ * Finds an item on the current page, or fetches it when it comes from elsewhere (e.g. the semantic search playground)
+ */
+async function findItem(id) {
+    const item = allData.find(d => d.id === id);
+    if (item) return item;
     
-    sessionFilter.innerHTML = '<option value="">All Sessions</option>' +
-        sessions.map(s => `<option value="${s}">Session ${s}</option>`).join('');
+    try {
+        const response = await fetch(`${API_BASE_URL}/${id}`);
+        if (!response.ok) throw new Error('Failed to load item');
+        return await response.json();
+    } catch (error) {
+        showError(error.message);
+        return null;
+    }
+}
+
+async function loadFilterOptions() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/filters`);
+        if (!response.ok) return;
+        
+        const options = await response.json();
+        const selectedSpeaker = speakerFilter.value;
+        const selectedSession = sessionFilter.value;
+        
+        speakerFilter.innerHTML = '<option value="">All Speakers</option>' +
+            options.speakers.map(s => `<option value="${escapeHtml(s)}">${escapeHtml(s)}</option>`).join('');
+        sessionFilter.innerHTML = '<option value="">All Sessions</option>' +
+            options.sessionIds.map(s => `<option value="${s}">Session ${s}</option>`).join('');
+        
+        speakerFilter.value = selectedSpeaker;
+        sessionFilter.value = selectedSession;
+    } catch (error) {
+        console.error('Error loading filter options:', error);
+    }
 }
 
 async function loadStats() {
@@ -150,86 +222,60 @@ async function loadStats() {
 
 // ============ Filtering & Sorting ============
 
-function applyFilters() {
-    let data = [...allData];
-    
-    // Type filter
-    if (currentTypeFilter !== 'all') {
-        data = data.filter(d => d.type === currentTypeFilter);
-    }
-    
-    // Availability filter
-    const avail = availabilityFilter.value;
-    if (avail) {
-        data = data.filter(d => d.availability === avail);
-    }
-    
-    // Embedded status filter
-    const embedded = embeddedFilter.value;
-    if (embedded === 'embedded') {
-        data = data.filter(d => d.inVectorDb);
-    } else if (embedded === 'not-embedded') {
-        data = data.filter(d => !d.inVectorDb);
-    }
-    
-    // Tag status filter
-    const tagged = tagFilter.value;
-    if (tagged === 'tagged') {
-        data = data.filter(d => d.tags && d.tags.length > 0);
-    } else if (tagged === 'untagged') {
-        data = data.filter(d => !d.tags || d.tags.length === 0);
-    }
-    
-    // Speaker filter
-    const speaker = speakerFilter.value;
-    if (speaker) {
-        data = data.filter(d => d.speaker === speaker);
-    }
-    
-    // Session filter
-    const session = sessionFilter.value;
-    if (session) {
-        data = data.filter(d => d.sourceSessionId && d.sourceSessionId.toString() === session);
-    }
-    
-    // Search filter
-    const search = searchInput.value.toLowerCase().trim();
-    if (search) {
-        data = data.filter(d => 
-            d.name.toLowerCase().includes(search) || 
-            d.content.toLowerCase().includes(search) ||
-            (d.speaker && d.speaker.toLowerCase().includes(search)) ||
-            (d.tags && d.tags.some(t => t.toLowerCase().includes(search)))
-        );
-    }
+/**
+ * Current list filters, search and sort, as the ContextDataQuery fields
+ */
+function buildFilter() {
+    const filter = {
+        sortBy: sortBy.value,
+        sortOrder: sortOrder.value,
+        includeArchived: includeArchived.checked
+    };
     
-    // Sorting
-    const sortField = sortBy.value;
-    const order = sortOrder.value === 'asc' ? 1 : -1;
+    if (currentTypeFilter !== 'all') filter.type = currentTypeFilter;
+    if (availabilityFilter.value) filter.availability = availabilityFilter.value;
+    if (embeddedFilter.value) filter.embedded = embeddedFilter.value === 'embedded';
+    if (tagFilter.value) filter.tagged = tagFilter.value === 'tagged';
+    if (speakerFilter.value) filter.speaker = speakerFilter.value;
+    if (sessionFilter.value) filter.sessionId = parseInt(sessionFilter.value);
     
-    data.sort((a, b) => {
-        let aVal = a[sortField];
-        let bVal = b[sortField];
-        
-        if (typeof aVal === 'string') {
-            return order * aVal.localeCompare(bVal);
-        }
-        if (aVal instanceof Date || sortField.includes('At')) {
-            aVal = new Date(aVal || 0).getTime();
-            bVal = new Date(bVal || 0).getTime();
-        }
-        return order * ((aVal || 0) - (bVal || 0));
-    });
+    const search = searchInput.value.trim();
+    if (search) filter.search = search;
     
-    filteredData = data;
-    renderData();
+    return filter;
+}
+
+function buildQuery() {
+    return new URLSearchParams({
+        page: currentPage,
+        pageSize: PAGE_SIZE,
+        ...buildFilter()
+    }).toString();
+}
+
+function applyFilters() {
+    currentPage = 1;
+    loadData();
+}
+
+function goToPage(page) {
+    if (page < 1 || page > totalPages) return;
+    currentPage = page;
+    loadData();
+}
+
+function renderPaging(result) {
+    pageInfo.textContent = result.totalCount > 0
+        ? `Page ${result.page} of ${result.totalPages}`
+        : '';
+    prevPageBtn.disabled = currentPage <= 1;
+    nextPageBtn.disabled = currentPage >= totalPages;
+    document.getElementById('resultCount').textContent = `(${result.totalCount} items)`;
 }
 
 // ============ Rendering ============
 
 function renderData() {
-    document.getElementById('resultCount').textContent = `(${filteredData.length} items)`;
-    
     if (filteredData.length === 0) {
         dataList.innerHTML = `
             <div class="no-data">
@@ -274,6 +320,7 @@ function renderDataRow(item, hasTriggers) {
     const isSelected = selectedIds.has(item.id);
     const typeBadge = `<span class="badge-type badge-${item.type.toLowerCase()}">${item.type}</span>`;
     const availBadge = `<span class="badge-availability badge-${item.availability.toLowerCase()}">${item.availability}</span>`;
+    const scheduleBadge = renderScheduleBadge(item);
     
     // Tags display
     const tagsHtml = item.tags && item.tags.length > 0
@@ -396,6 +443,7 @@ function renderDataRow(item, hasTriggers) {
             </td>
             <td class="editable-cell" data-field="availability" data-id="${item.id}" title="Click to change availability">
                 ${availBadge}
+                ${scheduleBadge ? `<div>${scheduleBadge}</div>` : ''}
             </td>
             ${triggersHtml}
             <td class="editable-cell" data-field="content" data-id="${item.id}" title="Click to edit content">
@@ -414,6 +462,7 @@ function renderDataCard(item) {
     const embeddedBadge = item.inVectorDb 
         ? '<span class="badge-embedded"><i class="fas fa-vector-square"></i> Embedded</span>'
         : '<span class="badge-not-embedded">Not Embedded</span>';
+    const scheduleBadge = renderScheduleBadge(item);
     
     // Trigger keywords display
     let triggerHtml = '';
@@ -493,6 +542,7 @@ function renderDataCard(item) {
                 <div class="data-badges">
                     ${typeBadge}
                     ${availBadge}
+                    ${scheduleBadge}
                     ${item.availability === 'Semantic' ? embeddedBadge : ''}
                     ${item.isUser ? '<span class="badge bg-primary">User</span>' : ''}
                 </div>
@@ -550,6 +600,7 @@ function showCreateModal() {
     document.getElementById('editTriggerKeywords').value = '';
     document.getElementById('editTriggerLookback').value = '3';
     document.getElementById('editTriggerMinMatch').value = '1';
+    document.getElementById('editExcludeFromRecursion').checked = false;
     document.getElementById('editUseNextTurnOnly').checked = false;
     document.getElementById('editUseEveryTurn').checked = false;
     document.getElementById('editSpeaker').value = '';
@@ -560,38 +611,58 @@ function showCreateModal() {
     document.getElementById('editDescription').value = '';
     document.getElementById('editIsEnabled').checked = true;
     document.getElementById('editIsUser').checked = false;
+    renderAvailabilityRules([]);
     
+    resetEditTabs(false);
     handleAvailabilityFieldChange();
+    showTriggerValidation();
     editModalInstance.show();
 }
 
 async function editItem(id) {
-const item = allData.find(d => d.id === id);
-if (!item) return;
-    
-document.getElementById('modalTitle').textContent = 'Edit Context Data';
-document.getElementById('editId').value = item.id;
-document.getElementById('editName').value = item.name;
-document.getElementById('editType').value = item.type;
-document.getElementById('editAvailability').value = item.availability;
-document.getElementById('editContent').value = item.content;
-document.getElementById('editSummary').value = item.summary || '';
-document.getElementById('editTriggerKeywords').value = item.triggerKeywords || '';
-document.getElementById('editTriggerLookback').value = item.triggerLookbackTurns || 3;
-document.getElementById('editTriggerMinMatch').value = item.triggerMinMatchCount || 1;
-document.getElementById('editUseNextTurnOnly').checked = item.useNextTurnOnly;
-document.getElementById('editUseEveryTurn').checked = item.useEveryTurn;
-document.getElementById('editSpeaker').value = item.speaker || '';
-document.getElementById('editSubtype').value = item.subtype || '';
-document.getElementById('editPath').value = item.path || '';
-document.getElementById('editTags').value = (item.tags || []).join(', ');
-document.getElementById('editSortOrder').value = item.sortOrder || 0;
-document.getElementById('editDescription').value = item.description || '';
-document.getElementById('editIsEnabled').checked = item.isEnabled;
-document.getElementById('editIsUser').checked = item.isUser;
-    
-handleAvailabilityFieldChange();
-editModalInstance.show();
+    const item = await findItem(id);
+    if (!item) return;
+    
+    document.getElementById('modalTitle').textContent = 'Edit Context Data';
+    fillEditForm(item);
+    resetEditTabs(true);
+    editModalInstance.show();
+}
+
+function fillEditForm(item) {
+    document.getElementById('editId').value = item.id;
+    document.getElementById('editName').value = item.name;
+    document.getElementById('editType').value = item.type;
+    document.getElementById('editAvailability').value = item.availability;
+    document.getElementById('editContent').value = item.content;
+    document.getElementById('editSummary').value = item.summary || '';
+    document.getElementById('editTriggerKeywords').value = item.triggerKeywords || '';
+    document.getElementById('editTriggerLookback').value = item.triggerLookbackTurns || 3;
+    document.getElementById('editTriggerMinMatch').value = item.triggerMinMatchCount || 1;
+    document.getElementById('editExcludeFromRecursion').checked = item.excludeFromRecursion || false;
+    document.getElementById('editUseNextTurnOnly').checked = item.useNextTurnOnly;
+    document.getElementById('editUseEveryTurn').checked = item.useEveryTurn;
+    document.getElementById('editSpeaker').value = item.speaker || '';
+    document.getElementById('editSubtype').value = item.subtype || '';
+    document.getElementById('editPath').value = item.path || '';
+    document.getElementById('editTags').value = (item.tags || []).join(', ');
+    document.getElementById('editSortOrder').value = item.sortOrder || 0;
+    document.getElementById('editDescription').value = item.description || '';
+    document.getElementById('editIsEnabled').checked = item.isEnabled;
+    document.getElementById('editIsUser').checked = item.isUser;
+    renderAvailabilityRules(item.availabilityRules || []);
+    
+    handleAvailabilityFieldChange();
+    showTriggerValidation();
+}
+
+/**
+ * Opens the Details tab; the History tab only exists for saved items
+ */
+function resetEditTabs(hasHistory) {
+    bootstrap.Tab.getOrCreateInstance(document.getElementById('edit-details-tab')).show();
+    document.getElementById('edit-history-tab').parentElement.style.display = hasHistory ? '' : 'none';
+    document.getElementById('revisionList').innerHTML = '';
 }
 
 async function saveItem() {
@@ -608,6 +679,7 @@ const payload = {
     triggerKeywords: document.getElementById('editTriggerKeywords').value.trim() || null,
     triggerLookbackTurns: parseInt(document.getElementById('editTriggerLookback').value) || 3,
     triggerMinMatchCount: parseInt(document.getElementById('editTriggerMinMatch').value) || 1,
+    excludeFromRecursion: document.getElementById('editExcludeFromRecursion').checked,
     useNextTurnOnly: document.getElementById('editUseNextTurnOnly').checked,
     useEveryTurn: document.getElementById('editUseEveryTurn').checked,
     speaker: document.getElementById('editSpeaker').value.trim() || null,
@@ -617,7 +689,8 @@ const payload = {
     sortOrder: parseInt(document.getElementById('editSortOrder').value) || 0,
     description: document.getElementById('editDescription').value.trim() || null,
     isEnabled: document.getElementById('editIsEnabled').checked,
-    isUser: document.getElementById('editIsUser').checked
+    isUser: document.getElementById('editIsUser').checked,
+    availabilityRules: readAvailabilityRules()
 };
     
     
@@ -673,6 +746,7 @@ try {
         showMessage(isNew ? 'Item created successfully' : 'Item updated successfully');
         await loadData();
         loadStats();
+        if (lastPlaygroundRequest) runSemanticSearch(lastPlaygroundRequest);
     } catch (error) {
         console.error('Error in saveItem:', error);
         showError(error.message);
@@ -720,6 +794,216 @@ async function restore(id) {
     }
 }
 
+// ============ Revision History ============
+
+const REVISION_SOURCE_LABELS = {
+    UiEdit: 'Edit',
+    Import: 'Import',
+    ReloadFromDisk: 'Reload from disk',
+    BulkEdit: 'Bulk edit',
+    TagGeneration: 'Tag generation',
+    AvailabilityChange: 'Availability change',
+    DuplicateResolution: 'Duplicate resolution',
+    Restore: 'Restore',
+    System: 'System',
+    Schedule: 'Scheduled rule'
+};
+
+// Fields of a revision snapshot, in the order the changes are listed
+const REVISION_FIELDS = [
+    'name', 'content', 'summary', 'coreFacts', 'type', 'availability', 'isUser', 'isEnabled',
+    'triggerKeywords', 'triggerLookbackTurns', 'triggerMinMatchCount', 'excludeFromRecursion', 'cooldownTurns',
+    'display', 'sortOrder', 'description', 'tags', 'notes', 'speaker', 'subtype', 'sourceSessionId',
+    'nonverbalBehavior', 'path', 'availabilityRules', 'isArchived'
+];
+
+let revisions = [];
+
+async function loadRevisions() {
+    const id = document.getElementById('editId').value;
+    const container = document.getElementById('revisionList');
+    if (!id) return;
+    
+    container.innerHTML = '<div class="text-center text-muted py-3"><i class="fas fa-spinner fa-spin"></i> Loading history...</div>';
+    
+    try {
+        const [revisionsResponse, itemResponse] = await Promise.all([
+            fetch(`${API_BASE_URL}/${id}/revisions`),
+            fetch(`${API_BASE_URL}/${id}`)
+        ]);
+        if (!revisionsResponse.ok || !itemResponse.ok) throw new Error('Failed to load history');
+        
+        revisions = await revisionsResponse.json();
+        const current = await itemResponse.json();
+        
+        if (revisions.length === 0) {
+            container.innerHTML = '<p class="text-muted text-center py-3">No changes recorded yet</p>';
+            return;
+        }
+        
+        // Each revision holds the state a change replaced; the state after it is the next newer revision, or the item itself
+        container.innerHTML = revisions.map((revision, index) =>
+            renderRevision(revision, index === 0 ? current : revisions[index - 1].snapshot)).join('');
+    } catch (error) {
+        container.innerHTML = `<p class="text-danger">${escapeHtml(error.message)}</p>`;
+    }
+}
+
+function renderRevision(revision, after) {
+    const before = revision.snapshot;
+    // Revisions from before availability rules and the archive flag were tracked have none recorded; that is not a change
+    const changed = REVISION_FIELDS
+        .filter(f => !((f === 'availabilityRules' || f === 'isArchived') && (before[f] ?? null) === null))
+        .filter(f => JSON.stringify(before[f] ?? null) !== JSON.stringify(after[f] ?? null));
+    
+    const fieldChanges = changed
+        .filter(f => f !== 'content')
+        .map(f => `<li><strong>${escapeHtml(f)}</strong>: ${formatRevisionValue(before[f])} &rarr; ${formatRevisionValue(after[f])}</li>`)
+        .join('');
+    const contentDiff = changed.includes('content') ? generateLineDiff(before.content, after.content) : '';
+    
+    return `
+        <div class="card mb-2">
+            <div class="card-header d-flex justify-content-between align-items-center">
+                <div>
+                    <span class="badge bg-secondary">${escapeHtml(REVISION_SOURCE_LABELS[revision.source] || revision.source)}</span>
+                    <span class="small text-muted ms-2" title="${escapeHtml(formatDateTime(revision.createdAt))}">${getTimeAgo(revision.createdAt)}</span>
+                </div>
+                <button class="btn btn-sm btn-outline-primary" onclick="window.contextDataActions.restoreRevision(${revision.id})" title="Put the item back to the state before this change">
+                    <i class="fas fa-undo"></i> Restore
+                </button>
+            </div>
+            <div class="card-body small">
+                ${changed.length === 0 ? '<span class="text-muted">No tracked fields differ from the next state</span>' : ''}
+                ${fieldChanges ? `<ul class="mb-2">${fieldChanges}</ul>` : ''}
+                ${contentDiff}
+            </div>
+        </div>`;
+}
+
+function formatRevisionValue(value) {
+    if (value === null || value === undefined || value === '') return '<em class="text-muted">empty</em>';
+    if (Array.isArray(value)) {
+        if (!value.length) return '<em class="text-muted">none</em>';
+        return escapeHtml(value.map(v => typeof v === 'object' ? describeAvailabilityRule(v) : v).join(', '));
+    }
+    return escapeHtml(String(value));
+}
+
+async function restoreRevision(revisionId) {
+    const id = document.getElementById('editId').value;
+    const revision = revisions.find(r => r.id === revisionId);
+    if (!id || !revision) return;
+    
+    if (!confirm(`Restore this item to its state before the change ${getTimeAgo(revision.createdAt)}? Unsaved edits in the form are discarded.`)) return;
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/${id}/revisions/${revisionId}/restore`, { method: 'POST' });
+        if (!response.ok) {
+            const err = await response.json().catch(() => ({}));
+            throw new Error(err.error || 'Failed to restore revision');
+        }
+        
+        const item = await response.json();
+        fillEditForm(item);
+        showMessage('Revision restored');
+        await loadRevisions();
+        await loadData();
+        loadStats();
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+// ============ Scheduled Availability ============
+
+const AVAILABILITY_RULE_CONDITIONS = {
+    FromSession: { label: 'from session #', describe: value => `from session #${value}` },
+    AfterSessionTurn: { label: 'after turn (active session)', describe: value => `after turn ${value}` },
+    AfterUsageCount: { label: 'after being used (times)', describe: value => `after ${value} uses` }
+};
+
+const AVAILABILITY_TYPES = ['AlwaysOn', 'Manual', 'Semantic', 'Trigger', 'Archive'];
+
+function describeAvailabilityRule(rule) {
+    const condition = AVAILABILITY_RULE_CONDITIONS[rule.condition];
+    return `${rule.target} ${condition ? condition.describe(rule.value) : rule.condition}`;
+}
+
+/**
+ * Badge for the list next to the availability badge: the first pending rule, with the rest in the tooltip
+ */
+function renderScheduleBadge(item) {
+    const pending = (item.availabilityRules || []).filter(r => !r.appliedAt);
+    if (pending.length === 0) return '';
+    
+    const more = pending.length > 1 ? ` +${pending.length - 1}` : '';
+    return `<span class="badge-schedule" title="${escapeHtml(pending.map(describeAvailabilityRule).join('\n'))}"><i class="fas fa-clock"></i> ${escapeHtml(describeAvailabilityRule(pending[0]))}${more}</span>`;
+}
+
+function renderAvailabilityRules(rules) {
+    document.getElementById('availabilityRuleList').innerHTML = rules.map(renderAvailabilityRuleRow).join('');
+}
+
+function renderAvailabilityRuleStatus(appliedAt) {
+    return appliedAt
+        ? `<span class="badge bg-success" title="${escapeHtml(formatDateTime(appliedAt))}">Fired ${getTimeAgo(appliedAt)}</span>`
+        : '<span class="badge bg-light text-dark border">Pending</span>';
+}
+
+function renderAvailabilityRuleRow(rule) {
+    return `
+        <div class="row g-2 align-items-center mb-2 availability-rule" data-applied-at="${escapeHtml(rule.appliedAt || '')}">
+            <div class="col-md-3">
+                <select class="form-select form-select-sm rule-target" onchange="window.contextDataActions.rearmAvailabilityRule(this)">
+                    ${AVAILABILITY_TYPES.map(t => `<option value="${t}" ${t === rule.target ? 'selected' : ''}>Switch to ${t}</option>`).join('')}
+                </select>
+            </div>
+            <div class="col-md-4">
+                <select class="form-select form-select-sm rule-condition" onchange="window.contextDataActions.rearmAvailabilityRule(this)">
+                    ${Object.entries(AVAILABILITY_RULE_CONDITIONS).map(([value, c]) =>
+                        `<option value="${value}" ${value === rule.condition ? 'selected' : ''}>${c.label}</option>`).join('')}
+                </select>
+            </div>
+            <div class="col-md-2">
+                <input type="number" class="form-control form-control-sm rule-value" min="1" value="${rule.value}" oninput="window.contextDataActions.rearmAvailabilityRule(this)">
+            </div>
+            <div class="col-md-2 rule-status">${renderAvailabilityRuleStatus(rule.appliedAt)}</div>
+            <div class="col-md-1 text-end">
+                <button type="button" class="btn btn-sm btn-link text-danger p-0" onclick="window.contextDataActions.removeAvailabilityRule(this)" title="Remove rule">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        </div>`;
+}
+
+function addAvailabilityRule() {
+    document.getElementById('availabilityRuleList').insertAdjacentHTML('beforeend',
+        renderAvailabilityRuleRow({ condition: 'FromSession', value: 1, target: 'AlwaysOn', appliedAt: null }));
+}
+
+function removeAvailabilityRule(button) {
+    button.closest('.availability-rule').remove();
+}
+
+/**
+ * An edited rule is pending again, so it fires the next time its condition holds
+ */
+function rearmAvailabilityRule(input) {
+    const row = input.closest('.availability-rule');
+    row.dataset.appliedAt = '';
+    row.querySelector('.rule-status').innerHTML = renderAvailabilityRuleStatus(null);
+}
+
+function readAvailabilityRules() {
+    return [...document.querySelectorAll('#availabilityRuleList .availability-rule')].map(row => ({
+        condition: row.querySelector('.rule-condition').value,
+        value: parseInt(row.querySelector('.rule-value').value) || 0,
+        target: row.querySelector('.rule-target').value,
+        appliedAt: row.dataset.appliedAt || null
+    }));
+}
+
 // ============ Availability & Manual Toggles ============
 
 function handleAvailabilityFieldChange() {
@@ -735,7 +1019,7 @@ function handleAvailabilityFieldChange() {
 }
 
 async function changeAvailability(id, newAvailability, confirmUnembed = false) {
-    const item = allData.find(d => d.id === id);
+    const item = await findItem(id);
     if (!item) return;
     
     // Check if changing from Semantic and item is embedded
@@ -769,6 +1053,7 @@ async function changeAvailability(id, newAvailability, confirmUnembed = false) {
         
         await loadData();
         loadStats();
+        if (lastPlaygroundRequest) runSemanticSearch(lastPlaygroundRequest);
     } catch (error) {
         showError(error.message);
     }
@@ -785,7 +1070,7 @@ function confirmAvailabilityChange() {
 // ============ Trigger Management ============
 
 async function manageTriggers(contextDataId) {
-    const item = allData.find(d => d.id === contextDataId);
+    const item = await findItem(contextDataId);
     if (!item) return;
     
     // Show modal or inline editor for advanced trigger management
@@ -793,12 +1078,21 @@ async function manageTriggers(contextDataId) {
     const lookback = item.triggerLookbackTurns || 3;
     const minMatch = item.triggerMinMatchCount || 1;
     
-    const newKeywords = prompt(
-        `Edit trigger keywords for "${item.name}"\n\nEnter keywords separated by commas:\n(Lookback: ${lookback} turns, Min matches: ${minMatch})`,
-        keywords
-    );
-    
-    if (newKeywords === null) return; // Cancelled
+    let newKeywords = keywords;
+    let validationError = '';
+    do {
+        newKeywords = prompt(
+            `Edit trigger keywords for "${item.name}"\n\nEnter keywords separated by commas, or an expression such as expr: amulet AND (father OR king) NOT dream:\n(Lookback: ${lookback} turns, Min matches: ${minMatch})${validationError}`,
+            newKeywords
+        );
+        
+        if (newKeywords === null) return; // Cancelled
+        
+        const validation = await validateTriggerKeywords(newKeywords);
+        validationError = validation && !validation.valid
+            ? `\n\n${formatTriggerError(validation)}`
+            : '';
+    } while (validationError);
     
     try {
         // Build a clean update payload
@@ -811,12 +1105,14 @@ async function manageTriggers(contextDataId) {
             triggerKeywords: newKeywords.trim(),
             triggerLookbackTurns: item.triggerLookbackTurns || 3,
             triggerMinMatchCount: item.triggerMinMatchCount || 1,
+            excludeFromRecursion: item.excludeFromRecursion || false,
             useNextTurnOnly: item.useNextTurnOnly || false,
             useEveryTurn: item.useEveryTurn || false,
             speaker: item.speaker || null,
             subtype: item.subtype || null,
             path: item.path || null,
             tags: item.tags || [],
+            availabilityRules: item.availabilityRules || [],
             sortOrder: item.sortOrder || 0,
             description: item.description || null,
             isEnabled: item.isEnabled !== false,
@@ -829,15 +1125,66 @@ async function manageTriggers(contextDataId) {
             body: JSON.stringify(updatePayload)
         });
         
-        if (!response.ok) throw new Error('Failed to update trigger keywords');
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.error || 'Failed to update trigger keywords');
+        }
         
         showMessage('Trigger keywords updated');
         await loadData();
+        if (lastSimulation) runTriggerSimulation();
     } catch (error) {
         showError(error.message);
     }
 }
 
+/**
+ * Checks trigger keywords on the server; returns null if the check itself failed
+ */
+async function validateTriggerKeywords(keywords) {
+    try {
+        const response = await fetch(`${API_BASE_URL}/triggers/validate`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ keywords })
+        });
+        return response.ok ? await response.json() : null;
+    } catch {
+        return null;
+    }
+}
+
+function formatTriggerError(validation) {
+    return `Invalid expression at position ${validation.position + 1}: ${validation.error}`;
+}
+
+async function showTriggerValidation() {
+    const status = document.getElementById('triggerExpressionStatus');
+    const keywords = document.getElementById('editTriggerKeywords').value;
+    
+    if (!keywords.trim()) {
+        status.innerHTML = '';
+        return;
+    }
+    
+    const validation = await validateTriggerKeywords(keywords);
+    
+    // Ignore stale responses when the field changed while validating
+    if (!validation || document.getElementById('editTriggerKeywords').value !== keywords) return;
+    
+    if (!validation.valid) {
+        const pointer = escapeHtml(keywords.slice(0, validation.position)) +
+            `<span style="background: #f8d7da; color: #dc3545; font-weight: bold;">${escapeHtml(keywords.slice(validation.position) || ' ')}</span>`;
+        status.innerHTML = `
+            <div class="text-danger"><i class="fas fa-times-circle"></i> ${escapeHtml(formatTriggerError(validation))}</div>
+            <code class="text-dark">${pointer}</code>`;
+    } else if (validation.isExpression) {
+        status.innerHTML = `<span class="text-success"><i class="fas fa-check-circle"></i> Expression with terms:</span> ${validation.terms.map(t => `<code>${escapeHtml(t)}</code>`).join(', ')}`;
+    } else {
+        status.innerHTML = `<span class="text-muted"><i class="fas fa-list"></i> ${validation.terms.length} keyword(s), min match count applies</span>`;
+    }
+}
+
 async function updateTrigger(id, keywords) {
     try {
         const item = allData.find(d => d.id === id);
@@ -853,12 +1200,14 @@ async function updateTrigger(id, keywords) {
             triggerKeywords: keywords,
             triggerLookbackTurns: item.triggerLookbackTurns || 3,
             triggerMinMatchCount: item.triggerMinMatchCount || 1,
+            excludeFromRecursion: item.excludeFromRecursion || false,
             useNextTurnOnly: item.useNextTurnOnly || false,
             useEveryTurn: item.useEveryTurn || false,
             speaker: item.speaker || null,
             subtype: item.subtype || null,
             path: item.path || null,
             tags: item.tags || [],
+            availabilityRules: item.availabilityRules || [],
             sortOrder: item.sortOrder || 0,
             description: item.description || null,
             isEnabled: item.isEnabled !== false,
@@ -875,6 +1224,7 @@ async function updateTrigger(id, keywords) {
         
         showMessage('Trigger keywords updated');
         await loadData();
+        if (lastSimulation) runTriggerSimulation();
     } catch (error) {
         showError(error.message);
     }
@@ -1058,6 +1408,7 @@ async function importQuotesTsv() {
         document.getElementById('tsvQuotesContent').value = '';
         document.getElementById('tsvQuotesSpeaker').value = '';
         await loadData();
+        await loadFilterOptions();
         loadStats();
     } catch (error) {
         showError(error.message);
@@ -1099,6 +1450,7 @@ async function importVoiceTsv() {
         document.getElementById('tsvVoiceContent').value = '';
         document.getElementById('tsvVoiceSpeaker').value = '';
         await loadData();
+        await loadFilterOptions();
         loadStats();
     } catch (error) {
         showError(error.message);
@@ -1132,6 +1484,158 @@ async function importMarkdown() {
         
         document.getElementById('markdownContent').value = '';
         await loadData();
+        await loadFilterOptions();
+        loadStats();
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+function readFileAsBase64(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        // Strip the "data:...;base64," prefix
+        reader.onload = () => resolve(reader.result.substring(reader.result.indexOf(',') + 1));
+        reader.onerror = () => reject(new Error(`Could not read ${file.name}`));
+        reader.readAsDataURL(file);
+    });
+}
+
+async function previewSillyTavern() {
+    const file = document.getElementById('sillyTavernFile').files[0];
+    if (!file) {
+        showError('Please choose a character card or World Info file');
+        return;
+    }
+    
+    const container = document.getElementById('sillyTavernPreview');
+    
+    try {
+        sillyTavernRequest = {
+            fileName: file.name,
+            contentBase64: await readFileAsBase64(file),
+            entryType: document.getElementById('sillyTavernEntryType').value,
+            cardAvailability: document.getElementById('sillyTavernCardAvailability').value,
+            userName: document.getElementById('sillyTavernUserName').value.trim() || null,
+            includeEmbeddedLorebook: document.getElementById('sillyTavernIncludeBook').checked
+        };
+        
+        const response = await fetch(`${API_BASE_URL}/import/sillytavern/preview`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(sillyTavernRequest)
+        });
+        
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || 'Preview failed');
+        }
+        
+        renderSillyTavernPreview(result);
+    } catch (error) {
+        sillyTavernRequest = null;
+        container.innerHTML = '';
+        showError(error.message);
+    }
+}
+
+function renderSillyTavernPreview(preview) {
+    const container = document.getElementById('sillyTavernPreview');
+    
+    if (preview.items.length === 0) {
+        container.innerHTML = `<p class="text-muted">${escapeHtml(preview.name)} has nothing to import.</p>`;
+        return;
+    }
+    
+    const kind = preview.kind === 'CharacterCard' ? 'Character card' : 'World Info';
+    const rows = preview.items.map(item => {
+        const data = item.data;
+        const trigger = data.availability === 'Trigger'
+            ? `<code>${escapeHtml(data.triggerKeywords || '')}</code><br><small class="text-muted">lookback ${data.triggerLookbackTurns} turns${data.excludeFromRecursion ? ', no recursion' : ''}</small>`
+            : '';
+        const contentPreview = data.content.length > 200 ? data.content.substring(0, 200) + '...' : data.content;
+        const warnings = item.warnings.map(w => `<div class="text-warning small"><i class="fas fa-exclamation-triangle"></i> ${escapeHtml(w)}</div>`).join('');
+        
+        return `
+            <tr class="${data.isEnabled ? '' : 'text-muted'}">
+                <td><input type="checkbox" class="form-check-input sillytavern-item" value="${item.index}" checked></td>
+                <td>
+                    <strong>${escapeHtml(data.name)}</strong><br>
+                    <small class="text-muted">${escapeHtml(item.source)}</small>
+                </td>
+                <td>
+                    <span class="badge bg-secondary">${data.type}</span>
+                    <span class="badge bg-info">${data.availability}</span>
+                </td>
+                <td>${trigger}</td>
+                <td><small style="white-space: pre-wrap;">${escapeHtml(contentPreview)}</small>${warnings}</td>
+            </tr>
+        `;
+    }).join('');
+    
+    container.innerHTML = `
+        <div class="d-flex justify-content-between align-items-center mb-2">
+            <strong>${kind}: ${escapeHtml(preview.name)} (${preview.items.length} items)</strong>
+            <button class="btn btn-primary btn-sm" onclick="window.contextDataActions.importSillyTavern()">
+                <i class="fas fa-upload"></i> Import Checked
+            </button>
+        </div>
+        <div class="table-responsive" style="max-height: 400px; overflow-y: auto;">
+            <table class="table table-sm align-middle">
+                <thead>
+                    <tr>
+                        <th><input type="checkbox" class="form-check-input" checked
+                                   onchange="document.querySelectorAll('.sillytavern-item').forEach(cb => cb.checked = this.checked)"></th>
+                        <th>Name</th>
+                        <th>Type</th>
+                        <th>Trigger</th>
+                        <th>Content</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    `;
+}
+
+async function importSillyTavern() {
+    if (!sillyTavernRequest) {
+        showError('Please preview the file first');
+        return;
+    }
+    
+    const selectedIndexes = [...document.querySelectorAll('.sillytavern-item:checked')].map(cb => parseInt(cb.value));
+    if (selectedIndexes.length === 0) {
+        showError('No items checked');
+        return;
+    }
+    
+    try {
+        showMessage('Importing...', 'info');
+        
+        const response = await fetch(`${API_BASE_URL}/import/sillytavern`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...sillyTavernRequest, selectedIndexes })
+        });
+        
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.message || 'Import failed');
+        }
+        
+        if (result.errors?.length > 0) {
+            showError(`${result.message}: ${result.errors.join('; ')}`);
+        } else {
+            showMessage(result.message);
+        }
+        
+        sillyTavernRequest = null;
+        document.getElementById('sillyTavernPreview').innerHTML = '';
+        document.getElementById('sillyTavernFile').value = '';
+        
+        await loadData();
+        await loadFilterOptions();
         loadStats();
     } catch (error) {
         showError(error.message);
@@ -1182,6 +1686,7 @@ async function importFolder() {
         }
         
         await loadData();
+        await loadFilterOptions();
         loadStats();
     } catch (error) {
         showError(error.message);
@@ -1210,15 +1715,68 @@ function debounce(func, wait) {
     };
 }
 
-// ============ Selection Functions ============
+// ============ Export ============
 
-function toggleSelection(id, isSelected) {
-    if (isSelected) {
-        selectedIds.add(id);
-    } else {
-        selectedIds.delete(id);
-    }
-    updateSelectionUI();
+function toggleExportSection() {
+    exportSection.classList.toggle('active');
+    updateExportScope();
+}
+
+function updateExportScope() {
+    const scope = document.getElementById('exportScope');
+    scope.textContent = selectedIds.size > 0
+        ? `${selectedIds.size} selected item${selectedIds.size === 1 ? '' : 's'}`
+        : 'all items matching the current filter and search';
+    document.getElementById('exportTsvLayout').disabled = document.getElementById('exportFormat').value !== 'Tsv';
+}
+
+async function exportData() {
+    const request = {
+        format: document.getElementById('exportFormat').value,
+        tsvLayout: document.getElementById('exportTsvLayout').value,
+        ids: Array.from(selectedIds),
+        filter: buildFilter()
+    };
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/export`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(request)
+        });
+        
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.error || 'Export failed');
+        }
+        
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const fileName = disposition.match(/filename="?([^";]+)"?/)?.[1] || 'context-data-export';
+        
+        const url = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+        
+        showMessage(`Exported ${fileName}`);
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+// ============ Selection Functions ============
+
+function toggleSelection(id, isSelected) {
+    if (isSelected) {
+        selectedIds.add(id);
+    } else {
+        selectedIds.delete(id);
+    }
+    updateSelectionUI();
 }
 
 function toggleSelectAll(isSelected) {
@@ -1242,6 +1800,8 @@ function updateSelectionUI() {
     const countEl = document.getElementById('selectedCount');
     const selectAllCheckbox = document.getElementById('selectAll');
     
+    updateExportScope();
+    
     if (selectedIds.size > 0) {
         toolbar.style.display = 'block';
         countEl.textContent = selectedIds.size;
@@ -1284,6 +1844,94 @@ function bulkChangeAvailability() {
     bulkAvailabilityModalInstance.show();
 }
 
+function bulkEdit() {
+    if (selectedIds.size === 0) {
+        showError('No items selected');
+        return;
+    }
+    document.getElementById('bulkEditCount').textContent = selectedIds.size;
+    document.querySelectorAll('#bulkEditModal input[type="text"], #bulkEditModal input[type="number"]').forEach(input => input.value = '');
+    document.querySelectorAll('#bulkEditModal input[type="checkbox"]').forEach(input => input.checked = false);
+    document.getElementById('bulkEditDisplay').value = '';
+    document.getElementById('bulkEditPreview').style.display = 'none';
+    bulkEditModalInstance.show();
+}
+
+function buildBulkEditRequest(preview) {
+    const text = id => document.getElementById(id).value.trim() || null;
+    const number = id => {
+        const value = document.getElementById(id).value;
+        return value === '' ? null : parseInt(value);
+    };
+    const checked = id => document.getElementById(id).checked;
+    const tags = id => document.getElementById(id).value.split(',').map(t => t.trim()).filter(t => t);
+    
+    return {
+        ids: Array.from(selectedIds),
+        preview,
+        addTags: tags('bulkEditAddTags'),
+        removeTags: tags('bulkEditRemoveTags'),
+        speaker: text('bulkEditSpeaker'),
+        clearSpeaker: checked('bulkEditClearSpeaker'),
+        sourceSessionId: number('bulkEditSourceSessionId'),
+        clearSourceSessionId: checked('bulkEditClearSourceSessionId'),
+        subtype: text('bulkEditSubtype'),
+        clearSubtype: checked('bulkEditClearSubtype'),
+        cooldownTurns: number('bulkEditCooldownTurns'),
+        sortOrder: number('bulkEditSortOrder'),
+        display: document.getElementById('bulkEditDisplay').value || null,
+        triggerLookbackTurns: number('bulkEditTriggerLookback'),
+        triggerMinMatchCount: number('bulkEditTriggerMinMatch')
+    };
+}
+
+async function sendBulkEdit(preview) {
+    const response = await fetch(`${API_BASE_URL}/bulk-edit`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(buildBulkEditRequest(preview))
+    });
+    
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || 'Bulk edit failed');
+    }
+    
+    return await response.json();
+}
+
+function describeBulkEdit(result) {
+    const fields = Object.entries(result.changedByField)
+        .map(([field, count]) => `${escapeHtml(field)}: ${count}`)
+        .join(', ');
+    return `<strong>${result.changed}</strong> of ${result.matched} items ${result.applied ? 'changed' : 'will change'}` +
+        (fields ? ` (${fields})` : '');
+}
+
+async function previewBulkEdit() {
+    const previewEl = document.getElementById('bulkEditPreview');
+    try {
+        const result = await sendBulkEdit(true);
+        previewEl.innerHTML = describeBulkEdit(result);
+        previewEl.style.display = 'block';
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+async function confirmBulkEdit() {
+    try {
+        const result = await sendBulkEdit(false);
+        bulkEditModalInstance.hide();
+        showMessage(`Bulk edit: ${result.changed} of ${result.matched} items changed`);
+        clearSelection();
+        await loadData();
+        loadStats();
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
 async function confirmBulkAvailability() {
     const newAvailability = document.getElementById('bulkAvailabilitySelect').value;
     const ids = Array.from(selectedIds);
@@ -1448,6 +2096,124 @@ async function bulkUnembedSelected() {
     }
 }
 
+function findDuplicates() {
+    duplicatesModalInstance.show();
+    if (duplicateGroups.length === 0) {
+        searchDuplicates();
+    }
+}
+
+async function searchDuplicates() {
+    const summary = document.getElementById('duplicateSummary');
+    const container = document.getElementById('duplicateGroups');
+    const request = {
+        types: Array.from(document.querySelectorAll('.duplicate-type:checked')).map(cb => cb.value),
+        embeddingThreshold: parseFloat(document.getElementById('duplicateEmbeddingThreshold').value),
+        textThreshold: parseFloat(document.getElementById('duplicateTextThreshold').value)
+    };
+    
+    summary.textContent = 'Comparing items...';
+    container.innerHTML = '';
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/duplicates`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(request)
+        });
+        
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.error || 'Duplicate search failed');
+        }
+        
+        const result = await response.json();
+        duplicateGroups = result.groups;
+        summary.textContent = `${result.groups.length} groups among ${result.itemCount} items ` +
+            `(${result.embeddedCount} compared by embedding, ${result.itemCount - result.embeddedCount} by text)`;
+        renderDuplicateGroups();
+    } catch (error) {
+        summary.textContent = '';
+        showError(error.message);
+    }
+}
+
+function renderDuplicateGroups() {
+    const container = document.getElementById('duplicateGroups');
+    
+    if (duplicateGroups.length === 0) {
+        container.innerHTML = '<div class="text-center text-muted py-4"><i class="fas fa-check-circle"></i> No duplicates found</div>';
+        return;
+    }
+    
+    container.innerHTML = duplicateGroups.map((group, groupIndex) => `
+        <div class="card mb-3" id="duplicateGroup-${groupIndex}">
+            <div class="card-header d-flex justify-content-between align-items-center py-2">
+                <span>
+                    <span class="badge bg-secondary">${escapeHtml(group.type)}</span>
+                    ${group.items.length} items &middot; ${(group.similarity * 100).toFixed(1)}% similar by ${escapeHtml(group.matchedBy)}
+                </span>
+                <span class="btn-group">
+                    <button class="btn btn-primary btn-sm" onclick="window.contextDataActions.resolveDuplicateGroup(${groupIndex}, 'Merge')">
+                        <i class="fas fa-compress-alt"></i> Merge into kept
+                    </button>
+                    <button class="btn btn-warning btn-sm" onclick="window.contextDataActions.resolveDuplicateGroup(${groupIndex}, 'Archive')">
+                        <i class="fas fa-archive"></i> Archive others
+                    </button>
+                </span>
+            </div>
+            <ul class="list-group list-group-flush">
+                ${group.items.map((item, itemIndex) => `
+                    <li class="list-group-item small">
+                        <div class="form-check">
+                            <input class="form-check-input" type="radio" name="duplicateKeep-${groupIndex}" id="duplicateKeep-${groupIndex}-${item.id}"
+                                   value="${item.id}" ${itemIndex === 0 ? 'checked' : ''}>
+                            <label class="form-check-label w-100" for="duplicateKeep-${groupIndex}-${item.id}">
+                                <strong>${escapeHtml(item.name)}</strong>
+                                <span class="text-muted">#${item.id} &middot; used ${item.usageCount}x${item.inVectorDb ? ' &middot; embedded' : ''}</span>
+                                ${item.tags.map(t => `<span class="badge bg-light text-dark">${escapeHtml(t)}</span>`).join(' ')}
+                                <div class="text-muted">${escapeHtml(item.content.length > 200 ? item.content.substring(0, 200) + '...' : item.content)}</div>
+                            </label>
+                        </div>
+                    </li>
+                `).join('')}
+            </ul>
+        </div>
+    `).join('');
+}
+
+async function resolveDuplicateGroup(groupIndex, action) {
+    const group = duplicateGroups[groupIndex];
+    const keepId = parseInt(document.querySelector(`input[name="duplicateKeep-${groupIndex}"]:checked`).value);
+    const duplicateIds = group.items.map(item => item.id).filter(id => id !== keepId);
+    
+    if (action === 'Merge' &&
+        !confirm(`Merge ${duplicateIds.length} items into #${keepId}? The merged items are archived.`)) {
+        return;
+    }
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/duplicates/resolve`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ keepId, duplicateIds, action })
+        });
+        
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.error || 'Resolving duplicates failed');
+        }
+        
+        const result = await response.json();
+        document.getElementById(`duplicateGroup-${groupIndex}`).remove();
+        showMessage(result.message);
+        await loadData();
+        loadStats();
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
 async function bulkArchiveSelected() {
     if (selectedIds.size === 0) {
         showError('No items selected');
@@ -1684,12 +2450,475 @@ async function bulkReloadSelectedFromDisk() {
     }
 }
 
+// ============ Semantic Search Playground ============
+
+function togglePlaygroundSection() {
+    playgroundSection.classList.toggle('active');
+    if (playgroundSection.classList.contains('active')) {
+        document.getElementById('playgroundQuery').focus();
+    }
+}
+
+async function runSemanticSearch(request = null) {
+    if (!request) {
+        const query = document.getElementById('playgroundQuery').value.trim();
+        if (!query) {
+            showError('Please enter a query');
+            return;
+        }
+        
+        const types = [...document.querySelectorAll('#playgroundTypes input:checked')].map(cb => cb.value);
+        if (types.length === 0) {
+            showError('Please select at least one type');
+            return;
+        }
+        
+        request = {
+            query,
+            types,
+            topK: parseInt(document.getElementById('playgroundTopK').value) || 10
+        };
+    }
+    
+    const runBtn = document.getElementById('playgroundRunBtn');
+    runBtn.disabled = true;
+    playgroundResults.innerHTML = '<div class="text-muted small"><i class="fas fa-spinner fa-spin"></i> Searching...</div>';
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/semantic-search`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(request)
+        });
+        
+        if (!response.ok) {
+            throw new Error(await response.text() || 'Search failed');
+        }
+        
+        lastPlaygroundRequest = request;
+        renderPlaygroundResults(await response.json());
+    } catch (error) {
+        playgroundResults.innerHTML = `<div class="alert alert-danger">${escapeHtml(error.message)}</div>`;
+    } finally {
+        runBtn.disabled = false;
+    }
+}
+
+function renderPlaygroundResults(result) {
+    if (result.results.length === 0) {
+        playgroundResults.innerHTML = '<div class="text-muted small">No results</div>';
+        return;
+    }
+    
+    playgroundResults.innerHTML = result.results.map(group => {
+        const quotaLabel = group.tokenQuota > 0
+            ? `quota ${group.tokensWithinQuota}/${group.tokenQuota} tokens`
+            : 'quota 0 - not searched by the enricher';
+        
+        let rows = '';
+        let cutoffShown = false;
+        group.hits.forEach((hit, index) => {
+            if (!hit.withinQuota && !cutoffShown) {
+                cutoffShown = true;
+                rows += `
+                    <tr>
+                        <td colspan="6" style="border-top: 2px dashed #dc3545; color: #dc3545; font-size: 0.75rem; padding: 2px 8px;">
+                            <i class="fas fa-cut"></i> Token quota cutoff - hits below are not sent
+                        </td>
+                    </tr>`;
+            }
+            rows += renderPlaygroundHit(hit, index);
+        });
+        
+        return `
+            <div class="mb-3">
+                <h6 class="mb-1">${escapeHtml(group.type)}
+                    <small class="text-muted">${group.hits.length} hits, ${quotaLabel}</small>
+                </h6>
+                ${group.hits.length === 0
+                    ? '<div class="text-muted small">No embedded items match</div>'
+                    : `<table class="table table-sm mb-0" style="font-size: 0.85rem;">
+                        <thead>
+                            <tr>
+                                <th style="width: 40px;">#</th>
+                                <th style="width: 70px;">Score</th>
+                                <th>Item</th>
+                                <th style="width: 70px;">Tokens</th>
+                                <th style="width: 110px;">Embedded</th>
+                                <th style="width: 190px;">Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>`}
+            </div>`;
+    }).join('');
+}
+
+function renderPlaygroundHit(hit, index) {
+    const availabilityOptions = ['AlwaysOn', 'Manual', 'Semantic', 'Trigger', 'Archive']
+        .map(a => `<option value="${a}" ${a === hit.availability ? 'selected' : ''}>${a}</option>`)
+        .join('');
+    
+    return `
+        <tr style="${hit.withinQuota ? '' : 'opacity: 0.6;'}">
+            <td>${index + 1}</td>
+            <td><span class="badge ${hit.withinQuota ? 'bg-success' : 'bg-secondary'}">${hit.score.toFixed(3)}</span></td>
+            <td>
+                <strong>${escapeHtml(hit.name)}</strong>
+                <div class="text-muted small" style="white-space: pre-wrap;">${escapeHtml(hit.contentPreview)}</div>
+            </td>
+            <td>${hit.tokenCount ?? '-'}</td>
+            <td class="small" title="${hit.embeddingUpdatedAt ? escapeHtml(new Date(hit.embeddingUpdatedAt).toLocaleString()) : ''}">
+                ${hit.embeddingUpdatedAt ? getTimeAgo(hit.embeddingUpdatedAt) : '-'}
+            </td>
+            <td>
+                <div class="d-flex gap-1">
+                    <button class="btn btn-sm btn-outline-primary" onclick="window.contextDataActions.editItem(${hit.id})" title="Edit">
+                        <i class="fas fa-edit"></i>
+                    </button>
+                    <select class="form-select form-select-sm" title="Change availability"
+                            onchange="window.contextDataActions.changeAvailability(${hit.id}, this.value)">
+                        ${availabilityOptions}
+                    </select>
+                </div>
+            </td>
+        </tr>`;
+}
+
+// ============ Trigger Simulator ============
+
+function toggleTriggerSimulator() {
+    triggerSimulatorSection.classList.toggle('active');
+    if (triggerSimulatorSection.classList.contains('active')) {
+        document.getElementById('simulatorText').focus();
+    }
+}
+
+async function runTriggerSimulation() {
+    const request = {
+        text: document.getElementById('simulatorText').value,
+        useActiveSession: document.getElementById('simulatorUseSession').checked
+    };
+    
+    if (!request.useActiveSession && !request.text.trim()) {
+        showError('Please enter text or scan the active session');
+        return;
+    }
+    
+    const runBtn = document.getElementById('simulatorRunBtn');
+    runBtn.disabled = true;
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/triggers/simulate`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(request)
+        });
+        
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.error || 'Simulation failed');
+        }
+        
+        lastSimulation = await response.json();
+        renderTriggerSimulation();
+    } catch (error) {
+        simulatorResults.innerHTML = `<div class="alert alert-danger">${escapeHtml(error.message)}</div>`;
+    } finally {
+        runBtn.disabled = false;
+    }
+}
+
+function renderTriggerSimulation() {
+    if (!lastSimulation) return;
+    
+    const result = lastSimulation;
+    const showAll = document.getElementById('simulatorShowAll').checked;
+    const firing = result.evaluations.filter(e => e.wouldActivate);
+    const nearMisses = result.evaluations.filter(e => e.missedByOne);
+    const shown = showAll
+        ? result.evaluations
+        : result.evaluations.filter(e => e.wouldActivate || e.missedByOne);
+    
+    const source = result.sessionId
+        ? `input + last turns of session "${escapeHtml(result.sessionName)}" (${result.turns.length} available)`
+        : 'input only';
+    
+    simulatorResults.innerHTML = `
+        <div class="small mb-2">
+            <span class="badge bg-success">${firing.length} would fire</span>
+            <span class="badge bg-warning text-dark">${nearMisses.length} missed by one</span>
+            <span class="text-muted ms-2">${result.evaluations.length} triggers evaluated against ${source}</span>
+        </div>
+        ${shown.length === 0
+            ? '<div class="text-muted small">No trigger matched</div>'
+            : shown.map(renderTriggerEvaluation).join('')}`;
+}
+
+function renderTriggerEvaluation(evaluation) {
+    const status = evaluation.wouldActivate
+        ? '<span class="badge bg-success">Fires</span>'
+        : evaluation.missedByOne
+            ? '<span class="badge bg-warning text-dark">Missed by one</span>'
+            : '<span class="badge bg-secondary">No</span>';
+    
+    const keywords = evaluation.keywords.map(k => evaluation.matchedKeywords.includes(k)
+        ? `<span class="badge bg-success me-1">${escapeHtml(k)}</span>`
+        : `<span class="badge bg-light text-muted border me-1">${escapeHtml(k)}</span>`).join('');
+    
+    let cooldown = 'no cooldown';
+    if (evaluation.cooldownTurns > 0) {
+        const lastUsed = evaluation.usedLastOnTurnId > 0 ? `last used on turn ${evaluation.usedLastOnTurnId}` : 'never used';
+        const state = evaluation.onCooldown === true
+            ? ' - <span class="text-danger">on cooldown</span>'
+            : evaluation.onCooldown === false ? ' - ready' : '';
+        cooldown = `cooldown ${evaluation.cooldownTurns} turns, ${lastUsed}${state}`;
+    }
+    
+    return `
+        <div class="border rounded p-2 mb-2" style="${evaluation.wouldActivate ? 'border-color: #198754 !important;' : ''}">
+            <div class="d-flex justify-content-between align-items-center">
+                <div>
+                    ${status}
+                    <strong class="ms-1">${escapeHtml(evaluation.name)}</strong>
+                    <span class="badge bg-info ms-1">${escapeHtml(evaluation.type)}</span>
+                    ${evaluation.isExpression
+                        ? '<span class="badge bg-dark ms-1">Expression</span>'
+                        : `<span class="small ms-2">${evaluation.matchedKeywords.length} / ${evaluation.minMatchCount} required</span>`}
+                </div>
+                <div class="btn-group">
+                    <button class="btn btn-sm btn-outline-secondary" onclick="window.contextDataActions.manageTriggers(${evaluation.itemId})" title="Edit keywords">
+                        <i class="fas fa-bolt"></i>
+                    </button>
+                    <button class="btn btn-sm btn-outline-primary" onclick="window.contextDataActions.editItem(${evaluation.itemId})" title="Edit">
+                        <i class="fas fa-edit"></i>
+                    </button>
+                </div>
+            </div>
+            ${evaluation.error ? `<div class="text-danger small mt-1"><i class="fas fa-times-circle"></i> Invalid expression: ${escapeHtml(evaluation.error)}</div>` : ''}
+            <div class="mt-1">${keywords}</div>
+            <div class="text-muted small mt-1">
+                Lookback ${evaluation.lookbackTurns} turns (${evaluation.turnsScanned} scanned), ${cooldown}
+            </div>
+            ${evaluation.matchedKeywords.length > 0 ? `
+                <details class="small mt-1">
+                    <summary>Scanned text</summary>
+                    <div style="white-space: pre-wrap; max-height: 250px; overflow-y: auto; background: #f8f9fa; padding: 0.5rem;">${highlightKeywords(getScannedText(evaluation), evaluation.matchedKeywords)}</div>
+                </details>` : ''}
+        </div>`;
+}
+
+/**
+ * Rebuilds the text a trigger scanned: its last lookback turns, the input and the additional words
+ */
+function getScannedText(evaluation) {
+    const parts = lastSimulation.turns
+        .slice(lastSimulation.turns.length - evaluation.turnsScanned)
+        .flatMap(t => [t.input, t.response])
+        .filter(text => text && text.trim());
+    parts.push(lastSimulation.input);
+    if (lastSimulation.additionalWords) parts.push(lastSimulation.additionalWords);
+    return parts.join('\n');
+}
+
+function highlightKeywords(text, keywords) {
+    // Mirrors the server's matching: whole words/phrases, "quoted phrases", prefix* and /regex/ terms
+    const escapeRegex = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const patterns = keywords.map(term => {
+        if (term.length > 2 && term.startsWith('/') && term.endsWith('/')) return term.slice(1, -1);
+        const words = term.replace(/^"|"$/g, '').replace(/\*$/, '').split(/\s+/).map(escapeRegex);
+        return `\\b${words.join('\\s+')}${term.endsWith('*') ? '\\w*' : '\\b'}`;
+    });
+    
+    // Match on the raw text, escaping the segments in between so regex terms see the original characters
+    let regex;
+    try {
+        regex = new RegExp(patterns.map(p => `(?:${p})`).join('|'), 'gi');
+    } catch {
+        return escapeHtml(text);
+    }
+    
+    let result = '';
+    let last = 0;
+    for (const match of text.matchAll(regex)) {
+        if (match[0].length === 0) continue;
+        result += escapeHtml(text.slice(last, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+        last = match.index + match[0].length;
+    }
+    return result + escapeHtml(text.slice(last));
+}
+
+// ============ Usage Analytics ============
+
+function toggleAnalyticsSection() {
+    analyticsSection.classList.toggle('active');
+    if (analyticsSection.classList.contains('active')) {
+        loadAnalytics();
+    }
+}
+
+async function loadAnalytics() {
+    const params = new URLSearchParams({
+        days: document.getElementById('analyticsDays').value,
+        staleDays: document.getElementById('analyticsStaleDays').value || 60,
+        promoteMinRate: (parseFloat(document.getElementById('analyticsPromoteRate').value) || 0) / 100
+    });
+    
+    document.getElementById('analyticsGroups').innerHTML = '<div class="text-center text-muted py-3"><i class="fas fa-spinner fa-spin"></i> Loading usage...</div>';
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/analytics?${params}`);
+        if (!response.ok) {
+            const err = await response.json().catch(() => ({}));
+            throw new Error(err.error || 'Failed to load usage analytics');
+        }
+        
+        analytics = await response.json();
+        renderAnalytics();
+    } catch (error) {
+        document.getElementById('analyticsGroups').innerHTML = `<p class="text-danger">${escapeHtml(error.message)}</p>`;
+    }
+}
+
+function renderAnalytics() {
+    if (!analytics) return;
+    
+    document.getElementById('analyticsSummary').innerHTML = [
+        ['Turns in window', analytics.turnCount + (analytics.turnsWithoutSnapshot ? ` (+${analytics.turnsWithoutSnapshot} unrecorded)` : '')],
+        ['Never used', analytics.neverUsed.length],
+        ['Stale', analytics.stale.length],
+        ['Promotion candidates', analytics.promotionCandidates.length]
+    ].map(([label, value]) => `
+        <div class="col-md-3">
+            <div style="background: #f8f9fa; border-radius: 8px; padding: 0.75rem; text-align: center;">
+                <div style="font-size: 1.4rem; font-weight: 700; color: #2c3e50;">${value}</div>
+                <div style="font-size: 0.8rem; color: #7f8c8d;">${label}</div>
+            </div>
+        </div>
+    `).join('');
+    
+    renderBars('analyticsTriggerRates', analytics.triggerRates.map(p => ({
+        label: p.date,
+        value: p.rate,
+        text: p.turns ? p.rate.toFixed(2) : '-',
+        title: `${p.turns} turns, ${p.activations} activations of ${p.distinctTriggers} triggers`
+    })), 'No turns in this period');
+    
+    renderBars('analyticsSessions', analytics.sessions.map(s => ({
+        label: s.label,
+        value: s.distinctItems,
+        text: `${s.distinctItems} items`,
+        title: `${s.turns} turns; ` +
+            Object.entries(s.byMechanism).map(([mechanism, count]) => `${mechanism}: ${count}`).join(', ') +
+            (s.topItems.length ? `\nMost used: ${s.topItems.map(i => `${i.name} (${i.count})`).join(', ')}` : '')
+    })), 'No turns in this period');
+    
+    document.getElementById('analyticsCandidates').innerHTML = renderUsageList(analytics.promotionCandidates, 'No Semantic item reaches the threshold');
+    document.getElementById('analyticsStale').innerHTML = renderUsageList(analytics.stale, 'Nothing is stale');
+    document.getElementById('analyticsNeverUsed').innerHTML = renderUsageList(analytics.neverUsed, 'Every item has been used');
+    document.getElementById('analyticsPromoteBtn').disabled = analytics.promotionCandidates.length === 0;
+    document.getElementById('analyticsArchiveBtn').disabled = analytics.stale.length === 0;
+    
+    document.getElementById('analyticsGroups').innerHTML = analytics.groups.length === 0
+        ? '<p class="text-muted">No context data</p>'
+        : analytics.groups.map(g => `
+            <div class="card mb-2">
+                <div class="card-header py-1 small">
+                    <span class="badge bg-secondary">${escapeHtml(g.type)}</span>
+                    <span class="badge bg-info">${escapeHtml(g.availability)}</span>
+                    <span class="text-muted ms-2">${g.itemCount} items, ${g.selections} selections, ${g.neverUsedCount} never used</span>
+                </div>
+                <div class="card-body py-2">
+                    <div class="row">
+                        <div class="col-md-6"><div class="small fw-bold mb-1">Most used</div>${renderUsageList(g.mostUsed, 'None used')}</div>
+                        <div class="col-md-6"><div class="small fw-bold mb-1">Least used</div>${renderUsageList(g.leastUsed, '-')}</div>
+                    </div>
+                </div>
+            </div>
+        `).join('');
+}
+
+/**
+ * Renders a horizontal bar chart like the LLM usage charts on the dashboard
+ */
+function renderBars(containerId, rows, emptyText) {
+    const container = document.getElementById(containerId);
+    if (rows.every(r => !r.value)) {
+        container.innerHTML = `<p class="text-muted small">${emptyText}</p>`;
+        return;
+    }
+    
+    const max = Math.max(...rows.map(r => r.value), 0) || 1;
+    container.innerHTML = rows.map(r => `
+        <div style="display: flex; align-items: center; gap: 0.5rem; margin-bottom: 0.3rem; font-size: 0.8rem;" title="${escapeHtml(r.title)}">
+            <div style="width: 35%; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${escapeHtml(r.label)}</div>
+            <div style="flex: 1; background: #ecf0f1; border-radius: 3px; height: 14px; overflow: hidden;">
+                <div style="width: ${(r.value / max) * 100}%; background: #3498db; height: 100%;"></div>
+            </div>
+            <div style="width: 70px; text-align: right;">${escapeHtml(r.text)}</div>
+        </div>
+    `).join('');
+}
+
+function renderUsageList(items, emptyText) {
+    if (!items || items.length === 0) return `<p class="text-muted small mb-0">${emptyText}</p>`;
+    
+    return `<ul class="list-unstyled small mb-0" style="max-height: 240px; overflow-y: auto;">${items.map(item => `
+        <li class="d-flex justify-content-between gap-2">
+            <a href="#" onclick="window.contextDataActions.editItem(${item.id}); return false;" class="text-truncate">${escapeHtml(item.name)}</a>
+            <span class="text-muted text-nowrap" title="Usage count ${item.usageCount}, trigger count ${item.triggerCount}">
+                ${item.selections} sel. (${(item.selectionRate * 100).toFixed(0)}%) &middot; ${item.lastUsedAt ? getTimeAgo(item.lastUsedAt) : 'never'}
+            </span>
+        </li>`).join('')}</ul>`;
+}
+
+async function archiveStale() {
+    if (!analytics || analytics.stale.length === 0) return;
+    if (!confirm(`Archive ${analytics.stale.length} stale items?`)) return;
+    
+    await runAnalyticsAction('archive', analytics.stale.map(i => i.id));
+}
+
+async function promoteCandidates() {
+    if (!analytics || analytics.promotionCandidates.length === 0) return;
+    
+    const embedded = analytics.promotionCandidates.filter(i => i.inVectorDb).length;
+    const message = `Make ${analytics.promotionCandidates.length} items Always On? They will be sent with every turn.` +
+        (embedded ? ` ${embedded} embedded items will be removed from the vector database.` : '');
+    if (!confirm(message)) return;
+    
+    await runAnalyticsAction('promote', analytics.promotionCandidates.map(i => i.id));
+}
+
+async function runAnalyticsAction(action, ids) {
+    try {
+        const response = await fetch(`${API_BASE_URL}/analytics/${action}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ids })
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(result.error || `Failed to ${action} items`);
+        
+        showMessage(result.message);
+        await loadAnalytics();
+        await loadData();
+        loadStats();
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
 // ============ Export to window ============
 
 window.contextDataActions = {
     showCreateModal,
     editItem,
     saveItem,
+    restoreRevision,
+    addAvailabilityRule,
+    removeAvailabilityRule,
+    rearmAvailabilityRule,
     deleteItem,
     archive,
     restore,
@@ -1707,8 +2936,20 @@ window.contextDataActions = {
     importVoiceTsv,
     importMarkdown,
     importFolder,
+    previewSillyTavern,
+    importSillyTavern,
     toggleContent,
     changeAvailability,
+    togglePlaygroundSection,
+    runSemanticSearch,
+    toggleTriggerSimulator,
+    runTriggerSimulation,
+    toggleAnalyticsSection,
+    loadAnalytics,
+    archiveStale,
+    promoteCandidates,
+    toggleExportSection,
+    exportData,
     countTokens,
     bulkCountTokens,
     reloadFromDisk,
@@ -1721,6 +2962,12 @@ window.contextDataActions = {
     bulkChangeAvailability,
     confirmBulkAvailability,
     bulkTagSelected,
+    bulkEdit,
+    findDuplicates,
+    searchDuplicates,
+    resolveDuplicateGroup,
+    previewBulkEdit,
+    confirmBulkEdit,
     bulkEmbedSelected,
     bulkUnembedSelected,
     bulkArchiveSelected
@@ -1824,12 +3071,14 @@ document.addEventListener('click', async function(e) {
                 triggerKeywords: item.triggerKeywords || null,
                 triggerLookbackTurns: item.triggerLookbackTurns || 3,
                 triggerMinMatchCount: item.triggerMinMatchCount || 1,
+                excludeFromRecursion: item.excludeFromRecursion || false,
                 useNextTurnOnly: item.useNextTurnOnly || false,
                 useEveryTurn: item.useEveryTurn || false,
                 speaker: item.speaker || null,
                 subtype: item.subtype || null,
                 path: item.path || null,
                 tags: item.tags || [],
+                availabilityRules: item.availabilityRules || [],
                 sortOrder: item.sortOrder || 0,
                 description: item.description || null,
                 isEnabled: item.isEnabled !== false,
@@ -10,12 +10,17 @@ import {
     hasText,
     showMessage,
     showError,
+    confirmAction,
     API_BASE_URL
 } from './js/common-utils.js';
 
 // State
 let currentSession = null;
 let turns = [];
+let proposals = [];
+let pendingTurn = null; // { input, response, error } while a message is in flight or after it failed
+let isSending = false;
+let streamAbortController = null;
 
 // DOM Elements
 const sessionInfo = document.getElementById('sessionInfo');
@@ -45,6 +50,29 @@ const editStrippedTextarea = document.getElementById('editStrippedTextarea');
 const editStrippedCancelBtn = document.getElementById('editStrippedCancelBtn');
 const editStrippedSaveBtn = document.getElementById('editStrippedSaveBtn');
 
+const replayModal = document.getElementById('replayModal');
+const replayClose = document.getElementById('replayClose');
+const replayTurnId = document.getElementById('replayTurnId');
+const replayProvider = document.getElementById('replayProvider');
+const replayModel = document.getElementById('replayModel');
+const replayRunBtn = document.getElementById('replayRunBtn');
+const replayResult = document.getElementById('replayResult');
+
+const extractModal = document.getElementById('extractModal');
+const extractClose = document.getElementById('extractClose');
+const extractFromTurn = document.getElementById('extractFromTurn');
+const extractToTurn = document.getElementById('extractToTurn');
+const extractStatus = document.getElementById('extractStatus');
+const extractCancelBtn = document.getElementById('extractCancelBtn');
+const extractRunBtn = document.getElementById('extractRunBtn');
+const extractMemoriesBtn = document.getElementById('extractMemoriesBtn');
+
+const proposalsModal = document.getElementById('proposalsModal');
+const proposalsClose = document.getElementById('proposalsClose');
+const proposalsList = document.getElementById('proposalsList');
+const reviewProposalsBtn = document.getElementById('reviewProposalsBtn');
+const proposalCount = document.getElementById('proposalCount');
+
 const copyAllBtn = document.getElementById('copyAllBtn');
 const copyStrippedBtn = document.getElementById('copyStrippedBtn');
 const clearAllStrippedBtn = document.getElementById('clearAllStrippedBtn');
@@ -52,12 +80,32 @@ const copyStatus = document.getElementById('copyStatus');
 const acceptedInfo = document.getElementById('acceptedInfo');
 const tokenInfo = document.getElementById('tokenInfo');
 
+const composerInput = document.getElementById('composerInput');
+const composerSendBtn = document.getElementById('composerSendBtn');
+const composerStatus = document.getElementById('composerStatus');
+
 // Initialize
 document.addEventListener('DOMContentLoaded', async () => {
     await loadActiveSession();
     setupEventListeners();
+    scrollToLinkedTurn();
 });
 
+// Supports links like conversation.html#turn-42 (e.g. from the LLM logs page)
+function scrollToLinkedTurn() {
+    const match = /^#turn-(\d+)$/.exec(window.location.hash);
+    if (!match) return;
+
+    const card = document.getElementById(`turn-${match[1]}`);
+    if (!card) {
+        showError(`Turn #${match[1]} is not part of the active session`);
+        return;
+    }
+
+    card.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    card.style.boxShadow = '0 0 0 3px #f39c12';
+}
+
 function setupEventListeners() {
 if (closeBtn) closeBtn.addEventListener('click', closeTurnModal);
 
@@ -76,10 +124,33 @@ if (closeBtn) closeBtn.addEventListener('click', closeTurnModal);
     if (editStrippedCancelBtn) editStrippedCancelBtn.addEventListener('click', closeEditStrippedModal);
     if (editStrippedSaveBtn) editStrippedSaveBtn.addEventListener('click', saveEditedStripped);
 
+    // Replay Modal
+    if (replayClose) replayClose.addEventListener('click', closeReplayModal);
+    if (replayRunBtn) replayRunBtn.addEventListener('click', runReplay);
+
+    // Memory extraction
+    if (extractMemoriesBtn) extractMemoriesBtn.addEventListener('click', openExtractModal);
+    if (extractClose) extractClose.addEventListener('click', closeExtractModal);
+    if (extractCancelBtn) extractCancelBtn.addEventListener('click', closeExtractModal);
+    if (extractRunBtn) extractRunBtn.addEventListener('click', runExtraction);
+    if (reviewProposalsBtn) reviewProposalsBtn.addEventListener('click', openProposalsModal);
+    if (proposalsClose) proposalsClose.addEventListener('click', closeProposalsModal);
+
     if (copyAllBtn) copyAllBtn.addEventListener('click', copyAllToClipboard);
     if (copyStrippedBtn) copyStrippedBtn.addEventListener('click', copyStrippedToClipboard);
     if (clearAllStrippedBtn) clearAllStrippedBtn.addEventListener('click', clearAllStripped);
 
+    // Composer
+    if (composerSendBtn) composerSendBtn.addEventListener('click', () => sendMessage());
+    if (composerInput) {
+        composerInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                sendMessage();
+            }
+        });
+    }
+
     window.addEventListener('click', (e) => {
         if (e.target === turnModal) {
             closeTurnModal();
@@ -93,6 +164,15 @@ if (closeBtn) closeBtn.addEventListener('click', closeTurnModal);
         if (e.target === editStrippedModal) {
             closeEditStrippedModal();
         }
+        if (e.target === replayModal) {
+            closeReplayModal();
+        }
+        if (e.target === extractModal) {
+            closeExtractModal();
+        }
+        if (e.target === proposalsModal) {
+            closeProposalsModal();
+        }
     });
 }
 
@@ -110,7 +190,9 @@ async function loadActiveSession() {
 
         currentSession = await response.json();
         renderSessionInfo();
+        setComposerEnabled(true);
         await loadTurns();
+        await loadProposals();
     } catch (error) {
         console.error('Error loading active session:', error);
         turnsContainer.innerHTML = '<p class="error">Failed to load session</p>';
@@ -179,7 +261,7 @@ if (!turnsContainer) return;
 const visibleTurns = turns.filter(t => t.accepted);
 renderAcceptedInfo();
 
-if (visibleTurns.length === 0) {
+if (visibleTurns.length === 0 && !pendingTurn) {
     turnsContainer.innerHTML = '<p class="no-data">No turns yet. Start the conversation!</p>';
     return;
 }
@@ -193,10 +275,19 @@ turnsContainer.innerHTML = visibleTurns.map(turn => {
         const leftBorder = '#27ae60';
 
         return `
-        <div class="turn-card ${turn.accepted ? 'accepted' : ''}" style="border-left: 5px solid ${leftBorder}; padding: 1.5rem; background: #ffffff; border-radius: 8px; margin-bottom: 1.5rem;">
+        <div id="turn-${turn.id}" class="turn-card ${turn.accepted ? 'accepted' : ''}" style="border-left: 5px solid ${leftBorder}; padding: 1.5rem; background: #ffffff; border-radius: 8px; margin-bottom: 1.5rem;">
             <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 1.5rem; padding-bottom: 0.75rem; border-bottom: 2px solid #ecf0f1;">
                 <span style="color: #7f8c8d; font-size: 0.85rem;"><i class="fas fa-clock"></i> ${formatDateTime(turn.createdAt)}</span>
                 <div style="display: flex; gap: 0.5rem;">
+                    <button class="btn btn-small regenerate-btn" data-turn-id="${turn.id}" onclick="window.conversationActions.regenerateTurn(${turn.id})" style="background: #8e44ad; color: white; padding: 0.25rem 0.5rem; font-size: 0.75rem;" title="Generate an alternative response">
+                        <i class="fas fa-sync-alt"></i> Regenerate
+                    </button>
+                    <button class="btn btn-small" onclick="window.conversationActions.openReplay(${turn.id})" style="background: #d35400; color: white; padding: 0.25rem 0.5rem; font-size: 0.75rem;" title="Replay this turn through today's pipeline and compare">
+                        <i class="fas fa-balance-scale"></i> Replay
+                    </button>
+                    <button class="btn btn-small" onclick="window.conversationActions.branchFromTurn(${turn.id})" style="background: #16a085; color: white; padding: 0.25rem 0.5rem; font-size: 0.75rem;" title="Start a new session from this point">
+                        <i class="fas fa-code-branch"></i> Branch
+                    </button>
                     <button class="btn btn-small" onclick="window.conversationActions.rejectTurn(${turn.id})" style="background: #e74c3c; color: white; padding: 0.25rem 0.5rem; font-size: 0.75rem;">
                         <i class="fas fa-times"></i> Reject
                     </button>
@@ -225,9 +316,12 @@ turnsContainer.innerHTML = visibleTurns.map(turn => {
                     <div>
                         <div style="margin-bottom: 0.5rem; font-weight: 600; color: #9b59b6; font-size: 0.85rem; display: flex; justify-content: space-between; align-items: center;">
                             <span><i class="fas fa-robot"></i> RESPONSE:</span>
-                            <button type="button" class="btn btn-sm" onclick="window.conversationActions.openEditResponse(${turn.id})" style="border-radius: 4px; padding: 0.25rem 0.5rem; font-size: 0.75rem; background: #f39c12; color: white;" title="Edit Response">
-                                <i class="fas fa-edit"></i> Edit
-                            </button>
+                            <div style="display: flex; gap: 0.25rem; align-items: center;">
+                                ${renderSwipeNavigator(turn)}
+                                <button type="button" class="btn btn-sm" onclick="window.conversationActions.openEditResponse(${turn.id})" style="border-radius: 4px; padding: 0.25rem 0.5rem; font-size: 0.75rem; background: #f39c12; color: white;" title="Edit Response">
+                                    <i class="fas fa-edit"></i> Edit
+                                </button>
+                            </div>
                         </div>
                         <div style="white-space: pre-wrap; color: #2c3e50;">${escapeHtml(response)}</div>
                     </div>
@@ -252,11 +346,225 @@ turnsContainer.innerHTML = visibleTurns.map(turn => {
                 </div>
             </div>
         </div>`;
-    }).join('');
+    }).join('') + renderPendingTurn();
 
     turnsContainer.scrollTop = turnsContainer.scrollHeight;
 }
 
+function renderSwipeNavigator(turn) {
+    const count = turn.swipes?.length ?? 0;
+    if (count < 2) return '';
+
+    const selected = turn.selectedSwipe ?? 0;
+    const navStyle = 'border-radius: 4px; padding: 0.25rem 0.5rem; font-size: 0.75rem; background: #95a5a6; color: white;';
+
+    return `
+        <button type="button" class="btn btn-sm" onclick="window.conversationActions.selectSwipe(${turn.id}, ${selected - 1})" style="${navStyle}" title="Previous alternative" ${selected === 0 ? 'disabled' : ''}>
+            <i class="fas fa-chevron-left"></i>
+        </button>
+        <span style="font-size: 0.75rem; color: #7f8c8d; min-width: 2.5rem; text-align: center;">${selected + 1} / ${count}</span>
+        <button type="button" class="btn btn-sm" onclick="window.conversationActions.selectSwipe(${turn.id}, ${selected + 1})" style="${navStyle}" title="Next alternative" ${selected >= count - 1 ? 'disabled' : ''}>
+            <i class="fas fa-chevron-right"></i>
+        </button>`;
+}
+
+function renderPendingTurn() {
+    if (!pendingTurn) return '';
+
+    const failed = hasText(pendingTurn.error);
+    const leftBorder = failed ? '#e74c3c' : '#3498db';
+
+    return `
+        <div class="turn-card pending" style="border-left: 5px solid ${leftBorder}; padding: 1.5rem; background: #ffffff; border-radius: 8px; margin-bottom: 1.5rem;">
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 1rem; padding-bottom: 0.75rem; border-bottom: 2px solid #ecf0f1;">
+                <span style="color: #7f8c8d; font-size: 0.85rem;">
+                    ${failed
+                        ? '<i class="fas fa-exclamation-triangle" style="color: #e74c3c;"></i> Failed'
+                        : '<i class="fas fa-spinner fa-spin"></i> Generating response...'}
+                </span>
+                ${!failed ? `
+                <button class="btn btn-small" onclick="window.conversationActions.cancelPendingTurn()" style="background: #e74c3c; color: white; padding: 0.25rem 0.5rem; font-size: 0.75rem;">
+                    <i class="fas fa-stop"></i> Cancel
+                </button>` : ''}
+                ${failed ? `
+                <div style="display: flex; gap: 0.5rem;">
+                    <button class="btn btn-small" onclick="window.conversationActions.retryPendingTurn()" style="background: #f39c12; color: white; padding: 0.25rem 0.5rem; font-size: 0.75rem;">
+                        <i class="fas fa-redo"></i> Retry
+                    </button>
+                    <button class="btn btn-small" onclick="window.conversationActions.discardPendingTurn()" style="background: #95a5a6; color: white; padding: 0.25rem 0.5rem; font-size: 0.75rem;">
+                        <i class="fas fa-times"></i> Discard
+                    </button>
+                </div>` : ''}
+            </div>
+
+            <div style="background: #f8f9fa; padding: 1.5rem; border-radius: 8px; line-height: 1.8; font-size: 0.95rem;">
+                <div style="margin-bottom: 0.5rem; font-weight: 600; color: #9b59b6; font-size: 0.85rem;">
+                    <i class="fas fa-keyboard"></i> INPUT:
+                </div>
+                <div style="white-space: pre-wrap; color: #2c3e50;">${escapeHtml(pendingTurn.input)}</div>
+                ${hasText(pendingTurn.response) || !failed ? `
+                <div style="margin-top: 2rem; padding-top: 2rem; border-top: 2px solid #dee2e6;">
+                    <div style="margin-bottom: 0.5rem; font-weight: 600; color: #9b59b6; font-size: 0.85rem;">
+                        <i class="fas fa-robot"></i> RESPONSE:
+                    </div>
+                    <div id="pendingResponse" style="white-space: pre-wrap; color: #2c3e50;">${escapeHtml(pendingTurn.response)}</div>
+                </div>` : ''}
+                ${failed ? `
+                <div style="margin-top: 1rem; padding: 0.75rem; background: #f8d7da; color: #721c24; border-radius: 4px; white-space: pre-wrap; font-size: 0.85rem;">${escapeHtml(pendingTurn.error)}</div>` : ''}
+            </div>
+        </div>`;
+}
+
+function setComposerEnabled(enabled) {
+    if (composerInput) composerInput.disabled = !enabled;
+    if (composerSendBtn) composerSendBtn.disabled = !enabled;
+}
+
+function setComposerStatus(text, color = '#7f8c8d') {
+    if (!composerStatus) return;
+    composerStatus.textContent = text;
+    composerStatus.style.color = color;
+}
+
+async function sendMessage(inputOverride = null) {
+    if (isSending || !currentSession) return;
+
+    const input = inputOverride ?? composerInput?.value ?? '';
+    if (!input.trim()) {
+        showError('Message cannot be empty');
+        return;
+    }
+
+    isSending = true;
+    streamAbortController = new AbortController();
+    pendingTurn = { input, response: '', error: null };
+    if (composerInput && inputOverride === null) composerInput.value = '';
+    setComposerEnabled(false);
+    setComposerStatus('Generating...');
+    renderTurns();
+
+    try {
+        const res = await fetch(`${API_BASE_URL}/conversation/stream`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ input }),
+            signal: streamAbortController.signal
+        });
+
+        if (!res.ok) {
+            const text = await res.text();
+            // Truncate long error messages and extract first meaningful line
+            const errorMsg = text.length > 200 ? text.substring(0, 200) + '...' : text;
+            const firstLine = errorMsg.split('\n')[0];
+            throw new Error(firstLine || 'Failed to send message');
+        }
+
+        const turn = await readTurnStream(res);
+
+        // The pipeline persists failures as an unaccepted turn with an error response
+        if (!turn.accepted) {
+            throw new Error(normalizeText(turn.response) || 'The response was not accepted');
+        }
+
+        pendingTurn = null;
+        turns.push(turn);
+        renderTurns();
+        setComposerStatus('');
+        await loadTokenInfo();
+    } catch (e) {
+        const cancelled = e.name === 'AbortError';
+        if (!cancelled) console.error('Error sending message:', e);
+
+        pendingTurn = {
+            input,
+            response: pendingTurn?.response ?? '',
+            error: cancelled ? 'Cancelled - the turn was not accepted' : (e.message || 'Failed to send message')
+        };
+        renderTurns();
+        setComposerStatus(cancelled ? 'Cancelled' : 'Last message failed - retry or discard it', '#e74c3c');
+        if (!cancelled) showError(pendingTurn.error);
+    } finally {
+        isSending = false;
+        streamAbortController = null;
+        setComposerEnabled(true);
+        composerInput?.focus();
+    }
+}
+
+/**
+ * Reads the server-sent events of POST /conversation/stream.
+ * Appends "delta" chunks to the pending turn and resolves with the turn from the "done" event.
+ */
+async function readTurnStream(res) {
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+
+        let separatorIndex;
+        while ((separatorIndex = buffer.indexOf('\n\n')) !== -1) {
+            const rawEvent = buffer.substring(0, separatorIndex);
+            buffer = buffer.substring(separatorIndex + 2);
+
+            let eventName = 'message';
+            const dataLines = [];
+            for (const line of rawEvent.split('\n')) {
+                if (line.startsWith('event:')) eventName = line.substring(6).trim();
+                else if (line.startsWith('data:')) dataLines.push(line.substring(5).trim());
+            }
+            if (dataLines.length === 0) continue;
+
+            const data = JSON.parse(dataLines.join('\n'));
+
+            if (eventName === 'delta') {
+                appendPendingResponse(data.text);
+            } else if (eventName === 'done') {
+                return data;
+            } else if (eventName === 'error') {
+                throw new Error(data.message || 'Failed to process message');
+            }
+        }
+    }
+
+    throw new Error('The response stream ended unexpectedly');
+}
+
+function appendPendingResponse(text) {
+    if (!pendingTurn || !text) return;
+    pendingTurn.response += text;
+
+    // Update only the streaming text instead of re-rendering every card
+    const el = document.getElementById('pendingResponse');
+    if (el) el.textContent = pendingTurn.response;
+}
+
+function cancelPendingTurn() {
+    if (streamAbortController) streamAbortController.abort();
+}
+
+function retryPendingTurn() {
+    if (!pendingTurn || isSending) return;
+    sendMessage(pendingTurn.input);
+}
+
+function discardPendingTurn() {
+    if (!pendingTurn || isSending) return;
+
+    // Hand the text back to the composer so it can be edited and resent
+    if (composerInput && !hasText(composerInput.value)) {
+        composerInput.value = pendingTurn.input;
+    }
+
+    pendingTurn = null;
+    setComposerStatus('');
+    renderTurns();
+}
+
 function showTurnDetails(id) {
     const turn = turns.find(t => t.id === id);
     if (!turn) return;
@@ -309,9 +617,82 @@ function showTurnDetails(id) {
             <pre>${escapeHtml(normalizeText(turn.strippedTurn))}</pre>
         </div>
         ` : ''}
+
+        <div class="details-section">
+            <h4>Context Selection</h4>
+            <div id="turnEnrichment"><p class="loading">Loading context selection...</p></div>
+        </div>
     `;
 
     turnModal.style.display = 'block';
+    loadTurnEnrichment(id);
+}
+
+async function loadTurnEnrichment(id) {
+    const container = document.getElementById('turnEnrichment');
+    try {
+        const res = await fetch(`${API_BASE_URL}/conversation/turns/${id}/enrichment`);
+        if (!res.ok) throw new Error('Failed to load context selection');
+        const selections = await res.json();
+        container.innerHTML = renderEnrichment(selections);
+    } catch (e) {
+        console.error('Error loading turn enrichment:', e);
+        container.innerHTML = `<p class="error">${escapeHtml(e.message)}</p>`;
+    }
+}
+
+function describeSelection(selection) {
+    switch (selection.mechanism) {
+        case 'Semantic':
+            return selection.score != null ? `Semantic (score ${selection.score.toFixed(3)})` : 'Semantic';
+        case 'Trigger':
+            const via = selection.triggeredByName ? ` via ${selection.triggeredByName}, depth ${selection.recursionDepth}` : '';
+            return selection.matchedKeywords?.length
+                ? `Trigger (matched: ${selection.matchedKeywords.join(', ')}${via})`
+                : `Trigger${via ? ` (${via.trim()})` : ''}`;
+        default:
+            return selection.mechanism;
+    }
+}
+
+function renderEnrichment(selections) {
+    if (!selections || selections.length === 0) {
+        return '<p class="no-data">No context selection was recorded for this turn.</p>';
+    }
+
+    const groups = new Map();
+    for (const selection of selections) {
+        if (!groups.has(selection.enricher)) groups.set(selection.enricher, []);
+        groups.get(selection.enricher).push(selection);
+    }
+
+    return Array.from(groups.entries()).map(([enricher, items]) => {
+        const tokens = items.reduce((sum, s) => sum + (s.tokenCount || 0), 0);
+        return `
+            <div style="margin-bottom: 1rem;">
+                <div style="font-weight: 600; color: #2c3e50; margin-bottom: 0.25rem;">
+                    ${escapeHtml(enricher)}
+                    <small style="color: #7f8c8d; font-weight: normal;">&mdash; ${items.length} item(s)${tokens > 0 ? `, ${tokens} tokens` : ''}</small>
+                </div>
+                <table class="table table-sm" style="font-size: 0.85rem; margin-bottom: 0;">
+                    <thead>
+                        <tr><th>ID</th><th>Name</th><th>Type</th><th>Why</th><th style="text-align: right;">Tokens</th></tr>
+                    </thead>
+                    <tbody>
+                        ${items.map(s => `
+                            <tr>
+                                <td>${s.itemId}</td>
+                                <td>${escapeHtml(s.name)}</td>
+                                <td>${escapeHtml(s.type || '-')}</td>
+                                <td>${escapeHtml(describeSelection(s))}</td>
+                                <td style="text-align: right;">${s.tokenCount ?? '-'}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }).join('');
 }
 
 function closeTurnModal() {
@@ -410,6 +791,169 @@ async function rejectTurn(id) {
     }
 }
 
+async function regenerateTurn(id) {
+    const btn = document.querySelector(`.regenerate-btn[data-turn-id="${id}"]`);
+    const originalHtml = btn ? btn.innerHTML : null;
+    if (btn) {
+        btn.disabled = true;
+        btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Regenerating...';
+    }
+
+    try {
+        const res = await fetch(`${API_BASE_URL}/conversation/turns/${id}/regenerate`, { method: 'POST' });
+        if (!res.ok) {
+            const text = await res.text();
+            // Truncate long error messages and extract first meaningful line
+            const errorMsg = text.length > 200 ? text.substring(0, 200) + '...' : text;
+            const firstLine = errorMsg.split('\n')[0];
+            throw new Error(firstLine || 'Failed to regenerate turn');
+        }
+
+        replaceTurn(await res.json());
+        showMessage('New alternative generated');
+    } catch (e) {
+        console.error('Error regenerating turn:', e);
+        showError(e.message || 'Failed to regenerate turn');
+        if (btn) {
+            btn.disabled = false;
+            btn.innerHTML = originalHtml;
+        }
+    }
+}
+
+async function selectSwipe(id, index) {
+    const turn = turns.find(t => t.id === id);
+    if (!turn || index < 0 || index >= (turn.swipes?.length ?? 0)) return;
+
+    try {
+        const res = await fetch(`${API_BASE_URL}/conversation/turns/${id}/swipes/${index}`, { method: 'PUT' });
+        if (!res.ok) {
+            const text = await res.text();
+            throw new Error(text || 'Failed to select alternative');
+        }
+
+        replaceTurn(await res.json());
+    } catch (e) {
+        console.error('Error selecting swipe:', e);
+        showError(e.message || 'Failed to select alternative');
+    }
+}
+
+async function branchFromTurn(id) {
+    if (!currentSession) return;
+
+    const name = prompt('Name for the new branch session:', `${currentSession.name} (branch)`);
+    if (name === null) return;
+
+    const activate = confirmAction('Switch to the new branch now?');
+
+    try {
+        const res = await fetch(`${API_BASE_URL}/sessions/branch`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ turnId: id, name: name.trim() || null, activate })
+        });
+
+        if (!res.ok) {
+            const text = await res.text();
+            throw new Error(text || 'Failed to branch session');
+        }
+
+        const branch = await res.json();
+        showMessage(`Created session #${branch.number}`);
+
+        if (activate) {
+            await loadActiveSession();
+        }
+    } catch (e) {
+        console.error('Error branching session:', e);
+        showError(e.message || 'Failed to branch session');
+    }
+}
+
+function openReplay(turnId) {
+    if (!replayModal) return;
+
+    if (replayTurnId) replayTurnId.value = String(turnId);
+    if (replayResult) replayResult.innerHTML = '';
+    replayModal.style.display = 'block';
+}
+
+function closeReplayModal() {
+    if (!replayModal) return;
+    replayModal.style.display = 'none';
+}
+
+async function runReplay() {
+    const id = Number(replayTurnId?.value);
+    if (!id || !replayResult) return;
+
+    const originalHtml = replayRunBtn.innerHTML;
+    replayRunBtn.disabled = true;
+    replayRunBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Replaying...';
+    replayResult.innerHTML = '<p class="loading">Rebuilding the request and waiting for the response...</p>';
+
+    try {
+        const res = await fetch(`${API_BASE_URL}/conversation/turns/${id}/replay`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                provider: replayProvider?.value || null,
+                model: replayModel?.value.trim() || null
+            })
+        });
+
+        if (!res.ok) {
+            const text = await res.text();
+            throw new Error(text || 'Failed to replay turn');
+        }
+
+        renderReplay(await res.json());
+    } catch (e) {
+        console.error('Error replaying turn:', e);
+        replayResult.innerHTML = `<p class="error">${escapeHtml(e.message || 'Failed to replay turn')}</p>`;
+    } finally {
+        replayRunBtn.disabled = false;
+        replayRunBtn.innerHTML = originalHtml;
+    }
+}
+
+function renderReplay(result) {
+    const column = (title, subtitle, text, color) => `
+        <div style="flex: 1; min-width: 0; border-top: 4px solid ${color}; background: #f8f9fa; border-radius: 6px; padding: 0.75rem;">
+            <h4 style="margin: 0 0 0.25rem 0;">${title}</h4>
+            <div style="color: #7f8c8d; font-size: 0.8rem; margin-bottom: 0.5rem;">${subtitle}</div>
+            <pre style="white-space: pre-wrap; margin: 0;">${escapeHtml(normalizeText(text))}</pre>
+        </div>
+    `;
+
+    const replaySubtitle = `${escapeHtml(result.replayProvider)}${result.replayModel ? ` / ${escapeHtml(result.replayModel)}` : ''}`
+        + ` &middot; ${result.selections.length} context items`
+        + (result.trimmedContext.length > 0 ? ` (${result.trimmedContext.length} trimmed by budget)` : '');
+
+    replayResult.innerHTML = `
+        ${result.success ? '' : '<p class="error">The replay request did not succeed - the provider output is shown as returned.</p>'}
+        <div style="display: flex; gap: 1rem; align-items: stretch;">
+            ${column('Original', `${escapeHtml(result.originalProvider || 'Unknown provider')} &middot; ${formatDateTime(result.originalCreatedAt)}`, result.originalResponse, '#95a5a6')}
+            ${column('Replay', replaySubtitle, result.replayResponse, '#d35400')}
+        </div>
+        ${result.selections.length > 0 ? `
+        <details style="margin-top: 1rem;">
+            <summary style="cursor: pointer;">Context used by the replay</summary>
+            <ul style="margin-top: 0.5rem;">
+                ${result.selections.map(s => `<li>${escapeHtml(s.name)} <span style="color: #7f8c8d;">(${escapeHtml(s.mechanism)})</span></li>`).join('')}
+            </ul>
+        </details>
+        ` : ''}
+    `;
+}
+
+function replaceTurn(updated) {
+    const idx = turns.findIndex(t => t.id === updated.id);
+    if (idx !== -1) turns[idx] = updated;
+    renderTurns();
+}
+
 async function copyAllToClipboard() {
     const entries = [];
 
@@ -665,6 +1209,252 @@ async function saveEditedStripped() {
     }
 }
 
+// ========================================
+// Memory Extraction
+// ========================================
+
+const PROPOSAL_TYPES = ['Memory', 'Insight', 'Quote'];
+const PROPOSAL_AVAILABILITIES = ['Semantic', 'Manual', 'AlwaysOn', 'Archive'];
+
+function openExtractModal() {
+    if (!extractModal || !currentSession) return;
+
+    const accepted = turns.filter(t => t.accepted);
+    if (accepted.length === 0) {
+        showError('This session has no accepted turns');
+        return;
+    }
+
+    const options = accepted.map(t => {
+        const preview = normalizeText(t.input).replace(/\s+/g, ' ').slice(0, 60);
+        return `<option value="${t.id}">#${t.id} - ${escapeHtml(preview)}</option>`;
+    }).join('');
+
+    extractFromTurn.innerHTML = options;
+    extractToTurn.innerHTML = options;
+    extractFromTurn.value = String(accepted[0].id);
+    extractToTurn.value = String(accepted[accepted.length - 1].id);
+    if (extractStatus) extractStatus.textContent = `${accepted.length} accepted turns`;
+    extractModal.style.display = 'block';
+}
+
+function closeExtractModal() {
+    if (!extractModal) return;
+    extractModal.style.display = 'none';
+}
+
+async function runExtraction() {
+    if (!currentSession) return;
+
+    const fromTurnId = Number(extractFromTurn?.value);
+    const toTurnId = Number(extractToTurn?.value);
+    if (fromTurnId > toTurnId) {
+        showError('The first turn must come before the last turn');
+        return;
+    }
+
+    const originalHtml = extractRunBtn.innerHTML;
+    extractRunBtn.disabled = true;
+    extractRunBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Extracting...';
+    if (extractStatus) extractStatus.textContent = 'Waiting for the provider...';
+
+    try {
+        const res = await fetch(`${API_BASE_URL}/memory-proposals/extract`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ sessionId: currentSession.id, fromTurnId, toTurnId })
+        });
+
+        if (!res.ok) {
+            const text = await res.text();
+            throw new Error(text || 'Failed to extract memories');
+        }
+
+        const result = await res.json();
+        const failed = result.failedRequests > 0 ? ` (${result.failedRequests} requests failed)` : '';
+        showMessage(`${result.proposals.length} proposals from ${result.turnCount} turns via ${result.provider}${failed}`);
+
+        closeExtractModal();
+        await loadProposals();
+        if (result.proposals.length > 0) openProposalsModal();
+    } catch (e) {
+        console.error('Error extracting memories:', e);
+        showError(e.message || 'Failed to extract memories');
+        if (extractStatus) extractStatus.textContent = '';
+    } finally {
+        extractRunBtn.disabled = false;
+        extractRunBtn.innerHTML = originalHtml;
+    }
+}
+
+async function loadProposals() {
+    if (!currentSession) return;
+
+    try {
+        const res = await fetch(`${API_BASE_URL}/memory-proposals?sessionId=${currentSession.id}`);
+        if (!res.ok) throw new Error('Failed to load memory proposals');
+
+        proposals = await res.json();
+    } catch (e) {
+        console.error('Error loading memory proposals:', e);
+        proposals = [];
+    }
+
+    renderProposalCount();
+    renderProposals();
+}
+
+function renderProposalCount() {
+    if (!proposalCount) return;
+    proposalCount.textContent = String(proposals.length);
+    proposalCount.style.display = proposals.length > 0 ? 'inline-block' : 'none';
+}
+
+function openProposalsModal() {
+    if (!proposalsModal) return;
+    renderProposals();
+    proposalsModal.style.display = 'block';
+}
+
+function closeProposalsModal() {
+    if (!proposalsModal) return;
+    proposalsModal.style.display = 'none';
+}
+
+function renderProposals() {
+    if (!proposalsList) return;
+
+    if (proposals.length === 0) {
+        proposalsList.innerHTML = '<p class="no-data">No pending proposals. Use Extract Memories to create some.</p>';
+        return;
+    }
+
+    const options = (values, selected) => values
+        .map(v => `<option value="${v}" ${v === selected ? 'selected' : ''}>${v}</option>`)
+        .join('');
+
+    proposalsList.innerHTML = proposals.map(p => `
+        <div id="proposal-${p.id}" style="border-left: 4px solid #f39c12; background: #f8f9fa; border-radius: 6px; padding: 0.75rem; margin-bottom: 1rem;">
+            <div style="display: flex; gap: 10px; margin-bottom: 0.5rem;">
+                <select class="form-control" data-field="type" style="max-width: 140px;">${options(PROPOSAL_TYPES, p.type)}</select>
+                <input type="text" class="form-control" data-field="name" placeholder="Name" />
+                <select class="form-control" data-field="availability" style="max-width: 140px;" title="Availability of the created item">${options(PROPOSAL_AVAILABILITIES, 'Semantic')}</select>
+            </div>
+            <textarea class="form-control" data-field="content" rows="4" style="margin-bottom: 0.5rem;">${escapeHtml(p.content)}</textarea>
+            <div style="display: flex; gap: 10px; margin-bottom: 0.5rem;">
+                <input type="text" class="form-control" data-field="speaker" placeholder="Speaker" />
+                <input type="text" class="form-control" data-field="nonverbalBehavior" placeholder="Nonverbal behavior" />
+            </div>
+            <input type="text" class="form-control" data-field="tags" placeholder="Tags, comma separated" style="margin-bottom: 0.5rem;" />
+            <div style="display: flex; gap: 0.5rem; justify-content: flex-end; align-items: center;">
+                <small style="color: #7f8c8d; margin-right: auto;">Turns #${p.fromTurnId}-#${p.toTurnId} &middot; ${formatDateTime(p.createdAt)}</small>
+                <button type="button" class="btn btn-sm btn-danger" onclick="window.conversationActions.discardProposal(${p.id})">
+                    <i class="fas fa-trash"></i> Discard
+                </button>
+                <button type="button" class="btn btn-sm btn-secondary" onclick="window.conversationActions.saveProposal(${p.id})">
+                    <i class="fas fa-save"></i> Save
+                </button>
+                <button type="button" class="btn btn-sm btn-success" onclick="window.conversationActions.acceptProposal(${p.id})">
+                    <i class="fas fa-check"></i> Accept
+                </button>
+            </div>
+        </div>
+    `).join('');
+
+    // Input values are set through the DOM: escapeHtml leaves quotes as they are, which would cut a value attribute short
+    for (const p of proposals) {
+        const card = document.getElementById(`proposal-${p.id}`);
+        const setField = (name, value) => { card.querySelector(`[data-field="${name}"]`).value = value; };
+        setField('name', p.name);
+        setField('speaker', p.speaker || '');
+        setField('nonverbalBehavior', p.nonverbalBehavior || '');
+        setField('tags', p.tags.join(', '));
+    }
+}
+
+function readProposal(id) {
+    const card = document.getElementById(`proposal-${id}`);
+    const field = name => card.querySelector(`[data-field="${name}"]`).value;
+
+    return {
+        type: field('type'),
+        name: field('name').trim(),
+        content: field('content').trim(),
+        speaker: field('speaker').trim() || null,
+        nonverbalBehavior: field('nonverbalBehavior').trim() || null,
+        tags: field('tags').split(',').map(t => t.trim()).filter(t => t),
+        availability: field('availability')
+    };
+}
+
+async function saveProposal(id) {
+    try {
+        const res = await fetch(`${API_BASE_URL}/memory-proposals/${id}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(readProposal(id))
+        });
+
+        if (!res.ok) {
+            const text = await res.text();
+            throw new Error(text || 'Failed to save proposal');
+        }
+
+        const updated = await res.json();
+        const idx = proposals.findIndex(p => p.id === id);
+        if (idx !== -1) proposals[idx] = updated;
+        showMessage('Proposal saved');
+    } catch (e) {
+        console.error('Error saving proposal:', e);
+        showError(e.message || 'Failed to save proposal');
+    }
+}
+
+async function acceptProposal(id) {
+    try {
+        const res = await fetch(`${API_BASE_URL}/memory-proposals/${id}/accept`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(readProposal(id))
+        });
+
+        if (!res.ok) {
+            const text = await res.text();
+            throw new Error(text || 'Failed to accept proposal');
+        }
+
+        const accepted = await res.json();
+        removeProposal(id);
+        showMessage(`Saved as context data #${accepted.contextDataId}`);
+    } catch (e) {
+        console.error('Error accepting proposal:', e);
+        showError(e.message || 'Failed to accept proposal');
+    }
+}
+
+async function discardProposal(id) {
+    try {
+        const res = await fetch(`${API_BASE_URL}/memory-proposals/${id}/discard`, { method: 'POST' });
+
+        if (!res.ok) {
+            const text = await res.text();
+            throw new Error(text || 'Failed to discard proposal');
+        }
+
+        removeProposal(id);
+    } catch (e) {
+        console.error('Error discarding proposal:', e);
+        showError(e.message || 'Failed to discard proposal');
+    }
+}
+
+function removeProposal(id) {
+    proposals = proposals.filter(p => p.id !== id);
+    document.getElementById(`proposal-${id}`)?.remove();
+    renderProposalCount();
+    if (proposals.length === 0) renderProposals();
+}
+
 // Expose functions to window for HTML onclick handlers
 window.conversationActions = {
     showTurnDetails,
@@ -673,5 +1463,15 @@ window.conversationActions = {
     openEditStripped,
     acceptTurn,
     rejectTurn,
-    restripTurn
+    restripTurn,
+    regenerateTurn,
+    selectSwipe,
+    branchFromTurn,
+    openReplay,
+    retryPendingTurn,
+    discardPendingTurn,
+    cancelPendingTurn,
+    saveProposal,
+    acceptProposal,
+    discardProposal
 };
\ No newline at end of file
@@ -11,6 +11,7 @@ import {
 } from './js/common-utils.js';
 
 let dashboard = null;
+let usage = null;
 
 // Model configurations
 const MODEL_OPTIONS = {
@@ -32,6 +33,7 @@ const MODEL_OPTIONS = {
 document.addEventListener('DOMContentLoaded', () => {
     loadDashboard();
     loadLLMSettings();
+    loadUsage();
     setupPolling();
 });
 
@@ -351,6 +353,98 @@ async function deleteSetting(settingId) {
     }
 }
 
+async function loadUsage() {
+    const days = document.getElementById('usageDays')?.value || 30;
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/dashboard/usage?days=${days}`);
+        if (!response.ok) throw new Error('Failed to load usage');
+
+        usage = await response.json();
+        renderUsage();
+    } catch (error) {
+        console.error('Error loading usage:', error);
+        document.getElementById('usageByDay').innerHTML = '<p class="error">Failed to load usage</p>';
+    }
+}
+
+function formatCost(value) {
+    return `$${Number(value).toFixed(value >= 1 ? 2 : 4)}`;
+}
+
+function formatTokens(value) {
+    if (value >= 1_000_000) return `${(value / 1_000_000).toFixed(1)}M`;
+    if (value >= 1_000) return `${(value / 1_000).toFixed(1)}k`;
+    return `${value}`;
+}
+
+function formatRatio(value) {
+    return `${(value * 100).toFixed(1)}%`;
+}
+
+function renderUsage() {
+    if (!usage) return;
+
+    const totals = usage.totals;
+    document.getElementById('usageTotals').innerHTML = [
+        ['Total cost', formatCost(totals.totalCost)],
+        ['Calls', totals.calls],
+        ['Input / output tokens', `${formatTokens(totals.inputTokens)} / ${formatTokens(totals.outputTokens)}`],
+        ['Cache hit ratio', formatRatio(totals.cacheHitRatio)]
+    ].map(([label, value]) => `
+        <div class="col-md-3">
+            <div style="background: #f8f9fa; border-radius: 8px; padding: 0.75rem; text-align: center;">
+                <div style="font-size: 1.4rem; font-weight: 700; color: #2c3e50;">${value}</div>
+                <div style="font-size: 0.8rem; color: #7f8c8d;">${label}</div>
+            </div>
+        </div>
+    `).join('');
+
+    const metric = document.getElementById('usageMetric')?.value || 'cost';
+    renderUsageChart('usageByDay', usage.byDay, metric);
+    renderUsageChart('usageBySession', usage.bySession, metric);
+    renderUsageChart('usageByModel', usage.byModel, metric);
+    renderUsageChart('usageByOperation', usage.byOperation, metric);
+}
+
+/**
+ * Renders a horizontal bar chart. Token bars split the input into uncached, cache writes and cache reads, plus output.
+ */
+function renderUsageChart(containerId, buckets, metric) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    if (!buckets || buckets.length === 0) {
+        container.innerHTML = '<p class="no-data">No LLM calls in this period</p>';
+        return;
+    }
+
+    const valueOf = b => metric === 'cost' ? b.totalCost : b.inputTokens + b.outputTokens;
+    const max = Math.max(...buckets.map(valueOf), 0) || 1;
+
+    container.innerHTML = buckets.map(b => {
+        const width = (valueOf(b) / max) * 100;
+        const bar = metric === 'cost'
+            ? `<div style="width: ${width}%; background: #3498db; height: 100%;"></div>`
+            : `<div style="width: ${width}%; display: flex; height: 100%;">
+                   <div style="flex: ${b.uncachedInputTokens}; background: #3498db;" title="Input: ${b.uncachedInputTokens}"></div>
+                   <div style="flex: ${b.cacheWriteTokens}; background: #9b59b6;" title="Cache write: ${b.cacheWriteTokens}"></div>
+                   <div style="flex: ${b.cachedTokens}; background: #1abc9c;" title="Cache read: ${b.cachedTokens}"></div>
+                   <div style="flex: ${b.outputTokens}; background: #e67e22;" title="Output: ${b.outputTokens}"></div>
+               </div>`;
+        const value = metric === 'cost' ? formatCost(b.totalCost) : formatTokens(valueOf(b));
+
+        return `
+            <div style="display: flex; align-items: center; gap: 0.5rem; margin-bottom: 0.3rem; font-size: 0.8rem;"
+                 title="${b.calls} calls, cache hit ${formatRatio(b.cacheHitRatio)}">
+                <div style="width: 35%; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${escapeHtml(b.label)}</div>
+                <div style="flex: 1; background: #ecf0f1; border-radius: 3px; height: 14px; overflow: hidden;">${bar}</div>
+                <div style="width: 70px; text-align: right;">${value}</div>
+            </div>
+        `;
+    }).join('');
+}
+
 function setupPolling() {
     // Refresh dashboard every 30 seconds
     setInterval(loadDashboard, 30000);
@@ -396,6 +490,8 @@ async function updateSettingValue(settingId, settingName, newValue) {
 
 // Expose functions to window for HTML onclick handlers
 window.dashboardActions = {
+    loadUsage,
+    renderUsage,
     updateLLMProvider,
     updateModel,
     toggleBooleanSetting,
@@ -1,3 +1,5 @@
+import { generateLineDiff } from './js/diff-viewer.js';
+
 const API_BASE = '';
 
 document.addEventListener('DOMContentLoaded', () => {
@@ -17,8 +19,14 @@ document.addEventListener('DOMContentLoaded', () => {
     const tokenCountsContainer = document.getElementById('tokenCountsContainer');
     const tokenCountsSummary = document.getElementById('tokenCountsSummary');
     const tokenCountsGrid = document.getElementById('tokenCountsGrid');
+    const trimmedContext = document.getElementById('trimmedContext');
+    const triggerChain = document.getElementById('triggerChain');
+    const pinBaselineButton = document.getElementById('pinBaselineButton');
+    const clearBaselineButton = document.getElementById('clearBaselineButton');
+    const baselineDiff = document.getElementById('baselineDiff');
 
     let currentResponse = null;
+    let baselineResponse = null;
     let tokenCountsData = null;
 
     // Simple tab switching
@@ -102,6 +110,23 @@ document.addEventListener('DOMContentLoaded', () => {
         await loadTokenCounts();
     });
 
+    pinBaselineButton.addEventListener('click', () => {
+        if (!currentResponse) {
+            return;
+        }
+
+        baselineResponse = currentResponse;
+        clearBaselineButton.style.display = 'inline-block';
+        displayBaselineDiff();
+        showSuccess('Result pinned as baseline. The next run will be compared against it.');
+    });
+
+    clearBaselineButton.addEventListener('click', () => {
+        baselineResponse = null;
+        clearBaselineButton.style.display = 'none';
+        displayBaselineDiff();
+    });
+
     async function processInput(input) {
         hideMessages();
         showLoading(true);
@@ -181,6 +206,10 @@ document.addEventListener('DOMContentLoaded', () => {
             tokenCountsContainer.style.display = 'block';
         }
 
+        displayTriggerChain(data.triggerActivations || []);
+        displayTrimmedContext(data.trimmedContext || []);
+        displayBaselineDiff();
+
         // Display provider badge with fallback
         const providerName = data.providerName || 'Unknown';
         const providerClass = providerName.toLowerCase() === 'claude' ? 'provider-claude' : 'provider-gemini';
@@ -689,6 +718,244 @@ document.addEventListener('DOMContentLoaded', () => {
         tokenCountsGrid.innerHTML = html;
     }
 
+    /**
+     * Renders trigger activations as a tree: items activated by the turn text at the root,
+     * recursive activations nested under the item whose content activated them
+     */
+    function displayTriggerChain(activations) {
+        if (activations.length === 0) {
+            triggerChain.innerHTML = '<small class="text-muted">No trigger items were activated.</small>';
+            return;
+        }
+
+        const children = new Map();
+        for (const activation of activations) {
+            const parent = activation.triggeredByItemId ?? null;
+            if (!children.has(parent)) children.set(parent, []);
+            children.get(parent).push(activation);
+        }
+
+        const activatedIds = new Set(activations.map(a => a.itemId));
+        const renderNodes = (nodes, seen) => `
+            <ul style="margin-bottom: 0; padding-left: 1.25rem;">
+                ${nodes.map(node => {
+                    const keywords = (node.matchedKeywords || []).map(k => `<code>${escapeHtml(k)}</code>`).join(', ');
+                    const depth = node.recursionDepth ? `<span class="badge bg-secondary">depth ${node.recursionDepth}</span> ` : '';
+                    const nested = children.has(node.itemId) && !seen.has(node.itemId)
+                        ? renderNodes(children.get(node.itemId), new Set([...seen, node.itemId]))
+                        : '';
+                    return `<li>${depth}#${node.itemId} <strong>${escapeHtml(node.name)}</strong>
+                        <small class="text-muted">${keywords ? `matched ${keywords}` : ''}</small>${nested}</li>`;
+                }).join('')}
+            </ul>`;
+
+        // Roots: triggered by the turn text, or by a source that was itself selected by another mechanism
+        const bySource = [...children.entries()].filter(([parent]) => parent !== null && !activatedIds.has(parent));
+        const recursive = activations.filter(a => a.recursionDepth).length;
+
+        triggerChain.innerHTML = `
+            <div class="mb-2"><small><strong>${activations.length}</strong> activated, <strong>${recursive}</strong> of them recursively</small></div>
+            ${children.has(null) ? `<div><small class="text-muted">From the turn text:</small>${renderNodes(children.get(null), new Set())}</div>` : ''}
+            ${bySource.map(([, nodes]) => `
+                <div class="mt-1"><small class="text-muted">From the content of #${nodes[0].triggeredByItemId} ${escapeHtml(nodes[0].triggeredByName || '')}:</small>
+                ${renderNodes(nodes, new Set())}</div>`).join('')}
+        `;
+    }
+
+    function displayTrimmedContext(items) {
+        if (items.length === 0) {
+            trimmedContext.innerHTML = '<small class="text-muted">Nothing was cut - the request fits the configured budget (or no budget is set).</small>';
+            return;
+        }
+
+        const totalTokens = items.reduce((sum, i) => sum + i.tokens, 0);
+        trimmedContext.innerHTML = `
+            <div class="alert alert-warning mb-2">
+                <strong>${items.length}</strong> items cut, <strong>${totalTokens.toLocaleString()}</strong> tokens saved
+            </div>
+            <table class="table table-sm" style="font-size: 0.85em;">
+                <thead>
+                    <tr><th>Section</th><th>Item</th><th style="text-align: right;">Tokens</th><th>Reason</th></tr>
+                </thead>
+                <tbody>
+                    ${items.map(item => `
+                        <tr>
+                            <td>${escapeHtml(item.section)}</td>
+                            <td>${item.itemId ? `#${item.itemId} ` : ''}${escapeHtml(item.name)}</td>
+                            <td style="text-align: right;">${item.tokens.toLocaleString()}</td>
+                            <td>${escapeHtml(item.reason)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    function estimateTokens(text) {
+        return Math.ceil((text || '').length / 4);
+    }
+
+    function formatDelta(value) {
+        const color = value > 0 ? '#dc3545' : value < 0 ? '#28a745' : '#6c757d';
+        return `<span style="color: ${color}; font-weight: 600;">${value > 0 ? '+' : ''}${value.toLocaleString()}</span>`;
+    }
+
+    /**
+     * Splits a provider request into comparable sections: one per system part/block and one per message
+     */
+    function getRequestSections(data) {
+        const sections = [];
+        const joinText = parts => (parts || []).filter(p => p.text).map(p => p.text).join('\n');
+
+        if (data.geminiRequest) {
+            const request = data.geminiRequest;
+            (request.systemInstruction?.parts || []).forEach((part, i) => {
+                if (part.text) {
+                    sections.push({ key: `system-${i}`, label: `System part ${i + 1}`, text: part.text });
+                }
+            });
+            (request.contents || []).forEach((content, i) => {
+                const role = (content.role || 'unknown').toUpperCase();
+                sections.push({ key: `message-${i}`, label: `Message ${i + 1} [${role}]`, text: joinText(content.parts) });
+            });
+        } else if (data.claudeRequest) {
+            const request = data.claudeRequest;
+            if (typeof request.system === 'string') {
+                sections.push({ key: 'system-0', label: 'System block 1', text: request.system });
+            } else if (Array.isArray(request.system)) {
+                request.system.forEach((block, i) => {
+                    if (block.text) {
+                        sections.push({ key: `system-${i}`, label: `System block ${i + 1}`, text: block.text });
+                    }
+                });
+            }
+            (request.messages || []).forEach((message, i) => {
+                const role = (message.role || 'unknown').toUpperCase();
+                const text = typeof message.content === 'string' ? message.content : joinText(message.content);
+                sections.push({ key: `message-${i}`, label: `Message ${i + 1} [${role}]`, text });
+            });
+        }
+
+        return sections;
+    }
+
+    function sectionOrder(key) {
+        const [kind, index] = key.split('-');
+        return (kind === 'system' ? 0 : 100000) + Number(index);
+    }
+
+    function displayBaselineDiff() {
+        if (!baselineResponse) {
+            baselineDiff.innerHTML = '<small class="text-muted">Pin a result as baseline, then change a persona or context and process again to see how the request changed.</small>';
+            return;
+        }
+
+        if (baselineResponse === currentResponse) {
+            baselineDiff.innerHTML = '<small class="text-muted">This result is the current baseline. Process another input to compare against it.</small>';
+            return;
+        }
+
+        let html = '';
+        if ((baselineResponse.providerName || '') !== (currentResponse.providerName || '')) {
+            html += `<div class="alert alert-warning mb-2">Provider changed from ${escapeHtml(baselineResponse.providerName || 'Unknown')} to ${escapeHtml(currentResponse.providerName || 'Unknown')} - sections are compared by position.</div>`;
+        }
+
+        html += renderContextDataDiff(baselineResponse, currentResponse);
+        html += renderSectionsDiff(baselineResponse, currentResponse);
+        baselineDiff.innerHTML = html;
+    }
+
+    function renderContextDataDiff(baseline, current) {
+        const itemTokens = item => item.tokenCount || Math.ceil((item.contentLength || 0) / 4);
+        const baseItems = new Map((baseline.loadedContextData?.items || []).map(i => [i.id, i]));
+        const currentItems = new Map((current.loadedContextData?.items || []).map(i => [i.id, i]));
+
+        const added = [...currentItems.values()].filter(i => !baseItems.has(i.id));
+        const removed = [...baseItems.values()].filter(i => !currentItems.has(i.id));
+        const changed = [...currentItems.values()]
+            .filter(i => baseItems.has(i.id) && itemTokens(baseItems.get(i.id)) !== itemTokens(i));
+
+        const tokenDelta = [...currentItems.values()].reduce((sum, i) => sum + itemTokens(i), 0)
+            - [...baseItems.values()].reduce((sum, i) => sum + itemTokens(i), 0);
+
+        const renderItem = (item, sign, color, delta) => `
+            <div style="padding: 4px 8px; border-left: 3px solid ${color}; background: #f8f9fa; margin-bottom: 4px; font-size: 0.85em; display: flex; justify-content: space-between; gap: 8px;">
+                <span><strong style="color: ${color};">${sign}</strong> ${escapeHtml(item.name)} <span class="text-muted">(${escapeHtml(item.type || 'Unknown')} #${item.id})</span></span>
+                <span>${formatDelta(delta)} tokens</span>
+            </div>
+        `;
+
+        let html = `
+            <div class="alert alert-info mb-2">
+                <strong>Context Data:</strong>
+                ${added.length} added | ${removed.length} removed | ${changed.length} changed size |
+                ${formatDelta(tokenDelta)} tokens
+            </div>
+        `;
+
+        html += added.map(i => renderItem(i, '+', '#28a745', itemTokens(i))).join('');
+        html += removed.map(i => renderItem(i, '-', '#dc3545', -itemTokens(i))).join('');
+        html += changed.map(i => renderItem(i, '~', '#fd7e14', itemTokens(i) - itemTokens(baseItems.get(i.id)))).join('');
+
+        return html;
+    }
+
+    function renderSectionsDiff(baseline, current) {
+        const baseSections = getRequestSections(baseline);
+        const currentSections = getRequestSections(current);
+        const baseByKey = new Map(baseSections.map(s => [s.key, s]));
+        const currentByKey = new Map(currentSections.map(s => [s.key, s]));
+        const keys = [...new Set([...baseSections, ...currentSections].map(s => s.key))]
+            .sort((a, b) => sectionOrder(a) - sectionOrder(b));
+
+        const requestDelta = currentSections.reduce((sum, s) => sum + estimateTokens(s.text), 0)
+            - baseSections.reduce((sum, s) => sum + estimateTokens(s.text), 0);
+
+        let unchanged = 0;
+        let rows = '';
+        keys.forEach(key => {
+            const before = baseByKey.get(key);
+            const after = currentByKey.get(key);
+
+            if (before && after && before.text === after.text) {
+                unchanged++;
+                return;
+            }
+
+            const label = escapeHtml((after || before).label);
+            const delta = estimateTokens(after?.text) - estimateTokens(before?.text);
+            let status;
+            let body;
+
+            if (before && after) {
+                status = '<span class="badge bg-warning text-dark">changed</span>';
+                body = generateLineDiff(before.text, after.text);
+            } else if (after) {
+                status = '<span class="badge bg-success">added</span>';
+                body = `<pre class="expanded-pre" style="background: rgba(74, 222, 128, 0.15);">${escapeHtml(after.text)}</pre>`;
+            } else {
+                status = '<span class="badge bg-danger">removed</span>';
+                body = `<pre class="expanded-pre" style="background: rgba(248, 113, 113, 0.15);">${escapeHtml(before.text)}</pre>`;
+            }
+
+            rows += `
+                <details class="mb-2">
+                    <summary style="cursor: pointer;">${status} <strong>${label}</strong> <span class="text-muted">(~${formatDelta(delta)} tokens)</span></summary>
+                    <div class="mt-2">${body}</div>
+                </details>
+            `;
+        });
+
+        return `
+            <div class="alert alert-secondary mb-2 mt-3">
+                <strong>Request Sections:</strong>
+                ${keys.length - unchanged} differ | ${unchanged} unchanged |
+                ~${formatDelta(requestDelta)} tokens (estimated)
+            </div>
+            ${rows || '<small class="text-muted">All sections are identical to the baseline.</small>'}
+        `;
+    }
+
     async function loadTokenCounts() {
         loadTokenCountsButton.disabled = true;
         loadTokenCountsButton.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Loading...';
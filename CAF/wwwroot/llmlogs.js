@@ -0,0 +1,217 @@
+/**
+ * LLM Logs Page Module
+ * Browses the provider call log written by LLMLogger
+ */
+
+import {
+    escapeHtml,
+    formatDateTime,
+    showError,
+    API_BASE_URL
+} from './js/common-utils.js';
+
+const PAGE_SIZE = 50;
+
+let currentPage = 1;
+let totalPages = 0;
+let logModalInstance = null;
+
+// DOM Elements
+const logsList = document.getElementById('logsList');
+const logsSummary = document.getElementById('logsSummary');
+const logDetails = document.getElementById('logDetails');
+const logModalTitle = document.getElementById('logModalTitle');
+const prevPageBtn = document.getElementById('prevPageBtn');
+const nextPageBtn = document.getElementById('nextPageBtn');
+
+// Initialize
+document.addEventListener('DOMContentLoaded', async () => {
+    const logModal = document.getElementById('logModal');
+    if (logModal) {
+        logModalInstance = new bootstrap.Modal(logModal);
+    }
+
+    document.getElementById('applyFiltersBtn')?.addEventListener('click', () => loadLogs(1));
+    prevPageBtn?.addEventListener('click', () => loadLogs(currentPage - 1));
+    nextPageBtn?.addEventListener('click', () => loadLogs(currentPage + 1));
+
+    await loadFilterOptions();
+    await loadLogs(1);
+});
+
+async function loadFilterOptions() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/llmlogs/filters`);
+        if (!response.ok) throw new Error('Failed to load filter options');
+
+        const options = await response.json();
+        fillSelect('filterProvider', options.providers);
+        fillSelect('filterModel', options.models);
+        fillSelect('filterOperation', options.operations);
+    } catch (error) {
+        console.error('Error loading filter options:', error);
+    }
+}
+
+function fillSelect(id, values) {
+    const select = document.getElementById(id);
+    if (!select) return;
+    select.innerHTML = '<option value="">All</option>' +
+        values.map(v => `<option value="${escapeHtml(v)}">${escapeHtml(v)}</option>`).join('');
+}
+
+function buildQuery(page) {
+    const params = new URLSearchParams({ page, pageSize: PAGE_SIZE });
+
+    const addValue = (name, id) => {
+        const value = document.getElementById(id)?.value;
+        if (value) params.set(name, value);
+    };
+    addValue('provider', 'filterProvider');
+    addValue('model', 'filterModel');
+    addValue('operation', 'filterOperation');
+    addValue('status', 'filterStatus');
+
+    // datetime-local is in local time; the log stores UTC
+    const addDate = (name, id) => {
+        const value = document.getElementById(id)?.value;
+        if (value) params.set(name, new Date(value).toISOString());
+    };
+    addDate('from', 'filterFrom');
+    addDate('to', 'filterTo');
+
+    return params.toString();
+}
+
+async function loadLogs(page) {
+    try {
+        const response = await fetch(`${API_BASE_URL}/llmlogs?${buildQuery(page)}`);
+        if (!response.ok) throw new Error('Failed to load logs');
+
+        const result = await response.json();
+        currentPage = result.page;
+        totalPages = result.totalPages;
+        renderLogs(result);
+    } catch (error) {
+        console.error('Error loading logs:', error);
+        logsList.innerHTML = '<p class="error">Failed to load logs</p>';
+    }
+}
+
+function renderStatus(statusCode) {
+    if (statusCode === null || statusCode === undefined) {
+        return '<span class="badge bg-secondary">Pending</span>';
+    }
+    if (statusCode >= 200 && statusCode < 300) {
+        return `<span class="badge bg-success">${statusCode}</span>`;
+    }
+    return `<span class="badge bg-danger">${statusCode === -1 ? 'Error' : statusCode}</span>`;
+}
+
+function renderTurnLink(turnId) {
+    return turnId
+        ? `<a href="conversation.html#turn-${turnId}" onclick="event.stopPropagation()">#${turnId}</a>`
+        : '-';
+}
+
+function renderLogs(result) {
+    logsSummary.textContent = result.totalCount > 0
+        ? `Page ${result.page} of ${result.totalPages} - ${result.totalCount} entries`
+        : '';
+    prevPageBtn.disabled = currentPage <= 1;
+    nextPageBtn.disabled = currentPage >= totalPages;
+
+    if (result.items.length === 0) {
+        logsList.innerHTML = '<p class="no-data">No log entries match the filters.</p>';
+        return;
+    }
+
+    logsList.innerHTML = `
+        <table class="table table-hover table-sm" style="font-size: 0.85rem;">
+            <thead>
+                <tr>
+                    <th>Time</th>
+                    <th>Provider</th>
+                    <th>Model</th>
+                    <th>Operation</th>
+                    <th>Status</th>
+                    <th style="text-align: right;">Duration</th>
+                    <th style="text-align: right;">In / Out</th>
+                    <th style="text-align: right;">Cached</th>
+                    <th style="text-align: right;">Thinking</th>
+                    <th style="text-align: right;">Cost</th>
+                    <th>Turn</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${result.items.map(log => `
+                    <tr style="cursor: pointer;" onclick="window.logActions.showLog(${log.id})">
+                        <td>${formatDateTime(log.startTime)}</td>
+                        <td>${escapeHtml(log.provider)}</td>
+                        <td>${escapeHtml(log.model)}</td>
+                        <td>${escapeHtml(log.operation)}</td>
+                        <td>${renderStatus(log.statusCode)}</td>
+                        <td style="text-align: right;">${log.durationMs} ms</td>
+                        <td style="text-align: right;">${log.inputTokens} / ${log.outputTokens}</td>
+                        <td style="text-align: right;">${log.cachedContentTokenCount}</td>
+                        <td style="text-align: right;">${log.thinkingTokens}</td>
+                        <td style="text-align: right;">$${Number(log.totalCost).toFixed(4)}</td>
+                        <td>${renderTurnLink(log.turnId)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * Pretty-prints JSON; falls back to the raw text for non-JSON bodies (e.g. SSE streams, error text)
+ */
+function prettyJson(text) {
+    if (!text) return '';
+    try {
+        return JSON.stringify(JSON.parse(text), null, 2);
+    } catch {
+        return text;
+    }
+}
+
+async function showLog(id) {
+    try {
+        const response = await fetch(`${API_BASE_URL}/llmlogs/${id}`);
+        if (!response.ok) throw new Error('Failed to load log entry');
+
+        const log = await response.json();
+        logModalTitle.textContent = `${log.provider} / ${log.model} - ${log.operation}`;
+        logDetails.innerHTML = `
+            <div class="details-grid" style="display: grid; grid-template-columns: repeat(4, 1fr); gap: 0.5rem; margin-bottom: 1rem; font-size: 0.9rem;">
+                <div><strong>Request ID:</strong> ${escapeHtml(log.requestId)}</div>
+                <div><strong>Status:</strong> ${renderStatus(log.statusCode)}</div>
+                <div><strong>Started:</strong> ${formatDateTime(log.startTime)}</div>
+                <div><strong>Duration:</strong> ${log.durationMs} ms</div>
+                <div><strong>Input tokens:</strong> ${log.inputTokens}</div>
+                <div><strong>Output tokens:</strong> ${log.outputTokens}</div>
+                <div><strong>Cached tokens:</strong> ${log.cachedContentTokenCount}</div>
+                <div><strong>Thinking tokens:</strong> ${log.thinkingTokens}</div>
+                <div><strong>Total tokens:</strong> ${log.totalTokens}</div>
+                <div><strong>Cost:</strong> ${Number(log.totalCost).toFixed(6)} ${escapeHtml(log.currency)}</div>
+                <div><strong>Turn:</strong> ${renderTurnLink(log.turnId)}</div>
+            </div>
+
+            <h6>Raw Request</h6>
+            <pre style="max-height: 400px; overflow: auto; background: #f8f9fa; padding: 0.75rem; border-radius: 4px; font-size: 0.8rem;">${escapeHtml(prettyJson(log.rawRequestJson))}</pre>
+
+            <h6>Raw Response</h6>
+            <pre style="max-height: 400px; overflow: auto; background: #f8f9fa; padding: 0.75rem; border-radius: 4px; font-size: 0.8rem;">${escapeHtml(prettyJson(log.rawResponseJson))}</pre>
+        `;
+        logModalInstance?.show();
+    } catch (error) {
+        console.error('Error loading log entry:', error);
+        showError(error.message || 'Failed to load log entry');
+    }
+}
+
+// Expose to window for onclick handlers
+window.logActions = {
+    showLog
+};
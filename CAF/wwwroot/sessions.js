@@ -36,6 +36,7 @@ async function fetchActiveProfile() {
 // DOM Elements
 const sessionsList = document.getElementById('sessionsList');
 const activeSessionCard = document.getElementById('activeSessionCard');
+const sessionTree = document.getElementById('sessionTree');
 const createSessionBtn = document.getElementById('createSessionBtn');
 const sessionModal = document.getElementById('sessionModal');
 const modalTitle = document.getElementById('modalTitle');
@@ -95,6 +96,7 @@ async function loadSessions() {
         sessions = await response.json();
         renderSessions();
         renderActiveSession();
+        renderSessionTree();
     } catch (error) {
         console.error('Error loading sessions:', error);
         sessionsList.innerHTML = '<p class="error">Failed to load sessions</p>';
@@ -125,11 +127,61 @@ function renderSessions() {
                 <span>Created: ${formatDateTime(session.createdAt)}</span>
                 ${session.modifiedAt ? `<span>Modified: ${formatDateTime(session.modifiedAt)}</span>` : ''}
                 <span>Turns: ${session.turns ? session.turns.length : 0}</span>
+                ${renderBranchOrigin(session)}
             </div>
         </div>
     `).join('');
 }
 
+function renderBranchOrigin(session) {
+    if (!session.parentSessionId) return '';
+    const parent = sessions.find(s => s.id === session.parentSessionId);
+    const parentLabel = parent ? `#${parent.number}` : `session ${session.parentSessionId}`;
+    return `<span><i class="fas fa-code-branch"></i> Branched from ${parentLabel} at turn ${session.branchedFromTurnId ?? '?'}</span>`;
+}
+
+/**
+ * Renders which session forked from which, at which turn.
+ * Only trees that contain at least one branch are shown.
+ */
+function renderSessionTree() {
+    if (!sessionTree) return;
+
+    const ids = new Set(sessions.map(s => s.id));
+    const childrenOf = new Map();
+    for (const session of sessions) {
+        if (session.parentSessionId && ids.has(session.parentSessionId)) {
+            if (!childrenOf.has(session.parentSessionId)) childrenOf.set(session.parentSessionId, []);
+            childrenOf.get(session.parentSessionId).push(session);
+        }
+    }
+
+    const roots = sessions
+        .filter(s => !s.parentSessionId || !ids.has(s.parentSessionId))
+        .filter(s => childrenOf.has(s.id) || s.parentSessionId)
+        .sort((a, b) => a.number - b.number);
+
+    if (roots.length === 0) {
+        sessionTree.innerHTML = '<p class="no-data">No branches yet. Use "Branch" on a turn in the conversation page.</p>';
+        return;
+    }
+
+    const renderNode = (session) => {
+        const children = (childrenOf.get(session.id) || []).sort((a, b) => a.number - b.number);
+        return `
+            <li style="margin: 0.25rem 0;">
+                <span class="session-number">#${session.number}</span>
+                <span class="session-name">${escapeHtml(session.name)}</span>
+                ${session.isActive ? '<span class="badge badge-active">Active</span>' : ''}
+                ${session.branchedFromTurnId ? `<small style="color: #7f8c8d;">&mdash; forked at turn ${session.branchedFromTurnId}</small>` : ''}
+                ${!session.isActive ? `<button class="btn btn-small" onclick="window.sessionActions.activateSession(${session.id})" style="margin-left: 0.5rem;">Activate</button>` : ''}
+                ${children.length > 0 ? `<ul style="list-style: none; padding-left: 1.5rem; border-left: 2px solid #dee2e6; margin-left: 0.5rem;">${children.map(renderNode).join('')}</ul>` : ''}
+            </li>`;
+    };
+
+    sessionTree.innerHTML = `<ul style="list-style: none; padding-left: 0; margin: 0;">${roots.map(renderNode).join('')}</ul>`;
+}
+
 function renderActiveSession() {
     const activeSession = sessions.find(s => s.isActive);
 
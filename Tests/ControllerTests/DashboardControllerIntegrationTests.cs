@@ -223,6 +223,22 @@ public class DashboardControllerIntegrationTests : IntegrationTestBase
     }
 
     #endregion
+
+    #region Usage Tests
+
+    [TestCase(0)]
+    [TestCase(366)]
+    [TestCase(int.MaxValue)]
+    public async Task GetUsage_DaysOutOfRange_ReturnsBadRequest(int days)
+    {
+        // Act
+        var response = await Client.GetAsync($"/api/dashboard/usage?days={days}");
+
+        // Assert
+        Assert.That(response.StatusCode, Is.EqualTo(HttpStatusCode.BadRequest));
+    }
+
+    #endregion
 }
 
 public class DashboardResponse
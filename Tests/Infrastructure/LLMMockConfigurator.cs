@@ -105,6 +105,29 @@ public class LLMMockConfigurator(Mock<IGeminiClient> geminiMock, Mock<IClaudeCli
             .ReturnsAsync((false, errorMessage));
     }
 
+    /// <summary>
+    /// Configures the final Gemini streaming response, emitting the given chunks through the callback.
+    /// </summary>
+    public void ConfigureStreamingResponse(params string[] chunks)
+    {
+        geminiMock
+            .Setup(x => x.StreamGenerateContentAsync(
+                It.IsAny<GeminiRequest>(),
+                false,
+                It.IsAny<int?>(),
+                It.IsAny<Func<string, Task>?>(),
+                It.IsAny<CancellationToken>()))
+            .Returns(async (GeminiRequest req, bool tech, int? turnId, Func<string, Task>? onTextChunk, CancellationToken ct) =>
+            {
+                foreach (var chunk in chunks)
+                {
+                    if (onTextChunk is not null)
+                        await onTextChunk(chunk);
+                }
+                return (true, string.Concat(chunks));
+            });
+    }
+
     #endregion Gemini Configuration
 
     #region Claude Configuration
@@ -480,6 +480,69 @@ public partial class ConversationPipelineHappyPathTests : ConversationPipelineTe
         Assert.That(ex!.Message, Does.Contain("No active session"));
     }
 
+    [Test]
+    [Category("Integration")]
+    [Category("ConversationPipeline")]
+    public async Task ReplayTurnAsync_LeavesFlagsAndUsageCountsUntouched()
+    {
+        // Arrange - a past turn that activates the weather trigger
+        var turn = await TestData.CreateTurnAsync(TestSession.Id, "What is the weather forecast?", "TestBot: Sunny.",
+            createdAt: DateTime.UtcNow.AddMinutes(-1));
+        var flagsBefore = await Db.Flags.AsNoTracking()
+            .Where(f => f.ProfileId == TestProfile.Id)
+            .ToDictionaryAsync(f => f.Id, f => (f.Active, f.LastUsedAt));
+        var usageBefore = await Db.ContextData.AsNoTracking()
+            .Where(cd => cd.ProfileId == TestProfile.Id)
+            .ToDictionaryAsync(cd => cd.Id, cd => (cd.UsageCount, cd.LastUsedAt));
+
+        LLMMocks.ConfigurePerceptionResponses("[]", "[]", "[]");
+        LLMMocks.ConfigureFinalResponse("Replayed response");
+
+        // Act
+        var result = await Pipeline.ReplayTurnAsync(turn.Id);
+
+        // Assert
+        Assert.That(result.Selections.Any(s => s.Mechanism == SelectionMechanism.Trigger), Is.True,
+            "The weather trigger should be selected in the replay");
+
+        var flagsAfter = await Db.Flags.AsNoTracking()
+            .Where(f => f.ProfileId == TestProfile.Id)
+            .ToDictionaryAsync(f => f.Id, f => (f.Active, f.LastUsedAt));
+        var usageAfter = await Db.ContextData.AsNoTracking()
+            .Where(cd => cd.ProfileId == TestProfile.Id)
+            .ToDictionaryAsync(cd => cd.Id, cd => (cd.UsageCount, cd.LastUsedAt));
+        Assert.Multiple(() =>
+        {
+            Assert.That(flagsAfter, Is.EqualTo(flagsBefore), "Replay must not use up one-shot flags");
+            Assert.That(usageAfter, Is.EqualTo(usageBefore), "Replay must not count as usage");
+        });
+    }
+
+    [Test]
+    [Category("Integration")]
+    [Category("ConversationPipeline")]
+    public async Task ProcessInputAsync_TriggeredItem_CountsOneUsePerTurn()
+    {
+        // Arrange
+        var trigger = await Db.ContextData.AsNoTracking()
+            .SingleAsync(cd => cd.ProfileId == TestProfile.Id && cd.Name == "Weather Memory");
+
+        LLMMocks.ConfigurePerceptionResponses("[]", "[]", "[]");
+        LLMMocks.ConfigureFinalResponse("TestBot: Sunny all week.");
+
+        // Act
+        var result = await Pipeline.ProcessInputAsync("What is the weather forecast?");
+
+        // Assert
+        var after = await Db.ContextData.AsNoTracking().SingleAsync(cd => cd.Id == trigger.Id);
+        Assert.Multiple(() =>
+        {
+            Assert.That(result.Accepted, Is.True);
+            Assert.That(after.UsageCount, Is.EqualTo(trigger.UsageCount + 1));
+            Assert.That(after.UsedLastOnTurnId, Is.EqualTo(result.Id));
+        });
+    }
+
     [System.Text.RegularExpressions.GeneratedRegex(@"\[meta\]\s+(\w+)")]
     private static partial System.Text.RegularExpressions.Regex MyRegex();
 }
\ No newline at end of file
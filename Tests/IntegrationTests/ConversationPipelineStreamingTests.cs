@@ -0,0 +1,68 @@
+using Tests.Infrastructure;
+
+namespace Tests.IntegrationTests;
+
+[TestFixture]
+public class ConversationPipelineStreamingTests : ConversationPipelineTestBase
+{
+    [Test]
+    [Category("Integration")]
+    [Category("ConversationPipeline")]
+    public async Task ProcessInputStreamingAsync_ForwardsChunksAndAcceptsTurn()
+    {
+        // Arrange
+        LLMMocks.ConfigureStreamingResponse("TestBot: ", "Hello ", "there!");
+        var received = new List<string>();
+
+        // Act
+        var result = await Pipeline.ProcessInputStreamingAsync("Hi", chunk =>
+        {
+            received.Add(chunk);
+            return Task.CompletedTask;
+        });
+
+        // Assert
+        Assert.Multiple(() =>
+        {
+            Assert.That(received, Is.EqualTo(new[] { "TestBot: ", "Hello ", "there!" }));
+            Assert.That(result.Response, Is.EqualTo("TestBot: Hello there!"));
+            Assert.That(result.Accepted, Is.True);
+        });
+    }
+
+    [Test]
+    [Category("Integration")]
+    [Category("ConversationPipeline")]
+    public async Task ProcessInputStreamingAsync_Cancelled_SavesPartialResponseUnaccepted()
+    {
+        // Arrange
+        using var cts = new CancellationTokenSource();
+        MockGeminiClient
+            .Setup(x => x.StreamGenerateContentAsync(
+                It.IsAny<GeminiRequest>(),
+                false,
+                It.IsAny<int?>(),
+                It.IsAny<Func<string, Task>?>(),
+                It.IsAny<CancellationToken>()))
+            .Returns(async (GeminiRequest req, bool tech, int? turnId, Func<string, Task>? onTextChunk, CancellationToken ct) =>
+            {
+                await onTextChunk!("Partial reply");
+                cts.Cancel();
+                ct.ThrowIfCancellationRequested();
+                return (true, "never reached");
+            });
+
+        // Act
+        var result = await Pipeline.ProcessInputStreamingAsync("Hi", _ => Task.CompletedTask, cts.Token);
+
+        // Assert
+        Assert.Multiple(() =>
+        {
+            Assert.That(result.Accepted, Is.False, "Cancelled turn must not be accepted");
+            Assert.That(result.Response, Is.EqualTo("Partial reply"));
+        });
+
+        var savedTurn = await Db.Turns.AsNoTracking().FirstAsync(t => t.Id == result.Id);
+        Assert.That(savedTurn.Accepted, Is.False);
+    }
+}
@@ -344,6 +344,38 @@ public class QdrantServiceIntegrationTests
         Assert.That(info.PointsCount, Is.EqualTo(100));
     }
 
+    [Test]
+    [Category("Integration")]
+    [Category("Qdrant")]
+    public async Task GetVectorsAsync_ReturnsDenseVectorsByDbPK()
+    {
+        // Arrange
+        var service = _factory.CreateService(_testCollection);
+        await service.EnsureCollectionAsync();
+
+        var first = CreateTestEmbedding(DefaultDimensions);
+        var second = CreateTestEmbedding(DefaultDimensions, offset: 0.01f);
+        var chunks = new List<(int, float[], string, string, long?, string, string, int, int)>
+        {
+            (1, first, "test#10#full", "Content 10", 1, "memory_full", "", 10, 1),
+            (2, second, "test#11#full", "Content 11", 1, "memory_full", "", 11, 1),
+            (3, first, "test#12#full", "Content 12", 1, "quote_full", "", 12, 1),
+            (4, first, "test#13#full", "Content 13", 1, "memory_full", "", 13, 2)
+        };
+        await service.UpsertChunksBatchAsync(chunks);
+
+        // Act
+        var vectors = await service.GetVectorsAsync(1, "memory_full");
+
+        // Assert
+        Assert.Multiple(() =>
+        {
+            Assert.That(vectors.Keys, Is.EquivalentTo(new long[] { 10, 11 }));
+            Assert.That(vectors[10], Is.EqualTo(first).Within(1e-5f));
+            Assert.That(vectors[11], Has.Length.EqualTo(DefaultDimensions));
+        });
+    }
+
     /// <summary>
     /// Helper method to create a test embedding vector
     /// </summary>
@@ -0,0 +1,104 @@
+using CAF.Services.Conversation;
+
+namespace Tests.UnitTests;
+
+[TestFixture]
+public class ContextBudgetTrimmerTests
+{
+    private ConversationState _state = null!;
+
+    [SetUp]
+    public void Setup()
+    {
+        _state = new ConversationState
+        {
+            Session = new Session { Id = 1, Name = "Test Session" },
+            CurrentTurn = new Turn { Id = 10, Input = "Test input" }
+        };
+    }
+
+    private static ContextData Data(int id, DataType type, int tokens, int relevance = 0) => new()
+    {
+        Id = id,
+        Name = $"Item {id}",
+        Type = type,
+        Content = "x",
+        TokenCount = tokens,
+        RelevanceScore = relevance
+    };
+
+    [Test]
+    public void Apply_UnlimitedBudget_LeavesStateUntouched()
+    {
+        _state.AddContextData(Data(1, DataType.Memory, 1000));
+        _state.RecentTurns.Add(new Turn { Id = 1, Input = "Hi", Response = "Hello" });
+
+        ContextBudgetTrimmer.Apply(_state, new ContextBudget());
+
+        Assert.Multiple(() =>
+        {
+            Assert.That(_state.Memories, Has.Count.EqualTo(1));
+            Assert.That(_state.RecentTurns, Has.Count.EqualTo(1));
+            Assert.That(_state.TrimmedContext, Is.Empty);
+        });
+    }
+
+    [Test]
+    public void Apply_SectionCapExceeded_DropsLowestRelevanceItem()
+    {
+        _state.AddContextData(Data(1, DataType.Memory, 100, relevance: 10));
+        _state.AddContextData(Data(2, DataType.Memory, 100, relevance: 1));
+        _state.AddContextData(Data(3, DataType.Quote, 100));
+
+        var budget = new ContextBudget { SectionCaps = { [ContextSection.Memory] = 150 } };
+        ContextBudgetTrimmer.Apply(_state, budget);
+
+        Assert.Multiple(() =>
+        {
+            Assert.That(_state.Memories.Select(m => m.Id), Is.EqualTo(new[] { 1 }));
+            Assert.That(_state.Quotes, Has.Count.EqualTo(1), "Other sections are not affected by the memory cap");
+            Assert.That(_state.TrimmedContext, Has.Count.EqualTo(1));
+            Assert.That(_state.TrimmedContext[0].ItemId, Is.EqualTo(2));
+            Assert.That(_state.TrimmedContext[0].Section, Is.EqualTo(ContextSection.Memory));
+            Assert.That(_state.TrimmedContext[0].Reason, Does.Contain("Memory cap of 150"));
+        });
+    }
+
+    [Test]
+    public void Apply_TotalBudgetExceeded_TrimsDialogueLogFirstAndKeepsLastTurn()
+    {
+        _state.DialogueLogEntries.AddRange([new string('a', 400), new string('b', 400)]);
+        _state.RebuildDialogueLog();
+        _state.AddContextData(Data(1, DataType.Generic, 50));
+        _state.RecentTurns.Add(new Turn { Id = 1, Input = new string('c', 200), Response = new string('d', 200) });
+        _state.RecentTurns.Add(new Turn { Id = 2, Input = new string('e', 200), Response = new string('f', 200) });
+
+        ContextBudgetTrimmer.Apply(_state, new ContextBudget { Total = 100 });
+
+        Assert.Multiple(() =>
+        {
+            Assert.That(_state.DialogueLogEntries, Is.Empty);
+            Assert.That(_state.Data, Is.Empty);
+            Assert.That(_state.RecentTurns.Select(t => t.Id), Is.EqualTo(new[] { 2 }), "The most recent turn is always kept");
+            Assert.That(_state.TrimmedContext.Select(t => t.Section).ToList(), Is.EqualTo(new[]
+            {
+                ContextSection.DialogueLog,
+                ContextSection.DialogueLog,
+                ContextSection.Generic,
+                ContextSection.RecentTurns
+            }));
+        });
+    }
+
+    [Test]
+    public void Apply_TotalBudget_NeverTrimsUserProfile()
+    {
+        var profile = Data(1, DataType.CharacterProfile, 500);
+        _state.UserProfile = profile;
+        _state.AddContextData(profile);
+
+        ContextBudgetTrimmer.Apply(_state, new ContextBudget { Total = 10 });
+
+        Assert.That(_state.CharacterProfiles.Select(c => c.Id), Is.EqualTo(new[] { 1 }));
+    }
+}
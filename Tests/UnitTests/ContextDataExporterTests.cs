@@ -0,0 +1,161 @@
+using System.IO;
+using System.IO.Compression;
+using CAF.Controllers;
+using CAF.Controllers.Models.Requests;
+using Microsoft.AspNetCore.Mvc;
+
+namespace Tests.UnitTests;
+
+[TestFixture]
+public class ContextDataExporterTests
+{
+    private static readonly List<ContextData> Items =
+    [
+        new()
+        {
+            Id = 1,
+            Name = "Amulet memory",
+            Type = DataType.Memory,
+            Availability = AvailabilityType.Trigger,
+            Content = "The amulet was a gift.\nFrom the king.",
+            TriggerKeywords = "amulet AND king",
+            TriggerLookbackTurns = 5,
+            ExcludeFromRecursion = true
+        },
+        new()
+        {
+            Id = 2,
+            Name = "Line 1",
+            Type = DataType.Quote,
+            Availability = AvailabilityType.Semantic,
+            Content = "Stay\there.",
+            Speaker = "Alice",
+            SourceSessionId = 12,
+            NonverbalBehavior = "smiles"
+        }
+    ];
+
+    [Test]
+    public void ToJson_KeepsAvailabilityAndTriggerFields()
+    {
+        var json = ContextDataExporter.ToJson(Items);
+
+        var items = JsonSerializer.Deserialize<List<ContextData>>(json, new JsonSerializerOptions(JsonSerializerDefaults.Web))!;
+        Assert.Multiple(() =>
+        {
+            Assert.That(json, Does.Contain("\"availability\": \"Trigger\""));
+            Assert.That(items, Has.Count.EqualTo(2));
+            Assert.That(items[0].TriggerKeywords, Is.EqualTo("amulet AND king"));
+            Assert.That(items[0].TriggerLookbackTurns, Is.EqualTo(5));
+            Assert.That(items[0].ExcludeFromRecursion, Is.True);
+            Assert.That(items[0].Content, Is.EqualTo(Items[0].Content));
+        });
+    }
+
+    [Test]
+    public void ToTsv_UsesImportColumnsAndFlattensTabsAndLineBreaks()
+    {
+        var quotes = ContextDataExporter.ToTsv(Items, TsvExportLayout.Quotes);
+        var voice = ContextDataExporter.ToTsv(Items, TsvExportLayout.VoiceSamples);
+
+        Assert.Multiple(() =>
+        {
+            Assert.That(quotes.Split('\n'), Is.EqualTo(new[]
+            {
+                "Session\tSpeaker\tContent",
+                "\t\tThe amulet was a gift. From the king.",
+                "12\tAlice\tStay here.",
+                ""
+            }));
+            Assert.That(voice.Split('\n')[2], Is.EqualTo("Stay here.\tsmiles"));
+        });
+    }
+
+    [Test]
+    public async Task ToTsv_RoundTripsThroughTheTsvImportsWithEmptyOptionalColumns()
+    {
+        // Arrange
+        List<ContextData> quotes =
+        [
+            new() { Type = DataType.Quote, Content = "No session, no speaker." },
+            new() { Type = DataType.Quote, Content = "Session, no speaker.", SourceSessionId = 7 },
+            new() { Type = DataType.Quote, Content = "Everything set.", SourceSessionId = 12, Speaker = "Alice" }
+        ];
+        List<ContextData> voiceSamples =
+        [
+            new() { Type = DataType.PersonaVoiceSample, Content = "No gesture." },
+            new() { Type = DataType.PersonaVoiceSample, Content = "With gesture.", NonverbalBehavior = "smiles" }
+        ];
+
+        var created = new List<ContextData>();
+        var contextDataService = new Mock<IContextDataService>();
+        contextDataService.Setup(x => x.CreateAsync(It.IsAny<ContextData>(), It.IsAny<CancellationToken>()))
+            .Callback<ContextData, CancellationToken>((data, _) => created.Add(data))
+            .ReturnsAsync((ContextData data, CancellationToken _) => data);
+
+        var controller = new ContextDataController(
+            contextDataService.Object,
+            Mock.Of<ISemanticService>(),
+            Mock.Of<IGeminiClient>(),
+            Mock.Of<ISessionService>(),
+            Mock.Of<ITurnService>(),
+            Mock.Of<ISettingService>(),
+            Mock.Of<IContextUsageAnalyticsService>(),
+            Mock.Of<ILogger<ContextDataController>>());
+
+        // Act
+        var quoteResult = await controller.ImportFromTsv(
+            new TsvImportRequest(ContextDataExporter.ToTsv(quotes, TsvExportLayout.Quotes).Replace("\n", "\r\n"), HasHeader: true));
+        var importedQuotes = created.ToList();
+        created.Clear();
+
+        var voiceTsv = ContextDataExporter.ToTsv(voiceSamples, TsvExportLayout.VoiceSamples);
+        var voiceResult = await controller.ImportVoiceSamplesFromTsv(new VoiceSamplesTsvImportRequest(voiceTsv, HasHeader: true));
+        var importedVoiceSamples = created.ToList();
+        created.Clear();
+
+        var canonResult = await controller.ImportCanonQuotesFromTsv(new CanonQuotesTsvImportRequest(voiceTsv));
+        var importedCanonQuotes = created.ToList();
+
+        // Assert
+        Assert.Multiple(() =>
+        {
+            foreach (var result in new[] { quoteResult, voiceResult, canonResult })
+            {
+                var import = (ImportResult)((OkObjectResult)result.Result!).Value!;
+                Assert.That(import.Errors, Is.Empty);
+                Assert.That(import.FailedCount, Is.Zero);
+            }
+
+            Assert.That(importedQuotes.Select(d => (d.SourceSessionId, d.Speaker, d.Content)),
+                Is.EqualTo(quotes.Select(d => (d.SourceSessionId, d.Speaker, d.Content))));
+            Assert.That(importedVoiceSamples.Select(d => (d.Content, d.NonverbalBehavior)),
+                Is.EqualTo(voiceSamples.Select(d => (d.Content, d.NonverbalBehavior))));
+            Assert.That(importedCanonQuotes.Select(d => (d.Content, d.NonverbalBehavior)),
+                Is.EqualTo(voiceSamples.Select(d => (d.Content, d.NonverbalBehavior))));
+        });
+    }
+
+    [Test]
+    public void ToMarkdownZip_WritesOneFilePerItemInTypeFolders()
+    {
+        var items = Items.Append(new ContextData { Name = "Line 1", Type = DataType.Quote, Content = "Again" })
+            .Append(new ContextData { Name = "Who? / What?", Type = DataType.Generic, Content = "Notes" });
+
+        using var archive = new ZipArchive(new MemoryStream(ContextDataExporter.ToMarkdownZip(items)));
+
+        Assert.Multiple(() =>
+        {
+            Assert.That(archive.Entries.Select(e => e.FullName), Is.EqualTo(new[]
+            {
+                "Memory/Amulet memory.md",
+                "Quote/Line 1.md",
+                "Quote/Line 1 (2).md",
+                "Generic/Who_ _ What_.md"
+            }));
+
+            using var reader = new StreamReader(archive.Entries[0].Open());
+            Assert.That(reader.ReadToEnd(), Is.EqualTo(Items[0].Content));
+        });
+    }
+}
@@ -1,3 +1,4 @@
+using CAF.Controllers.Models.Requests;
 using CAF.Interfaces;
 
 namespace Tests.UnitTests;
@@ -178,6 +179,27 @@ public class ContextDataServiceTests
         Assert.That(restored!.IsArchived, Is.False);
     }
 
+    [Test]
+    public async Task RestoreAsync_ArchivedId_RecordsRevision()
+    {
+        // Arrange
+        var data = await CreateTestDataAsync();
+        await _service.ArchiveAsync(data.Id);
+
+        // Act
+        await _service.RestoreAsync(data.Id);
+
+        // Assert
+        var revisions = await _service.GetRevisionsAsync(data.Id);
+        Assert.Multiple(() =>
+        {
+            Assert.That(revisions, Has.Count.EqualTo(2));
+            Assert.That(revisions![0].Source, Is.EqualTo(RevisionSource.AvailabilityChange));
+            Assert.That(revisions[0].Snapshot.IsArchived, Is.True);
+            Assert.That(revisions[1].Snapshot.IsArchived, Is.False);
+        });
+    }
+
     #endregion Basic CRUD Tests
 
     #region Availability-Based Retrieval Tests
@@ -332,6 +354,34 @@ public class ContextDataServiceTests
         });
     }
 
+    [TestCase("King (Arthur), queen")]
+    [TestCase("\"the sword\", OR")]
+    [TestCase("amulet AND")]
+    public async Task UpdateAsync_LegacyKeywordListWithExpressionCharacters_IsSaved(string keywords)
+    {
+        // Arrange
+        var data = await CreateTriggerDataAsync("placeholder");
+        data.TriggerKeywords = keywords;
+
+        // Act
+        var updated = await _service.UpdateAsync(data.Id, data);
+
+        // Assert
+        Assert.That(updated!.TriggerKeywords, Is.EqualTo(keywords));
+    }
+
+    [Test]
+    public async Task UpdateAsync_InvalidPrefixedExpression_Throws()
+    {
+        // Arrange
+        var data = await CreateTriggerDataAsync("placeholder");
+        data.TriggerKeywords = "expr: amulet AND";
+
+        // Act & Assert
+        var ex = Assert.ThrowsAsync<InvalidOperationException>(() => _service.UpdateAsync(data.Id, data));
+        Assert.That(ex!.Message, Does.StartWith("Invalid trigger expression"));
+    }
+
     #endregion Trigger-Based Retrieval Tests
 
     #region Manual Toggle Management Tests
@@ -503,6 +553,475 @@ public class ContextDataServiceTests
 
     #endregion GetAllAsync Filter Tests
 
+    #region QueryAsync Tests
+
+    [Test]
+    public async Task QueryAsync_Paging_ReturnsRequestedPageAndTotalCount()
+    {
+        // Arrange
+        for (var i = 1; i <= 5; i++)
+            await CreateTestDataAsync(name: $"Item {i}");
+
+        // Act
+        var result = await _service.QueryAsync(new ContextDataQuery { Page = 2, PageSize = 2 });
+
+        // Assert
+        Assert.Multiple(() =>
+        {
+            Assert.That(result.TotalCount, Is.EqualTo(5));
+            Assert.That(result.TotalPages, Is.EqualTo(3));
+            Assert.That(result.Items.Select(d => d.Name), Is.EqualTo(new[] { "Item 3", "Item 4" }));
+        });
+    }
+
+    [Test]
+    public async Task QueryAsync_TypeAndSearch_FiltersAndSortsDescending()
+    {
+        // Arrange
+        await CreateTestDataAsync(type: DataType.Quote, name: "Dragon quote");
+        await CreateTestDataAsync(type: DataType.Quote, name: "Another dragon");
+        await CreateTestDataAsync(type: DataType.Memory, name: "Dragon memory");
+        await CreateTestDataAsync(type: DataType.Quote, name: "Unrelated");
+
+        // Act
+        var result = await _service.QueryAsync(new ContextDataQuery
+        {
+            Type = DataType.Quote,
+            Search = "dragon",
+            SortOrder = "desc"
+        });
+
+        // Assert
+        Assert.Multiple(() =>
+        {
+            Assert.That(result.TotalCount, Is.EqualTo(2));
+            Assert.That(result.Items.Select(d => d.Name), Is.EqualTo(new[] { "Dragon quote", "Another dragon" }));
+        });
+    }
+
+    [Test]
+    public async Task QueryAllAsync_ReturnsEveryMatchIgnoringPaging()
+    {
+        // Arrange
+        for (var i = 1; i <= 5; i++)
+            await CreateTestDataAsync(type: DataType.Memory, name: $"Memory {i}");
+        await CreateTestDataAsync(type: DataType.Quote, name: "Quote");
+
+        // Act
+        var result = await _service.QueryAllAsync(new ContextDataQuery { Type = DataType.Memory, Page = 2, PageSize = 2 });
+
+        // Assert
+        Assert.That(result.Select(d => d.Name), Is.EqualTo(new[] { "Memory 1", "Memory 2", "Memory 3", "Memory 4", "Memory 5" }));
+    }
+
+    [Test]
+    public async Task QueryAsync_Search_MatchesTags()
+    {
+        // Arrange
+        await using (var db = await _dbContextFactory.CreateDbContextAsync())
+        {
+            db.ContextData.AddRange(
+                new ContextData { Name = "Tagged", Content = "a", ProfileId = TestProfileId, Tags = ["swordplay"] },
+                new ContextData { Name = "Named sword", Content = "b", ProfileId = TestProfileId },
+                new ContextData { Name = "Other", Content = "c", ProfileId = TestProfileId, Tags = ["magic"] });
+            await db.SaveChangesAsync();
+        }
+
+        // Act
+        var result = await _service.QueryAsync(new ContextDataQuery { Search = "SWORD" });
+
+        // Assert
+        Assert.That(result.Items.Select(d => d.Name), Is.EqualTo(new[] { "Named sword", "Tagged" }));
+    }
+
+    [TestCase(true, new[] { "Tagged" })]
+    [TestCase(false, new[] { "Untagged" })]
+    public async Task QueryAsync_Tagged_FiltersByWhetherItemsHaveTags(bool tagged, string[] expected)
+    {
+        // Arrange
+        await using (var db = await _dbContextFactory.CreateDbContextAsync())
+        {
+            db.ContextData.AddRange(
+                new ContextData { Name = "Tagged", Content = "a", ProfileId = TestProfileId, Tags = ["magic"] },
+                new ContextData { Name = "Untagged", Content = "b", ProfileId = TestProfileId });
+            await db.SaveChangesAsync();
+        }
+
+        // Act
+        var result = await _service.QueryAsync(new ContextDataQuery { Tagged = tagged });
+
+        // Assert
+        Assert.That(result.Items.Select(d => d.Name), Is.EqualTo(expected));
+    }
+
+    [Test]
+    public async Task GetFilterOptionsAsync_ReturnsDistinctSpeakersAndSessions()
+    {
+        // Arrange
+        await using (var db = await _dbContextFactory.CreateDbContextAsync())
+        {
+            db.ContextData.AddRange(
+                new ContextData { Name = "A", Content = "a", ProfileId = TestProfileId, Speaker = "Bob", SourceSessionId = 1 },
+                new ContextData { Name = "B", Content = "b", ProfileId = TestProfileId, Speaker = "Alice", SourceSessionId = 2 },
+                new ContextData { Name = "C", Content = "c", ProfileId = TestProfileId, Speaker = "Bob" });
+            await db.SaveChangesAsync();
+        }
+
+        // Act
+        var options = await _service.GetFilterOptionsAsync();
+
+        // Assert
+        Assert.Multiple(() =>
+        {
+            Assert.That(options.Speakers, Is.EqualTo(new[] { "Alice", "Bob" }));
+            Assert.That(options.SessionIds, Is.EqualTo(new[] { 2, 1 }));
+        });
+    }
+
+    #endregion QueryAsync Tests
+
+    #region Bulk Edit Tests
+
+    [Test]
+    public async Task BulkEditAsync_Preview_CountsChangesWithoutSaving()
+    {
+        // Arrange
+        var first = await CreateTestDataAsync(name: "First");
+        var second = await CreateTestDataAsync(name: "Second");
+        await using (var db = await _dbContextFactory.CreateDbContextAsync())
+        {
+            var existing = await db.ContextData.FindAsync(second.Id);
+            existing!.Speaker = "Alice";
+            await db.SaveChangesAsync();
+        }
+
+        // Act
+        var result = await _service.BulkEditAsync(new BulkEditRequest
+        {
+            Ids = [first.Id, second.Id, 999],
+            Preview = true,
+            Speaker = "Alice",
+            SortOrder = 5
+        });
+
+        // Assert
+        var unchanged = await _service.GetByIdAsync(first.Id);
+        Assert.Multiple(() =>
+        {
+            Assert.That(result.Applied, Is.False);
+            Assert.That(result.Matched, Is.EqualTo(2));
+            Assert.That(result.Changed, Is.EqualTo(2));
+            Assert.That(result.ChangedByField["Speaker"], Is.EqualTo(1));
+            Assert.That(result.ChangedByField["SortOrder"], Is.EqualTo(2));
+            Assert.That(unchanged!.Speaker, Is.Null);
+            Assert.That(unchanged.SortOrder, Is.EqualTo(0));
+        });
+    }
+
+    [Test]
+    public async Task BulkEditAsync_AppliesTagsAndFieldsToSelectedItemsOfTheProfile()
+    {
+        // Arrange
+        int selectedId, otherProfileId;
+        await using (var db = await _dbContextFactory.CreateDbContextAsync())
+        {
+            var selected = new ContextData
+            {
+                Name = "Selected", Content = "a", ProfileId = TestProfileId,
+                Tags = ["old", "keep"], Speaker = "Bob", SourceSessionId = 3
+            };
+            var otherProfile = new ContextData { Name = "Other", Content = "b", ProfileId = TestProfileId + 1, Tags = ["old"] };
+            db.ContextData.AddRange(selected, otherProfile);
+            await db.SaveChangesAsync();
+            (selectedId, otherProfileId) = (selected.Id, otherProfile.Id);
+        }
+
+        // Act
+        var result = await _service.BulkEditAsync(new BulkEditRequest
+        {
+            Ids = [selectedId, otherProfileId],
+            AddTags = ["new", "Keep"],
+            RemoveTags = ["OLD"],
+            ClearSpeaker = true,
+            ClearSourceSessionId = true,
+            Subtype = "dialogue",
+            CooldownTurns = 2,
+            Display = RetrievalType.Summary,
+            TriggerLookbackTurns = 6,
+            TriggerMinMatchCount = 2
+        });
+
+        // Assert
+        await using var verifyDb = await _dbContextFactory.CreateDbContextAsync();
+        var edited = await verifyDb.ContextData.FindAsync(selectedId);
+        var other = await verifyDb.ContextData.FindAsync(otherProfileId);
+        Assert.Multiple(() =>
+        {
+            Assert.That(result.Applied, Is.True);
+            Assert.That(result.Matched, Is.EqualTo(1));
+            Assert.That(edited!.Tags, Is.EqualTo(new[] { "keep", "new" }));
+            Assert.That(edited.Speaker, Is.Null);
+            Assert.That(edited.SourceSessionId, Is.Null);
+            Assert.That(edited.Subtype, Is.EqualTo("dialogue"));
+            Assert.That(edited.CooldownTurns, Is.EqualTo(2));
+            Assert.That(edited.Display, Is.EqualTo(RetrievalType.Summary));
+            Assert.That(edited.TriggerLookbackTurns, Is.EqualTo(6));
+            Assert.That(edited.TriggerMinMatchCount, Is.EqualTo(2));
+            Assert.That(edited.ModifiedAt, Is.Not.Null);
+            Assert.That(other!.Tags, Is.EqualTo(new[] { "old" }));
+        });
+    }
+
+    [Test]
+    public async Task BulkEditAsync_NoChanges_Throws()
+    {
+        var data = await CreateTestDataAsync();
+
+        var ex = Assert.ThrowsAsync<InvalidOperationException>(() =>
+            _service.BulkEditAsync(new BulkEditRequest { Ids = [data.Id], AddTags = [" "] }));
+
+        Assert.That(ex!.Message, Does.Contain("No changes"));
+    }
+
+    [Test]
+    public async Task BulkEditAsync_Apply_RecordsBulkEditRevisionForChangedItems()
+    {
+        var changed = await CreateTestDataAsync(name: "Changed");
+        var unchanged = await CreateTestDataAsync(name: "Unchanged");
+        await _service.BulkEditAsync(new BulkEditRequest { Ids = [unchanged.Id], SortOrder = 4 });
+
+        await _service.BulkEditAsync(new BulkEditRequest { Ids = [changed.Id, unchanged.Id], SortOrder = 4 });
+
+        var revisions = await _service.GetRevisionsAsync(changed.Id);
+        var unchangedRevisions = await _service.GetRevisionsAsync(unchanged.Id);
+        Assert.Multiple(() =>
+        {
+            Assert.That(revisions, Has.Count.EqualTo(1));
+            Assert.That(revisions![0].Source, Is.EqualTo(RevisionSource.BulkEdit));
+            Assert.That(revisions[0].Snapshot.SortOrder, Is.EqualTo(0));
+            Assert.That(unchangedRevisions, Has.Count.EqualTo(1));
+        });
+    }
+
+    #endregion Bulk Edit Tests
+
+    #region Revision Tests
+
+    [Test]
+    public async Task UpdateAsync_RecordsPreviousStateWithSource()
+    {
+        // Arrange
+        var data = await CreateTestDataAsync(name: "Original");
+        data.Name = "Renamed";
+        data.Content = "New content";
+
+        // Act
+        await _service.UpdateAsync(data.Id, data, RevisionSource.ReloadFromDisk);
+        await _service.UpdateAsync(data.Id, data);
+
+        // Assert
+        var revisions = await _service.GetRevisionsAsync(data.Id);
+        Assert.Multiple(() =>
+        {
+            Assert.That(revisions, Has.Count.EqualTo(1), "An update that changes nothing records no revision");
+            Assert.That(revisions![0].Source, Is.EqualTo(RevisionSource.ReloadFromDisk));
+            Assert.That(revisions[0].Snapshot.Name, Is.EqualTo("Original"));
+            Assert.That(revisions[0].Snapshot.Content, Is.EqualTo("Test content"));
+        });
+    }
+
+    [Test]
+    public async Task RestoreRevisionAsync_AppliesSnapshotAndRecordsCurrentState()
+    {
+        // Arrange
+        var data = await CreateTestDataAsync(name: "Original");
+        data.Content = "Edited content";
+        data.Tags = ["edited"];
+        await _service.UpdateAsync(data.Id, data);
+        var revisionId = (await _service.GetRevisionsAsync(data.Id))![0].Id;
+
+        // Act
+        var restored = await _service.RestoreRevisionAsync(data.Id, revisionId);
+
+        // Assert
+        var revisions = await _service.GetRevisionsAsync(data.Id);
+        Assert.Multiple(() =>
+        {
+            Assert.That(restored!.Content, Is.EqualTo("Test content"));
+            Assert.That(restored.Tags, Is.Empty);
+            Assert.That(revisions, Has.Count.EqualTo(2));
+            Assert.That(revisions![0].Source, Is.EqualTo(RevisionSource.Restore));
+            Assert.That(revisions[0].Snapshot.Content, Is.EqualTo("Edited content"));
+        });
+    }
+
+    [Test]
+    public async Task RestoreRevisionAsync_RevisionBeforeArchive_UnarchivesItem()
+    {
+        // Arrange
+        var data = await CreateTestDataAsync();
+        await _service.ArchiveAsync(data.Id);
+        var revisionId = (await _service.GetRevisionsAsync(data.Id))![0].Id;
+
+        // Act
+        await _service.RestoreRevisionAsync(data.Id, revisionId);
+
+        // Assert
+        var restored = await _service.GetByIdAsync(data.Id);
+        var revisions = await _service.GetRevisionsAsync(data.Id);
+        Assert.Multiple(() =>
+        {
+            Assert.That(restored!.IsArchived, Is.False);
+            Assert.That(restored.Availability, Is.EqualTo(AvailabilityType.Semantic));
+            Assert.That(revisions![0].Source, Is.EqualTo(RevisionSource.Restore));
+            Assert.That(revisions[0].Snapshot.IsArchived, Is.True);
+        });
+    }
+
+    [Test]
+    public async Task RestoreRevisionAsync_SnapshotWithoutArchiveFlag_DerivesItFromAvailability()
+    {
+        // Arrange - a revision recorded before the archive flag was part of snapshots
+        var data = await CreateTestDataAsync();
+        var snapshot = ContextDataSnapshot.From(data);
+        snapshot.IsArchived = null;
+        int revisionId;
+        await using (var db = await _dbContextFactory.CreateDbContextAsync())
+        {
+            var revision = new ContextDataRevision { ContextDataId = data.Id, Source = RevisionSource.UiEdit, Snapshot = snapshot.ToJson() };
+            db.ContextDataRevisions.Add(revision);
+            await db.SaveChangesAsync();
+            revisionId = revision.Id;
+        }
+        await _service.ArchiveAsync(data.Id);
+
+        // Act
+        var restored = await _service.RestoreRevisionAsync(data.Id, revisionId);
+
+        // Assert
+        Assert.Multiple(() =>
+        {
+            Assert.That(restored!.IsArchived, Is.False);
+            Assert.That(restored.Availability, Is.EqualTo(AvailabilityType.Semantic));
+        });
+    }
+
+    [Test]
+    public async Task GetRevisionsAsync_ItemOfOtherProfile_ReturnsNull()
+    {
+        int otherId;
+        await using (var db = await _dbContextFactory.CreateDbContextAsync())
+        {
+            var other = new ContextData { Name = "Other", Content = "b", ProfileId = TestProfileId + 1 };
+            db.ContextData.Add(other);
+            await db.SaveChangesAsync();
+            otherId = other.Id;
+        }
+
+        Assert.Multiple(async () =>
+        {
+            Assert.That(await _service.GetRevisionsAsync(otherId), Is.Null);
+            Assert.That(await _service.RestoreRevisionAsync(otherId, 1), Is.Null);
+        });
+    }
+
+    #endregion Revision Tests
+
+    #region Availability Rule Tests
+
+    [Test]
+    public async Task ApplyAvailabilityRulesAsync_DueRules_ChangeAvailabilityOnce()
+    {
+        var session = new Session { Id = 5, Number = 12 };
+        var fromSession = await CreateScheduledDataAsync(AvailabilityType.Semantic,
+            new AvailabilityRule { Condition = AvailabilityRuleCondition.FromSession, Value = 12, Target = AvailabilityType.AlwaysOn });
+        var afterTurn = await CreateScheduledDataAsync(AvailabilityType.Manual,
+            new AvailabilityRule { Condition = AvailabilityRuleCondition.AfterSessionTurn, Value = 3, Target = AvailabilityType.Trigger });
+        var afterUsage = await CreateScheduledDataAsync(AvailabilityType.AlwaysOn,
+            new AvailabilityRule { Condition = AvailabilityRuleCondition.AfterUsageCount, Value = 3, Target = AvailabilityType.Archive },
+            usageCount: 3);
+
+        await using (var db = await _dbContextFactory.CreateDbContextAsync())
+        {
+            db.Turns.AddRange(
+                new Turn { SessionId = session.Id, Input = "One", Accepted = true },
+                new Turn { SessionId = session.Id, Input = "Two", Accepted = true });
+            await db.SaveChangesAsync();
+        }
+
+        var changed = await _service.ApplyAvailabilityRulesAsync(session);
+        var again = await _service.ApplyAvailabilityRulesAsync(session);
+
+        var promoted = await _service.GetByIdAsync(fromSession.Id);
+        var pending = await _service.GetByIdAsync(afterTurn.Id);
+        var archived = await _service.GetByIdAsync(afterUsage.Id);
+        var revisions = await _service.GetRevisionsAsync(fromSession.Id);
+        Assert.Multiple(() =>
+        {
+            Assert.That(changed.Select(d => d.Id), Is.EquivalentTo(new[] { fromSession.Id, afterUsage.Id }));
+            Assert.That(again, Is.Empty, "A rule fires only once");
+            Assert.That(promoted!.Availability, Is.EqualTo(AvailabilityType.AlwaysOn));
+            Assert.That(promoted.AvailabilityRules[0].AppliedAt, Is.Not.Null);
+            Assert.That(pending!.Availability, Is.EqualTo(AvailabilityType.Manual), "Two turns are not enough for turn 3");
+            Assert.That(pending.AvailabilityRules[0].AppliedAt, Is.Null);
+            Assert.That(archived!.Availability, Is.EqualTo(AvailabilityType.Archive));
+            Assert.That(archived.IsArchived, Is.True);
+            Assert.That(revisions!.Single().Source, Is.EqualTo(RevisionSource.Schedule));
+            Assert.That(revisions!.Single().Snapshot.Availability, Is.EqualTo(AvailabilityType.Semantic));
+        });
+    }
+
+    [Test]
+    public async Task ApplyAvailabilityRulesAsync_AfterSessionTurn_CountsOnlyAcceptedTurns()
+    {
+        var session = new Session { Id = 6, Number = 1 };
+        var afterTurn = await CreateScheduledDataAsync(AvailabilityType.Manual,
+            new AvailabilityRule { Condition = AvailabilityRuleCondition.AfterSessionTurn, Value = 3, Target = AvailabilityType.Trigger });
+
+        await using (var db = await _dbContextFactory.CreateDbContextAsync())
+        {
+            db.Turns.AddRange(
+                new Turn { SessionId = session.Id, Input = "One", Accepted = true },
+                new Turn { SessionId = session.Id, Input = "Two", Accepted = true },
+                new Turn { SessionId = session.Id, Input = "Failed", Response = "Error: timeout", Accepted = false });
+            await db.SaveChangesAsync();
+        }
+
+        var changed = await _service.ApplyAvailabilityRulesAsync(session);
+
+        await using (var db = await _dbContextFactory.CreateDbContextAsync())
+        {
+            db.Turns.Add(new Turn { SessionId = session.Id, Input = "Three", Accepted = true });
+            await db.SaveChangesAsync();
+        }
+
+        var changedAfterThirdTurn = await _service.ApplyAvailabilityRulesAsync(session);
+
+        Assert.Multiple(() =>
+        {
+            Assert.That(changed, Is.Empty, "The failed turn does not count towards turn 3");
+            Assert.That(changedAfterThirdTurn.Select(d => d.Id), Is.EqualTo(new[] { afterTurn.Id }));
+        });
+    }
+
+    [Test]
+    public void CreateAsync_RuleTargetInvalidForType_Throws()
+    {
+        var data = new ContextData
+        {
+            Name = "Quote",
+            Content = "Line",
+            Type = DataType.Quote,
+            Availability = AvailabilityType.Semantic,
+            AvailabilityRules = [new AvailabilityRule { Condition = AvailabilityRuleCondition.FromSession, Value = 2, Target = AvailabilityType.Trigger }]
+        };
+
+        var ex = Assert.ThrowsAsync<InvalidOperationException>(() => _service.CreateAsync(data));
+        Assert.That(ex!.Message, Does.Contain("Trigger"));
+    }
+
+    #endregion Availability Rule Tests
+
     #region Availability Mechanism Integrity Tests
 
     [Test]
@@ -821,6 +1340,24 @@ public class ContextDataServiceTests
         return data;
     }
 
+    private async Task<ContextData> CreateScheduledDataAsync(AvailabilityType availability, AvailabilityRule rule, int usageCount = 0)
+    {
+        await using var db = await _dbContextFactory.CreateDbContextAsync();
+        var data = new ContextData
+        {
+            Name = $"Scheduled {Guid.NewGuid():N}",
+            Content = "Plot point",
+            Type = DataType.Memory,
+            Availability = availability,
+            AvailabilityRules = [rule],
+            UsageCount = usageCount,
+            ProfileId = TestProfileId
+        };
+        db.ContextData.Add(data);
+        await db.SaveChangesAsync();
+        return data;
+    }
+
     #endregion Helper Methods
 
     private class TestDbContextFactory(DbContextOptions<GeneralDbContext> options)
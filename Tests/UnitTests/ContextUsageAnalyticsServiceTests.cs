@@ -0,0 +1,179 @@
+using CAF.Controllers.Models.Requests;
+
+namespace Tests.UnitTests;
+
+[TestFixture]
+public class ContextUsageAnalyticsServiceTests
+{
+    private IDbContextFactory<GeneralDbContext> _dbContextFactory = null!;
+    private Mock<ISemanticService> _mockSemanticService = null!;
+    private ContextUsageAnalyticsService _service = null!;
+    private const int TestProfileId = 1;
+
+    [SetUp]
+    public async Task Setup()
+    {
+        var options = new DbContextOptionsBuilder<GeneralDbContext>()
+            .UseInMemoryDatabase(databaseName: Guid.NewGuid().ToString())
+            .Options;
+
+        _dbContextFactory = new TestDbContextFactory(options);
+        _mockSemanticService = new Mock<ISemanticService>();
+
+        var mockProfileService = new Mock<IProfileService>();
+        mockProfileService.Setup(x => x.GetActiveProfileId()).Returns(TestProfileId);
+
+        var contextDataService = new ContextDataService(
+            _dbContextFactory,
+            mockProfileService.Object,
+            _mockSemanticService.Object,
+            new Mock<ILogger<ContextDataService>>().Object);
+
+        _service = new ContextUsageAnalyticsService(
+            _dbContextFactory,
+            mockProfileService.Object,
+            contextDataService,
+            _mockSemanticService.Object,
+            new Mock<ILogger<ContextUsageAnalyticsService>>().Object);
+
+        await using var db = await _dbContextFactory.CreateDbContextAsync();
+        db.Profiles.Add(new Profile { Id = TestProfileId, Name = "Test Profile" });
+        await db.SaveChangesAsync();
+    }
+
+    [Test]
+    public async Task GetAnalyticsAsync_ReadsTurnSnapshotsOfTheProfile()
+    {
+        // Arrange
+        int used, unused;
+        await using (var db = await _dbContextFactory.CreateDbContextAsync())
+        {
+            var usedItem = new ContextData { Name = "Used", Content = "a", ProfileId = TestProfileId, Availability = AvailabilityType.Semantic };
+            var unusedItem = new ContextData { Name = "Unused", Content = "b", ProfileId = TestProfileId, Availability = AvailabilityType.Semantic };
+            var archived = new ContextData { Name = "Archived", Content = "c", ProfileId = TestProfileId, IsArchived = true };
+            db.ContextData.AddRange(usedItem, unusedItem, archived);
+
+            var session = new Session { Number = 1, Name = "Opening", ProfileId = TestProfileId };
+            var otherSession = new Session { Number = 1, Name = "Elsewhere", ProfileId = TestProfileId + 1 };
+            db.Sessions.AddRange(session, otherSession);
+            await db.SaveChangesAsync();
+            (used, unused) = (usedItem.Id, unusedItem.Id);
+
+            var snapshot = JsonSerializer.Serialize(new List<ContextSelection>
+            {
+                ContextSelection.FromData("SemanticEnricher", SelectionMechanism.Semantic, usedItem)
+            });
+            db.Turns.AddRange(
+                new Turn { SessionId = session.Id, EnrichmentSnapshot = snapshot },
+                new Turn { SessionId = session.Id },
+                new Turn { SessionId = otherSession.Id, EnrichmentSnapshot = snapshot });
+            await db.SaveChangesAsync();
+        }
+
+        // Act
+        var result = await _service.GetAnalyticsAsync(new ContextUsageAnalyticsQuery());
+
+        // Assert
+        Assert.Multiple(() =>
+        {
+            Assert.That(result.TurnCount, Is.EqualTo(1));
+            Assert.That(result.TurnsWithoutSnapshot, Is.EqualTo(1));
+            Assert.That(result.Groups.Sum(g => g.ItemCount), Is.EqualTo(2), "Archived items are left out");
+            Assert.That(result.NeverUsed.Select(u => u.Id), Is.EqualTo(new[] { unused }));
+            Assert.That(result.Groups.Single().MostUsed.Single().Id, Is.EqualTo(used));
+            Assert.That(result.Sessions.Single().Label, Is.EqualTo("#1 Opening"));
+        });
+    }
+
+    [TestCase(0, 60)]
+    [TestCase(366, 60)]
+    [TestCase(int.MaxValue, 60)]
+    [TestCase(30, 0)]
+    [TestCase(30, int.MaxValue)]
+    public void GetAnalyticsAsync_DaysOutOfRange_Throws(int days, int staleDays)
+    {
+        var query = new ContextUsageAnalyticsQuery { Days = days, StaleDays = staleDays };
+
+        Assert.ThrowsAsync<InvalidOperationException>(() => _service.GetAnalyticsAsync(query));
+    }
+
+    [Test]
+    public async Task PromoteToAlwaysOnAsync_UnembedsAndPromotesOnlySemanticItems()
+    {
+        // Arrange
+        int embedded, manual;
+        await using (var db = await _dbContextFactory.CreateDbContextAsync())
+        {
+            var embeddedItem = new ContextData
+            {
+                Name = "Embedded", Content = "a", ProfileId = TestProfileId,
+                Type = DataType.Memory, Availability = AvailabilityType.Semantic, InVectorDb = true
+            };
+            var manualItem = new ContextData
+            {
+                Name = "Manual", Content = "b", ProfileId = TestProfileId,
+                Type = DataType.Memory, Availability = AvailabilityType.Manual
+            };
+            db.ContextData.AddRange(embeddedItem, manualItem);
+            await db.SaveChangesAsync();
+            (embedded, manual) = (embeddedItem.Id, manualItem.Id);
+        }
+
+        // Act
+        var result = await _service.PromoteToAlwaysOnAsync([embedded, manual]);
+
+        // Assert
+        await using var verifyDb = await _dbContextFactory.CreateDbContextAsync();
+        Assert.Multiple(async () =>
+        {
+            Assert.That(result.Processed, Is.EqualTo(1));
+            Assert.That((await verifyDb.ContextData.FindAsync(embedded))!.Availability, Is.EqualTo(AvailabilityType.AlwaysOn));
+            Assert.That((await verifyDb.ContextData.FindAsync(manual))!.Availability, Is.EqualTo(AvailabilityType.Manual));
+            Assert.That(await verifyDb.ContextDataRevisions.CountAsync(r => r.ContextDataId == embedded), Is.EqualTo(1));
+        });
+        _mockSemanticService.Verify(s => s.UnembedBatchAsync(
+            It.Is<IEnumerable<ContextData>>(items => items.Single().Id == embedded),
+            It.IsAny<CancellationToken>()), Times.Once);
+    }
+
+    [Test]
+    public async Task ArchiveAsync_ArchivesOnlyItemsOfTheProfile()
+    {
+        // Arrange
+        int own, other;
+        await using (var db = await _dbContextFactory.CreateDbContextAsync())
+        {
+            var ownItem = new ContextData { Name = "Own", Content = "a", ProfileId = TestProfileId };
+            var otherItem = new ContextData { Name = "Other", Content = "b", ProfileId = TestProfileId + 1 };
+            db.ContextData.AddRange(ownItem, otherItem);
+            await db.SaveChangesAsync();
+            (own, other) = (ownItem.Id, otherItem.Id);
+        }
+
+        // Act
+        var result = await _service.ArchiveAsync([own, other]);
+
+        // Assert
+        await using var verifyDb = await _dbContextFactory.CreateDbContextAsync();
+        Assert.Multiple(async () =>
+        {
+            Assert.That(result.Processed, Is.EqualTo(1));
+            Assert.That((await verifyDb.ContextData.FindAsync(own))!.IsArchived, Is.True);
+            Assert.That((await verifyDb.ContextData.FindAsync(other))!.IsArchived, Is.False);
+        });
+    }
+
+    private class TestDbContextFactory(DbContextOptions<GeneralDbContext> options)
+        : IDbContextFactory<GeneralDbContext>
+    {
+        public GeneralDbContext CreateDbContext()
+        {
+            return new GeneralDbContext(options);
+        }
+
+        public Task<GeneralDbContext> CreateDbContextAsync(CancellationToken cancellationToken = default)
+        {
+            return Task.FromResult(CreateDbContext());
+        }
+    }
+}
@@ -0,0 +1,109 @@
+using CAF.Controllers.Models.Requests;
+
+namespace Tests.UnitTests;
+
+[TestFixture]
+public class ContextUsageAnalyzerTests
+{
+    private static readonly DateTime Now = new(2026, 10, 19, 12, 0, 0, DateTimeKind.Utc);
+
+    private static ContextData Item(int id, AvailabilityType availability, DataType type = DataType.Memory, int daysOld = 100) => new()
+    {
+        Id = id,
+        Name = $"Item {id}",
+        Content = "Content",
+        Type = type,
+        Availability = availability,
+        CreatedAt = Now.AddDays(-daysOld)
+    };
+
+    private static ContextUsageAnalyzer.TurnSelections Turn(int sessionId, int daysAgo, params (int Id, SelectionMechanism Mechanism)[] selections) =>
+        new(sessionId, Now.AddDays(-daysAgo), [.. selections.Select(s => new ContextSelection
+        {
+            ItemId = s.Id,
+            Name = $"Item {s.Id}",
+            Mechanism = s.Mechanism
+        })]);
+
+    [Test]
+    public void Analyze_CountsSelectionsInWindowAndFindsNeverUsedAndStaleItems()
+    {
+        var items = new List<ContextData>
+        {
+            Item(1, AvailabilityType.Semantic),
+            Item(2, AvailabilityType.Semantic),
+            Item(3, AvailabilityType.Semantic),
+            Item(4, AvailabilityType.Semantic, daysOld: 5),
+            Item(5, AvailabilityType.Trigger, DataType.Generic)
+        };
+        items[4].TriggerCount = 2;
+        items[4].LastTriggeredAt = Now.AddDays(-90);
+        var turns = new List<ContextUsageAnalyzer.TurnSelections>
+        {
+            Turn(1, 1, (1, SelectionMechanism.Semantic), (1, SelectionMechanism.Semantic), (7, SelectionMechanism.Flag)),
+            Turn(1, 2, (1, SelectionMechanism.Semantic)),
+            Turn(1, 80, (2, SelectionMechanism.Semantic))
+        };
+
+        var result = ContextUsageAnalyzer.Analyze(items, turns, new Dictionary<int, string>(), new ContextUsageAnalyticsQuery(), Now);
+
+        var semantic = result.Groups.Single(g => g.Availability == AvailabilityType.Semantic);
+        Assert.Multiple(() =>
+        {
+            Assert.That(result.TurnCount, Is.EqualTo(2));
+            Assert.That(semantic.ItemCount, Is.EqualTo(4));
+            Assert.That(semantic.Selections, Is.EqualTo(2), "An item counts once per turn and flags are ignored");
+            Assert.That(semantic.MostUsed.Select(u => u.Id), Is.EqualTo(new[] { 1, 2 }));
+            Assert.That(semantic.MostUsed[0].SelectionRate, Is.EqualTo(1.0));
+            Assert.That(semantic.NeverUsedCount, Is.EqualTo(2));
+            Assert.That(result.NeverUsed.Select(u => u.Id), Is.EqualTo(new[] { 3, 4 }));
+            Assert.That(result.Stale.Select(u => u.Id), Is.EqualTo(new[] { 3, 5, 2 }),
+                "Item 4 is new, item 5 was last triggered 90 days ago and item 2 last selected 80 days ago");
+        });
+    }
+
+    [Test]
+    public void Analyze_PromotionCandidatesNeedRateAndMinimumSelections()
+    {
+        var items = new List<ContextData>
+        {
+            Item(1, AvailabilityType.Semantic),
+            Item(2, AvailabilityType.Semantic),
+            Item(3, AvailabilityType.AlwaysOn)
+        };
+        var turns = Enumerable.Range(0, 6)
+            .Select(day => Turn(1, day, (1, SelectionMechanism.Semantic), (3, SelectionMechanism.AlwaysOn)))
+            .Append(Turn(1, 0, (2, SelectionMechanism.Semantic)))
+            .ToList();
+
+        var result = ContextUsageAnalyzer.Analyze(items, turns, new Dictionary<int, string>(),
+            new ContextUsageAnalyticsQuery { PromoteMinRate = 0.1, PromoteMinSelections = 5 }, Now);
+
+        Assert.That(result.PromotionCandidates.Select(u => u.Id), Is.EqualTo(new[] { 1 }));
+    }
+
+    [Test]
+    public void Analyze_ReportsTriggerRatesPerDayAndUsagePerSession()
+    {
+        var items = new List<ContextData> { Item(1, AvailabilityType.Trigger, DataType.Generic), Item(2, AvailabilityType.AlwaysOn) };
+        var turns = new List<ContextUsageAnalyzer.TurnSelections>
+        {
+            Turn(1, 0, (1, SelectionMechanism.Trigger), (2, SelectionMechanism.AlwaysOn)),
+            Turn(1, 0, (2, SelectionMechanism.AlwaysOn)),
+            Turn(2, 2, (1, SelectionMechanism.Trigger))
+        };
+
+        var result = ContextUsageAnalyzer.Analyze(items, turns, new Dictionary<int, string> { [1] = "#1 Opening" },
+            new ContextUsageAnalyticsQuery { Days = 3 }, Now);
+
+        Assert.Multiple(() =>
+        {
+            Assert.That(result.TriggerRates.Select(p => p.Date), Is.EqualTo(new[] { "2026-10-17", "2026-10-18", "2026-10-19" }));
+            Assert.That(result.TriggerRates.Select(p => p.Rate), Is.EqualTo(new[] { 1.0, 0, 0.5 }));
+            Assert.That(result.Sessions.Select(s => s.Label), Is.EqualTo(new[] { "#1 Opening", "Session 2" }));
+            Assert.That(result.Sessions[0].Turns, Is.EqualTo(2));
+            Assert.That(result.Sessions[0].ByMechanism, Is.EqualTo(new Dictionary<string, int> { ["Trigger"] = 1, ["AlwaysOn"] = 2 }));
+            Assert.That(result.Sessions[0].TopItems[0].Id, Is.EqualTo(2));
+        });
+    }
+}
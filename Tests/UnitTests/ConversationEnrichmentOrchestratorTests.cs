@@ -35,7 +35,7 @@ public class ConversationEnrichmentOrchestratorTests
     {
         // Arrange
         var enrichers = new List<IEnricher>();
-        var orchestrator = new ConversationEnrichmentOrchestrator(enrichers, _loggerMock.Object);
+        var orchestrator = new ConversationEnrichmentOrchestrator(enrichers, [], _loggerMock.Object);
 
         // Act
         await orchestrator.EnrichAsync(_state);
@@ -61,7 +61,7 @@ public class ConversationEnrichmentOrchestratorTests
             .Returns(Task.CompletedTask);
 
         var enrichers = new List<IEnricher> { enricherMock.Object };
-        var orchestrator = new ConversationEnrichmentOrchestrator(enrichers, _loggerMock.Object);
+        var orchestrator = new ConversationEnrichmentOrchestrator(enrichers, [], _loggerMock.Object);
 
         // Act
         await orchestrator.EnrichAsync(_state);
@@ -96,7 +96,7 @@ public class ConversationEnrichmentOrchestratorTests
             enricher2Mock.Object,
             enricher3Mock.Object
         };
-        var orchestrator = new ConversationEnrichmentOrchestrator(enrichers, _loggerMock.Object);
+        var orchestrator = new ConversationEnrichmentOrchestrator(enrichers, [], _loggerMock.Object);
 
         // Act
         await orchestrator.EnrichAsync(_state);
@@ -118,7 +118,7 @@ public class ConversationEnrichmentOrchestratorTests
             .Returns(Task.CompletedTask);
 
         var enrichers = new List<IEnricher> { enricherMock.Object };
-        var orchestrator = new ConversationEnrichmentOrchestrator(enrichers, _loggerMock.Object);
+        var orchestrator = new ConversationEnrichmentOrchestrator(enrichers, [], _loggerMock.Object);
 
         // Act
         await orchestrator.EnrichAsync(_state, cts.Token);
@@ -127,13 +127,41 @@ public class ConversationEnrichmentOrchestratorTests
         enricherMock.Verify(e => e.EnrichAsync(_state, cts.Token), Times.Once);
     }
 
+    [Test]
+    public async Task EnrichAsync_WithPostEnricher_RunsAfterEnrichersAndSeesTheirData()
+    {
+        // Arrange
+        var enricherMock = new Mock<IEnricher>();
+        enricherMock
+            .Setup(e => e.EnrichAsync(_state, It.IsAny<CancellationToken>()))
+            .Callback<ConversationState, CancellationToken>((s, _) =>
+                s.AddContextData(new ContextData { Id = 1, Name = "Profile", Type = DataType.CharacterProfile }))
+            .Returns(Task.CompletedTask);
+
+        var seenIds = new List<int>();
+        var postEnricherMock = new Mock<IPostEnricher>();
+        postEnricherMock
+            .Setup(e => e.EnrichAsync(_state, It.IsAny<CancellationToken>()))
+            .Callback<ConversationState, CancellationToken>((s, _) => seenIds.AddRange(s.GetAllContextDataIds()))
+            .Returns(Task.CompletedTask);
+
+        var orchestrator = new ConversationEnrichmentOrchestrator(
+            [enricherMock.Object], [postEnricherMock.Object], _loggerMock.Object);
+
+        // Act
+        await orchestrator.EnrichAsync(_state);
+
+        // Assert
+        Assert.That(seenIds, Is.EqualTo(new[] { 1 }));
+    }
+
     [Test]
     public async Task EnrichAsync_WithNullState_LogsWarningAndReturns()
     {
         // Arrange
         var enricherMock = new Mock<IEnricher>();
         var enrichers = new List<IEnricher> { enricherMock.Object };
-        var orchestrator = new ConversationEnrichmentOrchestrator(enrichers, _loggerMock.Object);
+        var orchestrator = new ConversationEnrichmentOrchestrator(enrichers, [], _loggerMock.Object);
 
         // Act
         await orchestrator.EnrichAsync(null!);
@@ -159,7 +187,7 @@ public class ConversationEnrichmentOrchestratorTests
         // Arrange
         var enricherMock = new Mock<IEnricher>();
         var enrichers = new List<IEnricher> { enricherMock.Object };
-        var orchestrator = new ConversationEnrichmentOrchestrator(enrichers, _loggerMock.Object);
+        var orchestrator = new ConversationEnrichmentOrchestrator(enrichers, [], _loggerMock.Object);
 
         var stateWithNullTurn = new ConversationState
         {
@@ -209,7 +237,7 @@ public class ConversationEnrichmentOrchestratorTests
             enricher2Mock.Object,
             enricher3Mock.Object
         };
-        var orchestrator = new ConversationEnrichmentOrchestrator(enrichers, _loggerMock.Object);
+        var orchestrator = new ConversationEnrichmentOrchestrator(enrichers, [], _loggerMock.Object);
 
         // Act
         var startTime = DateTime.UtcNow;
@@ -233,7 +261,7 @@ public class ConversationEnrichmentOrchestratorTests
             .ThrowsAsync(expectedException);
 
         var enrichers = new List<IEnricher> { enricherMock.Object };
-        var orchestrator = new ConversationEnrichmentOrchestrator(enrichers, _loggerMock.Object);
+        var orchestrator = new ConversationEnrichmentOrchestrator(enrichers, [], _loggerMock.Object);
 
         // Act & Assert
         Assert.ThrowsAsync<InvalidOperationException>(
@@ -259,7 +287,7 @@ public class ConversationEnrichmentOrchestratorTests
             enricher1Mock.Object,
             enricher2Mock.Object
         };
-        var orchestrator = new ConversationEnrichmentOrchestrator(enrichers, _loggerMock.Object);
+        var orchestrator = new ConversationEnrichmentOrchestrator(enrichers, [], _loggerMock.Object);
 
         // Act & Assert
         // Note: When awaiting Task.WhenAll(), only the first exception is unwrapped and thrown
@@ -274,7 +302,7 @@ public class ConversationEnrichmentOrchestratorTests
     {
         // Arrange
         var enrichers = new List<IEnricher>();
-        var orchestrator = new ConversationEnrichmentOrchestrator(enrichers, _loggerMock.Object);
+        var orchestrator = new ConversationEnrichmentOrchestrator(enrichers, [], _loggerMock.Object);
 
         // Act
         await orchestrator.EnrichAsync(_state);
@@ -295,7 +323,7 @@ public class ConversationEnrichmentOrchestratorTests
     {
         // Arrange
         var enrichers = new List<IEnricher>();
-        var orchestrator = new ConversationEnrichmentOrchestrator(enrichers, _loggerMock.Object);
+        var orchestrator = new ConversationEnrichmentOrchestrator(enrichers, [], _loggerMock.Object);
 
         // Act
         await orchestrator.EnrichAsync(_state);
@@ -328,7 +356,7 @@ public class ConversationEnrichmentOrchestratorTests
             });
 
         var enrichers = new List<IEnricher> { enricherMock.Object };
-        var orchestrator = new ConversationEnrichmentOrchestrator(enrichers, _loggerMock.Object);
+        var orchestrator = new ConversationEnrichmentOrchestrator(enrichers, [], _loggerMock.Object);
 
         // Act & Assert
         Assert.ThrowsAsync<OperationCanceledException>(
@@ -360,7 +388,7 @@ public class ConversationEnrichmentOrchestratorTests
             enricher1Mock.Object,
             enricher2Mock.Object
         };
-        var orchestrator = new ConversationEnrichmentOrchestrator(enrichers, _loggerMock.Object);
+        var orchestrator = new ConversationEnrichmentOrchestrator(enrichers, [], _loggerMock.Object);
 
         // Act
         await orchestrator.EnrichAsync(_state);
@@ -402,7 +430,7 @@ public class ConversationEnrichmentOrchestratorTests
             enricher1Mock.Object,
             enricher2Mock.Object
         };
-        var orchestrator = new ConversationEnrichmentOrchestrator(enrichers, _loggerMock.Object);
+        var orchestrator = new ConversationEnrichmentOrchestrator(enrichers, [], _loggerMock.Object);
 
         // Act
         await orchestrator.EnrichAsync(_state);
@@ -421,7 +449,7 @@ public class ConversationEnrichmentOrchestratorTests
     {
         // Arrange
         var enrichers = Enumerable.Empty<IEnricher>();
-        var orchestrator = new ConversationEnrichmentOrchestrator(enrichers, _loggerMock.Object);
+        var orchestrator = new ConversationEnrichmentOrchestrator(enrichers, [], _loggerMock.Object);
 
         // Act & Assert
         Assert.DoesNotThrowAsync(async () => await orchestrator.EnrichAsync(_state));
@@ -470,7 +498,7 @@ public class ConversationEnrichmentOrchestratorTests
             enricher2Mock.Object,
             enricher3Mock.Object
         };
-        var orchestrator = new ConversationEnrichmentOrchestrator(enrichers, _loggerMock.Object);
+        var orchestrator = new ConversationEnrichmentOrchestrator(enrichers, [], _loggerMock.Object);
 
         // Act
         await orchestrator.EnrichAsync(_state);
@@ -514,7 +542,7 @@ public class ConversationEnrichmentOrchestratorTests
             enricher1Mock.Object,
             enricher2Mock.Object
         };
-        var orchestrator = new ConversationEnrichmentOrchestrator(enrichers, _loggerMock.Object);
+        var orchestrator = new ConversationEnrichmentOrchestrator(enrichers, [], _loggerMock.Object);
 
         // Act
         await orchestrator.EnrichAsync(_state);
@@ -558,7 +586,7 @@ public class ConversationEnrichmentOrchestratorTests
         }
 
         var enrichers = enricherMocks.Select(m => m.Object).Cast<IEnricher>().ToList();
-        var orchestrator = new ConversationEnrichmentOrchestrator(enrichers, _loggerMock.Object);
+        var orchestrator = new ConversationEnrichmentOrchestrator(enrichers, [], _loggerMock.Object);
 
         // Act
         await orchestrator.EnrichAsync(_state);
@@ -602,7 +630,7 @@ public class ConversationEnrichmentOrchestratorTests
         }
 
         var enrichers = enricherMocks.Select(m => m.Object).Cast<IEnricher>().ToList();
-        var orchestrator = new ConversationEnrichmentOrchestrator(enrichers, _loggerMock.Object);
+        var orchestrator = new ConversationEnrichmentOrchestrator(enrichers, [], _loggerMock.Object);
 
         // Act
         Assert.DoesNotThrowAsync(async () => await orchestrator.EnrichAsync(_state),
@@ -640,7 +668,7 @@ public class ConversationEnrichmentOrchestratorTests
             .Returns(Task.CompletedTask);
 
         var enrichers = new List<IEnricher> { enricher1Mock.Object, enricher2Mock.Object };
-        var orchestrator = new ConversationEnrichmentOrchestrator(enrichers, _loggerMock.Object);
+        var orchestrator = new ConversationEnrichmentOrchestrator(enrichers, [], _loggerMock.Object);
 
         // Act
         await orchestrator.EnrichAsync(_state);
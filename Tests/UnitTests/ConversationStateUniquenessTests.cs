@@ -332,4 +332,42 @@ public class ConversationStateUniquenessTests
     }
 
     #endregion GetDataByType Tests
+
+    #region Selection Record Tests
+
+    [Test]
+    public void SelectContextData_AlreadyAdded_RecordsOnlyFirstMechanism()
+    {
+        // Arrange
+        var data = new ContextData { Id = 1, Name = "Memory 1", Type = DataType.Memory, Content = "Content", TokenCount = 42 };
+
+        // Act
+        _state.SelectContextData(data, "MemoryDataEnricher", SelectionMechanism.AlwaysOn);
+        _state.SelectContextData(data, "TriggerEnricher", SelectionMechanism.Trigger, matchedKeywords: ["castle"]);
+
+        // Assert
+        var selections = _state.GetSelections();
+        Assert.That(selections, Has.Count.EqualTo(1));
+        Assert.Multiple(() =>
+        {
+            Assert.That(selections[0].Enricher, Is.EqualTo("MemoryDataEnricher"));
+            Assert.That(selections[0].Mechanism, Is.EqualTo(SelectionMechanism.AlwaysOn));
+            Assert.That(selections[0].TokenCount, Is.EqualTo(42));
+        });
+    }
+
+    [Test]
+    public void SelectContextData_Semantic_KeepsScore()
+    {
+        // Arrange
+        var data = new ContextData { Id = 1, Name = "Quote 1", Type = DataType.Quote, Content = "Content" };
+
+        // Act
+        _state.SelectContextData(data, "SemanticDataEnricher", SelectionMechanism.Semantic, score: 0.87f);
+
+        // Assert
+        Assert.That(_state.GetSelections().Single().Score, Is.EqualTo(0.87f));
+    }
+
+    #endregion Selection Record Tests
 }
\ No newline at end of file
@@ -0,0 +1,68 @@
+using CAF.Controllers.Models.Responses;
+
+namespace Tests.UnitTests;
+
+[TestFixture]
+public class DuplicateDetectorTests
+{
+    private static ContextData Item(int id, string content, DataType type = DataType.Quote, int usageCount = 0) => new()
+    {
+        Id = id,
+        Name = $"Item {id}",
+        Content = content,
+        Type = type,
+        UsageCount = usageCount
+    };
+
+    [Test]
+    public void TextSimilarity_IgnoresCasePunctuationAndSpacing()
+    {
+        Assert.Multiple(() =>
+        {
+            Assert.That(DuplicateDetector.TextSimilarity("Maps don't lie.", "maps  DON'T lie"), Is.EqualTo(1.0));
+            Assert.That(DuplicateDetector.TextSimilarity("Maps don't lie.", "The river froze overnight."), Is.LessThan(0.2));
+        });
+    }
+
+    [Test]
+    public void FindGroups_UsesEmbeddingsWhenBothItemsHaveOneAndTextOtherwise()
+    {
+        var items = new List<ContextData>
+        {
+            Item(1, "The amulet was a gift from the king."),
+            Item(2, "Completely different wording, same meaning.", usageCount: 3),
+            Item(3, "The amulet was a gift from the king!"),
+            Item(4, "Unrelated line about the weather.")
+        };
+        var embeddings = new Dictionary<int, float[]>
+        {
+            [1] = [1f, 0f, 0f],
+            [2] = [0.99f, 0.1f, 0f],
+            [4] = [0f, 1f, 0f]
+        };
+
+        var groups = DuplicateDetector.FindGroups(items, embeddings, embeddingThreshold: 0.95, textThreshold: 0.85);
+
+        Assert.Multiple(() =>
+        {
+            Assert.That(groups, Has.Count.EqualTo(1));
+            Assert.That(groups[0].Items.Select(i => i.Id), Is.EqualTo(new[] { 2, 1, 3 }), "Most used first, then oldest");
+            Assert.That(groups[0].MatchedBy, Is.EqualTo(DuplicateMatch.Mixed));
+            Assert.That(groups[0].Similarity, Is.GreaterThanOrEqualTo(0.95));
+        });
+    }
+
+    [Test]
+    public void FindGroups_OnlyGroupsItemsOfTheSameType()
+    {
+        var items = new List<ContextData>
+        {
+            Item(1, "She never forgets a face."),
+            Item(2, "She never forgets a face.", DataType.Memory)
+        };
+
+        var groups = DuplicateDetector.FindGroups(items, new Dictionary<int, float[]>(), 0.95, 0.85);
+
+        Assert.That(groups, Is.Empty);
+    }
+}
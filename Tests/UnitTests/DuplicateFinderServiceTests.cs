@@ -0,0 +1,182 @@
+using CAF.Controllers.Models.Requests;
+
+namespace Tests.UnitTests;
+
+[TestFixture]
+public class DuplicateFinderServiceTests
+{
+    private IDbContextFactory<GeneralDbContext> _dbContextFactory = null!;
+    private Mock<ISemanticService> _mockSemanticService = null!;
+    private DuplicateFinderService _service = null!;
+    private const int TestProfileId = 1;
+
+    [SetUp]
+    public async Task Setup()
+    {
+        var options = new DbContextOptionsBuilder<GeneralDbContext>()
+            .UseInMemoryDatabase(databaseName: Guid.NewGuid().ToString())
+            .Options;
+
+        _dbContextFactory = new TestDbContextFactory(options);
+        _mockSemanticService = new Mock<ISemanticService>();
+
+        var mockProfileService = new Mock<IProfileService>();
+        mockProfileService.Setup(x => x.GetActiveProfileId()).Returns(TestProfileId);
+
+        _service = new DuplicateFinderService(
+            _dbContextFactory,
+            mockProfileService.Object,
+            _mockSemanticService.Object,
+            new Mock<ILogger<DuplicateFinderService>>().Object);
+
+        await using var db = await _dbContextFactory.CreateDbContextAsync();
+        db.Profiles.Add(new Profile { Id = TestProfileId, Name = "Test Profile" });
+        await db.SaveChangesAsync();
+    }
+
+    [Test]
+    public async Task FindAsync_ComparesEmbeddedItemsByStoredVectorsAndSkipsArchived()
+    {
+        // Arrange
+        var (a, b, archived) = await SeedAsync(
+            new ContextData { Name = "A", Content = "First wording", Type = DataType.Memory, InVectorDb = true },
+            new ContextData { Name = "B", Content = "Other wording", Type = DataType.Memory, InVectorDb = true },
+            new ContextData { Name = "C", Content = "First wording", Type = DataType.Memory, IsArchived = true });
+        _mockSemanticService.Setup(s => s.GetStoredEmbeddingsAsync(TestProfileId, DataType.Memory, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new Dictionary<int, float[]> { [a] = [1f, 0f], [b] = [1f, 0.01f] });
+
+        // Act
+        var result = await _service.FindAsync(new DuplicateSearchRequest());
+
+        // Assert
+        Assert.Multiple(() =>
+        {
+            Assert.That(result.ItemCount, Is.EqualTo(2));
+            Assert.That(result.EmbeddedCount, Is.EqualTo(2));
+            Assert.That(result.Groups, Has.Count.EqualTo(1));
+            Assert.That(result.Groups[0].Items.Select(i => i.Id), Is.EquivalentTo(new[] { a, b }));
+            Assert.That(result.Groups[0].Items.Select(i => i.Id), Does.Not.Contain(archived));
+        });
+    }
+
+    [Test]
+    public async Task ResolveAsync_Merge_KeepsTagsAndUsageAndArchivesDuplicates()
+    {
+        // Arrange
+        var lastUsed = new DateTime(2026, 1, 2, 0, 0, 0, DateTimeKind.Utc);
+        var (keep, duplicate, _) = await SeedAsync(
+            new ContextData { Name = "Keep", Content = "Line", Tags = ["grief"], UsageCount = 2 },
+            new ContextData { Name = "Dup", Content = "Line.", Tags = ["Grief", "winter"], UsageCount = 3, TriggerCount = 1, LastUsedAt = lastUsed },
+            new ContextData { Name = "Other", Content = "Unrelated" });
+
+        // Act
+        var result = await _service.ResolveAsync(new ResolveDuplicatesRequest { KeepId = keep, DuplicateIds = [duplicate] });
+
+        // Assert
+        await using var db = await _dbContextFactory.CreateDbContextAsync();
+        var kept = await db.ContextData.FindAsync(keep);
+        var merged = await db.ContextData.FindAsync(duplicate);
+        var revisions = await db.ContextDataRevisions.Where(r => r.ContextDataId == duplicate).ToListAsync();
+        Assert.Multiple(() =>
+        {
+            Assert.That(result.Processed, Is.EqualTo(1));
+            Assert.That(kept!.Tags, Is.EqualTo(new[] { "grief", "winter" }));
+            Assert.That(kept.UsageCount, Is.EqualTo(5));
+            Assert.That(kept.TriggerCount, Is.EqualTo(1));
+            Assert.That(kept.LastUsedAt, Is.EqualTo(lastUsed));
+            Assert.That(merged!.IsArchived, Is.True);
+            Assert.That(merged.Availability, Is.EqualTo(AvailabilityType.Archive));
+            Assert.That(revisions.Select(r => r.Source), Is.EqualTo(new[] { RevisionSource.DuplicateResolution }));
+        });
+    }
+
+    [Test]
+    public async Task ResolveAsync_Archive_ArchivesAndUnembedsDuplicates()
+    {
+        // Arrange
+        var (keep, duplicate, _) = await SeedAsync(
+            new ContextData { Name = "Keep", Content = "Line", Availability = AvailabilityType.Semantic },
+            new ContextData { Name = "Dup", Content = "Line", Availability = AvailabilityType.Semantic, InVectorDb = true, Tags = ["extra"] },
+            new ContextData { Name = "Other", Content = "Unrelated" });
+
+        // Act
+        await _service.ResolveAsync(new ResolveDuplicatesRequest
+        {
+            KeepId = keep,
+            DuplicateIds = [duplicate],
+            Action = DuplicateResolution.Archive
+        });
+
+        // Assert
+        await using var db = await _dbContextFactory.CreateDbContextAsync();
+        var archived = await db.ContextData.FindAsync(duplicate);
+        var kept = await db.ContextData.FindAsync(keep);
+        Assert.Multiple(() =>
+        {
+            Assert.That(archived!.IsArchived, Is.True);
+            Assert.That(archived.Availability, Is.EqualTo(AvailabilityType.Archive));
+            Assert.That(kept!.Tags, Is.Empty, "Archiving leaves the kept item unchanged");
+        });
+        _mockSemanticService.Verify(s => s.UnembedBatchAsync(
+            It.Is<IEnumerable<ContextData>>(d => d.Single().Id == duplicate),
+            It.IsAny<CancellationToken>()), Times.Once);
+    }
+
+    [Test]
+    public void ResolveAsync_ArchivedKeptItem_Throws()
+    {
+        var ex = Assert.ThrowsAsync<InvalidOperationException>(async () =>
+        {
+            var (keep, duplicate, _) = await SeedAsync(
+                new ContextData { Name = "Keep", Content = "Line", IsArchived = true, Availability = AvailabilityType.Archive },
+                new ContextData { Name = "Dup", Content = "Line" },
+                new ContextData { Name = "Other", Content = "Unrelated" });
+
+            await _service.ResolveAsync(new ResolveDuplicatesRequest { KeepId = keep, DuplicateIds = [duplicate] });
+        });
+
+        Assert.That(ex!.Message, Does.Contain("archived"));
+    }
+
+    [Test]
+    public void ResolveAsync_DifferentTypes_Throws()
+    {
+        var ex = Assert.ThrowsAsync<InvalidOperationException>(async () =>
+        {
+            var (keep, duplicate, _) = await SeedAsync(
+                new ContextData { Name = "Quote", Content = "Line", Type = DataType.Quote },
+                new ContextData { Name = "Memory", Content = "Line", Type = DataType.Memory },
+                new ContextData { Name = "Other", Content = "Unrelated" });
+
+            await _service.ResolveAsync(new ResolveDuplicatesRequest { KeepId = keep, DuplicateIds = [duplicate] });
+        });
+
+        Assert.That(ex!.Message, Does.Contain("same type"));
+    }
+
+    private async Task<(int, int, int)> SeedAsync(ContextData first, ContextData second, ContextData third)
+    {
+        await using var db = await _dbContextFactory.CreateDbContextAsync();
+        foreach (var data in new[] { first, second, third })
+        {
+            data.ProfileId = TestProfileId;
+            db.ContextData.Add(data);
+        }
+        await db.SaveChangesAsync();
+        return (first.Id, second.Id, third.Id);
+    }
+
+    private class TestDbContextFactory(DbContextOptions<GeneralDbContext> options)
+        : IDbContextFactory<GeneralDbContext>
+    {
+        public GeneralDbContext CreateDbContext()
+        {
+            return new GeneralDbContext(options);
+        }
+
+        public Task<GeneralDbContext> CreateDbContextAsync(CancellationToken cancellationToken = default)
+        {
+            return Task.FromResult(CreateDbContext());
+        }
+    }
+}
@@ -0,0 +1,134 @@
+using CAF.Interfaces;
+using CAF.Services.Conversation;
+
+namespace Tests.UnitTests.Enrichers;
+
+/// <summary>
+/// Unit tests for RecursiveTriggerEnricher - activates Trigger items from the content of already-activated context
+/// </summary>
+[TestFixture]
+public class RecursiveTriggerEnricherTests
+{
+    private Mock<IContextDataService> _mockContextDataService = null!;
+    private Mock<ISettingService> _mockSettingService = null!;
+    private Mock<ILogger<RecursiveTriggerEnricher>> _mockLogger = null!;
+    private RecursiveTriggerEnricher _enricher = null!;
+    private ConversationState _state = null!;
+
+    private ContextData _amulet = null!;
+    private ContextData _king = null!;
+    private ContextData _excluded = null!;
+
+    [SetUp]
+    public void Setup()
+    {
+        _mockContextDataService = new Mock<IContextDataService>();
+        _mockSettingService = new Mock<ISettingService>();
+        _mockLogger = new Mock<ILogger<RecursiveTriggerEnricher>>();
+
+        _enricher = new RecursiveTriggerEnricher(
+            _mockContextDataService.Object,
+            _mockSettingService.Object,
+            _mockLogger.Object);
+
+        _state = new ConversationState
+        {
+            CurrentTurn = new Turn { Id = 1, Input = "Tell me about her father" },
+            Session = new Session { Id = 1, Name = "Test Session" }
+        };
+        _state.AddContextData(new ContextData
+        {
+            Id = 1,
+            Name = "Her father",
+            Type = DataType.CharacterProfile,
+            Availability = AvailabilityType.AlwaysOn,
+            Content = "Her father never takes off the amulet."
+        });
+
+        _amulet = Trigger(10, "Amulet memory", "amulet", "The amulet was a gift from the king.");
+        _king = Trigger(11, "The king", "king", "The king rules the north.");
+        _excluded = Trigger(12, "Amulet rumour", "amulet", "Some say the amulet is cursed.");
+        _excluded.ExcludeFromRecursion = true;
+
+        _mockContextDataService.Setup(s => s.GetAllAsync(null, AvailabilityType.Trigger, false, It.IsAny<CancellationToken>()))
+            .ReturnsAsync([_amulet, _king, _excluded]);
+    }
+
+    private static ContextData Trigger(int id, string name, string keywords, string content) => new()
+    {
+        Id = id,
+        Name = name,
+        Type = DataType.Memory,
+        Availability = AvailabilityType.Trigger,
+        TriggerKeywords = keywords,
+        Content = content
+    };
+
+    private void SetupDepth(int depth)
+    {
+        _mockSettingService.Setup(s => s.GetIntAsync(CAF.Services.SettingsKeys.TriggerRecursionDepth, It.IsAny<int>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync(depth);
+    }
+
+    [Test]
+    public async Task EnrichAsync_DepthZero_DoesNotScan()
+    {
+        SetupDepth(0);
+
+        await _enricher.EnrichAsync(_state);
+
+        Assert.That(_state.Memories, Is.Empty);
+        _mockContextDataService.Verify(s => s.GetAllAsync(
+            It.IsAny<DataType?>(), It.IsAny<AvailabilityType?>(), It.IsAny<bool>(), It.IsAny<CancellationToken>()), Times.Never);
+    }
+
+    [Test]
+    public async Task EnrichAsync_FollowsChainUpToMaxDepth_AndRecordsSource()
+    {
+        SetupDepth(2);
+
+        await _enricher.EnrichAsync(_state);
+
+        var selections = _state.GetSelections().ToDictionary(s => s.ItemId);
+        Assert.Multiple(() =>
+        {
+            Assert.That(_state.Memories.Select(m => m.Id), Is.EquivalentTo(new[] { 10, 11 }));
+            Assert.That(selections[10].TriggeredByItemId, Is.EqualTo(1));
+            Assert.That(selections[10].RecursionDepth, Is.EqualTo(1));
+            Assert.That(selections[11].TriggeredByItemId, Is.EqualTo(10));
+            Assert.That(selections[11].TriggeredByName, Is.EqualTo("Amulet memory"));
+            Assert.That(selections[11].RecursionDepth, Is.EqualTo(2));
+        });
+    }
+
+    [Test]
+    public async Task EnrichAsync_StopsAtMaxDepth()
+    {
+        SetupDepth(1);
+
+        await _enricher.EnrichAsync(_state);
+
+        Assert.That(_state.Memories.Select(m => m.Id), Is.EqualTo(new[] { 10 }));
+    }
+
+    [Test]
+    public async Task EnrichAsync_ItemExcludedFromRecursion_IsNotActivated()
+    {
+        SetupDepth(3);
+
+        await _enricher.EnrichAsync(_state);
+
+        Assert.That(_state.Memories.Select(m => m.Id), Does.Not.Contain(12));
+    }
+
+    [Test]
+    public async Task EnrichAsync_DisabledItem_IsNotActivated()
+    {
+        SetupDepth(3);
+        _amulet.IsEnabled = false;
+
+        await _enricher.EnrichAsync(_state);
+
+        Assert.That(_state.Memories, Is.Empty, "The disabled amulet memory is not activated, so nothing leads to the king");
+    }
+}
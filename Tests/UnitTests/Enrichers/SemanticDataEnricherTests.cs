@@ -522,6 +522,24 @@ public class SemanticDataEnricherTests
 
     #endregion Semantic Uniqueness Tests
 
+    [Test]
+    public void ApplyTokenQuota_StopsAtFirstItemOverQuota_AndSkipsUncounted()
+    {
+        var hits = new List<ContextData>
+        {
+            new() { Id = 1, Name = "Uncounted", Type = DataType.Memory },
+            new() { Id = 2, Name = "Big", Type = DataType.Memory, TokenCount = 400 },
+            new() { Id = 3, Name = "Fits", Type = DataType.Memory, TokenCount = 50 },
+            new() { Id = 4, Name = "Over", Type = DataType.Memory, TokenCount = 100 },
+            new() { Id = 5, Name = "Would fit", Type = DataType.Memory, TokenCount = 10 }
+        };
+
+        var result = SemanticDataEnricher.ApplyTokenQuota(hits, 300);
+
+        // The first counted item is always kept even when it exceeds the quota
+        Assert.That(result.Select(d => d.Id), Is.EqualTo(new[] { 2 }));
+    }
+
     private void SetupDefaultQuotas(int quota)
     {
         _mockSettingService.Setup(s => s.GetIntAsync(It.IsAny<CAF.Services.SettingsKeys>(), It.IsAny<int>(), It.IsAny<CancellationToken>()))
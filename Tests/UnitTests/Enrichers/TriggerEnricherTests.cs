@@ -0,0 +1,64 @@
+using CAF.Interfaces;
+using CAF.Services.Conversation;
+
+namespace Tests.UnitTests.Enrichers;
+
+/// <summary>
+/// Unit tests for TriggerEnricher - activates Trigger items whose keywords appear in the input or recent turns
+/// </summary>
+[TestFixture]
+public class TriggerEnricherTests
+{
+    private Mock<IContextDataService> _mockContextDataService = null!;
+    private Mock<ITurnService> _mockTurnService = null!;
+    private Mock<ISettingService> _mockSettingService = null!;
+    private TriggerEnricher _enricher = null!;
+    private ConversationState _state = null!;
+
+    [SetUp]
+    public void Setup()
+    {
+        _mockContextDataService = new Mock<IContextDataService>();
+        _mockTurnService = new Mock<ITurnService>();
+        _mockSettingService = new Mock<ISettingService>();
+
+        _enricher = new TriggerEnricher(
+            _mockContextDataService.Object,
+            _mockTurnService.Object,
+            _mockSettingService.Object,
+            new Mock<ILogger<TriggerEnricher>>().Object);
+
+        _state = new ConversationState
+        {
+            CurrentTurn = new Turn { Id = 1, Input = "Where did the amulet come from?" },
+            Session = new Session { Id = 1, Name = "Test Session" }
+        };
+
+        _mockTurnService.Setup(s => s.GetRecentTurnsAsync(1, It.IsAny<int>(), It.IsAny<DateTime?>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync([]);
+    }
+
+    private static ContextData Trigger(int id, string name, string keywords) => new()
+    {
+        Id = id,
+        Name = name,
+        Type = DataType.Memory,
+        Availability = AvailabilityType.Trigger,
+        TriggerKeywords = keywords,
+        Content = $"{name} content"
+    };
+
+    [Test]
+    public async Task EnrichAsync_MatchingKeyword_ActivatesEnabledItemsOnly()
+    {
+        var enabled = Trigger(10, "Amulet memory", "amulet");
+        var disabled = Trigger(11, "Amulet rumour", "amulet");
+        disabled.IsEnabled = false;
+        _mockContextDataService.Setup(s => s.GetAllAsync(null, AvailabilityType.Trigger, false, It.IsAny<CancellationToken>()))
+            .ReturnsAsync([enabled, disabled]);
+
+        await _enricher.EnrichAsync(_state);
+
+        Assert.That(_state.Memories.Select(m => m.Id), Is.EqualTo(new[] { 10 }));
+    }
+}
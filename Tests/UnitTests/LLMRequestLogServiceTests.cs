@@ -0,0 +1,158 @@
+using CAF.Controllers.Models.Requests;
+
+namespace Tests.UnitTests;
+
+[TestFixture]
+public class LLMRequestLogServiceTests
+{
+    private GeneralDbContext _dbContext = null!;
+    private LLMRequestLogService _service = null!;
+
+    [SetUp]
+    public void Setup()
+    {
+        var options = new DbContextOptionsBuilder<GeneralDbContext>()
+            .UseInMemoryDatabase(databaseName: Guid.NewGuid().ToString())
+            .Options;
+
+        _dbContext = new GeneralDbContext(options);
+        _service = new LLMRequestLogService(_dbContext);
+    }
+
+    [TearDown]
+    public void TearDown()
+    {
+        _dbContext.Database.EnsureDeleted();
+        _dbContext.Dispose();
+    }
+
+    private async Task SeedAsync()
+    {
+        var start = new DateTime(2026, 1, 1, 12, 0, 0, DateTimeKind.Utc);
+        _dbContext.LLMRequestLogs.AddRange(
+            new LLMRequestLogEntity { RequestId = "a", Provider = "Gemini", Model = "gemini-pro", Operation = "GenerateContent", StartTime = start, StatusCode = 200 },
+            new LLMRequestLogEntity { RequestId = "b", Provider = "Gemini", Model = "gemini-flash", Operation = "StripTurn", StartTime = start.AddMinutes(1), StatusCode = 500 },
+            new LLMRequestLogEntity { RequestId = "c", Provider = "Claude", Model = "claude", Operation = "GenerateContent", StartTime = start.AddMinutes(2), StatusCode = -1 },
+            new LLMRequestLogEntity { RequestId = "d", Provider = "Claude", Model = "claude", Operation = "GenerateContent", StartTime = start.AddMinutes(3) });
+        await _dbContext.SaveChangesAsync();
+    }
+
+    [Test]
+    public async Task GetPageAsync_NoFilters_ReturnsNewestFirstWithPaging()
+    {
+        await SeedAsync();
+
+        var page = await _service.GetPageAsync(new LLMRequestLogQuery { Page = 2, PageSize = 3 });
+
+        Assert.Multiple(() =>
+        {
+            Assert.That(page.TotalCount, Is.EqualTo(4));
+            Assert.That(page.TotalPages, Is.EqualTo(2));
+            Assert.That(page.Items.Select(i => i.Operation), Is.EqualTo(new[] { "GenerateContent" }));
+            Assert.That(page.Items[0].Provider, Is.EqualTo("Gemini"), "Oldest entry should be on the last page");
+        });
+    }
+
+    [Test]
+    [TestCase("success", 1)]
+    [TestCase("error", 2)]
+    [TestCase("pending", 1)]
+    public async Task GetPageAsync_StatusFilter_MatchesStatusCodes(string status, int expected)
+    {
+        await SeedAsync();
+
+        var page = await _service.GetPageAsync(new LLMRequestLogQuery { Status = status });
+
+        Assert.That(page.TotalCount, Is.EqualTo(expected));
+    }
+
+    [Test]
+    public async Task GetPageAsync_ProviderAndDateRange_FiltersEntries()
+    {
+        await SeedAsync();
+
+        var page = await _service.GetPageAsync(new LLMRequestLogQuery
+        {
+            Provider = "Claude",
+            From = new DateTime(2026, 1, 1, 12, 2, 30, DateTimeKind.Utc)
+        });
+
+        Assert.That(page.Items.Select(i => i.StatusCode), Is.EqualTo(new int?[] { null }));
+    }
+
+    [Test]
+    public async Task GetFilterOptionsAsync_ReturnsDistinctSortedValues()
+    {
+        await SeedAsync();
+
+        var options = await _service.GetFilterOptionsAsync();
+
+        Assert.Multiple(() =>
+        {
+            Assert.That(options.Providers, Is.EqualTo(new[] { "Claude", "Gemini" }));
+            Assert.That(options.Operations, Is.EqualTo(new[] { "GenerateContent", "StripTurn" }));
+        });
+    }
+
+    [Test]
+    public async Task GetUsageAsync_GroupsBySessionAndComputesCacheHitRatio()
+    {
+        var session = new Session { Name = "Story", Number = 3 };
+        _dbContext.Sessions.Add(session);
+        await _dbContext.SaveChangesAsync();
+        var turn = new Turn { SessionId = session.Id, Input = "Hi" };
+        _dbContext.Turns.Add(turn);
+
+        var start = new DateTime(2026, 1, 1, 12, 0, 0, DateTimeKind.Utc);
+        _dbContext.LLMRequestLogs.AddRange(
+            // Claude: cache reads are reported on top of input tokens
+            new LLMRequestLogEntity { RequestId = "a", Provider = "Claude", Model = "claude", Operation = "GenerateContent", StartTime = start, TurnId = turn.Id, InputTokens = 100, CachedContentTokenCount = 300, OutputTokens = 50, TotalCost = 0.5m },
+            // Gemini: cached tokens are part of the prompt count
+            new LLMRequestLogEntity { RequestId = "b", Provider = "Gemini", Model = "gemini", Operation = "StripTurn", StartTime = start.AddDays(1), InputTokens = 400, CachedContentTokenCount = 100, TotalCost = 0.1m },
+            new LLMRequestLogEntity { RequestId = "c", Provider = "Gemini", Model = "gemini", Operation = "StripTurn", StartTime = start.AddDays(10), InputTokens = 999, TotalCost = 9m });
+        await _dbContext.SaveChangesAsync();
+
+        var usage = await _service.GetUsageAsync(start.Date, start.AddDays(2));
+
+        Assert.Multiple(() =>
+        {
+            Assert.That(usage.Totals.Calls, Is.EqualTo(2), "Entries outside the range must be excluded");
+            Assert.That(usage.Totals.TotalCost, Is.EqualTo(0.6m));
+            Assert.That(usage.ByDay.Select(d => d.Key), Is.EqualTo(new[] { "2026-01-01", "2026-01-02" }));
+            Assert.That(usage.BySession.Select(s => s.Label), Is.EquivalentTo(new[] { "#3 Story", "No session (background calls)" }));
+            Assert.That(usage.ByModel.Single(m => m.Key == "Claude / claude").CacheHitRatio, Is.EqualTo(0.75).Within(0.0001));
+            Assert.That(usage.ByModel.Single(m => m.Key == "Gemini / gemini").CacheHitRatio, Is.EqualTo(0.25).Within(0.0001));
+        });
+    }
+
+    [Test]
+    public async Task GetUsageAsync_SplitsInputSoBarsAddUpToRealInputCount()
+    {
+        var start = new DateTime(2026, 1, 1, 12, 0, 0, DateTimeKind.Utc);
+        _dbContext.LLMRequestLogs.AddRange(
+            // Claude: 100 input + 200 cache write + 300 cache read + 50 output
+            new LLMRequestLogEntity { RequestId = "a", Provider = "Claude", Model = "claude", Operation = "GenerateContent", StartTime = start, InputTokens = 100, CachedContentTokenCount = 300, OutputTokens = 50, TotalTokens = 650 },
+            // Gemini: 400 prompt tokens of which 100 cached
+            new LLMRequestLogEntity { RequestId = "b", Provider = "Gemini", Model = "gemini", Operation = "GenerateContent", StartTime = start, InputTokens = 400, CachedContentTokenCount = 100, OutputTokens = 20, TotalTokens = 420 });
+        await _dbContext.SaveChangesAsync();
+
+        var usage = await _service.GetUsageAsync(start.Date, start.AddDays(1));
+
+        var claude = usage.ByModel.Single(m => m.Key == "Claude / claude");
+        var gemini = usage.ByModel.Single(m => m.Key == "Gemini / gemini");
+        Assert.Multiple(() =>
+        {
+            Assert.That(claude.InputTokens, Is.EqualTo(600));
+            Assert.That((claude.UncachedInputTokens, claude.CacheWriteTokens, claude.CachedTokens), Is.EqualTo((100L, 200L, 300L)));
+            Assert.That(claude.CacheHitRatio, Is.EqualTo(0.5).Within(0.0001), "Cache writes count as input");
+
+            Assert.That(gemini.InputTokens, Is.EqualTo(400));
+            Assert.That((gemini.UncachedInputTokens, gemini.CacheWriteTokens, gemini.CachedTokens), Is.EqualTo((300L, 0L, 100L)));
+            Assert.That(gemini.CacheHitRatio, Is.EqualTo(0.25).Within(0.0001));
+
+            Assert.That(usage.Totals.InputTokens,
+                Is.EqualTo(usage.Totals.UncachedInputTokens + usage.Totals.CacheWriteTokens + usage.Totals.CachedTokens));
+            Assert.That(usage.Totals.CacheHitRatio, Is.EqualTo(0.4).Within(0.0001));
+        });
+    }
+}
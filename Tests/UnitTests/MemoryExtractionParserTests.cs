@@ -0,0 +1,57 @@
+namespace Tests.UnitTests;
+
+[TestFixture]
+public class MemoryExtractionParserTests
+{
+    [Test]
+    public void Parse_ReadsArrayAroundProseAndNormalizesTags()
+    {
+        var response = """
+            Here is what I found:
+            [
+              { "type": "quote", "name": "The map", "content": " Maps don't lie. ", "speaker": "Mira", "nonverbal": "taps the table", "tags": ["Trust", " trust", "maps"] },
+              { "type": "Insight", "name": "", "content": "Mira trusts written records more than people.", "speaker": "", "tags": [] }
+            ]
+            """;
+
+        var proposals = MemoryExtractionParser.Parse(response);
+
+        Assert.Multiple(() =>
+        {
+            Assert.That(proposals, Has.Count.EqualTo(2));
+            Assert.That(proposals[0].Type, Is.EqualTo(DataType.Quote));
+            Assert.That(proposals[0].Content, Is.EqualTo("Maps don't lie."));
+            Assert.That(proposals[0].NonverbalBehavior, Is.EqualTo("taps the table"));
+            Assert.That(proposals[0].Tags, Is.EqualTo(new[] { "trust", "maps" }));
+            Assert.That(proposals[1].Name, Is.EqualTo("Mira trusts written records more than people."));
+            Assert.That(proposals[1].Speaker, Is.Null);
+        });
+    }
+
+    [Test]
+    public void Parse_SkipsTypesThatCannotBeProposedAndEntriesWithoutContent()
+    {
+        var response = """
+            [
+              { "type": "CharacterProfile", "name": "Mira", "content": "A cartographer." },
+              { "type": "Memory", "name": "Empty", "content": "  " },
+              { "type": "Unknown", "name": "X", "content": "Y" },
+              { "type": "Memory", "name": "The flood", "content": "The river flooded the lower town." }
+            ]
+            """;
+
+        var proposals = MemoryExtractionParser.Parse(response);
+
+        Assert.That(proposals.Select(p => p.Name), Is.EqualTo(new[] { "The flood" }));
+    }
+
+    [Test]
+    public void Parse_InvalidJson_ReturnsEmpty()
+    {
+        Assert.Multiple(() =>
+        {
+            Assert.That(MemoryExtractionParser.Parse("Nothing worth keeping."), Is.Empty);
+            Assert.That(MemoryExtractionParser.Parse("[not json]"), Is.Empty);
+        });
+    }
+}
@@ -0,0 +1,387 @@
+using CAF.Controllers.Models.Requests;
+
+namespace Tests.UnitTests;
+
+[TestFixture]
+public class MemoryExtractionServiceTests
+{
+    private IDbContextFactory<GeneralDbContext> _dbContextFactory = null!;
+    private Mock<IContextDataService> _mockContextDataService = null!;
+    private Mock<ILLMProviderStrategy> _mockProvider = null!;
+    private Mock<IGeminiClient> _mockGeminiClient = null!;
+    private Mock<IClaudeClient> _mockClaudeClient = null!;
+    private Mock<ISettingService> _mockSettingService = null!;
+    private MemoryExtractionService _service = null!;
+    private const int TestProfileId = 1;
+    private const int TestSessionId = 7;
+
+    private const string ExtractionResponse = """
+        [{ "type": "Quote", "name": "The map", "content": "Maps don't lie.", "speaker": "Mira", "tags": ["Trust"] }]
+        """;
+
+    [SetUp]
+    public async Task Setup()
+    {
+        var options = new DbContextOptionsBuilder<GeneralDbContext>()
+            .UseInMemoryDatabase(databaseName: Guid.NewGuid().ToString())
+            .Options;
+
+        _dbContextFactory = new TestDbContextFactory(options);
+        _mockContextDataService = new Mock<IContextDataService>();
+        _mockGeminiClient = new Mock<IGeminiClient>();
+        _mockClaudeClient = new Mock<IClaudeClient>();
+        _mockSettingService = new Mock<ISettingService>();
+
+        _mockProvider = new Mock<ILLMProviderStrategy>();
+        _mockProvider.Setup(p => p.ProviderName).Returns(ConversationConstants.GeminiProvider);
+        var mockProviderFactory = new Mock<ILLMProviderFactory>();
+        mockProviderFactory.Setup(f => f.GetProviderAsync(It.IsAny<CancellationToken>())).ReturnsAsync(_mockProvider.Object);
+
+        var mockProfileService = new Mock<IProfileService>();
+        mockProfileService.Setup(x => x.GetActiveProfileId()).Returns(TestProfileId);
+
+        var mockSystemMessageService = new Mock<ISystemMessageService>();
+        mockSystemMessageService.Setup(s => s.GetActivePersonaAsync(It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new SystemMessage { Name = "Mira" });
+        _mockContextDataService.Setup(s => s.GetUserProfileAsync(It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new ContextData { Name = "Jon" });
+
+        _service = new MemoryExtractionService(
+            _dbContextFactory,
+            mockProfileService.Object,
+            _mockContextDataService.Object,
+            mockSystemMessageService.Object,
+            mockProviderFactory.Object,
+            _mockGeminiClient.Object,
+            _mockClaudeClient.Object,
+            _mockSettingService.Object,
+            new Mock<ILogger<MemoryExtractionService>>().Object);
+
+        await using var db = await _dbContextFactory.CreateDbContextAsync();
+        db.Profiles.Add(new Profile { Id = TestProfileId, Name = "Test Profile" });
+        db.Sessions.Add(new Session { Id = TestSessionId, Number = 1, Name = "Session", ProfileId = TestProfileId });
+        db.Turns.AddRange(
+            new Turn { Id = 1, SessionId = TestSessionId, Accepted = true, Input = "Before the range", Response = "..." },
+            new Turn { Id = 2, SessionId = TestSessionId, Accepted = true, Input = "Show me the map", Response = "Maps don't lie." },
+            new Turn { Id = 3, SessionId = TestSessionId, Accepted = false, Input = "Rejected input", Response = "Rejected response" },
+            new Turn { Id = 4, SessionId = TestSessionId, Accepted = true, Input = "Then we go north", Response = "North it is.", StrippedTurn = "Jon and Mira head north." });
+        await db.SaveChangesAsync();
+    }
+
+    [Test]
+    public async Task ExtractAsync_SendsAcceptedTurnsOfRangeAndStoresPendingProposals()
+    {
+        // Arrange
+        GeminiRequest? sent = null;
+        _mockGeminiClient
+            .Setup(c => c.GenerateContentAsync(It.IsAny<GeminiRequest>(), false, null, It.IsAny<CancellationToken>()))
+            .Callback<GeminiRequest, bool, int?, CancellationToken>((r, _, _, _) => sent = r)
+            .ReturnsAsync((true, ExtractionResponse));
+
+        // Act
+        var result = await _service.ExtractAsync(new MemoryExtractionRequest { SessionId = TestSessionId, FromTurnId = 2, ToTurnId = 4 });
+
+        // Assert
+        var transcript = sent!.Contents[0].Parts[0].Text;
+        await using var db = await _dbContextFactory.CreateDbContextAsync();
+        var stored = await db.MemoryProposals.SingleAsync();
+        Assert.Multiple(() =>
+        {
+            Assert.That(result.TurnCount, Is.EqualTo(2));
+            Assert.That(result.Provider, Is.EqualTo(ConversationConstants.GeminiProvider));
+            Assert.That(transcript, Does.Contain("Jon: Show me the map"));
+            Assert.That(transcript, Does.Contain("Mira: North it is."));
+            Assert.That(transcript, Does.Not.Contain("Rejected"));
+            Assert.That(transcript, Does.Not.Contain("Before the range"));
+            Assert.That(stored.Status, Is.EqualTo(MemoryProposalStatus.Pending));
+            Assert.That(stored.ProfileId, Is.EqualTo(TestProfileId));
+            Assert.That(stored.SessionId, Is.EqualTo(TestSessionId));
+            Assert.That((stored.FromTurnId, stored.ToTurnId), Is.EqualTo((2, 4)));
+            Assert.That(stored.Tags, Is.EqualTo(new[] { "trust" }));
+        });
+    }
+
+    [Test]
+    public async Task ExtractAsync_WithClaudeProvider_UsesClaudeClient()
+    {
+        // Arrange
+        _mockProvider.Setup(p => p.ProviderName).Returns(ConversationConstants.ClaudeProvider);
+        _mockClaudeClient
+            .Setup(c => c.GenerateContentAsync(It.IsAny<ClaudeRequest>(), It.IsAny<CancellationToken>(), null))
+            .ReturnsAsync((true, ExtractionResponse));
+
+        // Act
+        var result = await _service.ExtractAsync(new MemoryExtractionRequest { SessionId = TestSessionId });
+
+        // Assert
+        Assert.That(result.Proposals, Has.Count.EqualTo(1));
+        _mockGeminiClient.Verify(c => c.GenerateContentAsync(
+            It.IsAny<GeminiRequest>(), It.IsAny<bool>(), It.IsAny<int?>(), It.IsAny<CancellationToken>()), Times.Never);
+    }
+
+    [Test]
+    public async Task ExtractAsync_ProviderFails_ThrowsAndStoresNothing()
+    {
+        // Arrange
+        _mockGeminiClient
+            .Setup(c => c.GenerateContentAsync(It.IsAny<GeminiRequest>(), false, null, It.IsAny<CancellationToken>()))
+            .ReturnsAsync((false, "quota exceeded"));
+
+        // Act & Assert
+        var ex = Assert.ThrowsAsync<InvalidOperationException>(() =>
+            _service.ExtractAsync(new MemoryExtractionRequest { SessionId = TestSessionId }));
+        Assert.That(ex!.Message, Does.Contain("quota exceeded"));
+
+        await using var db = await _dbContextFactory.CreateDbContextAsync();
+        Assert.That(await db.MemoryProposals.CountAsync(), Is.Zero);
+    }
+
+    [Test]
+    public async Task AcceptAsync_CreatesEditedItemWithSourceSessionAndEmbedsIt()
+    {
+        // Arrange
+        var id = await SeedProposalAsync();
+        ContextData? created = null;
+        _mockContextDataService
+            .Setup(s => s.CreateAsync(It.IsAny<ContextData>(), It.IsAny<CancellationToken>()))
+            .Callback<ContextData, CancellationToken>((d, _) => created = d)
+            .ReturnsAsync((ContextData d, CancellationToken _) => { d.Id = 42; return d; });
+
+        // Act
+        var accepted = await _service.AcceptAsync(id, new AcceptMemoryProposalRequest
+        {
+            Type = DataType.Quote,
+            Name = "The map",
+            Content = "Maps never lie.",
+            Speaker = "Mira",
+            Tags = ["Trust", "maps"]
+        });
+
+        // Assert
+        Assert.Multiple(() =>
+        {
+            Assert.That(accepted!.Status, Is.EqualTo(MemoryProposalStatus.Accepted));
+            Assert.That(accepted.ContextDataId, Is.EqualTo(42));
+            Assert.That(created!.Content, Is.EqualTo("Maps never lie."));
+            Assert.That(created.Availability, Is.EqualTo(AvailabilityType.Semantic));
+            Assert.That(created.SourceSessionId, Is.EqualTo(TestSessionId));
+            Assert.That(created.Tags, Is.EqualTo(new[] { "trust", "maps" }));
+        });
+        _mockContextDataService.Verify(s => s.UpdateEmbeddingAsync(42, It.IsAny<CancellationToken>()), Times.Once);
+    }
+
+    [Test]
+    public async Task DiscardAsync_ReviewedProposal_Throws()
+    {
+        // Arrange
+        var id = await SeedProposalAsync();
+        await _service.DiscardAsync(id);
+
+        // Act & Assert
+        Assert.ThrowsAsync<InvalidOperationException>(() => _service.DiscardAsync(id));
+        Assert.That(await _service.GetPendingAsync(TestSessionId), Is.Empty);
+    }
+
+    [Test]
+    public async Task WriteSessionSummaryAsync_Disabled_DoesNothing()
+    {
+        // Act
+        var result = await _service.WriteSessionSummaryAsync(TestSessionId);
+
+        // Assert
+        Assert.That(result, Is.Null);
+        _mockProvider.VerifyNoOtherCalls();
+        _mockContextDataService.Verify(s => s.CreateAsync(It.IsAny<ContextData>(), It.IsAny<CancellationToken>()), Times.Never);
+    }
+
+    [Test]
+    public async Task WriteSessionSummaryAsync_Enabled_CreatesSemanticMemoryFromStrippedTurnsAndEmbedsIt()
+    {
+        // Arrange
+        EnableSessionSummary(null);
+        GeminiRequest? sent = null;
+        _mockGeminiClient
+            .Setup(c => c.GenerateContentAsync(It.IsAny<GeminiRequest>(), false, null, It.IsAny<CancellationToken>()))
+            .Callback<GeminiRequest, bool, int?, CancellationToken>((r, _, _, _) => sent = r)
+            .ReturnsAsync((true, "  Summary: they found the map and went north.  "));
+        _mockContextDataService
+            .Setup(s => s.CreateAsync(It.IsAny<ContextData>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync((ContextData d, CancellationToken _) => { d.Id = 42; return d; });
+
+        // Act
+        var created = await _service.WriteSessionSummaryAsync(TestSessionId);
+
+        // Assert
+        var transcript = sent!.Contents[0].Parts[0].Text;
+        Assert.Multiple(() =>
+        {
+            Assert.That(created!.Name, Is.EqualTo("Session 1: Session"));
+            Assert.That(created.Content, Is.EqualTo("Summary: they found the map and went north."));
+            Assert.That(created.Type, Is.EqualTo(DataType.Memory));
+            Assert.That(created.Subtype, Is.EqualTo(MemoryExtractionService.SessionSummarySubtype));
+            Assert.That(created.SourceSessionId, Is.EqualTo(TestSessionId));
+            Assert.That(created.Availability, Is.EqualTo(AvailabilityType.Semantic));
+            Assert.That(transcript, Does.Contain("Jon and Mira head north."));
+            Assert.That(transcript, Does.Not.Contain("Then we go north"));
+            Assert.That(transcript, Does.Contain("Jon: Show me the map"));
+            Assert.That(transcript, Does.Not.Contain("Rejected"));
+        });
+        _mockContextDataService.Verify(s => s.UpdateEmbeddingAsync(42, It.IsAny<CancellationToken>()), Times.Once);
+    }
+
+    [TestCase("Trigger")]
+    [TestCase("Sometimes")]
+    public async Task WriteSessionSummaryAsync_UnusableAvailability_FallsBackToSemantic(string availability)
+    {
+        // Arrange
+        EnableSessionSummary(availability);
+        _mockGeminiClient
+            .Setup(c => c.GenerateContentAsync(It.IsAny<GeminiRequest>(), false, null, It.IsAny<CancellationToken>()))
+            .ReturnsAsync((true, "Summary"));
+        _mockContextDataService
+            .Setup(s => s.CreateAsync(It.IsAny<ContextData>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync((ContextData d, CancellationToken _) => d);
+
+        // Act
+        var created = await _service.WriteSessionSummaryAsync(TestSessionId);
+
+        // Assert
+        Assert.That(created!.Availability, Is.EqualTo(AvailabilityType.Semantic));
+    }
+
+    [Test]
+    public async Task WriteSessionSummaryAsync_Manual_DoesNotEmbed()
+    {
+        // Arrange
+        EnableSessionSummary(nameof(AvailabilityType.Manual));
+        _mockGeminiClient
+            .Setup(c => c.GenerateContentAsync(It.IsAny<GeminiRequest>(), false, null, It.IsAny<CancellationToken>()))
+            .ReturnsAsync((true, "Summary"));
+        _mockContextDataService
+            .Setup(s => s.CreateAsync(It.IsAny<ContextData>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync((ContextData d, CancellationToken _) => d);
+
+        // Act
+        var created = await _service.WriteSessionSummaryAsync(TestSessionId);
+
+        // Assert
+        Assert.That(created!.Availability, Is.EqualTo(AvailabilityType.Manual));
+        _mockContextDataService.Verify(s => s.UpdateEmbeddingAsync(It.IsAny<int>(), It.IsAny<CancellationToken>()), Times.Never);
+    }
+
+    [Test]
+    public async Task WriteSessionSummaryAsync_SummaryCoversAllTurns_SkipsRequest()
+    {
+        // Arrange
+        EnableSessionSummary(null);
+        await using (var db = await _dbContextFactory.CreateDbContextAsync())
+        {
+            db.ContextData.Add(new ContextData
+            {
+                ProfileId = TestProfileId,
+                Name = "Session 1: Session",
+                Content = "Earlier summary",
+                Type = DataType.Memory,
+                Subtype = MemoryExtractionService.SessionSummarySubtype,
+                SourceSessionId = TestSessionId
+            });
+            await db.SaveChangesAsync();
+        }
+
+        // Act
+        var result = await _service.WriteSessionSummaryAsync(TestSessionId);
+
+        // Assert
+        Assert.That(result, Is.Null);
+        _mockGeminiClient.Verify(c => c.GenerateContentAsync(
+            It.IsAny<GeminiRequest>(), It.IsAny<bool>(), It.IsAny<int?>(), It.IsAny<CancellationToken>()), Times.Never);
+    }
+
+    [Test]
+    public async Task WriteSessionSummaryAsync_TurnsAfterSummary_RewritesExistingSummary()
+    {
+        // Arrange - the session was summarized, then switched back to and continued
+        EnableSessionSummary(nameof(AvailabilityType.Manual));
+        int summaryId;
+        await using (var db = await _dbContextFactory.CreateDbContextAsync())
+        {
+            var summary = new ContextData
+            {
+                ProfileId = TestProfileId,
+                Name = "Session 1: Session",
+                Content = "Earlier summary",
+                Type = DataType.Memory,
+                Availability = AvailabilityType.Semantic,
+                Subtype = MemoryExtractionService.SessionSummarySubtype,
+                SourceSessionId = TestSessionId,
+                CreatedAt = DateTime.UtcNow.AddHours(-1)
+            };
+            db.ContextData.Add(summary);
+            await db.SaveChangesAsync();
+            summaryId = summary.Id;
+        }
+
+        _mockGeminiClient
+            .Setup(c => c.GenerateContentAsync(It.IsAny<GeminiRequest>(), false, null, It.IsAny<CancellationToken>()))
+            .ReturnsAsync((true, "Summary of the whole session"));
+        _mockContextDataService
+            .Setup(s => s.UpdateAsync(It.IsAny<int>(), It.IsAny<ContextData>(), It.IsAny<RevisionSource>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync((int _, ContextData d, RevisionSource _, CancellationToken _) => d);
+
+        // Act
+        var result = await _service.WriteSessionSummaryAsync(TestSessionId);
+
+        // Assert
+        Assert.Multiple(() =>
+        {
+            Assert.That(result!.Id, Is.EqualTo(summaryId));
+            Assert.That(result.Content, Is.EqualTo("Summary of the whole session"));
+            Assert.That(result.Availability, Is.EqualTo(AvailabilityType.Semantic), "The summary keeps its availability");
+        });
+        _mockContextDataService.Verify(s => s.UpdateAsync(summaryId, It.IsAny<ContextData>(), RevisionSource.System, It.IsAny<CancellationToken>()), Times.Once);
+        _mockContextDataService.Verify(s => s.CreateAsync(It.IsAny<ContextData>(), It.IsAny<CancellationToken>()), Times.Never);
+        _mockContextDataService.Verify(s => s.UpdateEmbeddingAsync(summaryId, It.IsAny<CancellationToken>()), Times.Once);
+    }
+
+    private void EnableSessionSummary(string? availability)
+    {
+        _mockSettingService
+            .Setup(s => s.GetBoolAsync(SettingsKeys.SessionSummaryEnabled, It.IsAny<bool>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync(true);
+        _mockSettingService
+            .Setup(s => s.GetValueAsync(SettingsKeys.SessionSummaryAvailability, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(availability);
+    }
+
+    private async Task<int> SeedProposalAsync()
+    {
+        await using var db = await _dbContextFactory.CreateDbContextAsync();
+        var proposal = new MemoryProposal
+        {
+            ProfileId = TestProfileId,
+            SessionId = TestSessionId,
+            FromTurnId = 1,
+            ToTurnId = 4,
+            Type = DataType.Quote,
+            Name = "The map",
+            Content = "Maps don't lie."
+        };
+        db.MemoryProposals.Add(proposal);
+        await db.SaveChangesAsync();
+        return proposal.Id;
+    }
+
+    private class TestDbContextFactory(DbContextOptions<GeneralDbContext> options)
+        : IDbContextFactory<GeneralDbContext>
+    {
+        public GeneralDbContext CreateDbContext()
+        {
+            return new GeneralDbContext(options);
+        }
+
+        public Task<GeneralDbContext> CreateDbContextAsync(CancellationToken cancellationToken = default)
+        {
+            return Task.FromResult(CreateDbContext());
+        }
+    }
+}
@@ -116,6 +116,25 @@ public class PromptAndFlagTests : ConversationRequestBuilderTestBase
         });
     }
 
+    [Test]
+    public async Task BuildFlags_DryRun_IncludesActiveFlagsWithoutDeactivatingThem()
+    {
+        var context = CreateMinimalContext();
+        context.IsDryRun = true;
+
+        await AddFlagAsync("[active] Active flag");
+
+        var result = await Builder.BuildGeminiRequestAsync(context);
+
+        var flag = await Context.Flags.AsNoTracking().FirstAsync();
+        Assert.Multiple(() =>
+        {
+            Assert.That(GetGeminiLastUserMessageText(result), Does.Contain("[active] Active flag"));
+            Assert.That(flag.Active, Is.True);
+            Assert.That(flag.LastUsedAt, Is.Null);
+        });
+    }
+
     [Test]
     public async Task BuildFlags_WithConstantDbFlags_IncludesButKeepsInactive()
     {
@@ -134,6 +134,39 @@ public class SemanticServiceTests
 
     #endregion Stats Tests
 
+    #region Stored Embeddings Tests
+
+    [Test]
+    public async Task GetStoredEmbeddingsAsync_ReadsFullChunkVectorsKeyedById()
+    {
+        // Arrange
+        _mockQdrantService.Setup(s => s.GetVectorsAsync(TestProfileId, "memory_full", It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new Dictionary<long, float[]> { [7] = [0.5f, 0.5f] });
+
+        // Act
+        var embeddings = await _service.GetStoredEmbeddingsAsync(TestProfileId, DataType.Memory);
+
+        // Assert
+        Assert.That(embeddings[7], Is.EqualTo(new[] { 0.5f, 0.5f }));
+        _mockQdrantFactory.Verify(f => f.CreateService("context_memories"), Times.Once);
+    }
+
+    [Test]
+    public async Task GetStoredEmbeddingsAsync_QdrantFailure_ReturnsEmpty()
+    {
+        // Arrange
+        _mockQdrantService.Setup(s => s.GetVectorsAsync(It.IsAny<int>(), It.IsAny<string>(), It.IsAny<CancellationToken>()))
+            .ThrowsAsync(new InvalidOperationException("unavailable"));
+
+        // Act
+        var embeddings = await _service.GetStoredEmbeddingsAsync(TestProfileId, DataType.Quote);
+
+        // Assert
+        Assert.That(embeddings, Is.Empty);
+    }
+
+    #endregion Stored Embeddings Tests
+
     #region EnsureCollections Tests
 
     [Test]
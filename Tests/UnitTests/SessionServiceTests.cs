@@ -8,6 +8,7 @@ public class SessionServiceTests
     private GeneralDbContext _dbContext = null!;
     private SessionService _service = null!;
     private Mock<IProfileService> _mockProfileService = null!;
+    private Mock<ISessionSummaryQueue> _mockSummaryQueue = null!;
     private const int TestProfileId = 1;
 
     [SetUp]
@@ -23,7 +24,9 @@ public class SessionServiceTests
         _mockProfileService.Setup(x => x.GetActiveProfileIdAsync())
             .ReturnsAsync(TestProfileId);
 
-        _service = new SessionService(_dbContext, _mockProfileService.Object);
+        _mockSummaryQueue = new Mock<ISessionSummaryQueue>();
+
+        _service = new SessionService(_dbContext, _mockProfileService.Object, _mockSummaryQueue.Object);
     }
 
     [TearDown]
@@ -190,6 +193,22 @@ public class SessionServiceTests
         });
     }
 
+    [Test]
+    public async Task SetActiveSessionAsync_QueuesSummaryOfClosedSessionOnly()
+    {
+        var closed = new Session { Number = 1, Name = "S1", IsActive = true, ProfileId = TestProfileId };
+        var target = new Session { Number = 2, Name = "S2", IsActive = false, ProfileId = TestProfileId };
+        var otherProfile = new Session { Number = 3, Name = "S3", IsActive = true, ProfileId = TestProfileId + 1 };
+        await _dbContext.Sessions.AddRangeAsync(closed, target, otherProfile);
+        await _dbContext.SaveChangesAsync();
+
+        await _service.SetActiveSessionAsync(target.Id);
+        await _service.SetActiveSessionAsync(target.Id);
+
+        _mockSummaryQueue.Verify(q => q.Enqueue(closed.Id), Times.Once);
+        _mockSummaryQueue.Verify(q => q.Enqueue(It.IsNotIn(closed.Id)), Times.Never);
+    }
+
     [Test]
     public async Task SetActiveSessionAsync_NonExisting_ReturnsFalse_DoesNotDeactivateOthers()
     {
@@ -201,6 +220,7 @@ public class SessionServiceTests
         var ok = await _service.SetActiveSessionAsync(999);
 
         Assert.That(ok, Is.False);
+        _mockSummaryQueue.Verify(q => q.Enqueue(It.IsAny<int>()), Times.Never);
 
         var reloaded = await _dbContext.Sessions.OrderBy(s => s.Id).ToListAsync();
         Assert.Multiple(() =>
@@ -209,4 +229,60 @@ public class SessionServiceTests
             Assert.That(reloaded.Single(s => s.Id == s2.Id).IsActive, Is.False);
         });
     }
-}
\ No newline at end of file
+
+    [Test]
+    public async Task BranchSessionAsync_CopiesAcceptedTurnsUpToBranchTurn_AndRecordsParent()
+    {
+        var source = new Session { Number = 1, Name = "Main", IsActive = true, ProfileId = 7 };
+        await _dbContext.Sessions.AddAsync(source);
+        await _dbContext.SaveChangesAsync();
+
+        var start = DateTime.UtcNow.AddMinutes(-10);
+        var t1 = new Turn { SessionId = source.Id, Input = "1", Response = "r1", Accepted = true, CreatedAt = start };
+        var rejected = new Turn { SessionId = source.Id, Input = "x", Response = "rx", Accepted = false, CreatedAt = start.AddMinutes(1) };
+        var t2 = new Turn { SessionId = source.Id, Input = "2", Response = "r2", Accepted = true, CreatedAt = start.AddMinutes(2) };
+        var t3 = new Turn { SessionId = source.Id, Input = "3", Response = "r3", Accepted = true, CreatedAt = start.AddMinutes(3) };
+        await _dbContext.Turns.AddRangeAsync(t1, rejected, t2, t3);
+        await _dbContext.SaveChangesAsync();
+
+        var branch = await _service.BranchSessionAsync(t2.Id, "Alt");
+
+        Assert.Multiple(() =>
+        {
+            Assert.That(branch.Name, Is.EqualTo("Alt"));
+            Assert.That(branch.Number, Is.EqualTo(2));
+            Assert.That(branch.ProfileId, Is.EqualTo(7), "Branch keeps the source session's profile");
+            Assert.That(branch.ParentSessionId, Is.EqualTo(source.Id));
+            Assert.That(branch.BranchedFromTurnId, Is.EqualTo(t2.Id));
+            Assert.That(branch.IsActive, Is.False);
+            Assert.That(branch.Turns.Select(t => t.Input), Is.EqualTo(new[] { "1", "2" }));
+        });
+    }
+
+    [Test]
+    public async Task BranchSessionAsync_WithActivate_MakesBranchActive()
+    {
+        var source = new Session { Number = 1, Name = "Main", IsActive = true, ProfileId = TestProfileId };
+        await _dbContext.Sessions.AddAsync(source);
+        await _dbContext.SaveChangesAsync();
+        var turn = new Turn { SessionId = source.Id, Input = "1", Response = "r1", Accepted = true };
+        await _dbContext.Turns.AddAsync(turn);
+        await _dbContext.SaveChangesAsync();
+
+        var branch = await _service.BranchSessionAsync(turn.Id, activate: true);
+
+        var reloaded = await _dbContext.Sessions.OrderBy(s => s.Id).ToListAsync();
+        Assert.Multiple(() =>
+        {
+            Assert.That(branch.Name, Is.EqualTo("Main (branch)"));
+            Assert.That(reloaded.Single(s => s.Id == branch.Id).IsActive, Is.True);
+            Assert.That(reloaded.Single(s => s.Id == source.Id).IsActive, Is.False);
+        });
+    }
+
+    [Test]
+    public void BranchSessionAsync_UnknownTurn_ThrowsKeyNotFound()
+    {
+        Assert.ThrowsAsync<KeyNotFoundException>(async () => await _service.BranchSessionAsync(999));
+    }
+}
@@ -0,0 +1,107 @@
+using System.Text;
+using System.Text.Json.Nodes;
+using CAF.Controllers.Models.Requests;
+
+namespace Tests.UnitTests;
+
+[TestFixture]
+public class SillyTavernExporterTests
+{
+    private static ContextData Trigger(string keywords) => new()
+    {
+        Name = "Entry",
+        Type = DataType.Generic,
+        Availability = AvailabilityType.Trigger,
+        TriggerKeywords = keywords,
+        Content = "Lore"
+    };
+
+    [TestCase("amulet, pendant", new[] { "amulet", "pendant" }, new string[0], 0)]
+    [TestCase("King (Arthur), queen", new[] { "King (Arthur)", "queen" }, new string[0], 0)]
+    [TestCase("expr: dragon NOT (cave OR lair)", new[] { "dragon" }, new[] { "cave", "lair" }, 2)]
+    [TestCase("expr: (amulet OR \"old king\") AND (father AND dream)", new[] { "amulet", "old king" }, new[] { "father", "dream" }, 3)]
+    [TestCase("expr: /drag(on|ons)/, drag*", new[] { "/drag(on|ons)/i", @"/\bdrag\w*/i" }, new string[0], 0)]
+    public void ToKeys_ReversesKeywordListsAndSelectiveExpressions(string keywords, string[] keys, string[] secondary, int logic)
+    {
+        var result = SillyTavernExporter.ToKeys(Trigger(keywords));
+
+        Assert.Multiple(() =>
+        {
+            Assert.That(result.Keys, Is.EqualTo(keys));
+            Assert.That(result.SecondaryKeys, Is.EqualTo(secondary));
+            Assert.That(result.SelectiveLogic, Is.EqualTo(logic));
+        });
+    }
+
+    [Test]
+    public void ToKeys_OtherExpression_BecomesOneEquivalentRegexKey()
+    {
+        var result = SillyTavernExporter.ToKeys(Trigger("expr: amulet AND (father OR king) NOT dream"));
+
+        Assert.Multiple(() =>
+        {
+            Assert.That(result.Keys, Has.Count.EqualTo(1));
+            Assert.That(result.Keys[0], Does.StartWith("/^(?=").And.EndWith("/i"));
+            Assert.That(result.SecondaryKeys, Is.Empty);
+        });
+    }
+
+    [Test]
+    public void ToWorldInfoJson_RoundTripsThroughTheImporter()
+    {
+        var items = new List<ContextData>
+        {
+            new()
+            {
+                Name = "Dragon", Type = DataType.Memory, Availability = AvailabilityType.Trigger, Content = "Dragons sleep in winter.",
+                TriggerKeywords = "expr: dragon NOT (cave OR lair)", TriggerLookbackTurns = 2, ExcludeFromRecursion = true, SortOrder = 10
+            },
+            new() { Name = "World rules", Type = DataType.Generic, Availability = AvailabilityType.AlwaysOn, Content = "Magic is rare." },
+            new() { Name = "Not lore", Type = DataType.Quote, Availability = AvailabilityType.Semantic, Content = "Skipped" }
+        };
+
+        var json = SillyTavernExporter.ToWorldInfoJson(items);
+        var preview = SillyTavernImporter.Preview(new SillyTavernImportRequest
+        {
+            FileName = "lore.json",
+            ContentBase64 = Convert.ToBase64String(Encoding.UTF8.GetBytes(json)),
+            EntryType = DataType.Memory
+        });
+
+        Assert.Multiple(() =>
+        {
+            Assert.That(preview.Items, Has.Count.EqualTo(2));
+            Assert.That(preview.Items[0].Data.Name, Is.EqualTo("Dragon"));
+            Assert.That(preview.Items[0].Data.TriggerKeywords, Is.EqualTo("expr: dragon NOT (cave OR lair)"));
+            Assert.That(preview.Items[0].Data.TriggerLookbackTurns, Is.EqualTo(2));
+            Assert.That(preview.Items[0].Data.ExcludeFromRecursion, Is.True);
+            Assert.That(preview.Items[0].Data.SortOrder, Is.EqualTo(10));
+            Assert.That(preview.Items[1].Data.Availability, Is.EqualTo(AvailabilityType.AlwaysOn));
+            Assert.That(preview.Items[1].Data.Content, Is.EqualTo("Magic is rare."));
+        });
+    }
+
+    [Test]
+    public void ToCharacterCardJson_SplitsImportedSectionsBackIntoFields()
+    {
+        var profile = new ContextData
+        {
+            Name = "Mira",
+            Type = DataType.CharacterProfile,
+            Content = "A cartographer.\n\n## Personality\nCurious, blunt\n\n## Example Dialogue\nMira: Maps don't lie.",
+            Tags = ["fantasy"]
+        };
+
+        var data = JsonNode.Parse(SillyTavernExporter.ToCharacterCardJson(profile))!["data"]!;
+
+        Assert.Multiple(() =>
+        {
+            Assert.That((string?)data["name"], Is.EqualTo("Mira"));
+            Assert.That((string?)data["description"], Is.EqualTo("A cartographer."));
+            Assert.That((string?)data["personality"], Is.EqualTo("Curious, blunt"));
+            Assert.That((string?)data["scenario"], Is.EqualTo(string.Empty));
+            Assert.That((string?)data["mes_example"], Is.EqualTo("Mira: Maps don't lie."));
+            Assert.That(data["tags"]!.AsArray().Select(t => (string?)t), Is.EqualTo(new[] { "fantasy" }));
+        });
+    }
+}
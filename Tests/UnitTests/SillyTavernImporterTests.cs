@@ -0,0 +1,145 @@
+using System.Text;
+using CAF.Controllers.Models.Requests;
+
+namespace Tests.UnitTests;
+
+[TestFixture]
+public class SillyTavernImporterTests
+{
+    private const string CardJson = """
+        {
+          "spec": "chara_card_v2",
+          "spec_version": "2.0",
+          "data": {
+            "name": "Mira",
+            "description": "{{char}} is a cartographer who distrusts {{user}}.",
+            "personality": "Curious, blunt",
+            "scenario": "",
+            "mes_example": "<START>\n{{char}}: Maps don't lie.",
+            "tags": ["fantasy", "guide"],
+            "character_book": {
+              "entries": [
+                {
+                  "keys": ["amulet", "pendant"],
+                  "secondary_keys": [],
+                  "content": "{{char}} wears her mother's amulet.",
+                  "enabled": true,
+                  "insertion_order": 100,
+                  "constant": false,
+                  "name": "Amulet",
+                  "extensions": { "scan_depth": 4, "exclude_recursion": true }
+                }
+              ]
+            }
+          }
+        }
+        """;
+
+    private const string WorldInfoJson = """
+        {
+          "entries": {
+            "0": { "uid": 0, "key": ["dragon"], "keysecondary": ["cave", "lair"], "selective": true, "selectiveLogic": 2,
+                   "comment": "Dragon", "content": "Dragons sleep in winter.", "constant": false, "disable": false, "order": 10, "scanDepth": 3 },
+            "1": { "uid": 1, "key": [], "keysecondary": [], "comment": "World rules", "content": "Magic is rare.",
+                   "constant": true, "disable": false, "order": 1 },
+            "2": { "uid": 2, "key": ["/drag(on|ons)/i", "Old King"], "keysecondary": [], "comment": "", "content": "Regex entry",
+                   "constant": false, "disable": true, "order": 5 },
+            "3": { "uid": 3, "key": [], "keysecondary": [], "comment": "Unused", "content": "Never triggered.",
+                   "constant": false, "disable": false, "order": 0 }
+          }
+        }
+        """;
+
+    private static SillyTavernImportRequest Request(byte[] content, string fileName) => new()
+    {
+        FileName = fileName,
+        ContentBase64 = Convert.ToBase64String(content),
+        UserName = "Alex"
+    };
+
+    [Test]
+    public void Preview_CharacterCard_CreatesProfileAndEmbeddedLorebookEntries()
+    {
+        var preview = SillyTavernImporter.Preview(Request(Encoding.UTF8.GetBytes(CardJson), "mira.json"));
+
+        var profile = preview.Items[0].Data;
+        var entry = preview.Items[1].Data;
+        Assert.Multiple(() =>
+        {
+            Assert.That(preview.Kind, Is.EqualTo(SillyTavernImporter.CharacterCardKind));
+            Assert.That(preview.Items, Has.Count.EqualTo(2));
+            Assert.That(profile.Type, Is.EqualTo(DataType.CharacterProfile));
+            Assert.That(profile.Availability, Is.EqualTo(AvailabilityType.AlwaysOn));
+            Assert.That(profile.Content, Does.StartWith("Mira is a cartographer who distrusts Alex."));
+            Assert.That(profile.Content, Does.Contain("## Personality\nCurious, blunt"));
+            Assert.That(profile.Content, Does.Not.Contain("## Scenario"));
+            Assert.That(profile.Tags, Is.EqualTo(new[] { "fantasy", "guide" }));
+
+            Assert.That(entry.Name, Is.EqualTo("Amulet"));
+            Assert.That(entry.Availability, Is.EqualTo(AvailabilityType.Trigger));
+            Assert.That(entry.TriggerKeywords, Is.EqualTo("amulet, pendant"));
+            Assert.That(entry.TriggerLookbackTurns, Is.EqualTo(2), "Four messages are two turns");
+            Assert.That(entry.ExcludeFromRecursion, Is.True);
+            Assert.That(entry.SortOrder, Is.EqualTo(100));
+            Assert.That(entry.Content, Is.EqualTo("Mira wears her mother's amulet."));
+        });
+    }
+
+    [Test]
+    public void Preview_WorldInfo_MapsKeysConstantAndSelectiveLogic()
+    {
+        var preview = SillyTavernImporter.Preview(Request(Encoding.UTF8.GetBytes(WorldInfoJson), "Lore.json"));
+
+        var (dragon, rules, regex, keyless) = (preview.Items[0], preview.Items[1], preview.Items[2], preview.Items[3]);
+        Assert.Multiple(() =>
+        {
+            Assert.That(preview.Kind, Is.EqualTo(SillyTavernImporter.WorldInfoKind));
+            Assert.That(preview.Name, Is.EqualTo("Lore"));
+
+            Assert.That(dragon.Data.TriggerKeywords, Is.EqualTo("expr: dragon NOT (cave OR lair)"));
+            Assert.That(dragon.Data.TriggerLookbackTurns, Is.EqualTo(2));
+
+            Assert.That(rules.Data.Availability, Is.EqualTo(AvailabilityType.AlwaysOn));
+            Assert.That(rules.Data.TriggerKeywords, Is.Null);
+
+            Assert.That(regex.Data.Name, Is.EqualTo("/drag(on|ons)/i"));
+            Assert.That(regex.Data.TriggerKeywords, Is.EqualTo("expr: /drag(on|ons)/, Old King"));
+            Assert.That(regex.Data.IsEnabled, Is.False);
+            Assert.That(regex.Warnings, Has.Some.Contains("disabled"));
+
+            Assert.That(keyless.Data.Availability, Is.EqualTo(AvailabilityType.Archive));
+            Assert.That(keyless.Data.IsArchived, Is.True);
+        });
+    }
+
+    [Test]
+    public void Preview_PngCard_ReadsCharaTextChunk()
+    {
+        var png = new List<byte> { 0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A };
+        png.AddRange(Chunk("tEXt", [.. Encoding.Latin1.GetBytes("chara"), 0, .. Encoding.Latin1.GetBytes(Convert.ToBase64String(Encoding.UTF8.GetBytes(CardJson)))]));
+        png.AddRange(Chunk("IEND", []));
+
+        var preview = SillyTavernImporter.Preview(Request([.. png], "mira.png"));
+
+        Assert.That(preview.Name, Is.EqualTo("Mira"));
+    }
+
+    [Test]
+    public void Preview_UnrecognizedJson_Throws()
+    {
+        var ex = Assert.Throws<InvalidOperationException>(() =>
+            SillyTavernImporter.Preview(Request(Encoding.UTF8.GetBytes("""{ "foo": 1 }"""), "x.json")));
+
+        Assert.That(ex!.Message, Does.Contain("not a SillyTavern"));
+    }
+
+    private static byte[] Chunk(string type, byte[] data)
+    {
+        var length = BitConverter.GetBytes(data.Length);
+        if (BitConverter.IsLittleEndian)
+            Array.Reverse(length);
+
+        // The importer does not check the CRC
+        return [.. length, .. Encoding.ASCII.GetBytes(type), .. data, 0, 0, 0, 0];
+    }
+}
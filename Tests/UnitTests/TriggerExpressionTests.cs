@@ -0,0 +1,177 @@
+using CAF.Services.Conversation;
+
+namespace Tests.UnitTests;
+
+[TestFixture]
+public class TriggerExpressionTests
+{
+    [TestCase("amulet, father, king", false)]
+    [TestCase("dark forest, old castle", false)]
+    [TestCase("amulet AND king", false)]
+    [TestCase("King (Arthur), queen", false)]
+    [TestCase("\"the sword\", queen", false)]
+    [TestCase("drag*", false)]
+    [TestCase("/drag(on|ons)/", false)]
+    [TestCase("expr: amulet AND king", true)]
+    [TestCase("  EXPR:drag*", true)]
+    [TestCase("expr: (amulet)", true)]
+    public void IsExpression_RequiresPrefix(string text, bool expected)
+    {
+        Assert.That(TriggerExpression.IsExpression(text), Is.EqualTo(expected));
+    }
+
+    [TestCase("the amulet of my father", true)]
+    [TestCase("the king wore the amulet", true)]
+    [TestCase("the amulet of my father in a dream", false)]
+    [TestCase("my father the king", false)]
+    public void IsMatch_BooleanOperators(string text, bool expected)
+    {
+        var expression = TriggerExpression.Parse("amulet AND (father OR king) NOT dream");
+
+        Assert.That(expression.IsMatch(text, []), Is.EqualTo(expected));
+    }
+
+    [Test]
+    public void IsMatch_ReportsMatchedTermsButNotNegatedOnes()
+    {
+        var expression = TriggerExpression.Parse("amulet AND (father OR king) NOT dream");
+        var matched = new List<string>();
+
+        expression.IsMatch("the amulet of the king", matched);
+
+        Assert.Multiple(() =>
+        {
+            Assert.That(expression.Terms, Is.EqualTo(new[] { "amulet", "father", "king", "dream" }));
+            Assert.That(matched, Is.EqualTo(new[] { "amulet", "king" }));
+        });
+    }
+
+    [Test]
+    public void IsMatch_PhrasesPrefixesAndRegex()
+    {
+        Assert.Multiple(() =>
+        {
+            Assert.That(TriggerExpression.Parse("\"NOT a drill\"").IsMatch("this is not a\n drill", []), Is.True,
+                "Operators inside quotes are literal and whitespace between phrase words is flexible");
+            Assert.That(TriggerExpression.Parse("drag*").IsMatch("dragons fly", []), Is.True);
+            Assert.That(TriggerExpression.Parse("drag*").IsMatch("a snapdragon", []), Is.False,
+                "Prefix matches still start at a word boundary");
+            Assert.That(TriggerExpression.Parse("/\\d{4} ad/").IsMatch("in 1066 AD", []), Is.True);
+            Assert.That(TriggerExpression.Parse("/a\\/b/").IsMatch("either a/b", []), Is.True);
+        });
+    }
+
+    [TestCase("the amulet of my father")]
+    [TestCase("the king wore the amulet")]
+    [TestCase("the amulet of my father in a dream")]
+    [TestCase("my father the king")]
+    [TestCase("dragons and /slashes/")]
+    public void ToRegexPattern_MatchesLikeTheExpression(string text)
+    {
+        foreach (var source in new[] { "amulet AND (father OR king) NOT dream", "drag* OR \"old king\"", "/^my/ NOT amulet" })
+        {
+            var expression = TriggerExpression.Parse(source);
+            var regex = new System.Text.RegularExpressions.Regex(expression.ToRegexPattern(),
+                System.Text.RegularExpressions.RegexOptions.IgnoreCase);
+
+            Assert.That(regex.IsMatch(text), Is.EqualTo(expression.IsMatch(text, [])), $"{source} on '{text}'");
+        }
+    }
+
+    [TestCase("expr: amulet AND", "Expression ends unexpectedly")]
+    [TestCase("expr: (amulet OR king", "Missing ')'")]
+    [TestCase("expr: amulet)", "Unmatched ')'")]
+    [TestCase("expr: \"amulet", "Unterminated quoted phrase")]
+    [TestCase("expr: /drag(on/", "Invalid regular expression")]
+    [TestCase("expr: dr*gon AND king", "'*' is only allowed at the end of a word")]
+    [TestCase("expr: \"amulet\" \"king\"", "Expected AND, OR or ','")]
+    public void Validate_ReturnsErrorForInvalidExpression(string text, string error)
+    {
+        var exception = TriggerExpression.Validate(text);
+
+        Assert.That(exception, Is.Not.Null);
+        Assert.That(exception!.Message, Does.StartWith(error));
+    }
+
+    [TestCase("amulet, father, king")]
+    [TestCase("King (Arthur), queen")]
+    [TestCase("\"the sword\", queen")]
+    [TestCase("OR, NATO")]
+    [TestCase("amulet AND")]
+    public void Validate_PlainKeywordList_IsValid(string text)
+    {
+        Assert.That(TriggerExpression.Validate(text), Is.Null);
+    }
+
+    [Test]
+    public void Validate_ErrorPositionPointsIntoStoredText()
+    {
+        var exception = TriggerExpression.Validate("expr: amulet)");
+
+        Assert.That(exception!.Position, Is.EqualTo("expr: amulet".Length));
+    }
+
+    [Test]
+    public void TriggerMatcher_PlainKeywordListStillUsesMinMatchCount()
+    {
+        var trigger = new ContextData
+        {
+            Name = "Legacy",
+            Availability = AvailabilityType.Trigger,
+            TriggerKeywords = "amulet, father, king",
+            TriggerMinMatchCount = 2
+        };
+
+        Assert.Multiple(() =>
+        {
+            Assert.That(TriggerMatcher.Match(trigger, "the amulet").IsActivated, Is.False);
+            Assert.That(TriggerMatcher.Match(trigger, "the amulet of my father").IsActivated, Is.True);
+        });
+    }
+
+    [TestCase("King (Arthur), queen", "the queen spoke", false)]
+    [TestCase("\"the sword\", queen", "the queen drew the sword", false)]
+    [TestCase("OR, NATO", "the or and nato", true)]
+    [TestCase("OR, NATO", "only nato", false)]
+    public void TriggerMatcher_LegacyListWithExpressionCharacters_StaysPlainAndUsesMinMatchCount(
+        string keywords, string text, bool expected)
+    {
+        var trigger = new ContextData
+        {
+            Name = "Legacy",
+            Availability = AvailabilityType.Trigger,
+            TriggerKeywords = keywords,
+            TriggerMinMatchCount = 2
+        };
+
+        var match = TriggerMatcher.Match(trigger, text);
+
+        Assert.Multiple(() =>
+        {
+            Assert.That(match.IsExpression, Is.False);
+            Assert.That(match.Error, Is.Null);
+            Assert.That(match.IsActivated, Is.EqualTo(expected));
+        });
+    }
+
+    [Test]
+    public void TriggerMatcher_PrefixedExpression_IgnoresMinMatchCount()
+    {
+        var trigger = new ContextData
+        {
+            Name = "Expression",
+            Availability = AvailabilityType.Trigger,
+            TriggerKeywords = "expr: amulet OR king",
+            TriggerMinMatchCount = 2
+        };
+
+        var match = TriggerMatcher.Match(trigger, "the king");
+
+        Assert.Multiple(() =>
+        {
+            Assert.That(match.IsExpression, Is.True);
+            Assert.That(match.Terms, Is.EqualTo(new[] { "amulet", "king" }));
+            Assert.That(match.IsActivated, Is.True);
+        });
+    }
+}
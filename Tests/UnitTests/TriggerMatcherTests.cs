@@ -0,0 +1,78 @@
+using CAF.Services.Conversation;
+
+namespace Tests.UnitTests;
+
+[TestFixture]
+public class TriggerMatcherTests
+{
+    private static readonly List<Turn> Turns =
+    [
+        new() { Id = 1, Input = "We talked about the dragon", Response = "The dragon sleeps" },
+        new() { Id = 2, Input = "Back at the castle", Response = "The gates are closed" },
+        new() { Id = 3, Input = "Time for dinner", Response = "Soup is served" }
+    ];
+
+    private static ContextData Trigger(string keywords, int lookback = 3, int minMatch = 1) => new()
+    {
+        Id = 7,
+        Name = "Trigger",
+        Type = DataType.Generic,
+        Availability = AvailabilityType.Trigger,
+        TriggerKeywords = keywords,
+        TriggerLookbackTurns = lookback,
+        TriggerMinMatchCount = minMatch
+    };
+
+    [Test]
+    public void BuildScanText_UsesMostRecentTurnsWithinLookback()
+    {
+        var scanText = TriggerMatcher.BuildScanText(Turns, 2, "Hello", "extra");
+
+        Assert.Multiple(() =>
+        {
+            Assert.That(scanText, Does.Not.Contain("dragon"));
+            Assert.That(scanText, Does.Contain("castle"));
+            Assert.That(scanText, Does.Contain("soup"));
+            Assert.That(scanText, Does.EndWith("hello extra"));
+        });
+    }
+
+    [Test]
+    public void FindMatches_MatchesWholeWordsOnly()
+    {
+        var matches = TriggerMatcher.FindMatches("the dragons and a cat", ["dragon", "cat"]);
+
+        Assert.That(matches, Is.EqualTo(new[] { "cat" }));
+    }
+
+    [Test]
+    public void Evaluate_OneMatchShortOfMinimum_IsMissedByOne()
+    {
+        var evaluation = TriggerMatcher.Evaluate(Trigger("castle, gates, moat", minMatch: 3), Turns, "", null);
+
+        Assert.Multiple(() =>
+        {
+            Assert.That(evaluation.WouldActivate, Is.False);
+            Assert.That(evaluation.MissedByOne, Is.True);
+            Assert.That(evaluation.MatchedKeywords, Is.EqualTo(new[] { "castle", "gates" }));
+            Assert.That(evaluation.TurnsScanned, Is.EqualTo(3));
+        });
+    }
+
+    [Test]
+    public void Evaluate_ReportsCooldownForNextTurn()
+    {
+        var trigger = Trigger("soup");
+        trigger.CooldownTurns = 5;
+        trigger.UsedLastOnTurnId = 2;
+
+        var evaluation = TriggerMatcher.Evaluate(trigger, Turns, "", null, nextTurnId: 4);
+
+        Assert.Multiple(() =>
+        {
+            Assert.That(evaluation.WouldActivate, Is.True);
+            Assert.That(evaluation.MissedByOne, Is.False);
+            Assert.That(evaluation.OnCooldown, Is.True);
+        });
+    }
+}
@@ -0,0 +1,141 @@
+namespace Tests.UnitTests;
+
+[TestFixture]
+public class TurnServiceTests
+{
+    private GeneralDbContext _dbContext = null!;
+    private TurnService _service = null!;
+
+    [SetUp]
+    public void Setup()
+    {
+        var options = new DbContextOptionsBuilder<GeneralDbContext>()
+            .UseInMemoryDatabase(databaseName: Guid.NewGuid().ToString())
+            .Options;
+
+        _dbContext = new GeneralDbContext(options);
+        _service = new TurnService(_dbContext);
+    }
+
+    [TearDown]
+    public void TearDown()
+    {
+        _dbContext.Database.EnsureDeleted();
+        _dbContext.Dispose();
+    }
+
+    private async Task<Turn> CreateTurnAsync(string response = "Original", string stripped = "Stripped")
+    {
+        var turn = new Turn { SessionId = 1, Input = "Hi", Response = response, StrippedTurn = stripped, Accepted = true };
+        _dbContext.Turns.Add(turn);
+        await _dbContext.SaveChangesAsync();
+        return turn;
+    }
+
+    [Test]
+    public async Task AddSwipeAsync_FirstRegeneration_KeepsOriginalAsFirstSwipeAndSelectsNew()
+    {
+        var turn = await CreateTurnAsync();
+
+        var updated = await _service.AddSwipeAsync(turn.Id, "Alternative");
+
+        Assert.Multiple(() =>
+        {
+            Assert.That(updated.Swipes, Is.EqualTo(new[] { "Original", "Alternative" }));
+            Assert.That(updated.SelectedSwipe, Is.EqualTo(1));
+            Assert.That(updated.Response, Is.EqualTo("Alternative"));
+            Assert.That(updated.StrippedTurn, Is.Empty, "Stripped text of the previous response must be cleared");
+        });
+    }
+
+    [Test]
+    public async Task SelectSwipeAsync_SetsCanonicalResponse()
+    {
+        var turn = await CreateTurnAsync();
+        await _service.AddSwipeAsync(turn.Id, "Alternative");
+
+        var updated = await _service.SelectSwipeAsync(turn.Id, 0);
+
+        Assert.Multiple(() =>
+        {
+            Assert.That(updated.SelectedSwipe, Is.EqualTo(0));
+            Assert.That(updated.Response, Is.EqualTo("Original"));
+        });
+    }
+
+    [Test]
+    public async Task SelectSwipeAsync_IndexOutOfRange_Throws()
+    {
+        var turn = await CreateTurnAsync();
+
+        Assert.ThrowsAsync<ArgumentOutOfRangeException>(async () => await _service.SelectSwipeAsync(turn.Id, 1));
+    }
+
+    [Test]
+    public async Task UpdateTurnAsync_EditedResponse_UpdatesSelectedSwipe()
+    {
+        var turn = await CreateTurnAsync();
+        await _service.AddSwipeAsync(turn.Id, "Alternative");
+
+        var updated = await _service.UpdateTurnAsync(turn.Id, response: "Edited");
+
+        Assert.That(updated.Swipes, Is.EqualTo(new[] { "Original", "Edited" }));
+    }
+
+    [Test]
+    public async Task UpdateTurnAsync_WithState_MarksLoadedContextDataUsed()
+    {
+        var turn = await CreateTurnAsync();
+        var memory = new ContextData { Name = "Oath", Content = "Sworn", Type = DataType.Memory, Availability = AvailabilityType.AlwaysOn, UsageCount = 2 };
+        _dbContext.ContextData.Add(memory);
+        await _dbContext.SaveChangesAsync();
+
+        var state = new ConversationState { CurrentTurn = turn };
+        state.AddContextData(memory);
+
+        await _service.UpdateTurnAsync(state, accepted: true);
+
+        var saved = await _dbContext.ContextData.AsNoTracking().SingleAsync(d => d.Id == memory.Id);
+        Assert.Multiple(() =>
+        {
+            Assert.That(saved.UsageCount, Is.EqualTo(3));
+            Assert.That(saved.UsedLastOnTurnId, Is.EqualTo(turn.Id));
+            Assert.That(saved.LastUsedAt, Is.Not.Null);
+        });
+    }
+
+    [Test]
+    public async Task UpdateTurnAsync_WithState_NotAccepted_DoesNotMarkContextDataUsed()
+    {
+        var turn = await CreateTurnAsync();
+        var memory = new ContextData { Name = "Oath", Content = "Sworn", Type = DataType.Memory, Availability = AvailabilityType.AlwaysOn, UsageCount = 2 };
+        _dbContext.ContextData.Add(memory);
+        await _dbContext.SaveChangesAsync();
+
+        var state = new ConversationState { CurrentTurn = turn };
+        state.AddContextData(memory);
+
+        await _service.UpdateTurnAsync(state, accepted: false);
+
+        var saved = await _dbContext.ContextData.AsNoTracking().SingleAsync(d => d.Id == memory.Id);
+        Assert.Multiple(() =>
+        {
+            Assert.That(saved.UsageCount, Is.EqualTo(2));
+            Assert.That(saved.UsedLastOnTurnId, Is.Zero);
+            Assert.That(saved.LastUsedAt, Is.Null);
+        });
+    }
+
+    [Test]
+    public async Task GetRecentTurnsAsync_WithCutoff_OnlyReturnsEarlierTurns()
+    {
+        var start = DateTime.UtcNow.AddHours(-1);
+        for (var i = 0; i < 4; i++)
+            _dbContext.Turns.Add(new Turn { SessionId = 1, Input = $"Turn {i}", Accepted = true, CreatedAt = start.AddMinutes(i) });
+        await _dbContext.SaveChangesAsync();
+
+        var turns = await _service.GetRecentTurnsAsync(1, 2, before: start.AddMinutes(3));
+
+        Assert.That(turns.Select(t => t.Input), Is.EqualTo(new[] { "Turn 1", "Turn 2" }));
+    }
+}